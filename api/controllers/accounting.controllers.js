@@ -0,0 +1,46 @@
+import { listAccountingRecords, ACCOUNTING_PROVIDERS } from '../lib/accounting/index.js';
+
+// Shared handler: every resource responds with { provider, connectionId, companyId, <resource>, page, limit, hasMore }
+async function sendAccountingRecords(req, reply, resource) {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
+
+    const companyId = req.user?.companyId;
+    if (!companyId) return reply.code(400).send({ error: 'companyId required' });
+
+    const provider = req.query?.provider;
+    if (provider && !ACCOUNTING_PROVIDERS.includes(provider)) {
+      return reply.code(400).send({ error: `Unsupported provider: ${provider}`, supported: ACCOUNTING_PROVIDERS });
+    }
+
+    const page = Math.max(Number(req.query?.page) || 1, 1);
+    const limit = Math.min(Number(req.query?.limit) || 100, 1000);
+
+    const connectionId = req.query?.connectionId;
+    const result = await listAccountingRecords(resource, { companyId, provider, connectionId, page, limit });
+    if (!result) return reply.code(404).send({ error: 'No accounting integration connected for this company' });
+
+    return reply.code(200).send({
+      provider: result.provider,
+      connectionId: result.connectionId,
+      companyId,
+      [resource]: result.records,
+      page: result.page,
+      limit: result.limit,
+      hasMore: result.hasMore
+    });
+  } catch (e) {
+    req.log.error(e, `Accounting ${resource} error`);
+    return reply.code(500).send({ error: `Failed to fetch ${resource}`, details: e.message });
+  }
+}
+
+export const getAccountingAccounts = (req, reply) => sendAccountingRecords(req, reply, 'accounts');
+export const getAccountingCustomers = (req, reply) => sendAccountingRecords(req, reply, 'customers');
+export const getAccountingVendors = (req, reply) => sendAccountingRecords(req, reply, 'vendors');
+export const getAccountingInvoices = (req, reply) => sendAccountingRecords(req, reply, 'invoices');
+export const getAccountingBills = (req, reply) => sendAccountingRecords(req, reply, 'bills');
+export const getAccountingPayments = (req, reply) => sendAccountingRecords(req, reply, 'payments');
+export const getAccountingJournalEntries = (req, reply) => sendAccountingRecords(req, reply, 'journalEntries');
+export const getAccountingItems = (req, reply) => sendAccountingRecords(req, reply, 'items');
@@ -0,0 +1,103 @@
+import { ACCOUNTING_PROVIDERS } from '../lib/accounting/index.js';
+import {
+  STATEMENT_LINES,
+  fetchLedgerAccounts,
+  suggestCoaMapping,
+  saveCoaMappingVersion,
+  getCoaMappingVersion,
+  listCoaMappingVersions,
+  applyCoaOverrides
+} from '../lib/coaMapping.js';
+
+// GET /api/companies/:id/coa-mapping
+export async function getCoaMapping(request, reply) {
+  const { id } = request.params;
+  const version = request.query?.version ? Number(request.query.version) : null;
+  if (version !== null && !(Number.isInteger(version) && version > 0)) {
+    return reply.code(400).send({ error: 'version must be a positive integer' });
+  }
+
+  const mapping = await getCoaMappingVersion(id, version);
+  if (!mapping) return reply.code(404).send({ error: version ? `Mapping version ${version} not found` : 'No chart-of-accounts mapping for this company' });
+
+  reply.send({ ...mapping, statementLines: STATEMENT_LINES });
+}
+
+// GET /api/companies/:id/coa-mapping/versions
+export async function getCoaMappingVersions(request, reply) {
+  const { id } = request.params;
+  const versions = await listCoaMappingVersions(id);
+  reply.send({ companyId: id, versions });
+}
+
+// POST /api/companies/:id/coa-mapping/suggest
+// Pulls the ledger accounts, suggests a line for each and saves the result as a new version.
+// Overrides from the current version are kept for accounts that still exist.
+export async function suggestCoaMappingVersion(request, reply) {
+  const { id } = request.params;
+  const { provider, connectionId, useAI = true, note = null } = request.body || {};
+  if (provider && !ACCOUNTING_PROVIDERS.includes(provider)) {
+    return reply.code(400).send({ error: `Unsupported provider: ${provider}`, supported: ACCOUNTING_PROVIDERS });
+  }
+
+  try {
+    const ledger = await fetchLedgerAccounts(id, { provider, connectionId });
+    if (!ledger) return reply.code(404).send({ error: 'No accounting integration connected for this company' });
+
+    const current = await getCoaMappingVersion(id);
+    const overrides = {};
+    for (const entry of current?.accounts || []) {
+      if (entry.overridden) overrides[entry.accountId] = entry.line;
+    }
+
+    const accounts = await suggestCoaMapping(ledger.accounts, { overrides, useAI: useAI !== false });
+    const mapping = await saveCoaMappingVersion(id, {
+      provider: ledger.provider,
+      connectionId: ledger.connectionId,
+      accounts,
+      source: 'suggest',
+      note,
+      createdBy: request.user?.id || null
+    });
+
+    reply.code(201).send({ ...mapping, statementLines: STATEMENT_LINES });
+  } catch (e) {
+    request.log.error(e, 'COA mapping suggest error');
+    return reply.code(500).send({ error: 'Failed to suggest chart-of-accounts mapping', details: e.message });
+  }
+}
+
+// PUT /api/companies/:id/coa-mapping
+// Body: { overrides: { [accountId]: line | null }, note? }; null reverts an account to its suggestion
+export async function updateCoaMapping(request, reply) {
+  const { id } = request.params;
+  const { overrides, note = null } = request.body || {};
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return reply.code(400).send({ error: 'overrides object required' });
+  }
+
+  const invalid = Object.entries(overrides).filter(([, line]) => line !== null && !STATEMENT_LINES[line]);
+  if (invalid.length) {
+    return reply.code(400).send({ error: 'Unknown statement lines', invalid: Object.fromEntries(invalid), allowed: Object.keys(STATEMENT_LINES) });
+  }
+
+  const current = await getCoaMappingVersion(id);
+  if (!current) return reply.code(404).send({ error: 'No chart-of-accounts mapping for this company; run suggest first' });
+
+  const known = new Set(current.accounts.map(a => a.accountId));
+  const unknownAccounts = Object.keys(overrides).filter(accountId => !known.has(accountId));
+  if (unknownAccounts.length) {
+    return reply.code(400).send({ error: 'Unknown accounts', unknownAccounts });
+  }
+
+  const mapping = await saveCoaMappingVersion(id, {
+    provider: current.provider,
+    connectionId: current.connectionId,
+    accounts: applyCoaOverrides(current.accounts, overrides),
+    source: 'override',
+    note,
+    createdBy: request.user?.id || null
+  });
+
+  reply.code(201).send({ ...mapping, statementLines: STATEMENT_LINES });
+}
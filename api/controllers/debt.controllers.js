@@ -0,0 +1,58 @@
+import {
+  normalizeDebtInstrument,
+  buildAmortizationSchedule,
+  createDebtInstrument,
+  listDebtInstruments,
+  getDebtInstrument,
+  updateDebtInstrument,
+  deleteDebtInstrument
+} from '../lib/debt.js';
+
+// GET /api/companies/:id/debt-instruments
+export async function getDebtInstruments(request, reply) {
+  const { id } = request.params;
+  const instruments = await listDebtInstruments(id);
+  reply.send({ companyId: id, instruments });
+}
+
+// POST /api/companies/:id/debt-instruments
+export async function createDebtInstrumentRecord(request, reply) {
+  const { id } = request.params;
+  const { instrument, error } = normalizeDebtInstrument(request.body);
+  if (error) return reply.code(400).send({ error });
+
+  const record = await createDebtInstrument(id, instrument, request.user?.id || null);
+  reply.code(201).send({ ...record, schedule: buildAmortizationSchedule(record) });
+}
+
+// GET /api/companies/:id/debt-instruments/:instrumentId
+export async function getDebtInstrumentRecord(request, reply) {
+  const { id, instrumentId } = request.params;
+  const record = await getDebtInstrument(id, instrumentId);
+  if (!record) return reply.code(404).send({ error: 'Debt instrument not found' });
+  reply.send({ ...record, schedule: buildAmortizationSchedule(record) });
+}
+
+// PUT /api/companies/:id/debt-instruments/:instrumentId
+// Fields in the body replace the stored ones; `covenants` is replaced as a whole
+export async function updateDebtInstrumentRecord(request, reply) {
+  const { id, instrumentId } = request.params;
+  const existing = await getDebtInstrument(id, instrumentId);
+  if (!existing) return reply.code(404).send({ error: 'Debt instrument not found' });
+
+  const { instrument, error } = normalizeDebtInstrument({ ...existing, ...(request.body || {}) });
+  if (error) return reply.code(400).send({ error });
+
+  const record = await updateDebtInstrument(existing, instrument);
+  reply.send({ ...record, schedule: buildAmortizationSchedule(record) });
+}
+
+// DELETE /api/companies/:id/debt-instruments/:instrumentId
+export async function deleteDebtInstrumentRecord(request, reply) {
+  const { id, instrumentId } = request.params;
+  const existing = await getDebtInstrument(id, instrumentId);
+  if (!existing) return reply.code(404).send({ error: 'Debt instrument not found' });
+
+  await deleteDebtInstrument(instrumentId);
+  reply.send({ success: true });
+}
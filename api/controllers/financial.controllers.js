@@ -1,4 +1,31 @@
 import { db } from '../firestore.js';
+import { getLatestSuccessfulSync } from '../lib/syncRuns.js';
+import { STATEMENT_COLLECTIONS, listStatementMonths, deriveCashFlowStatement, shiftMonth } from '../lib/financialStatements.js';
+import {
+  PAYROLL_FREQUENCIES,
+  forecastWeekStart,
+  resolveScenarioAssumptions,
+  loadCashForecastInputs,
+  summarizeForecastInputs,
+  buildCashForecast,
+  saveCashForecast,
+  getCashForecast,
+  getPreviousCashForecast,
+  listCashForecasts,
+  compareCashForecasts
+} from '../lib/cashForecast.js';
+import { getBudgetLines } from '../lib/budgets.js';
+import { getActualLines, getLatestActualMonth, totalLines, compareLines, buildEbitdaWaterfall } from '../lib/variance.js';
+import { listMonths, entityKey } from '../lib/financialSnapshots.js';
+import { listDebtInstruments, buildAmortizationSchedule, balanceAtMonthEnd } from '../lib/debt.js';
+import { loadCovenantActuals, buildCovenantTimeline, findCovenantBreaches, firstProjectedBreaches } from '../lib/covenants.js';
+
+// Path segment of /api/financial/statements/:statement -> STATEMENT_COLLECTIONS key
+const STATEMENT_PATHS = {
+  'income-statement': 'incomeStatement',
+  'balance-sheet': 'balanceSheet',
+  'cash-flow': 'cashFlowStatement'
+};
 
 // GET /api/financial/summary
 export async function getFinancialSummary(request, reply) {
@@ -20,6 +47,266 @@ export async function getFinancialSummary(request, reply) {
   reply.send({ data });
 }
 
+// GET /api/financial/entities
+// Per-entity months from multi-entity uploads; /api/financial/summary has their consolidated roll-up
+export async function getEntitySnapshots(request, reply) {
+  const { companyId } = request.query;
+  if (!companyId) return reply.code(400).send({ error: 'companyId required' });
+
+  const { entity, startMonth, endMonth } = request.query;
+
+  let query = db.collection('financialSnapshotEntityMonthly')
+    .where('tenantId', '==', companyId)
+    .orderBy('month', 'desc');
+
+  if (entity) query = query.where('entityKey', '==', entityKey(entity));
+  if (startMonth) query = query.where('month', '>=', startMonth);
+  if (endMonth) query = query.where('month', '<=', endMonth);
+
+  const snap = await query.get();
+  const data = snap.docs.map(doc => doc.data());
+  const entities = [...new Map(data.map(d => [d.entityKey, d.entity])).values()];
+
+  reply.send({ entities, data });
+}
+
+// GET /api/financial/people
+export async function getPeopleSummary(request, reply) {
+  const { companyId } = request.query;
+  if (!companyId) return reply.code(400).send({ error: 'companyId required' });
+
+  const { startMonth, endMonth } = request.query;
+
+  let query = db.collection('peopleSnapshotMonthly')
+    .where('tenantId', '==', companyId)
+    .orderBy('month', 'desc');
+
+  if (startMonth) query = query.where('month', '>=', startMonth);
+  if (endMonth) query = query.where('month', '<=', endMonth);
+
+  const snap = await query.get();
+  const data = snap.docs.map(doc => doc.data());
+
+  reply.send({ data });
+}
+
+// GET /api/financial/statements
+// All three statements per month, newest first. Months synced with an income statement and
+// balance sheet but no cash flow statement get one derived with the indirect method.
+export async function getFinancialStatements(request, reply) {
+  const { companyId } = request.query;
+  if (!companyId) return reply.code(400).send({ error: 'companyId required' });
+
+  const { startMonth, endMonth } = request.query;
+
+  // One extra balance sheet month so the first month's cash flow can be derived
+  const [incomeStatements, balanceSheets, cashFlowStatements] = await Promise.all([
+    listStatementMonths(STATEMENT_COLLECTIONS.incomeStatement, companyId, { startMonth, endMonth }),
+    listStatementMonths(STATEMENT_COLLECTIONS.balanceSheet, companyId, { startMonth: startMonth && shiftMonth(startMonth, -1), endMonth }),
+    listStatementMonths(STATEMENT_COLLECTIONS.cashFlowStatement, companyId, { startMonth, endMonth })
+  ]);
+
+  const byMonth = (docs) => new Map(docs.map(doc => [doc.month, doc]));
+  const income = byMonth(incomeStatements);
+  const balance = byMonth(balanceSheets);
+  const cashFlow = byMonth(cashFlowStatements);
+
+  const months = [...new Set([...income.keys(), ...balance.keys(), ...cashFlow.keys()])]
+    .filter(month => !startMonth || month >= startMonth)
+    .sort()
+    .reverse();
+
+  const data = months.map(month => ({
+    month,
+    incomeStatement: income.get(month) || null,
+    balanceSheet: balance.get(month) || null,
+    cashFlowStatement: cashFlow.get(month)
+      || deriveCashFlowStatement(income.get(month), balance.get(month), balance.get(shiftMonth(month, -1)))
+  }));
+
+  reply.send({ data });
+}
+
+// GET /api/financial/statements/:statement
+export async function getFinancialStatement(request, reply) {
+  const { companyId } = request.query;
+  if (!companyId) return reply.code(400).send({ error: 'companyId required' });
+
+  const key = STATEMENT_PATHS[request.params.statement];
+  if (!key) return reply.code(400).send({ error: 'statement must be one of: ' + Object.keys(STATEMENT_PATHS).join(', ') });
+
+  const { startMonth, endMonth } = request.query;
+  const data = await listStatementMonths(STATEMENT_COLLECTIONS[key], companyId, { startMonth, endMonth });
+
+  reply.send({ data });
+}
+
+const isDate = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v || '') && Number.isFinite(Date.parse(v));
+
+// POST /api/financial/cash-forecast
+// Body: { asOf?, payrollFrequency?, nextPayDate?, assumptions?: { base|best|downside: {...} } }
+export async function createCashForecast(request, reply) {
+  const { companyId } = request.query;
+  if (!companyId) return reply.code(400).send({ error: 'companyId required' });
+
+  const { asOf, payrollFrequency = 'biweekly', nextPayDate = null, assumptions: overrides = {} } = request.body || {};
+  if (asOf && !isDate(asOf)) return reply.code(400).send({ error: 'asOf must be YYYY-MM-DD' });
+  if (nextPayDate && !isDate(nextPayDate)) return reply.code(400).send({ error: 'nextPayDate must be YYYY-MM-DD' });
+  if (!PAYROLL_FREQUENCIES[payrollFrequency]) {
+    return reply.code(400).send({ error: 'payrollFrequency must be one of: ' + Object.keys(PAYROLL_FREQUENCIES).join(', ') });
+  }
+
+  const { assumptions, error } = resolveScenarioAssumptions(overrides);
+  if (error) return reply.code(400).send({ error });
+
+  const inputs = await loadCashForecastInputs(companyId);
+  if (!inputs) return reply.code(404).send({ error: 'No cash balance in the monthly financial snapshots; sync or upload financials first' });
+
+  const weekStart = forecastWeekStart(asOf || new Date());
+  const scenarios = buildCashForecast(inputs, { weekStart, assumptions, payrollFrequency, nextPayDate });
+  const forecast = await saveCashForecast({
+    companyId,
+    weekStart,
+    payrollFrequency,
+    nextPayDate,
+    inputs: summarizeForecastInputs(inputs),
+    assumptions,
+    scenarios,
+    createdBy: request.user?.id || null
+  });
+
+  const previous = await getPreviousCashForecast(companyId, weekStart);
+  reply.code(201).send({ ...forecast, comparison: compareCashForecasts(forecast, previous) });
+}
+
+// GET /api/financial/cash-forecast
+export async function getCashForecastResult(request, reply) {
+  const { companyId, weekStart } = request.query;
+  if (!companyId) return reply.code(400).send({ error: 'companyId required' });
+  if (weekStart && !isDate(weekStart)) return reply.code(400).send({ error: 'weekStart must be YYYY-MM-DD' });
+
+  const forecast = await getCashForecast(companyId, weekStart ? forecastWeekStart(weekStart) : null);
+  if (!forecast) return reply.code(404).send({ error: 'No cash forecast found' });
+
+  const previous = await getPreviousCashForecast(companyId, forecast.weekStart);
+  reply.send({ ...forecast, comparison: compareCashForecasts(forecast, previous) });
+}
+
+// GET /api/financial/cash-forecast/history
+export async function getCashForecastHistory(request, reply) {
+  const { companyId } = request.query;
+  if (!companyId) return reply.code(400).send({ error: 'companyId required' });
+
+  const limit = Math.min(Math.max(parseInt(request.query.limit, 10) || 12, 1), 52);
+  const forecasts = await listCashForecasts(companyId, limit);
+  reply.send({ forecasts });
+}
+
+const isMonth = (v) => /^\d{4}-\d{2}$/.test(v || '');
+
+// GET /api/financial/variance
+// Actual vs budget vs prior period per line for startMonth..endMonth (default the latest actual month),
+// plus EBITDA waterfalls from budget and from the prior period to actual.
+// prior=period compares with the same number of months just before; prior=year with the same months a year earlier.
+export async function getVarianceAnalysis(request, reply) {
+  const { companyId, prior: priorBasis = 'period' } = request.query;
+  if (!companyId) return reply.code(400).send({ error: 'companyId required' });
+  if (!['period', 'year'].includes(priorBasis)) return reply.code(400).send({ error: 'prior must be period or year' });
+
+  let { startMonth, endMonth } = request.query;
+  if ((startMonth && !isMonth(startMonth)) || (endMonth && !isMonth(endMonth))) {
+    return reply.code(400).send({ error: 'startMonth and endMonth must be YYYY-MM' });
+  }
+  if (!endMonth) endMonth = startMonth || await getLatestActualMonth(companyId);
+  if (!endMonth) return reply.code(404).send({ error: 'No actuals found for this company' });
+  if (!startMonth) startMonth = endMonth;
+  if (startMonth > endMonth) return reply.code(400).send({ error: 'startMonth must be on or before endMonth' });
+
+  const months = listMonths(startMonth, endMonth);
+  const shift = priorBasis === 'year' ? -12 : -months.length;
+  const priorMonths = months.map(m => shiftMonth(m, shift));
+
+  const [actuals, budget, priorActuals] = await Promise.all([
+    getActualLines(companyId, { startMonth, endMonth }),
+    getBudgetLines(companyId, { startMonth, endMonth }),
+    getActualLines(companyId, { startMonth: priorMonths[0], endMonth: priorMonths[priorMonths.length - 1] })
+  ]);
+
+  const actualTotals = totalLines(actuals.byMonth, months);
+  if (!actualTotals) return reply.code(404).send({ error: 'No actuals found for the requested months' });
+  const budgetTotals = totalLines(budget, months);
+  const priorTotals = totalLines(priorActuals.byMonth, priorMonths);
+
+  reply.send({
+    companyId,
+    startMonth,
+    endMonth,
+    prior: { basis: priorBasis, startMonth: priorMonths[0], endMonth: priorMonths[priorMonths.length - 1] },
+    actualSource: actuals.source,
+    budgetMonths: months.filter(m => budget.has(m)).length,
+    lines: compareLines(actualTotals, budgetTotals, priorTotals),
+    byMonth: months.map(month => ({
+      month,
+      actual: totalLines(actuals.byMonth, [month]),
+      budget: totalLines(budget, [month])
+    })),
+    waterfall: {
+      budget: buildEbitdaWaterfall(budgetTotals, actualTotals, { fromLabel: 'Budget EBITDA', toLabel: 'Actual EBITDA' }),
+      prior: buildEbitdaWaterfall(priorTotals, actualTotals, { fromLabel: 'Prior EBITDA', toLabel: 'Actual EBITDA' })
+    }
+  });
+}
+
+// GET /api/financial/covenants
+// Historical and projected DSCR, Debt/EBITDA, interest coverage and liquidity against the company's
+// debt instruments, with every covenant breach and the first projected month of each.
+// Query: months (history, default 12), horizon (projected months, default 12),
+// ebitdaGrowth (annual, default 0), cashConversion (share of EBITDA reaching cash, default 1)
+export async function getCovenantCompliance(request, reply) {
+  const { companyId } = request.query;
+  if (!companyId) return reply.code(400).send({ error: 'companyId required' });
+
+  const months = Math.min(Math.max(parseInt(request.query.months, 10) || 12, 1), 36);
+  const horizonMonths = Math.min(Math.max(parseInt(request.query.horizon, 10) || 12, 1), 36);
+  const ebitdaGrowth = request.query.ebitdaGrowth != null ? Number(request.query.ebitdaGrowth) : 0;
+  const cashConversion = request.query.cashConversion != null ? Number(request.query.cashConversion) : 1;
+  if (!Number.isFinite(ebitdaGrowth) || ebitdaGrowth < -1 || ebitdaGrowth > 10) {
+    return reply.code(400).send({ error: 'ebitdaGrowth must be a number between -1 and 10' });
+  }
+  if (!Number.isFinite(cashConversion) || cashConversion < 0 || cashConversion > 1) {
+    return reply.code(400).send({ error: 'cashConversion must be a number between 0 and 1' });
+  }
+
+  const [instruments, actuals] = await Promise.all([
+    listDebtInstruments(companyId),
+    loadCovenantActuals(companyId, months)
+  ]);
+  if (!instruments.length) return reply.code(404).send({ error: 'No debt instruments for this company' });
+  if (!actuals.length) return reply.code(404).send({ error: 'No monthly financial snapshots; sync or upload financials first' });
+
+  const { rows, ebitdaRunRate } = buildCovenantTimeline({ actuals, instruments, horizonMonths, ebitdaGrowth, cashConversion });
+  const asOfMonth = actuals[actuals.length - 1].month;
+  const reported = rows.filter(row => row.projected || row.month > shiftMonth(asOfMonth, -months));
+  const breaches = findCovenantBreaches(reported, instruments);
+
+  reply.send({
+    companyId,
+    asOfMonth,
+    horizonMonths,
+    assumptions: { ebitdaRunRate, ebitdaGrowth, cashConversion },
+    instruments: instruments.map(instrument => ({
+      id: instrument.id,
+      name: instrument.name,
+      type: instrument.type,
+      covenants: instrument.covenants,
+      outstanding: balanceAtMonthEnd(instrument, buildAmortizationSchedule(instrument), asOfMonth)
+    })),
+    months: reported,
+    breaches: breaches.filter(b => !b.projected),
+    projectedBreaches: firstProjectedBreaches(breaches)
+  });
+}
+
 // GET /api/financial/source
 export async function getFinancialSource(request, reply) {
   const { companyId } = request.query;
@@ -38,12 +325,15 @@ export async function getFinancialSource(request, reply) {
     .limit(1)
     .get();
 
+  const lastSync = await getLatestSuccessfulSync(companyId);
+
   const currentSource = snapshotSnap.empty ? null : snapshotSnap.docs[0].data().source;
   const lastUploadAt = uploadSnap.empty ? null : uploadSnap.docs[0].data().processedAt;
 
   reply.send({
     currentSource,
     lastUploadAt,
-    lastIntegrationSyncAt: null // TODO: implement when integrations are syncing
+    lastIntegrationSyncAt: lastSync ? lastSync.finishedAt : null,
+    lastIntegrationSyncProvider: lastSync ? lastSync.provider : null
   });
 }
@@ -1,14 +1,12 @@
 import axios from 'axios';
 import { db } from '../firestore.js';
+import { getConnectionSelector, findConnection, connectionStatus, saveConnection } from '../lib/connections.js';
+import { disconnectIntegration } from '../lib/disconnect.js';
+import { GUSTO_AUTH_BASE, GUSTO_SCOPES, ensureClientCreds, getGustoAccessToken, gustoApiGet, revokeGustoConnection } from '../lib/gusto.js';
+import { createSyncRun, getSyncRun, resolveSyncWindow, enqueueSyncRunJob } from '../lib/syncRuns.js';
+import { GUSTO_SYNC_JOB } from '../workers/gustoSyncWorker.js';
 
-const GUSTO_AUTH_BASE = process.env.GUSTO_AUTH_BASE || 'https://api.gusto-demo.com';
-const GUSTO_API_BASE = process.env.GUSTO_API_BASE || 'https://api.gusto-demo.com';
-const GUSTO_SCOPES = (
-  process.env.GUSTO_SCOPES || [
-    'user.read',
-    'company.read'
-  ].join(' ')
-);
+export { getGustoAccessToken };
 
 function getRedirectUri() {
   const baseUrl = process.env.BASE_URL;
@@ -16,20 +14,12 @@ function getRedirectUri() {
   return `${baseUrl}/api/integrations/gusto/callback`;
 }
 
-function ensureClientCreds() {
-  const clientId = process.env.GUSTO_CLIENT_ID;
-  const clientSecret = process.env.GUSTO_CLIENT_SECRET;
-  if (!clientId || !clientSecret) {
-    throw new Error('Missing Gusto OAuth env vars (GUSTO_CLIENT_ID, GUSTO_CLIENT_SECRET)');
-  }
-  return { clientId, clientSecret };
-}
-
 export const gustoConnect = async (req, reply) => {
   try {
     const userId = req.user?.id;
-    const companyId = req.query?.companyId || null;
+    const companyId = req.user?.companyId || null;
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
+    if (!companyId) return reply.code(400).send({ error: 'companyId required' });
 
     const { clientId } = ensureClientCreds();
     const redirectUri = getRedirectUri();
@@ -57,7 +47,7 @@ export const gustoCallback = async (req, reply) => {
   try {
     const decoded = await req.server.jwt.verify(state);
     const { userId, companyId } = decoded || {};
-    if (!userId) return reply.code(400).send({ error: 'Invalid state' });
+    if (!userId || !companyId) return reply.code(400).send({ error: 'Invalid state' });
 
     const { clientId, clientSecret } = ensureClientCreds();
     const redirectUri = getRedirectUri();
@@ -101,22 +91,30 @@ export const gustoCallback = async (req, reply) => {
 
     const expiresAt = Date.now() + (Number(expiresIn || 0) * 1000);
 
-    const docRef = db.collection('gusto_connections').doc(userId);
-    await docRef.set({
+    // The token is scoped to one Gusto company; token_info names it
+    let gustoCompanyId = null;
+    try {
+      const tokenInfo = await gustoApiGet('/v1/token_info', accessToken);
+      gustoCompanyId = tokenInfo?.resource?.uuid || null;
+    } catch (e) {
+      req.log.warn(e, 'Gusto token_info lookup failed');
+    }
+
+    const connectionId = await saveConnection('gusto', {
+      companyId,
       userId,
+      externalId: gustoCompanyId,
       user: userData || null,
-      companyId: companyId || null,
       company: companyData || null,
+      gustoCompanyId,
       scope: scope || GUSTO_SCOPES,
       tokenType: tokenType || 'Bearer',
       accessToken,
       refreshToken: refreshToken || null,
-      expiresAt,
-      createdAt: new Date(),
-      updatedAt: new Date()
+      expiresAt
     });
 
-    return reply.redirect(`${process.env.FRONTEND_URL}/dashboard/settings?integration=gusto&status=connected`, 302);
+    return reply.redirect(`${process.env.FRONTEND_URL}/dashboard/settings?integration=gusto&status=connected&connectionId=${connectionId}`, 302);
   } catch (e) {
     req.log.error(e, 'Gusto callback error');
     return reply.code(500).send({ error: 'Failed to complete Gusto OAuth', details: e.message });
@@ -127,75 +125,26 @@ export const gustoDisconnect = async (req, reply) => {
   try {
     const userId = req.user?.id;
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
-    const snap = await db.collection('gusto_connections').where('userId', '==', userId).limit(1).get();
-    if (!snap.empty) {
-      await snap.docs[0].ref.delete();
-    }
-    return reply.code(200).send({ status: 'disconnected' });
+
+    const connection = await findConnection('gusto', getConnectionSelector(req));
+    if (!connection) return reply.code(200).send({ status: 'disconnected' });
+
+    const retainData = req.body?.retainData === true || req.query?.retainData === 'true';
+    const result = await disconnectIntegration('gusto', connection, { userId, retainData, revoke: revokeGustoConnection });
+    return reply.code(200).send({ status: 'disconnected', ...result });
   } catch (e) {
     req.log.error(e, 'Gusto disconnect error');
     return reply.code(500).send({ error: 'Failed to disconnect Gusto', details: e.message });
   }
 };
 
-export const getGustoAccessTokenForUser = async (userId) => {
-  const snap = await db.collection('gusto_connections').where('userId', '==', userId).limit(1).get();
-  if (snap.empty) throw new Error('No Gusto connection found');
-  const data = snap.docs[0].data();
-
-  if (Date.now() < (data.expiresAt - 60000) && data.accessToken) {
-    return data.accessToken;
-  }
-
-  if (!data.refreshToken) throw new Error('No refresh token stored for Gusto');
-
-  const { clientId, clientSecret } = ensureClientCreds();
-  const tokenUrl = new URL('/oauth/token', GUSTO_AUTH_BASE).toString();
-  const basic = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
-  const params = new URLSearchParams();
-  params.set('grant_type', 'refresh_token');
-  params.set('refresh_token', data.refreshToken);
-
-  const tokenRes = await axios.post(tokenUrl, params.toString(), {
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded',
-      'Authorization': `Basic ${basic}`
-    }
-  });
-
-  const { access_token: newAccess, refresh_token: newRefresh, expires_in: newExpires, token_type: tokenType } = tokenRes.data || {};
-  const expiresAt = Date.now() + (Number(newExpires || 0) * 1000);
-
-  await snap.docs[0].ref.update({
-    accessToken: newAccess,
-    refreshToken: newRefresh || data.refreshToken,
-    tokenType: tokenType || data.tokenType || 'Bearer',
-    expiresAt,
-    updatedAt: new Date()
-  });
-
-  return newAccess;
-};
-
-// ---- Data helpers ----
-async function gustoApiGet(path, accessToken, params = undefined) {
-  const url = new URL(path, GUSTO_API_BASE).toString();
-  const res = await axios.get(url, {
-    headers: {
-      'Authorization': `Bearer ${accessToken}`,
-      'Accept': 'application/json'
-    },
-    params
-  });
-  return res.data;
-}
-
 // ---- Data endpoints ----
+// companyId on these routes is the Gusto company uuid, so the connection is picked from the caller's own company
 export const getGustoCompanies = async (req, reply) => {
   try {
     const userId = req.user?.id;
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
-    const token = await getGustoAccessTokenForUser(userId);
+    const token = await getGustoAccessToken(getConnectionSelector(req));
     const companies = await gustoApiGet('/v1/companies', token);
     return reply.code(200).send({ companies: companies || [] });
   } catch (e) {
@@ -210,7 +159,7 @@ export const getGustoCompany = async (req, reply) => {
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
     const companyId = req.query?.companyId;
     if (!companyId) return reply.code(400).send({ error: 'Missing companyId' });
-    const token = await getGustoAccessTokenForUser(userId);
+    const token = await getGustoAccessToken(getConnectionSelector(req));
     const company = await gustoApiGet(`/v1/companies/${encodeURIComponent(companyId)}`, token);
     return reply.code(200).send({ company: company || null });
   } catch (e) {
@@ -225,7 +174,7 @@ export const getGustoEmployees = async (req, reply) => {
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
     const companyId = req.query?.companyId;
     if (!companyId) return reply.code(400).send({ error: 'Missing companyId' });
-    const token = await getGustoAccessTokenForUser(userId);
+    const token = await getGustoAccessToken(getConnectionSelector(req));
     const employees = await gustoApiGet(`/v1/companies/${encodeURIComponent(companyId)}/employees`, token);
     return reply.code(200).send({ employees: employees || [] });
   } catch (e) {
@@ -240,7 +189,7 @@ export const getGustoPayrolls = async (req, reply) => {
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
     const companyId = req.query?.companyId;
     if (!companyId) return reply.code(400).send({ error: 'Missing companyId' });
-    const token = await getGustoAccessTokenForUser(userId);
+    const token = await getGustoAccessToken(getConnectionSelector(req));
     const payrolls = await gustoApiGet(`/v1/companies/${encodeURIComponent(companyId)}/payrolls`, token);
     return reply.code(200).send({ payrolls: payrolls || [] });
   } catch (e) {
@@ -255,7 +204,7 @@ export const getGustoLocations = async (req, reply) => {
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
     const companyId = req.query?.companyId;
     if (!companyId) return reply.code(400).send({ error: 'Missing companyId' });
-    const token = await getGustoAccessTokenForUser(userId);
+    const token = await getGustoAccessToken(getConnectionSelector(req));
     const locations = await gustoApiGet(`/v1/companies/${encodeURIComponent(companyId)}/locations`, token);
     return reply.code(200).send({ locations: locations || [] });
   } catch (e) {
@@ -269,18 +218,20 @@ export const getGustoConnectionStatus = async (req, reply) => {
     const userId = req.user?.id;
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
     
-    const snap = await db.collection('gusto_connections').where('userId', '==', userId).limit(1).get();
+    const connection = await findConnection('gusto', getConnectionSelector(req));
     
-    if (snap.empty) {
+    if (!connection) {
       return reply.code(200).send({ connected: false, status: 'not_connected' });
     }
     
-    const data = snap.docs[0].data();
-    const isExpired = Date.now() >= data.expiresAt;
-    
+    const { data } = connection;
     return reply.code(200).send({
       connected: true,
-      status: isExpired ? 'expired' : 'active',
+      status: connectionStatus(data),
+      reauthReason: data.reauthReason || null,
+      connectionId: connection.id,
+      connectedBy: data.userId,
+      gustoCompanyId: data.gustoCompanyId || null,
       expiresAt: data.expiresAt,
       createdAt: data.createdAt,
       companyId: data.companyId,
@@ -292,4 +243,58 @@ export const getGustoConnectionStatus = async (req, reply) => {
   }
 };
 
+// ---- People snapshot ingestion ----
+export const syncGustoPeopleSnapshots = async (req, reply) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
+
+    const connection = await findConnection('gusto', getConnectionSelector(req));
+    if (!connection) return reply.code(404).send({ error: 'No Gusto connection found' });
+    if (!connection.data.gustoCompanyId) {
+      return reply.code(409).send({ error: 'Gusto connection has no company; reconnect Gusto' });
+    }
+
+    const companyId = connection.data.companyId || req.user?.companyId;
+    if (!companyId) return reply.code(400).send({ error: 'companyId required' });
+
+    const range = resolveSyncWindow(req.body || {});
+    if (!range) {
+      return reply.code(400).send({ error: 'startMonth and endMonth must be YYYY-MM with startMonth <= endMonth' });
+    }
+
+    const syncRunId = await createSyncRun({
+      provider: 'gusto',
+      tenantId: companyId,
+      userId,
+      connectionId: connection.id,
+      gustoCompanyId: connection.data.gustoCompanyId,
+      ...range,
+      trigger: 'manual'
+    });
+
+    const jobId = await enqueueSyncRunJob(GUSTO_SYNC_JOB, syncRunId);
 
+    return reply.code(202).send({ syncRunId, jobId, status: 'queued', ...range });
+  } catch (e) {
+    req.log.error(e, 'Gusto syncGustoPeopleSnapshots error');
+    return reply.code(500).send({ error: 'Failed to start Gusto sync', details: e.message });
+  }
+};
+
+export const getGustoSyncRun = async (req, reply) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
+
+    const { companyId } = getConnectionSelector(req);
+    const run = await getSyncRun(req.params.syncRunId);
+    if (!run || run.provider !== 'gusto' || (run.tenantId !== companyId && run.userId !== userId)) {
+      return reply.code(404).send({ error: 'Sync run not found' });
+    }
+    return reply.code(200).send(run);
+  } catch (e) {
+    req.log.error(e, 'Gusto getGustoSyncRun error');
+    return reply.code(500).send({ error: 'Failed to fetch Gusto sync run', details: e.message });
+  }
+};
@@ -0,0 +1,25 @@
+import { CONNECTION_PROVIDERS, listCompanyConnections, summarizeConnection } from '../lib/connections.js';
+
+// All integration connections a company holds, grouped by provider
+export const getIntegrations = async (req, reply) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
+
+    const companyId = req.user?.companyId;
+    if (!companyId) return reply.code(400).send({ error: 'companyId required' });
+
+    const connections = await listCompanyConnections(companyId);
+    const providers = CONNECTION_PROVIDERS.map(provider => {
+      const list = connections
+        .filter(c => c.provider === provider)
+        .map(c => summarizeConnection(provider, c.id, c));
+      return { provider, connected: list.length > 0, connections: list };
+    });
+
+    return reply.code(200).send({ companyId, providers });
+  } catch (e) {
+    req.log.error(e, 'Integrations list error');
+    return reply.code(500).send({ error: 'Failed to list integrations', details: e.message });
+  }
+};
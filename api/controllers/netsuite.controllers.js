@@ -1,5 +1,20 @@
 import axios from 'axios';
 import { db } from '../firestore.js';
+import {
+  getTokenBaseUrl,
+  ensureClientCreds,
+  getNetsuiteAccessToken,
+  getNetsuiteContext,
+  fetchRecordList,
+  revokeNetsuiteConnection,
+  NS_RECORD_TYPES
+} from '../lib/netsuite.js';
+import { getConnectionSelector, findConnection, connectionStatus, saveConnection } from '../lib/connections.js';
+import { disconnectIntegration } from '../lib/disconnect.js';
+import { createSyncRun, getSyncRun, enqueueSyncRunJob } from '../lib/syncRuns.js';
+import { NETSUITE_SYNC_JOB } from '../workers/netsuiteSyncWorker.js';
+
+export { getNetsuiteAccessToken };
 
 const NETSUITE_SCOPES = (
   process.env.NETSUITE_SCOPES || [
@@ -14,29 +29,17 @@ function getAuthorizeBaseUrl() {
   return base.replace(/\/$/, '');
 }
 
-function getTokenBaseUrl() {
-  const base = process.env.NETSUITE_TOKEN_BASE_URL || (process.env.NETSUITE_ACCOUNT_ID ? `https://${process.env.NETSUITE_ACCOUNT_ID}.suitetalk.api.netsuite.com` : null);
-  if (!base) throw new Error('Missing NetSuite token base URL. Set NETSUITE_TOKEN_BASE_URL or NETSUITE_ACCOUNT_ID');
-  return base.replace(/\/$/, '');
-}
-
 function getRedirectUri() {
   const redirectUri = `${process.env.BASE_URL}/api/integrations/netsuite/callback`;
   return redirectUri;
 }
 
-function ensureClientCreds() {
-  const clientId = process.env.NETSUITE_CLIENT_ID;
-  const clientSecret = process.env.NETSUITE_CLIENT_SECRET;
-  if (!clientId || !clientSecret) throw new Error('Missing NetSuite OAuth env vars (NETSUITE_CLIENT_ID, NETSUITE_CLIENT_SECRET)');
-  return { clientId, clientSecret };
-}
-
 export const netsuiteConnect = async (req, reply) => {
   const userId = req.user?.id;
-  const companyId = req.query?.companyId;
+  const companyId = req.user?.companyId;
   try {
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
+    if (!companyId) return reply.code(400).send({ error: 'companyId required' });
 
     const authBaseUrl = getAuthorizeBaseUrl();
     const { clientId } = ensureClientCreds();
@@ -64,7 +67,7 @@ export const netsuiteCallback = async (req, reply) => {
   try {
     const decoded = await req.server.jwt.verify(state);
     const { userId, companyId } = decoded || {};
-    if (!userId) return reply.code(400).send({ error: 'Invalid state' });
+    if (!userId || !companyId) return reply.code(400).send({ error: 'Invalid state' });
 
     const tokenBaseUrl = getTokenBaseUrl();
     const { clientId, clientSecret } = ensureClientCreds();
@@ -107,95 +110,72 @@ export const netsuiteCallback = async (req, reply) => {
 
     const expiresAt = Date.now() + (Number(expiresIn || 0) * 1000);
 
-    const docRef = db.collection('netsuite_connections').doc(userId);
-    await docRef.set({
+    const connectionId = await saveConnection('netsuite', {
+      companyId,
       userId,
+      externalId: realm || process.env.NETSUITE_ACCOUNT_ID,
       user: userData || null,
-      companyId: companyId || null,
       company: companyData || null,
       realm: realm || null,
       scope: scope || NETSUITE_SCOPES,
       accessToken,
       refreshToken: refreshToken || null,
-      expiresAt,
-      createdAt: new Date(),
-      updatedAt: new Date()
+      expiresAt
     });
 
-    return reply.redirect(`${process.env.FRONTEND_URL}/dashboard/settings?integration=netsuite&status=connected&realm=${realm}`, 302);
+    return reply.redirect(`${process.env.FRONTEND_URL}/dashboard/settings?integration=netsuite&status=connected&realm=${realm}&connectionId=${connectionId}`, 302);
   } catch (e) {
     req.log.error(e, 'NetSuite callback error');
     return reply.code(500).send({ error: 'Failed to complete NetSuite OAuth', details: e.message });
   }
 };
 
-export const getNetsuiteAccessToken = async ({ userId }) => {
-  const snap = await db.collection('netsuite_connections').where('userId', '==', userId).limit(1).get();
-  if (snap.empty) throw new Error('No NetSuite connection found');
-  const data = snap.docs[0].data();
+export const netsuiteDisconnect = async (req, reply) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
 
-  if (Date.now() < (data.expiresAt - 60000)) {
-    return data.accessToken;
-  }
+    const connection = await findConnection('netsuite', getConnectionSelector(req));
+    if (!connection) return reply.code(200).send({ status: 'disconnected' });
 
-  const tokenBaseUrl = getTokenBaseUrl();
-  const { clientId, clientSecret } = ensureClientCreds();
-  const tokenUrl = new URL('/services/rest/auth/oauth2/v1/token', tokenBaseUrl).toString();
-  const basic = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+    const retainData = req.body?.retainData === true || req.query?.retainData === 'true';
+    const result = await disconnectIntegration('netsuite', connection, { userId, retainData, revoke: revokeNetsuiteConnection });
+    return reply.code(200).send({ status: 'disconnected', ...result });
+  } catch (e) {
+    req.log.error(e, 'NetSuite disconnect error');
+    return reply.code(500).send({ error: 'Failed to disconnect NetSuite', details: e.message });
+  }
+};
 
-  if (!data.refreshToken) throw new Error('No refresh token stored for NetSuite');
+export const getNsConnectionStatus = async (req, reply) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
 
-  const params = new URLSearchParams();
-  params.set('grant_type', 'refresh_token');
-  params.set('refresh_token', data.refreshToken);
+    const connection = await findConnection('netsuite', getConnectionSelector(req));
 
-  const tokenRes = await axios.post(tokenUrl, params.toString(), {
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded',
-      'Authorization': `Basic ${basic}`
+    if (!connection) {
+      return reply.code(200).send({ connected: false, status: 'not_connected' });
     }
-  });
-
-  const { access_token: newAccess, refresh_token: newRefresh, expires_in: newExpires } = tokenRes.data || {};
-  const expiresAt = Date.now() + (Number(newExpires || 0) * 1000);
-
-  await snap.docs[0].ref.update({
-    accessToken: newAccess,
-    refreshToken: newRefresh || data.refreshToken,
-    expiresAt,
-    updatedAt: new Date()
-  });
 
-  return newAccess;
-};
-
-async function getNetsuiteContext(userId) {
-  const snap = await db.collection('netsuite_connections').where('userId', '==', userId).limit(1).get();
-  if (snap.empty) throw new Error('No NetSuite connection found');
-  const data = snap.docs[0].data();
-
-  const accessToken = await getNetsuiteAccessToken({ userId });
-  const realm = (data.realm || process.env.NETSUITE_ACCOUNT_ID || '').toLowerCase();
-  if (!realm) throw new Error('Missing NetSuite realm/account id');
-  const recordsBaseUrl = `https://${realm}.suitetalk.api.netsuite.com/services/rest/record/v1`;
-  return { accessToken, recordsBaseUrl };
-}
-
-async function fetchRecordList({ accessToken, url, params }) {
-  const fullUrl = new URL(url);
-  if (params) {
-    Object.entries(params).forEach(([key, value]) => {
-      if (value !== undefined && value !== null) fullUrl.searchParams.set(String(key), String(value));
+    const { data } = connection;
+    return reply.code(200).send({
+      connected: true,
+      status: connectionStatus(data),
+      reauthReason: data.reauthReason || null,
+      connectionId: connection.id,
+      connectedBy: data.userId,
+      expiresAt: data.expiresAt,
+      createdAt: data.createdAt,
+      realm: data.realm,
+      companyId: data.companyId,
+      company: data.company
     });
+  } catch (e) {
+    req.log.error(e, 'NetSuite getNsConnectionStatus error');
+    return reply.code(500).send({ error: 'Failed to check NetSuite connection status', details: e.message });
   }
-  const res = await axios.get(fullUrl.toString(), {
-    headers: {
-      'Authorization': `Bearer ${accessToken}`,
-      'Accept': 'application/json'
-    }
-  });
-  return res.data;
-}
+};
 
 export const getNsAccounts = async (req, reply) => {
   try {
@@ -203,7 +183,7 @@ export const getNsAccounts = async (req, reply) => {
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
     const limit = Number(req.query?.limit) || 50;
     const offset = Number(req.query?.offset) || 0;
-    const { accessToken, recordsBaseUrl } = await getNetsuiteContext(userId);
+    const { accessToken, recordsBaseUrl } = await getNetsuiteContext(getConnectionSelector(req));
     const data = await fetchRecordList({ accessToken, url: `${recordsBaseUrl}/account`, params: { limit, offset } });
     return reply.code(200).send({
         accounts: data?.items || [],
@@ -224,7 +204,7 @@ export const getNsJournals = async (req, reply) => {
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
     const limit = Number(req.query?.limit) || 50;
     const offset = Number(req.query?.offset) || 0;
-    const { accessToken, recordsBaseUrl } = await getNetsuiteContext(userId);
+    const { accessToken, recordsBaseUrl } = await getNetsuiteContext(getConnectionSelector(req));
     const data = await fetchRecordList({ accessToken, url: `${recordsBaseUrl}/journalEntry`, params: { limit, offset } });
     return reply.code(200).send({ journals: data?.items || [], count: data?.count || 0, hasMore: Boolean(data?.hasMore), offset, limit });
   } catch (e) {
@@ -239,7 +219,7 @@ export const getNsInvoices = async (req, reply) => {
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
     const limit = Number(req.query?.limit) || 50;
     const offset = Number(req.query?.offset) || 0;
-    const { accessToken, recordsBaseUrl } = await getNetsuiteContext(userId);
+    const { accessToken, recordsBaseUrl } = await getNetsuiteContext(getConnectionSelector(req));
     const data = await fetchRecordList({ accessToken, url: `${recordsBaseUrl}/invoice`, params: { limit, offset } });
     return reply.code(200).send({ invoices: data?.items || [], count: data?.count || 0, hasMore: Boolean(data?.hasMore), offset, limit });
   } catch (e) {
@@ -254,7 +234,7 @@ export const getNsBills = async (req, reply) => {
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
     const limit = Number(req.query?.limit) || 50;
     const offset = Number(req.query?.offset) || 0;
-    const { accessToken, recordsBaseUrl } = await getNetsuiteContext(userId);
+    const { accessToken, recordsBaseUrl } = await getNetsuiteContext(getConnectionSelector(req));
     const data = await fetchRecordList({ accessToken, url: `${recordsBaseUrl}/vendorBill`, params: { limit, offset } });
     return reply.code(200).send({ bills: data?.items || [], count: data?.count || 0, hasMore: Boolean(data?.hasMore), offset, limit });
   } catch (e) {
@@ -270,7 +250,7 @@ export const getNsPayments = async (req, reply) => {
     const limit = Number(req.query?.limit) || 50;
     const offset = Number(req.query?.offset) || 0;
     const type = (req.query?.type || 'all').toLowerCase();
-    const { accessToken, recordsBaseUrl } = await getNetsuiteContext(userId);
+    const { accessToken, recordsBaseUrl } = await getNetsuiteContext(getConnectionSelector(req));
 
     const endpoints = [];
     if (type === 'customer' || type === 'all') endpoints.push('customerPayment');
@@ -291,7 +271,7 @@ export const getNsCustomers = async (req, reply) => {
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
     const limit = Number(req.query?.limit) || 50;
     const offset = Number(req.query?.offset) || 0;
-    const { accessToken, recordsBaseUrl } = await getNetsuiteContext(userId);
+    const { accessToken, recordsBaseUrl } = await getNetsuiteContext(getConnectionSelector(req));
     const data = await fetchRecordList({ accessToken, url: `${recordsBaseUrl}/customer`, params: { limit, offset } });
     return reply.code(200).send({ customers: data?.items || [], count: data?.count || 0, hasMore: Boolean(data?.hasMore), offset, limit });
   } catch (e) {
@@ -306,7 +286,7 @@ export const getNsVendors = async (req, reply) => {
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
     const limit = Number(req.query?.limit) || 50;
     const offset = Number(req.query?.offset) || 0;
-    const { accessToken, recordsBaseUrl } = await getNetsuiteContext(userId);
+    const { accessToken, recordsBaseUrl } = await getNetsuiteContext(getConnectionSelector(req));
     const data = await fetchRecordList({ accessToken, url: `${recordsBaseUrl}/vendor`, params: { limit, offset } });
     return reply.code(200).send({ vendors: data?.items || [], count: data?.count || 0, hasMore: Boolean(data?.hasMore), offset, limit });
   } catch (e) {
@@ -323,7 +303,7 @@ export const getNsItems = async (req, reply) => {
     const offset = Number(req.query?.offset) || 0;
     const typesParam = (req.query?.types || '').toString();
     const requestedTypes = typesParam ? typesParam.split(',').map(s => s.trim()).filter(Boolean) : ['inventoryItem', 'nonInventorySaleItem', 'serviceSaleItem'];
-    const { accessToken, recordsBaseUrl } = await getNetsuiteContext(userId);
+    const { accessToken, recordsBaseUrl } = await getNetsuiteContext(getConnectionSelector(req));
 
     const promises = requestedTypes.map((t) => fetchRecordList({ accessToken, url: `${recordsBaseUrl}/${t}`, params: { limit, offset } }).catch(() => ({ items: [] })));
     const results = await Promise.all(promises);
@@ -335,3 +315,94 @@ export const getNsItems = async (req, reply) => {
   }
 };
 
+
+// ---- Record sync ----
+export const syncNsRecords = async (req, reply) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
+
+    const connection = await findConnection('netsuite', getConnectionSelector(req));
+    if (!connection) return reply.code(404).send({ error: 'No NetSuite connection found' });
+
+    const companyId = connection.data.companyId || req.user?.companyId;
+    if (!companyId) return reply.code(400).send({ error: 'companyId required' });
+
+    const { recordTypes, full } = req.body || {};
+    const requested = Array.isArray(recordTypes) && recordTypes.length ? recordTypes : Object.keys(NS_RECORD_TYPES);
+    const unknown = requested.filter(t => !NS_RECORD_TYPES[t]);
+    if (unknown.length) {
+      return reply.code(400).send({ error: `Unsupported record types: ${unknown.join(', ')}`, supported: Object.keys(NS_RECORD_TYPES) });
+    }
+
+    const syncRunId = await createSyncRun({
+      provider: 'netsuite',
+      tenantId: companyId,
+      userId,
+      connectionId: connection.id,
+      realm: connection.data.realm || null,
+      recordTypes: requested,
+      full: Boolean(full),
+      trigger: 'manual'
+    });
+
+    const jobId = await enqueueSyncRunJob(NETSUITE_SYNC_JOB, syncRunId);
+
+    return reply.code(202).send({ syncRunId, jobId, status: 'queued', recordTypes: requested, full: Boolean(full) });
+  } catch (e) {
+    req.log.error(e, 'NetSuite syncNsRecords error');
+    return reply.code(500).send({ error: 'Failed to start NetSuite sync', details: e.message });
+  }
+};
+
+export const getNsSyncRun = async (req, reply) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
+
+    const { companyId } = getConnectionSelector(req);
+    const run = await getSyncRun(req.params.syncRunId);
+    if (!run || run.provider !== 'netsuite' || (run.tenantId !== companyId && run.userId !== userId)) {
+      return reply.code(404).send({ error: 'Sync run not found' });
+    }
+    return reply.code(200).send(run);
+  } catch (e) {
+    req.log.error(e, 'NetSuite getNsSyncRun error');
+    return reply.code(500).send({ error: 'Failed to fetch NetSuite sync run', details: e.message });
+  }
+};
+
+// Normalized records stored by the sync, paginated last-document style
+export const getNsSyncedRecords = async (req, reply) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
+
+    const { recordType } = req.params;
+    if (!NS_RECORD_TYPES[recordType]) return reply.code(400).send({ error: `Unsupported record type: ${recordType}` });
+
+    const companyId = req.user?.companyId;
+    if (!companyId) return reply.code(400).send({ error: 'companyId required' });
+
+    const limit = Math.min(Number(req.query?.limit) || 100, 1000);
+    const { lastDoc } = req.query || {};
+
+    let query = db.collection('netsuite_records')
+      .where('tenantId', '==', companyId)
+      .where('recordType', '==', recordType)
+      .orderBy('id')
+      .limit(limit);
+    if (lastDoc) {
+      const last = await db.collection('netsuite_records').doc(lastDoc).get();
+      if (last.exists) query = query.startAfter(last);
+    }
+
+    const snap = await query.get();
+    const records = snap.docs.map(doc => doc.data());
+    const lastVisible = snap.docs.length === limit ? snap.docs[snap.docs.length - 1].id : null;
+    return reply.code(200).send({ records, recordType, lastDoc: lastVisible });
+  } catch (e) {
+    req.log.error(e, 'NetSuite getNsSyncedRecords error');
+    return reply.code(500).send({ error: 'Failed to fetch synced NetSuite records', details: e.message });
+  }
+};
@@ -1,51 +1,25 @@
-import OAuthClient from 'intuit-oauth';
-import axios from 'axios';
 import { db } from '../firestore.js';
-
-// Removed unused parseQbResponse after switching to Axios helper
-
-function getQbBaseUrl(env) {
-  return env === 'production'
-    ? 'https://quickbooks.api.intuit.com'
-    : 'https://sandbox-quickbooks.api.intuit.com';
-}
-
-async function qbAxiosGet({ accessToken, url }) {
-  const res = await axios.get(url, {
-    headers: {
-      Authorization: `Bearer ${accessToken}`,
-      Accept: 'application/json'
-    },
-    withCredentials: false,
-    maxRedirects: 0
-  });
-  return res.data;
-}
-
-function createQuickBooksClient() {
-  const clientId = process.env.QUICKBOOKS_CLIENT_ID;
-  const clientSecret = process.env.QUICKBOOKS_CLIENT_SECRET;
-  const env = (process.env.QB_ENV || 'sandbox').toLowerCase(); // 'sandbox' | 'production'
-  const baseUrl = process.env.BASE_URL;
-  const redirectUri = `${baseUrl}/api/integrations/quickbooks/callback`;
-
-  if (!clientId || !clientSecret || !baseUrl) {
-    throw new Error('Missing QuickBooks OAuth env vars (QUICKBOOKS_CLIENT_ID, QUICKBOOKS_CLIENT_SECRET, BASE_URL)');
-  }
-
-  return new OAuthClient({
-    clientId,
-    clientSecret,
-    environment: env === 'production' ? 'production' : 'sandbox',
-    redirectUri
-  });
-}
+import {
+  createQuickBooksClient,
+  getQbBaseUrl,
+  qbAxiosGet,
+  getQbContext,
+  getQuickBooksAccessToken,
+  revokeQuickBooksConnection
+} from '../lib/quickbooks.js';
+import { getConnectionSelector, findConnection, connectionStatus, saveConnection } from '../lib/connections.js';
+import { disconnectIntegration } from '../lib/disconnect.js';
+import { createSyncRun, getSyncRun, resolveSyncWindow, enqueueSyncRunJob } from '../lib/syncRuns.js';
+import { QUICKBOOKS_SYNC_JOB } from '../workers/quickbooksSyncWorker.js';
+
+export { getQuickBooksAccessToken };
 
 export const qbConnect = async (req, reply) => {
   try {
     const userId = req.user?.id;
-    const companyId = req.query?.companyId || null;
+    const companyId = req.user?.companyId || null;
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
+    if (!companyId) return reply.code(400).send({ error: 'companyId required' });
 
     const oauthClient = createQuickBooksClient();
     const state = await req.server.jwt.sign({ userId, companyId }, { expiresIn: '10m' });
@@ -78,7 +52,7 @@ export const qbCallback = async (req, reply) => {
 
     const decoded = await req.server.jwt.verify(state);
     const { userId, companyId } = decoded || {};
-    if (!userId) return reply.code(400).send({ error: 'Invalid state' });
+    if (!userId || !companyId) return reply.code(400).send({ error: 'Invalid state' });
 
     const oauthClient = createQuickBooksClient();
 
@@ -106,112 +80,53 @@ export const qbCallback = async (req, reply) => {
       req.log.warn({ err }, 'QuickBooks: failed to fetch optional user/company snapshot');
     }
 
-    const docRef = db.collection('quickbooks_connections').doc(userId);
-    await docRef.set({
+    const connectionId = await saveConnection('quickbooks', {
+      companyId,
       userId,
+      externalId: realmId,
       user: userData,
-      companyId: companyId || null,
       company: companyData,
       realmId,
       accessToken: token.access_token,
       refreshToken: token.refresh_token,
       idToken: token.id_token || null,
       tokenType: token.token_type || 'Bearer',
-      expiresAt,
-      createdAt: new Date(),
-      updatedAt: new Date()
+      expiresAt
     });
 
-    return reply.redirect(`${process.env.FRONTEND_URL}/dashboard/settings?integration=quickbooks&status=connected&realmId=${realmId}`, 302);
+    return reply.redirect(`${process.env.FRONTEND_URL}/dashboard/settings?integration=quickbooks&status=connected&realmId=${realmId}&connectionId=${connectionId}`, 302);
   } catch (e) {
     req.log.error(e, 'QuickBooks callback error');
     return reply.code(500).send({ error: 'Failed to complete QuickBooks OAuth', details: e.message });
   }
 };
 
-export async function getQuickBooksAccessTokenForUser(userId) {
-  const snap = await db.collection('quickbooks_connections').where('userId', '==', userId).limit(1).get();
-  if (snap.empty) throw new Error('No QuickBooks connection found');
-  const data = snap.docs[0].data();
-
-  const oauthClient = createQuickBooksClient();
-  oauthClient.setToken({
-    token_type: data.tokenType || 'Bearer',
-    access_token: data.accessToken,
-    refresh_token: data.refreshToken,
-    id_token: data.idToken || undefined,
-    expires_in: Math.max(0, Math.floor((data.expiresAt - Date.now()) / 1000))
-  });
-
-  // Refresh if expiring within 60s
-  if (Date.now() > (data.expiresAt - 60000)) {
-    const authResponse = await oauthClient.refresh();
-    const newToken = authResponse.getJson();
-    const expiresAt = newToken?.expires_in ? (Date.now() + newToken.expires_in * 1000) : (Date.now() + 55 * 60 * 1000);
-    await snap.docs[0].ref.update({
-      accessToken: newToken.access_token,
-      refreshToken: newToken.refresh_token || data.refreshToken,
-      idToken: newToken.id_token || data.idToken || null,
-      tokenType: newToken.token_type || data.tokenType || 'Bearer',
-      expiresAt,
-      updatedAt: new Date()
-    });
-    return newToken.access_token;
-  }
+export const qbDisconnect = async (req, reply) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
 
-  return data.accessToken;
-}
-
-// ---- Helpers ----
-async function getQbContext(userId) {
-  const snap = await db.collection('quickbooks_connections').where('userId', '==', userId).limit(1).get();
-  if (snap.empty) throw new Error('No QuickBooks connection found');
-  const data = snap.docs[0].data();
-
-  const oauthClient = createQuickBooksClient();
-  oauthClient.setToken({
-    token_type: data.tokenType || 'Bearer',
-    access_token: data.accessToken,
-    refresh_token: data.refreshToken,
-    id_token: data.idToken || undefined,
-    expires_in: Math.max(0, Math.floor((data.expiresAt - Date.now()) / 1000))
-  });
-
-  if (Date.now() > (data.expiresAt - 60000)) {
-    const authResponse = await oauthClient.refresh();
-    const newToken = authResponse.getJson();
-    const expiresAt = newToken?.expires_in ? (Date.now() + newToken.expires_in * 1000) : (Date.now() + 55 * 60 * 1000);
-    await snap.docs[0].ref.update({
-      accessToken: newToken.access_token,
-      refreshToken: newToken.refresh_token || data.refreshToken,
-      idToken: newToken.id_token || data.idToken || null,
-      tokenType: newToken.token_type || data.tokenType || 'Bearer',
-      expiresAt,
-      updatedAt: new Date()
-    });
-    oauthClient.setToken({
-      token_type: newToken.token_type || 'Bearer',
-      access_token: newToken.access_token,
-      refresh_token: newToken.refresh_token || data.refreshToken,
-      id_token: newToken.id_token || undefined,
-      expires_in: Math.max(0, Math.floor((expiresAt - Date.now()) / 1000))
-    });
-  }
+    const connection = await findConnection('quickbooks', getConnectionSelector(req));
+    if (!connection) return reply.code(200).send({ status: 'disconnected' });
 
-  const realmId = data.realmId;
-  if (!realmId) throw new Error('Missing realmId in QuickBooks connection');
-  return { oauthClient, realmId };
-}
+    const retainData = req.body?.retainData === true || req.query?.retainData === 'true';
+    const result = await disconnectIntegration('quickbooks', connection, { userId, retainData, revoke: revokeQuickBooksConnection });
+    return reply.code(200).send({ status: 'disconnected', ...result });
+  } catch (e) {
+    req.log.error(e, 'QuickBooks disconnect error');
+    return reply.code(500).send({ error: 'Failed to disconnect QuickBooks', details: e.message });
+  }
+};
 
 // ---- Core data fetchers ----
 export const getQbAccounts = async (req, reply) => {
   try {
     const userId = req.user?.id;
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
-    const { oauthClient, realmId } = await getQbContext(userId);
+    const { oauthClient, realmId } = await getQbContext(getConnectionSelector(req));
     const base = getQbBaseUrl(oauthClient.environment);
     const q = encodeURIComponent('select * from Account');
-    const accessToken = await getQuickBooksAccessTokenForUser(userId);
+    const accessToken = oauthClient.getToken().access_token;
     const data = await qbAxiosGet({ accessToken, url: `${base}/v3/company/${realmId}/query?query=${q}` });
     return reply.code(200).send({ accounts: data?.QueryResponse?.Account || [] });
   } catch (e) {
@@ -224,10 +139,10 @@ export const getQbCustomers = async (req, reply) => {
   try {
     const userId = req.user?.id;
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
-    const { oauthClient, realmId } = await getQbContext(userId);
+    const { oauthClient, realmId } = await getQbContext(getConnectionSelector(req));
     const base = getQbBaseUrl(oauthClient.environment);
     const q = encodeURIComponent('select * from Customer');
-    const accessToken = await getQuickBooksAccessTokenForUser(userId);
+    const accessToken = oauthClient.getToken().access_token;
     const data = await qbAxiosGet({ accessToken, url: `${base}/v3/company/${realmId}/query?query=${q}` });
     return reply.code(200).send({ customers: data?.QueryResponse?.Customer || [] });
   } catch (e) {
@@ -240,10 +155,10 @@ export const getQbVendors = async (req, reply) => {
   try {
     const userId = req.user?.id;
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
-    const { oauthClient, realmId } = await getQbContext(userId);
+    const { oauthClient, realmId } = await getQbContext(getConnectionSelector(req));
     const base = getQbBaseUrl(oauthClient.environment);
     const q = encodeURIComponent('select * from Vendor');
-    const accessToken = await getQuickBooksAccessTokenForUser(userId);
+    const accessToken = oauthClient.getToken().access_token;
     const data = await qbAxiosGet({ accessToken, url: `${base}/v3/company/${realmId}/query?query=${q}` });
     return reply.code(200).send({ vendors: data?.QueryResponse?.Vendor || [] });
   } catch (e) {
@@ -256,10 +171,10 @@ export const getQbItems = async (req, reply) => {
   try {
     const userId = req.user?.id;
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
-    const { oauthClient, realmId } = await getQbContext(userId);
+    const { oauthClient, realmId } = await getQbContext(getConnectionSelector(req));
     const base = getQbBaseUrl(oauthClient.environment);
     const q = encodeURIComponent('select * from Item');
-    const accessToken = await getQuickBooksAccessTokenForUser(userId);
+    const accessToken = oauthClient.getToken().access_token;
     const data = await qbAxiosGet({ accessToken, url: `${base}/v3/company/${realmId}/query?query=${q}` });
     return reply.code(200).send({ items: data?.QueryResponse?.Item || [] });
   } catch (e) {
@@ -272,10 +187,10 @@ export const getQbInvoices = async (req, reply) => {
   try {
     const userId = req.user?.id;
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
-    const { oauthClient, realmId } = await getQbContext(userId);
+    const { oauthClient, realmId } = await getQbContext(getConnectionSelector(req));
     const base = getQbBaseUrl(oauthClient.environment);
     const q = encodeURIComponent('select * from Invoice');
-    const accessToken = await getQuickBooksAccessTokenForUser(userId);
+    const accessToken = oauthClient.getToken().access_token;
     const data = await qbAxiosGet({ accessToken, url: `${base}/v3/company/${realmId}/query?query=${q}` });
     return reply.code(200).send({ invoices: data?.QueryResponse?.Invoice || [] });
   } catch (e) {
@@ -288,10 +203,10 @@ export const getQbBills = async (req, reply) => {
   try {
     const userId = req.user?.id;
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
-    const { oauthClient, realmId } = await getQbContext(userId);
+    const { oauthClient, realmId } = await getQbContext(getConnectionSelector(req));
     const base = getQbBaseUrl(oauthClient.environment);
     const q = encodeURIComponent('select * from Bill');
-    const accessToken = await getQuickBooksAccessTokenForUser(userId);
+    const accessToken = oauthClient.getToken().access_token;
     const data = await qbAxiosGet({ accessToken, url: `${base}/v3/company/${realmId}/query?query=${q}` });
     return reply.code(200).send({ bills: data?.QueryResponse?.Bill || [] });
   } catch (e) {
@@ -304,10 +219,10 @@ export const getQbPayments = async (req, reply) => {
   try {
     const userId = req.user?.id;
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
-    const { oauthClient, realmId } = await getQbContext(userId);
+    const { oauthClient, realmId } = await getQbContext(getConnectionSelector(req));
     const base = getQbBaseUrl(oauthClient.environment);
     const q = encodeURIComponent('select * from Payment');
-    const accessToken = await getQuickBooksAccessTokenForUser(userId);
+    const accessToken = oauthClient.getToken().access_token;
     const data = await qbAxiosGet({ accessToken, url: `${base}/v3/company/${realmId}/query?query=${q}` });
     return reply.code(200).send({ payments: data?.QueryResponse?.Payment || [] });
   } catch (e) {
@@ -320,10 +235,10 @@ export const getQbJournals = async (req, reply) => {
   try {
     const userId = req.user?.id;
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
-    const { oauthClient, realmId } = await getQbContext(userId);
+    const { oauthClient, realmId } = await getQbContext(getConnectionSelector(req));
     const base = getQbBaseUrl(oauthClient.environment);
     const q = encodeURIComponent('select * from JournalEntry');
-    const accessToken = await getQuickBooksAccessTokenForUser(userId);
+    const accessToken = oauthClient.getToken().access_token;
     const data = await qbAxiosGet({ accessToken, url: `${base}/v3/company/${realmId}/query?query=${q}` });
     return reply.code(200).send({ journals: data?.QueryResponse?.JournalEntry || [] });
   } catch (e) {
@@ -337,11 +252,11 @@ export const getQbGeneralLedger = async (req, reply) => {
   try {
     const userId = req.user?.id;
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
-    const { oauthClient, realmId } = await getQbContext(userId);
+    const { oauthClient, realmId } = await getQbContext(getConnectionSelector(req));
     const base = getQbBaseUrl(oauthClient.environment);
     const from = req.query?.from || '1900-01-01';
     const to = req.query?.to || new Date().toISOString().slice(0, 10);
-    const accessToken = await getQuickBooksAccessTokenForUser(userId);
+    const accessToken = oauthClient.getToken().access_token;
     const data = await qbAxiosGet({ accessToken, url: `${base}/v3/company/${realmId}/reports/GeneralLedger?start_date=${encodeURIComponent(from)}&end_date=${encodeURIComponent(to)}` });
     return reply.code(200).send({ report: data || {} });
   } catch (e) {
@@ -355,18 +270,19 @@ export const getQbConnectionStatus = async (req, reply) => {
     const userId = req.user?.id;
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
     
-    const snap = await db.collection('quickbooks_connections').where('userId', '==', userId).limit(1).get();
+    const connection = await findConnection('quickbooks', getConnectionSelector(req));
     
-    if (snap.empty) {
+    if (!connection) {
       return reply.code(200).send({ connected: false, status: 'not_connected' });
     }
     
-    const data = snap.docs[0].data();
-    const isExpired = Date.now() >= data.expiresAt;
-    
+    const { data } = connection;
     return reply.code(200).send({
       connected: true,
-      status: isExpired ? 'expired' : 'active',
+      status: connectionStatus(data),
+      reauthReason: data.reauthReason || null,
+      connectionId: connection.id,
+      connectedBy: data.userId,
       expiresAt: data.expiresAt,
       createdAt: data.createdAt,
       realmId: data.realmId,
@@ -379,4 +295,62 @@ export const getQbConnectionStatus = async (req, reply) => {
   }
 };
 
+// ---- Financial snapshot sync ----
+export const syncQbFinancials = async (req, reply) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
+
+    const connection = await findConnection('quickbooks', getConnectionSelector(req));
+    if (!connection) return reply.code(404).send({ error: 'No QuickBooks connection found' });
+
+    const companyId = connection.data.companyId || req.user?.companyId;
+    if (!companyId) return reply.code(400).send({ error: 'companyId required' });
 
+    const range = resolveSyncWindow(req.body || {});
+    if (!range) {
+      return reply.code(400).send({ error: 'startMonth and endMonth must be YYYY-MM with startMonth <= endMonth' });
+    }
+    const { startMonth, endMonth } = range;
+    const mappingVersion = req.body?.mappingVersion != null ? Number(req.body.mappingVersion) : null;
+    if (mappingVersion !== null && !(Number.isInteger(mappingVersion) && mappingVersion > 0)) {
+      return reply.code(400).send({ error: 'mappingVersion must be a positive integer' });
+    }
+
+    const syncRunId = await createSyncRun({
+      provider: 'quickbooks',
+      tenantId: companyId,
+      userId,
+      connectionId: connection.id,
+      realmId: connection.data.realmId,
+      startMonth,
+      endMonth,
+      mappingVersion,
+      trigger: 'manual'
+    });
+
+    const jobId = await enqueueSyncRunJob(QUICKBOOKS_SYNC_JOB, syncRunId);
+
+    return reply.code(202).send({ syncRunId, jobId, status: 'queued', startMonth, endMonth });
+  } catch (e) {
+    req.log.error(e, 'QuickBooks syncQbFinancials error');
+    return reply.code(500).send({ error: 'Failed to start QuickBooks sync', details: e.message });
+  }
+};
+
+export const getQbSyncRun = async (req, reply) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
+
+    const { companyId } = getConnectionSelector(req);
+    const run = await getSyncRun(req.params.syncRunId);
+    if (!run || run.provider !== 'quickbooks' || (run.tenantId !== companyId && run.userId !== userId)) {
+      return reply.code(404).send({ error: 'Sync run not found' });
+    }
+    return reply.code(200).send(run);
+  } catch (e) {
+    req.log.error(e, 'QuickBooks getQbSyncRun error');
+    return reply.code(500).send({ error: 'Failed to fetch QuickBooks sync run', details: e.message });
+  }
+};
@@ -1,6 +1,23 @@
 import axios from 'axios';
 import crypto from 'crypto';
 import { db } from '../firestore.js';
+import {
+  getSalesforceTokenUrl,
+  ensureClientCreds,
+  getSalesforceAccessToken,
+  getSalesforceContext,
+  SF_OBJECT_CANDIDATES,
+  chooseFirstExistingObject,
+  selectAvailableFields,
+  runSoqlPage,
+  revokeSalesforceConnection
+} from '../lib/salesforce.js';
+import { getConnectionSelector, findConnection, connectionStatus, saveConnection } from '../lib/connections.js';
+import { disconnectIntegration } from '../lib/disconnect.js';
+import { createSyncRun, getSyncRun, resolveSyncWindow, enqueueSyncRunJob } from '../lib/syncRuns.js';
+import { SALESFORCE_SYNC_JOB } from '../workers/salesforceSyncWorker.js';
+
+export { getSalesforceAccessToken, getSalesforceContext };
 
 function getSalesforceAuthorizeUrl() {
   const base = process.env.SALESFORCE_LOGIN_BASE_URL || 'https://login.salesforce.com';
@@ -8,25 +25,12 @@ function getSalesforceAuthorizeUrl() {
   return url.toString().replace(/\/$/, '');
 }
 
-function getSalesforceTokenUrl() {
-  const base = process.env.SALESFORCE_LOGIN_BASE_URL || 'https://login.salesforce.com';
-  const url = new URL('/services/oauth2/token', base);
-  return url.toString();
-}
-
 function getRedirectUri() {
   const baseUrl = process.env.BASE_URL;
   if (!baseUrl) throw new Error('Missing BASE_URL');
   return `${baseUrl}/api/integrations/salesforce/callback`;
 }
 
-function ensureClientCreds() {
-  const clientId = process.env.SALESFORCE_CONSUMER_KEY;
-  const clientSecret = process.env.SALESFORCE_CONSUMER_SECRET;
-  if (!clientId || !clientSecret) throw new Error('Missing Salesforce env vars (SALESFORCE_CONSUMER_KEY, SALESFORCE_CONSUMER_SECRET)');
-  return { clientId, clientSecret };
-}
-
 function b64url(buf) {
   return Buffer.from(buf).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
 }
@@ -41,9 +45,10 @@ function codeChallengeFromVerifier(verifier) {
 
 export const salesforceConnect = async (req, reply) => {
   const userId = req.user?.id;
-  const companyId = req.query?.companyId;
+  const companyId = req.user?.companyId;
   try {
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
+    if (!companyId) return reply.code(400).send({ error: 'companyId required' });
 
     const { clientId } = ensureClientCreds();
     const redirectUri = getRedirectUri();
@@ -75,7 +80,7 @@ export const salesforceCallback = async (req, reply) => {
   try {
     const decoded = await req.server.jwt.verify(state);
     const { userId, companyId, codeVerifier } = decoded || {};
-    if (!userId) return reply.code(400).send({ error: 'Invalid state' });
+    if (!userId || !companyId) return reply.code(400).send({ error: 'Invalid state' });
     if (!codeVerifier) return reply.code(400).send({ error: 'Missing PKCE verifier in state' });
 
     const { clientId, clientSecret } = ensureClientCreds();
@@ -120,12 +125,16 @@ export const salesforceCallback = async (req, reply) => {
 
     const expiresAt = Date.now() + (Number(process.env.SALESFORCE_ACCESS_TTL_SEC || 3600) * 1000);
 
-    const docRef = db.collection('salesforce_connections').doc(userId);
-    await docRef.set({
+    // Identity URL is .../id/<orgId>/<userId>; the org identifies the connection
+    const orgId = idUrl ? new URL(idUrl).pathname.split('/')[2] : null;
+
+    const connectionId = await saveConnection('salesforce', {
+      companyId,
       userId,
+      externalId: orgId || new URL(instanceUrl).hostname,
       user: userData || null,
-      companyId: companyId || null,
       company: companyData || null,
+      orgId: orgId || null,
       instanceUrl: instanceUrl || null,
       idUrl: idUrl || null,
       scope: scope || null,
@@ -133,141 +142,61 @@ export const salesforceCallback = async (req, reply) => {
       accessToken,
       refreshToken: refreshToken || null,
       expiresAt,
-      issuedAt: issuedAt || null,
-      createdAt: new Date(),
-      updatedAt: new Date()
+      issuedAt: issuedAt || null
     });
 
-    return reply.redirect(`${process.env.FRONTEND_URL}/dashboard/settings?integration=salesforce&status=connected&instanceUrl=${instanceUrl}`, 302);
+    return reply.redirect(`${process.env.FRONTEND_URL}/dashboard/settings?integration=salesforce&status=connected&instanceUrl=${instanceUrl}&connectionId=${connectionId}`, 302);
   } catch (e) {
     req.log.error(e, 'Salesforce callback error');
     return reply.code(500).send({ error: 'Failed to complete Salesforce OAuth', details: e.message });
   }
 };
 
-export const getSalesforceAccessToken = async ({ userId }) => {
-  const snap = await db.collection('salesforce_connections').where('userId', '==', userId).limit(1).get();
-  if (snap.empty) throw new Error('No Salesforce connection found');
-  const data = snap.docs[0].data();
-
-  if (Date.now() < (data.expiresAt - 60000)) {
-    return data.accessToken;
-  }
-
-  if (!data.refreshToken) throw new Error('No refresh token stored for Salesforce');
-
-  const { clientId, clientSecret } = ensureClientCreds();
-  const params = new URLSearchParams();
-  params.set('grant_type', 'refresh_token');
-  params.set('client_id', clientId);
-  params.set('client_secret', clientSecret);
-  params.set('refresh_token', data.refreshToken);
-
-  const tokenRes = await axios.post(getSalesforceTokenUrl(), params.toString(), {
-    headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
-  });
-
-  const { access_token: newAccess, issued_at: issuedAt } = tokenRes.data || {};
-  const expiresAt = Date.now() + (Number(process.env.SALESFORCE_ACCESS_TTL_SEC || 3600) * 1000);
-
-  await snap.docs[0].ref.update({
-    accessToken: newAccess,
-    expiresAt,
-    issuedAt: issuedAt || data.issuedAt || null,
-    updatedAt: new Date()
-  });
-
-  return newAccess;
-};
-
-export const getSalesforceContext = async (userId) => {
-  const snap = await db.collection('salesforce_connections').where('userId', '==', userId).limit(1).get();
-  if (snap.empty) throw new Error('No Salesforce connection found');
-  const data = snap.docs[0].data();
-  const accessToken = await getSalesforceAccessToken({ userId });
-  const instanceUrl = data.instanceUrl;
-  if (!instanceUrl) throw new Error('Missing Salesforce instanceUrl');
-  return { accessToken, instanceUrl };
-};
-
-
-// ---- Helpers for querying Salesforce data ----
-function getApiBase(instanceUrl) {
-  const version = process.env.SALESFORCE_API_VERSION || 'v60.0';
-  return `${instanceUrl}/services/data/${version}`;
-}
-
-async function sfRequest({ accessToken, instanceUrl, method = 'GET', path, params }) {
-  const url = new URL(path.startsWith('http') ? path : `${getApiBase(instanceUrl)}${path}`);
-  if (params) {
-    Object.entries(params).forEach(([k, v]) => {
-      if (v !== undefined && v !== null) url.searchParams.set(String(k), String(v));
-    });
-  }
-  const res = await axios({
-    url: url.toString(),
-    method,
-    headers: {
-      'Authorization': `Bearer ${accessToken}`,
-      'Accept': 'application/json'
-    }
-  });
-  return res.data;
-}
+export const salesforceDisconnect = async (req, reply) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
 
-async function listSObjects({ accessToken, instanceUrl }) {
-  const data = await sfRequest({ accessToken, instanceUrl, path: '/sobjects' });
-  const names = new Set((data?.sobjects || []).map(s => s?.name).filter(Boolean));
-  return names;
-}
+    const connection = await findConnection('salesforce', getConnectionSelector(req));
+    if (!connection) return reply.code(200).send({ status: 'disconnected' });
 
-// async function objectExists({ accessToken, instanceUrl }, objectName) {
-//   try {
-//     const names = await listSObjects({ accessToken, instanceUrl });
-//     return names.has(objectName);
-//   } catch {
-//     return false;
-//   }
-// }
-
-async function chooseFirstExistingObject(ctx, candidates) {
-  const names = await listSObjects(ctx);
-  for (const n of candidates) {
-    if (names.has(n)) return n;
+    const retainData = req.body?.retainData === true || req.query?.retainData === 'true';
+    const result = await disconnectIntegration('salesforce', connection, { userId, retainData, revoke: revokeSalesforceConnection });
+    return reply.code(200).send({ status: 'disconnected', ...result });
+  } catch (e) {
+    req.log.error(e, 'Salesforce disconnect error');
+    return reply.code(500).send({ error: 'Failed to disconnect Salesforce', details: e.message });
   }
-  return null;
-}
-
-async function describeObject({ accessToken, instanceUrl }, objectName) {
-  return await sfRequest({ accessToken, instanceUrl, path: `/sobjects/${encodeURIComponent(objectName)}/describe` });
-}
-
-async function selectAvailableFields(ctx, objectName, desiredFields) {
-  const d = await describeObject(ctx, objectName);
-  const available = new Set((d?.fields || []).map(f => f?.name).filter(Boolean));
-  const fields = desiredFields.filter(f => available.has(f));
-  return fields.length > 0 ? fields : ['Id', 'Name', 'CreatedDate'];
-}
+};
 
-async function runSoql({ accessToken, instanceUrl }, soql) {
-  const data = await sfRequest({ accessToken, instanceUrl, path: '/query', params: { q: soql } });
-  return { records: data?.records || [], nextRecordsUrl: data?.nextRecordsUrl || null, totalSize: data?.totalSize || 0 };
+// ---- Core object handlers ----
+// limit is the page size (200-2000); pass the returned nextCursor as ?cursor= for the next page.
+// buildQuery returns { soql, meta } or null when the org has no matching object; it is skipped
+// when continuing from a cursor.
+async function fetchSoqlPage(req, ctx, buildQuery) {
+  const pageSize = Math.min(Number(req.query?.limit) || 200, 2000);
+  const cursor = req.query?.cursor;
+  if (cursor) return runSoqlPage(ctx, null, { cursor: String(cursor), pageSize });
+
+  const query = await buildQuery();
+  if (!query) return null;
+  return runSoqlPage(ctx, query.soql, { pageSize, meta: query.meta });
 }
 
-// ---- Core object handlers ----
 export const getSfCustomers = async (req, reply) => {
   try {
     const userId = req.user?.id;
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
-    const { accessToken, instanceUrl } = await getSalesforceContext(userId);
-    const limit = Math.min(Number(req.query?.limit) || 200, 2000);
-    const fields = ['Id', 'Name', 'Type', 'BillingStreet', 'BillingCity', 'BillingState', 'BillingPostalCode', 'BillingCountry', 'ShippingStreet', 'ShippingCity', 'ShippingState', 'ShippingPostalCode', 'ShippingCountry', 'Phone', 'Website', 'CreatedDate', 'LastModifiedDate'];
-    const projection = fields.join(', ');
-    const where = `Type LIKE 'Customer%'`;
-    const soql = `SELECT ${projection} FROM Account WHERE ${where} ORDER BY LastModifiedDate DESC LIMIT ${limit}`;
-    const data = await runSoql({ accessToken, instanceUrl }, soql);
-    return reply.code(200).send({ customers: data.records, total: data.totalSize });
+    const { accessToken, instanceUrl } = await getSalesforceContext(getConnectionSelector(req));
+    const page = await fetchSoqlPage(req, { accessToken, instanceUrl }, async () => {
+      const fields = ['Id', 'Name', 'Type', 'BillingStreet', 'BillingCity', 'BillingState', 'BillingPostalCode', 'BillingCountry', 'ShippingStreet', 'ShippingCity', 'ShippingState', 'ShippingPostalCode', 'ShippingCountry', 'Phone', 'Website', 'CreatedDate', 'LastModifiedDate'];
+      const projection = fields.join(', ');
+      const where = `Type LIKE 'Customer%'`;
+      return { soql: `SELECT ${projection} FROM Account WHERE ${where} ORDER BY LastModifiedDate DESC` };
+    });
+    return reply.code(200).send({ customers: page.records, total: page.totalSize, nextCursor: page.nextCursor });
   } catch (e) {
+    if (e.code === 'invalid_cursor') return reply.code(400).send({ error: e.message });
     req.log.error(e, 'Salesforce getSfCustomers error');
     return reply.code(500).send({ error: 'Failed to fetch Salesforce customers', details: e.message });
   }
@@ -277,15 +206,16 @@ export const getSfVendors = async (req, reply) => {
   try {
     const userId = req.user?.id;
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
-    const { accessToken, instanceUrl } = await getSalesforceContext(userId);
-    const limit = Math.min(Number(req.query?.limit) || 200, 2000);
-    const fields = ['Id', 'Name', 'Type', 'BillingStreet', 'BillingCity', 'BillingState', 'BillingPostalCode', 'BillingCountry', 'Phone', 'Website', 'CreatedDate', 'LastModifiedDate'];
-    const projection = fields.join(', ');
-    const where = `Type LIKE 'Vendor%' OR Type LIKE 'Supplier%'`;
-    const soql = `SELECT ${projection} FROM Account WHERE (${where}) ORDER BY LastModifiedDate DESC LIMIT ${limit}`;
-    const data = await runSoql({ accessToken, instanceUrl }, soql);
-    return reply.code(200).send({ vendors: data.records, total: data.totalSize });
+    const { accessToken, instanceUrl } = await getSalesforceContext(getConnectionSelector(req));
+    const page = await fetchSoqlPage(req, { accessToken, instanceUrl }, async () => {
+      const fields = ['Id', 'Name', 'Type', 'BillingStreet', 'BillingCity', 'BillingState', 'BillingPostalCode', 'BillingCountry', 'Phone', 'Website', 'CreatedDate', 'LastModifiedDate'];
+      const projection = fields.join(', ');
+      const where = `Type LIKE 'Vendor%' OR Type LIKE 'Supplier%'`;
+      return { soql: `SELECT ${projection} FROM Account WHERE (${where}) ORDER BY LastModifiedDate DESC` };
+    });
+    return reply.code(200).send({ vendors: page.records, total: page.totalSize, nextCursor: page.nextCursor });
   } catch (e) {
+    if (e.code === 'invalid_cursor') return reply.code(400).send({ error: e.message });
     req.log.error(e, 'Salesforce getSfVendors error');
     return reply.code(500).send({ error: 'Failed to fetch Salesforce vendors', details: e.message });
   }
@@ -295,14 +225,15 @@ export const getSfItems = async (req, reply) => {
   try {
     const userId = req.user?.id;
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
-    const { accessToken, instanceUrl } = await getSalesforceContext(userId);
-    const limit = Math.min(Number(req.query?.limit) || 200, 2000);
-    const fields = ['Id', 'Name', 'ProductCode', 'IsActive', 'Family', 'Description', 'CreatedDate', 'LastModifiedDate'];
-    const projection = fields.join(', ');
-    const soql = `SELECT ${projection} FROM Product2 WHERE IsActive = true ORDER BY LastModifiedDate DESC LIMIT ${limit}`;
-    const data = await runSoql({ accessToken, instanceUrl }, soql);
-    return reply.code(200).send({ items: data.records, total: data.totalSize });
+    const { accessToken, instanceUrl } = await getSalesforceContext(getConnectionSelector(req));
+    const page = await fetchSoqlPage(req, { accessToken, instanceUrl }, async () => {
+      const fields = ['Id', 'Name', 'ProductCode', 'IsActive', 'Family', 'Description', 'CreatedDate', 'LastModifiedDate'];
+      const projection = fields.join(', ');
+      return { soql: `SELECT ${projection} FROM Product2 WHERE IsActive = true ORDER BY LastModifiedDate DESC` };
+    });
+    return reply.code(200).send({ items: page.records, total: page.totalSize, nextCursor: page.nextCursor });
   } catch (e) {
+    if (e.code === 'invalid_cursor') return reply.code(400).send({ error: e.message });
     req.log.error(e, 'Salesforce getSfItems error');
     return reply.code(500).send({ error: 'Failed to fetch Salesforce items', details: e.message });
   }
@@ -312,19 +243,21 @@ export const getSfInvoices = async (req, reply) => {
   try {
     const userId = req.user?.id;
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
-    const { accessToken, instanceUrl } = await getSalesforceContext(userId);
-    const limit = Math.min(Number(req.query?.limit) || 200, 2000);
+    const { accessToken, instanceUrl } = await getSalesforceContext(getConnectionSelector(req));
     const ctx = { accessToken, instanceUrl };
     const override = (req.query?.object || '').toString();
-    const candidates = override ? [override] : ['Invoice', 'BillingInvoice__c', 'Invoice__c', 'sbqq__Invoice__c', 'zuora__Invoice__c'];
-    const objectName = await chooseFirstExistingObject(ctx, candidates);
-    if (!objectName) return reply.code(404).send({ error: 'No invoice object found', candidates });
-    const desired = ['Id', 'Name', 'Status', 'TotalAmount', 'Amount', 'Balance', 'AccountId', 'BillToId', 'InvoiceDate', 'Invoice_Date__c', 'DueDate', 'Due_Date__c', 'CreatedDate', 'LastModifiedDate'];
-    const fields = await selectAvailableFields(ctx, objectName, desired);
-    const soql = `SELECT ${fields.join(', ')} FROM ${objectName} ORDER BY LastModifiedDate DESC LIMIT ${limit}`;
-    const data = await runSoql(ctx, soql);
-    return reply.code(200).send({ invoices: data.records, object: objectName, total: data.totalSize });
+    const candidates = override ? [override] : SF_OBJECT_CANDIDATES.invoices;
+    const page = await fetchSoqlPage(req, ctx, async () => {
+      const objectName = await chooseFirstExistingObject(ctx, candidates);
+      if (!objectName) return null;
+      const desired = ['Id', 'Name', 'Status', 'TotalAmount', 'Amount', 'Balance', 'AccountId', 'BillToId', 'InvoiceDate', 'Invoice_Date__c', 'DueDate', 'Due_Date__c', 'CreatedDate', 'LastModifiedDate'];
+      const fields = await selectAvailableFields(ctx, objectName, desired);
+      return { soql: `SELECT ${fields.join(', ')} FROM ${objectName} ORDER BY LastModifiedDate DESC`, meta: { object: objectName } };
+    });
+    if (!page) return reply.code(404).send({ error: 'No invoice object found', candidates });
+    return reply.code(200).send({ invoices: page.records, object: page.meta.object, total: page.totalSize, nextCursor: page.nextCursor });
   } catch (e) {
+    if (e.code === 'invalid_cursor') return reply.code(400).send({ error: e.message });
     req.log.error(e, 'Salesforce getSfInvoices error');
     return reply.code(500).send({ error: 'Failed to fetch Salesforce invoices', details: e.message });
   }
@@ -334,19 +267,21 @@ export const getSfBills = async (req, reply) => {
   try {
     const userId = req.user?.id;
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
-    const { accessToken, instanceUrl } = await getSalesforceContext(userId);
-    const limit = Math.min(Number(req.query?.limit) || 200, 2000);
+    const { accessToken, instanceUrl } = await getSalesforceContext(getConnectionSelector(req));
     const ctx = { accessToken, instanceUrl };
     const override = (req.query?.object || '').toString();
-    const candidates = override ? [override] : ['VendorInvoice__c', 'Bill__c', 'Payable__c'];
-    const objectName = await chooseFirstExistingObject(ctx, candidates);
-    if (!objectName) return reply.code(404).send({ error: 'No bill object found', candidates });
-    const desired = ['Id', 'Name', 'Status', 'TotalAmount', 'Amount', 'Balance', 'Vendor__c', 'AccountId', 'InvoiceDate__c', 'DueDate__c', 'CreatedDate', 'LastModifiedDate'];
-    const fields = await selectAvailableFields(ctx, objectName, desired);
-    const soql = `SELECT ${fields.join(', ')} FROM ${objectName} ORDER BY LastModifiedDate DESC LIMIT ${limit}`;
-    const data = await runSoql(ctx, soql);
-    return reply.code(200).send({ bills: data.records, object: objectName, total: data.totalSize });
+    const candidates = override ? [override] : SF_OBJECT_CANDIDATES.bills;
+    const page = await fetchSoqlPage(req, ctx, async () => {
+      const objectName = await chooseFirstExistingObject(ctx, candidates);
+      if (!objectName) return null;
+      const desired = ['Id', 'Name', 'Status', 'TotalAmount', 'Amount', 'Balance', 'Vendor__c', 'AccountId', 'InvoiceDate__c', 'DueDate__c', 'CreatedDate', 'LastModifiedDate'];
+      const fields = await selectAvailableFields(ctx, objectName, desired);
+      return { soql: `SELECT ${fields.join(', ')} FROM ${objectName} ORDER BY LastModifiedDate DESC`, meta: { object: objectName } };
+    });
+    if (!page) return reply.code(404).send({ error: 'No bill object found', candidates });
+    return reply.code(200).send({ bills: page.records, object: page.meta.object, total: page.totalSize, nextCursor: page.nextCursor });
   } catch (e) {
+    if (e.code === 'invalid_cursor') return reply.code(400).send({ error: e.message });
     req.log.error(e, 'Salesforce getSfBills error');
     return reply.code(500).send({ error: 'Failed to fetch Salesforce bills', details: e.message });
   }
@@ -356,19 +291,21 @@ export const getSfPayments = async (req, reply) => {
   try {
     const userId = req.user?.id;
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
-    const { accessToken, instanceUrl } = await getSalesforceContext(userId);
-    const limit = Math.min(Number(req.query?.limit) || 200, 2000);
+    const { accessToken, instanceUrl } = await getSalesforceContext(getConnectionSelector(req));
     const ctx = { accessToken, instanceUrl };
     const override = (req.query?.object || '').toString();
-    const candidates = override ? [override] : ['Payment', 'BillingPayment__c', 'Payment__c'];
-    const objectName = await chooseFirstExistingObject(ctx, candidates);
-    if (!objectName) return reply.code(404).send({ error: 'No payment object found', candidates });
-    const desired = ['Id', 'Name', 'Status', 'Amount', 'TotalAmount', 'AccountId', 'Invoice__c', 'PaymentDate', 'Payment_Date__c', 'CreatedDate', 'LastModifiedDate'];
-    const fields = await selectAvailableFields(ctx, objectName, desired);
-    const soql = `SELECT ${fields.join(', ')} FROM ${objectName} ORDER BY LastModifiedDate DESC LIMIT ${limit}`;
-    const data = await runSoql(ctx, soql);
-    return reply.code(200).send({ payments: data.records, object: objectName, total: data.totalSize });
+    const candidates = override ? [override] : SF_OBJECT_CANDIDATES.payments;
+    const page = await fetchSoqlPage(req, ctx, async () => {
+      const objectName = await chooseFirstExistingObject(ctx, candidates);
+      if (!objectName) return null;
+      const desired = ['Id', 'Name', 'Status', 'Amount', 'TotalAmount', 'AccountId', 'Invoice__c', 'PaymentDate', 'Payment_Date__c', 'CreatedDate', 'LastModifiedDate'];
+      const fields = await selectAvailableFields(ctx, objectName, desired);
+      return { soql: `SELECT ${fields.join(', ')} FROM ${objectName} ORDER BY LastModifiedDate DESC`, meta: { object: objectName } };
+    });
+    if (!page) return reply.code(404).send({ error: 'No payment object found', candidates });
+    return reply.code(200).send({ payments: page.records, object: page.meta.object, total: page.totalSize, nextCursor: page.nextCursor });
   } catch (e) {
+    if (e.code === 'invalid_cursor') return reply.code(400).send({ error: e.message });
     req.log.error(e, 'Salesforce getSfPayments error');
     return reply.code(500).send({ error: 'Failed to fetch Salesforce payments', details: e.message });
   }
@@ -378,19 +315,21 @@ export const getSfChartOfAccounts = async (req, reply) => {
   try {
     const userId = req.user?.id;
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
-    const { accessToken, instanceUrl } = await getSalesforceContext(userId);
-    const limit = Math.min(Number(req.query?.limit) || 200, 2000);
+    const { accessToken, instanceUrl } = await getSalesforceContext(getConnectionSelector(req));
     const ctx = { accessToken, instanceUrl };
     const override = (req.query?.object || '').toString();
-    const candidates = override ? [override] : ['GLAccount__c', 'General_Ledger_Account__c', 'LedgerAccount__c', 'AccountingAccount__c'];
-    const objectName = await chooseFirstExistingObject(ctx, candidates);
-    if (!objectName) return reply.code(404).send({ error: 'No chart of accounts object found', candidates });
-    const desired = ['Id', 'Name', 'Code__c', 'Number__c', 'AccountNumber__c', 'Type__c', 'SubType__c', 'CreatedDate', 'LastModifiedDate'];
-    const fields = await selectAvailableFields(ctx, objectName, desired);
-    const soql = `SELECT ${fields.join(', ')} FROM ${objectName} ORDER BY Name ASC LIMIT ${limit}`;
-    const data = await runSoql(ctx, soql);
-    return reply.code(200).send({ accounts: data.records, object: objectName, total: data.totalSize });
+    const candidates = override ? [override] : SF_OBJECT_CANDIDATES.accounts;
+    const page = await fetchSoqlPage(req, ctx, async () => {
+      const objectName = await chooseFirstExistingObject(ctx, candidates);
+      if (!objectName) return null;
+      const desired = ['Id', 'Name', 'Code__c', 'Number__c', 'AccountNumber__c', 'Type__c', 'SubType__c', 'CreatedDate', 'LastModifiedDate'];
+      const fields = await selectAvailableFields(ctx, objectName, desired);
+      return { soql: `SELECT ${fields.join(', ')} FROM ${objectName} ORDER BY Name ASC`, meta: { object: objectName } };
+    });
+    if (!page) return reply.code(404).send({ error: 'No chart of accounts object found', candidates });
+    return reply.code(200).send({ accounts: page.records, object: page.meta.object, total: page.totalSize, nextCursor: page.nextCursor });
   } catch (e) {
+    if (e.code === 'invalid_cursor') return reply.code(400).send({ error: e.message });
     req.log.error(e, 'Salesforce getSfChartOfAccounts error');
     return reply.code(500).send({ error: 'Failed to fetch Salesforce chart of accounts', details: e.message });
   }
@@ -400,19 +339,21 @@ export const getSfGeneralLedger = async (req, reply) => {
   try {
     const userId = req.user?.id;
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
-    const { accessToken, instanceUrl } = await getSalesforceContext(userId);
-    const limit = Math.min(Number(req.query?.limit) || 200, 2000);
+    const { accessToken, instanceUrl } = await getSalesforceContext(getConnectionSelector(req));
     const ctx = { accessToken, instanceUrl };
     const override = (req.query?.object || '').toString();
-    const candidates = override ? [override] : ['GLTransaction__c', 'LedgerEntry__c', 'JournalEntry__c', 'JournalEntryLine__c'];
-    const objectName = await chooseFirstExistingObject(ctx, candidates);
-    if (!objectName) return reply.code(404).send({ error: 'No general ledger object found', candidates });
-    const desired = ['Id', 'Name', 'Amount__c', 'Amount', 'Debit__c', 'Credit__c', 'DebitAmount__c', 'CreditAmount__c', 'GLAccount__c', 'Account__c', 'Description__c', 'Description', 'EntryDate__c', 'PostingDate__c', 'TransactionDate__c', 'CreatedDate', 'LastModifiedDate'];
-    const fields = await selectAvailableFields(ctx, objectName, desired);
-    const soql = `SELECT ${fields.join(', ')} FROM ${objectName} ORDER BY LastModifiedDate DESC LIMIT ${limit}`;
-    const data = await runSoql(ctx, soql);
-    return reply.code(200).send({ entries: data.records, object: objectName, total: data.totalSize });
+    const candidates = override ? [override] : SF_OBJECT_CANDIDATES.generalLedger;
+    const page = await fetchSoqlPage(req, ctx, async () => {
+      const objectName = await chooseFirstExistingObject(ctx, candidates);
+      if (!objectName) return null;
+      const desired = ['Id', 'Name', 'Amount__c', 'Amount', 'Debit__c', 'Credit__c', 'DebitAmount__c', 'CreditAmount__c', 'GLAccount__c', 'Account__c', 'Description__c', 'Description', 'EntryDate__c', 'PostingDate__c', 'TransactionDate__c', 'CreatedDate', 'LastModifiedDate'];
+      const fields = await selectAvailableFields(ctx, objectName, desired);
+      return { soql: `SELECT ${fields.join(', ')} FROM ${objectName} ORDER BY LastModifiedDate DESC`, meta: { object: objectName } };
+    });
+    if (!page) return reply.code(404).send({ error: 'No general ledger object found', candidates });
+    return reply.code(200).send({ entries: page.records, object: page.meta.object, total: page.totalSize, nextCursor: page.nextCursor });
   } catch (e) {
+    if (e.code === 'invalid_cursor') return reply.code(400).send({ error: e.message });
     req.log.error(e, 'Salesforce getSfGeneralLedger error');
     return reply.code(500).send({ error: 'Failed to fetch Salesforce general ledger', details: e.message });
   }
@@ -423,18 +364,19 @@ export const getSfConnectionStatus = async (req, reply) => {
     const userId = req.user?.id;
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
     
-    const snap = await db.collection('salesforce_connections').where('userId', '==', userId).limit(1).get();
+    const connection = await findConnection('salesforce', getConnectionSelector(req));
     
-    if (snap.empty) {
+    if (!connection) {
       return reply.code(200).send({ connected: false, status: 'not_connected' });
     }
     
-    const data = snap.docs[0].data();
-    const isExpired = Date.now() >= data.expiresAt;
-    
+    const { data } = connection;
     return reply.code(200).send({
       connected: true,
-      status: isExpired ? 'expired' : 'active',
+      status: connectionStatus(data),
+      reauthReason: data.reauthReason || null,
+      connectionId: connection.id,
+      connectedBy: data.userId,
       expiresAt: data.expiresAt,
       createdAt: data.createdAt,
       instanceUrl: data.instanceUrl,
@@ -447,4 +389,77 @@ export const getSfConnectionStatus = async (req, reply) => {
   }
 };
 
+// ---- Opportunity pipeline sync ----
+export const syncSfPipeline = async (req, reply) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
+
+    const connection = await findConnection('salesforce', getConnectionSelector(req));
+    if (!connection) return reply.code(404).send({ error: 'No Salesforce connection found' });
+
+    const companyId = connection.data.companyId || req.user?.companyId;
+    if (!companyId) return reply.code(400).send({ error: 'companyId required' });
+
+    // The window bounds CloseDate for win/loss metrics; open opportunities are always included
+    const range = resolveSyncWindow(req.body || {});
+    if (!range) {
+      return reply.code(400).send({ error: 'startMonth and endMonth must be YYYY-MM with startMonth <= endMonth' });
+    }
+
+    const syncRunId = await createSyncRun({
+      provider: 'salesforce',
+      tenantId: companyId,
+      userId,
+      connectionId: connection.id,
+      ...range,
+      // true/false forces Bulk API 2.0 or REST paging; otherwise picked from the record count
+      bulk: typeof req.body?.bulk === 'boolean' ? req.body.bulk : null,
+      trigger: 'manual'
+    });
+
+    const jobId = await enqueueSyncRunJob(SALESFORCE_SYNC_JOB, syncRunId);
+
+    return reply.code(202).send({ syncRunId, jobId, status: 'queued', ...range });
+  } catch (e) {
+    req.log.error(e, 'Salesforce syncSfPipeline error');
+    return reply.code(500).send({ error: 'Failed to start Salesforce sync', details: e.message });
+  }
+};
+
+export const getSfSyncRun = async (req, reply) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
+
+    const { companyId } = getConnectionSelector(req);
+    const run = await getSyncRun(req.params.syncRunId);
+    if (!run || run.provider !== 'salesforce' || (run.tenantId !== companyId && run.userId !== userId)) {
+      return reply.code(404).send({ error: 'Sync run not found' });
+    }
+    return reply.code(200).send(run);
+  } catch (e) {
+    req.log.error(e, 'Salesforce getSfSyncRun error');
+    return reply.code(500).send({ error: 'Failed to fetch Salesforce sync run', details: e.message });
+  }
+};
+
+// Metrics from the latest pipeline sync, as mirrored onto the company record
+export const getSfPipeline = async (req, reply) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
+
+    const companyId = req.user?.companyId;
+    if (!companyId) return reply.code(400).send({ error: 'companyId required' });
+
+    const companyDoc = await db.collection('companies').doc(companyId).get();
+    const pipeline = companyDoc.exists ? companyDoc.data().Sales?.Pipeline : null;
+    if (!pipeline) return reply.code(404).send({ error: 'No Salesforce pipeline synced for this company' });
 
+    return reply.code(200).send({ companyId, pipeline });
+  } catch (e) {
+    req.log.error(e, 'Salesforce getSfPipeline error');
+    return reply.code(500).send({ error: 'Failed to fetch Salesforce pipeline', details: e.message });
+  }
+};
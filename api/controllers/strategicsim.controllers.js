@@ -8,15 +8,18 @@ import {
   getCompetitorBenchmark, 
   getNPSScore,
   getWinLossRatio,
-  generateSimulation,
   buildSimulationContext,
   renderPDFBuffer,
   generateDeliverablesContent,
   calculateScenarioROI,
   runSensitivityAnalysis,
+  runMonteCarloSimulation,
   fetchMetricsViaGeminiResearch,
   bucket
 } from '../lib/utils.js';
+import { SIMULATION_STATUSES, newSimulationSteps, newSimulationProgress, SIMULATION_JOB, SIMULATION_JOB_ATTEMPTS } from '../workers/simulationWorker.js';
+import { MAX_COMPARED_SIMULATIONS, resolveComparisonWeights, buildSimulationComparison } from '../lib/simulationComparison.js';
+import { enqueueJob } from '../lib/jobs/index.js';
 
 const getMarketShare = async (req, reply) => {
   const { companyId } = req.params;
@@ -135,7 +138,29 @@ const getCompetitiveIndexScore = async (req, reply) => {
   }
 }
 
+// Simulation a scoped route names, or the company's latest completed one.
+// Returns { sim } (with its id) or { error: { code, message } }.
+const loadTargetSimulation = async (companyId, simulationId = null) => {
+  if (simulationId) {
+    const doc = await db.collection('simulations').doc(simulationId).get();
+    if (!doc.exists || doc.data().companyId !== companyId) return { error: { code: 404, message: 'Simulation not found' } };
+    if (doc.data().status !== 'completed') return { error: { code: 409, message: `Simulation is ${doc.data().status}, not completed` } };
+    return { sim: { ...doc.data(), id: doc.id } };
+  }
+
+  const sims = await db.collection('simulations')
+    .where('companyId', '==', companyId)
+    .where('status', '==', 'completed')
+    .orderBy('updatedAt', 'desc')
+    .limit(1)
+    .get();
+
+  if (sims.empty) return { error: { code: 404, message: 'No completed simulations found for company' } };
+  return { sim: { ...sims.docs[0].data(), id: sims.docs[0].id } };
+};
+
 // need to calculate NPV/IRR vs baseline using scenario engine
+// Latest completed simulation, or :simulationId on the simulation-scoped route
 const getScenarioROI = async (req, reply) => {
   const { companyId } = req.params;
 
@@ -146,23 +171,14 @@ const getScenarioROI = async (req, reply) => {
   const companyData = companyDoc.data();
 
   try {
-    // Use the latest completed simulation as input
-    const sims = await db.collection('simulations')
-      .where('companyId', '==', companyId)
-      .where('status', '==', 'completed')
-      .orderBy('updatedAt', 'desc')
-      .limit(1)
-      .get();
-
-    if (sims.empty) {
-      return reply.code(404).send({ error: 'No completed simulations found for company' });
-    }
+    const { sim, error } = await loadTargetSimulation(companyId, req.params.simulationId);
+    if (error) return reply.code(error.code).send({ error: error.message });
 
-    const sim = sims.docs[0].data();
     const calc = await calculateScenarioROI({ companyData, simulationResults: sim.results, horizonYears: 5 });
 
     return reply.code(200).send({
       data: {
+        simulationId: sim.id,
         scenarioRoiPercent: calc.scenarioRoiPercent,
         discountRate: calc.discountRate,
         horizonYears: calc.horizonYears,
@@ -179,6 +195,9 @@ const getScenarioROI = async (req, reply) => {
 
 const getSimulationByStatus = async (req, reply) => {
   const { companyId, status } = req.params;
+  if (!SIMULATION_STATUSES.includes(status)) {
+    return reply.code(400).send({ error: `status must be one of: ${SIMULATION_STATUSES.join(', ')}` });
+  }
   const companyDoc = await db.collection('companies').doc(companyId).get();
   if (!companyDoc.exists) {
     return reply.code(404).send({ error: 'Company not found' });
@@ -230,9 +249,30 @@ const searchSimulations = async (req, reply) => {
   return reply.code(200).send({ data: simulationsData });
 }
 
+const getSimulationById = async (req, reply) => {
+  const { companyId, simulationId } = req.params;
+  const doc = await db.collection('simulations').doc(simulationId).get();
+  if (!doc.exists || doc.data().companyId !== companyId) {
+    return reply.code(404).send({ error: 'Simulation not found' });
+  }
+  return reply.code(200).send({ data: { ...doc.data(), id: doc.id } });
+}
+
+const deleteSimulation = async (req, reply) => {
+  const { companyId, simulationId } = req.params;
+  const doc = await db.collection('simulations').doc(simulationId).get();
+  if (!doc.exists || doc.data().companyId !== companyId) {
+    return reply.code(404).send({ error: 'Simulation not found' });
+  }
+  await db.collection('simulations').doc(simulationId).delete();
+  return reply.code(200).send({ success: true });
+}
+
+// Queue a simulation; the worker gathers context, researches metrics, generates the narrative and
+// computes ROI. Poll /:companyId/:simulationId/status for progress.
 const createSimulation = async (req, reply) => {
   const { companyId } = req.params;
-  const { simulationType, framework, scenario } = req.body;
+  const { simulationType, framework, scenario } = req.body || {};
   const decoded = req.user;
   const email = decoded.email;
   if (!email) {
@@ -240,46 +280,10 @@ const createSimulation = async (req, reply) => {
   }
   
   try {
-    // Get company data
     const companyDoc = await db.collection('companies').doc(companyId).get();
     if (!companyDoc.exists) {
       return reply.code(404).send({ error: 'Company not found' });
     }
-    
-    const companyData = companyDoc.data();
-    
-    // Get brain prompts for Strategic Simulation layer
-    const brainPrompts = {
-      primary: "Run strategic simulations for acquisitions, divestitures, market expansions, and paradigm shifts using multi-lens frameworks. Provide Harvard-style case narratives with ROI tables.",
-      subPrompts: [
-        "Simulate divesting a non-core business unit with financial and strategic impacts.",
-        "Create a Blue Ocean strategy canvas for entering uncontested markets.", 
-        "Perform PESTEL analysis for geopolitical/regulatory disruptions."
-      ]
-    };
-    
-    // Determine which prompt to use
-    let selectedPrompt = brainPrompts.primary;
-    if (simulationType === 'divestiture') {
-      selectedPrompt = brainPrompts.subPrompts[0];
-    } else if (simulationType === 'blue-ocean') {
-      selectedPrompt = brainPrompts.subPrompts[1];
-    } else if (simulationType === 'pestel') {
-      selectedPrompt = brainPrompts.subPrompts[2];
-    }
-    
-    // Build context from company data + market intelligence
-    const context = await buildSimulationContext(companyData);
-    
-    // Generate simulation using AI
-    const simulation = await generateSimulation({
-      companyData,
-      context,
-      prompt: selectedPrompt,
-      framework: framework || 'Porter\'s Five Forces',
-      simulationType: simulationType || 'strategic-analysis',
-      scenario: scenario || 'baseline'
-    });
 
     const userDoc = await db.collection('users')
       .where('email', '==', email)
@@ -294,11 +298,15 @@ const createSimulation = async (req, reply) => {
 
     const newSimulation = {
       companyId,
-      name: simulation.title || `${simulationType} Simulation - ${new Date().toLocaleDateString()}`,
+      name: `${simulationType || 'strategic-analysis'} Simulation - ${new Date().toLocaleDateString()}`,
       type: simulationType || 'strategic-analysis',
       framework: framework || 'Porter\'s Five Forces',
-      status: 'completed',
-      results: simulation,
+      scenario: scenario || 'baseline',
+      status: 'queued',
+      results: null,
+      steps: newSimulationSteps(),
+      progress: newSimulationProgress(),
+      error: null,
       createdAt: Timestamp.now(),
       updatedAt: Timestamp.now(),
       user: userObj
@@ -306,9 +314,14 @@ const createSimulation = async (req, reply) => {
     
     // Save to Firestore
     const simulationDoc = await db.collection('simulations').add(newSimulation);
-    
-    return reply.code(201).send({ 
+
+    const jobId = await enqueueJob(SIMULATION_JOB, { simulationId: simulationDoc.id }, { maxAttempts: SIMULATION_JOB_ATTEMPTS });
+    await simulationDoc.update({ jobId });
+
+    return reply.code(202).send({ 
       simulationId: simulationDoc.id,
+      jobId,
+      status: 'queued',
       simulation: newSimulation 
     });
     
@@ -321,6 +334,19 @@ const createSimulation = async (req, reply) => {
   }
 };
 
+// Poll a queued or running simulation
+const getSimulationStatus = async (req, reply) => {
+  const { companyId, simulationId } = req.params;
+  const doc = await db.collection('simulations').doc(simulationId).get();
+  if (!doc.exists || doc.data().companyId !== companyId) {
+    return reply.code(404).send({ error: 'Simulation not found' });
+  }
+  const { status, progress = null, steps = null, error = null, createdAt, startedAt = null, completedAt = null, failedAt = null, updatedAt } = doc.data();
+  return reply.code(200).send({
+    data: { simulationId, status, progress, steps, error, createdAt, startedAt, completedAt, failedAt, updatedAt }
+  });
+}
+
 const runScenarioSensitivity = async (req, reply) => {
   const { companyId } = req.params;
   const { sweeps, horizonYears } = req.body || {};
@@ -328,16 +354,8 @@ const runScenarioSensitivity = async (req, reply) => {
   const companyDoc = await db.collection('companies').doc(companyId).get();
   if (!companyDoc.exists) return reply.code(404).send({ error: 'Company not found' });
 
-  const sims = await db.collection('simulations')
-    .where('companyId', '==', companyId)
-    .where('status', '==', 'completed')
-    .orderBy('updatedAt', 'desc')
-    .limit(1)
-    .get();
-
-  if (sims.empty) return reply.code(404).send({ error: 'No completed simulations found for company' });
-
-  const sim = sims.docs[0].data();
+  const { sim, error } = await loadTargetSimulation(companyId, req.params.simulationId);
+  if (error) return reply.code(error.code).send({ error: error.message });
   const rp = sim?.results?.roiProjections || {};
 
   const results = runSensitivityAnalysis({
@@ -352,7 +370,94 @@ const runScenarioSensitivity = async (req, reply) => {
     sweeps: sweeps || {}
   });
 
-  return reply.code(200).send({ data: results });
+  return reply.code(200).send({ data: results, simulationId: sim.id });
+}
+
+// Monte Carlo over the latest completed simulation's roiProjections
+// Body: { iterations?, seed?, horizonYears?, buckets?, distributions?: { param: spec }, correlations?: [{ params: [a, b], rho }] }
+const runScenarioMonteCarlo = async (req, reply) => {
+  const { companyId } = req.params;
+  const { distributions, correlations } = req.body || {};
+
+  const iterations = req.body?.iterations != null ? Number(req.body.iterations) : 5000;
+  const seed = req.body?.seed != null ? Number(req.body.seed) : Date.now() % 2147483647;
+  const buckets = req.body?.buckets != null ? Number(req.body.buckets) : 20;
+  const horizonYears = req.body?.horizonYears != null ? Number(req.body.horizonYears) : 5;
+  if (!Number.isInteger(iterations) || iterations < 100 || iterations > 20000) {
+    return reply.code(400).send({ error: 'iterations must be an integer between 100 and 20000' });
+  }
+  if (!Number.isInteger(seed)) return reply.code(400).send({ error: 'seed must be an integer' });
+  if (!Number.isInteger(buckets) || buckets < 5 || buckets > 100) {
+    return reply.code(400).send({ error: 'buckets must be an integer between 5 and 100' });
+  }
+  if (!Number.isInteger(horizonYears) || horizonYears < 1 || horizonYears > 30) {
+    return reply.code(400).send({ error: 'horizonYears must be an integer between 1 and 30' });
+  }
+
+  const companyDoc = await db.collection('companies').doc(companyId).get();
+  if (!companyDoc.exists) return reply.code(404).send({ error: 'Company not found' });
+
+  const { sim, error } = await loadTargetSimulation(companyId, req.params.simulationId);
+  if (error) return reply.code(error.code).send({ error: error.message });
+  const rp = sim?.results?.roiProjections || {};
+
+  const result = runMonteCarloSimulation({
+    baseProjections: {
+      baseline: rp.baseline,
+      optimistic: rp.optimistic,
+      realistic: rp.realistic,
+      pessimistic: rp.pessimistic,
+      discountRate: Number(rp.discountRate)
+    },
+    horizonYears,
+    iterations,
+    seed,
+    buckets,
+    distributions: distributions || {},
+    correlations: correlations || []
+  });
+  if (result.error) return reply.code(400).send({ error: result.error });
+
+  return reply.code(200).send({ data: { simulationId: sim.id, ...result } });
+}
+
+// Rank several saved simulations side by side
+// Body: { simulationIds: [...], weights?: { roi, npv, irr, risk, timeline }, horizonYears? }
+const compareSimulations = async (req, reply) => {
+  const { companyId } = req.params;
+  const { simulationIds, weights: weightOverrides, horizonYears } = req.body || {};
+
+  const ids = Array.isArray(simulationIds) ? [...new Set(simulationIds)] : [];
+  if (ids.length < 2 || ids.length > MAX_COMPARED_SIMULATIONS || ids.some(id => typeof id !== 'string' || !id)) {
+    return reply.code(400).send({ error: `simulationIds must list 2 to ${MAX_COMPARED_SIMULATIONS} simulation IDs` });
+  }
+  const { weights, error: weightsError } = resolveComparisonWeights(weightOverrides || {});
+  if (weightsError) return reply.code(400).send({ error: weightsError });
+  const years = horizonYears != null ? Number(horizonYears) : 5;
+  if (!Number.isInteger(years) || years < 1 || years > 30) {
+    return reply.code(400).send({ error: 'horizonYears must be an integer between 1 and 30' });
+  }
+
+  const companyDoc = await db.collection('companies').doc(companyId).get();
+  if (!companyDoc.exists) return reply.code(404).send({ error: 'Company not found' });
+  const companyData = companyDoc.data();
+
+  const loaded = await Promise.all(ids.map(id => loadTargetSimulation(companyId, id)));
+  const failed = loaded.findIndex(l => l.error);
+  if (failed >= 0) {
+    return reply.code(loaded[failed].error.code).send({ error: `${ids[failed]}: ${loaded[failed].error.message}` });
+  }
+
+  try {
+    const entries = await Promise.all(loaded.map(async ({ sim }) => ({
+      simulation: sim,
+      roi: await calculateScenarioROI({ companyData, simulationResults: sim.results, horizonYears: years })
+    })));
+    return reply.code(200).send({ data: buildSimulationComparison(entries, { weights, horizonYears: years }) });
+  } catch (e) {
+    console.error('Error comparing simulations:', e);
+    return reply.code(500).send({ error: 'Failed to compare simulations', details: e.message });
+  }
 }
 
 const generateDeliverablesPDF = async (req, reply) => {
@@ -423,17 +528,9 @@ const recommendOptimalStrategy = async (req, reply) => {
   if (!companyDoc.exists) return reply.code(404).send({ error: 'Company not found' });
   const companyData = companyDoc.data();
 
-  // Fetch latest completed simulation
-  const sims = await db.collection('simulations')
-    .where('companyId', '==', companyId)
-    .where('status', '==', 'completed')
-    .orderBy('updatedAt', 'desc')
-    .limit(1)
-    .get();
-
-  if (sims.empty) return reply.code(404).send({ error: 'No completed simulations found for company' });
-
-  const sim = sims.docs[0].data();
+  // Latest completed simulation, or :simulationId on the simulation-scoped route
+  const { sim, error } = await loadTargetSimulation(companyId, req.params.simulationId);
+  if (error) return reply.code(error.code).send({ error: error.message });
 
   // Compute ROI metrics for composite scoring
   const roi = await calculateScenarioROI({ companyData, simulationResults: sim.results, horizonYears: 5 });
@@ -455,6 +552,7 @@ const recommendOptimalStrategy = async (req, reply) => {
 
   return reply.code(200).send({
     data: {
+      simulationId: sim.id,
       recommendedStrategy: primary || { action: 'Further analysis required', rationale: 'No recommendations available from latest simulation' },
       compositeScore,
       metrics: {
@@ -476,8 +574,13 @@ export {
   getSimulationByStatus,
   filterSimulationsByTimeframe,
   searchSimulations,
+  getSimulationById,
+  deleteSimulation,
   createSimulation,
+  getSimulationStatus,
   runScenarioSensitivity,
+  runScenarioMonteCarlo,
+  compareSimulations,
   generateDeliverablesPDF,
   recommendOptimalStrategy
 };
\ No newline at end of file
@@ -1,47 +1,68 @@
 import { db } from '../firestore.js';
+import { pipeline } from 'stream/promises';
 import { Storage } from '@google-cloud/storage';
-import { parseFileHeaders, suggestMapping } from '../lib/uploadUtils.js';
-import { processUpload } from '../workers/uploadWorker.js';
+import { parseFileHeaders, suggestMapping, resolveUploadOptions, createSizeLimiter, fileTooLargeError, uploadExtension, UPLOAD_SIZE_LIMITS, MAX_UPLOAD_BYTES, UPLOAD_TEMPLATES, DEFAULT_UPLOAD_TYPE } from '../lib/uploadUtils.js';
+import { buildValidationCsv } from '../lib/uploadValidation.js';
+import { UPLOAD_JOB, previewUpload } from '../workers/uploadWorker.js';
+import { enqueueJob } from '../lib/jobs/index.js';
 
 const storage = new Storage();
 const BUCKET_NAME = 'vsuite-objects';
 
-// POST /api/uploads/financial/analyze
+const MAX_PREVIEW_ROWS = 1000;
+
+// POST /api/uploads/financial/analyze?type=FinancialTemplateV1|BudgetTemplateV1
 export async function analyzeUpload(request, reply) {
-  const { companyId } = request.query;
+  const { companyId, type = DEFAULT_UPLOAD_TYPE } = request.query;
   if (!companyId) return reply.code(400).send({ error: 'companyId required' });
+  const template = UPLOAD_TEMPLATES[type];
+  if (!template) return reply.code(400).send({ error: `Unsupported upload type: ${type}`, supported: Object.keys(UPLOAD_TEMPLATES) });
 
-  const data = await request.file();
+  const data = await request.file({ limits: { fileSize: MAX_UPLOAD_BYTES }, throwFileSizeLimit: false });
   if (!data) return reply.code(400).send({ error: 'No file uploaded' });
 
+  const ext = uploadExtension(data.filename);
+  if (!UPLOAD_SIZE_LIMITS[ext]) {
+    return reply.code(400).send({ error: 'Unsupported file format', supported: Object.keys(UPLOAD_SIZE_LIMITS) });
+  }
+
   const uploadId = `upl_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  const ext = data.filename.split('.').pop();
   const storagePath = `uploads/${companyId}/${uploadId}.${ext}`;
 
-  // Upload to GCS
+  // Stream to GCS without holding the file in memory
   const bucket = storage.bucket(BUCKET_NAME);
   const file = bucket.file(storagePath);
-  const buffer = await data.toBuffer();
-  await file.save(buffer);
+  const limiter = createSizeLimiter(ext);
+  try {
+    await pipeline(data.file, limiter, file.createWriteStream({ resumable: false }));
+    // The multipart parser stops at MAX_UPLOAD_BYTES without an error
+    if (data.file.truncated) throw fileTooLargeError(ext);
+  } catch (err) {
+    if (err.code !== 'file_too_large') throw err;
+    await file.delete({ ignoreNotFound: true });
+    return reply.code(413).send({ error: err.message, maxBytes: UPLOAD_SIZE_LIMITS[ext] });
+  }
+
+  // Parse headers and samples of every sheet
+  const { sheets, columns, options } = await parseFileHeaders(() => file.createReadStream(), data.filename);
 
-  // Create Upload record
+  // Create Upload record; the sheet list lets the commit check and default its options
   await db.collection('uploads').doc(uploadId).set({
     id: uploadId,
     tenantId: companyId,
-    type: 'FinancialTemplateV1',
+    type,
     filename: data.filename,
     storagePath,
+    sizeBytes: limiter.bytes,
+    sheets: sheets.map(({ name, headerRow, labelCount, hasData }) => ({ name, headerRow, labelCount, hasData })),
     status: 'pending',
     createdAt: new Date()
   });
 
-  // Parse headers and samples
-  const { columns, options } = await parseFileHeaders(buffer, data.filename);
-
   // Get existing mapping if any
   const mappingSnap = await db.collection('uploadMappings')
     .where('tenantId', '==', companyId)
-    .where('type', '==', 'FinancialTemplateV1')
+    .where('type', '==', type)
     .limit(1)
     .get();
 
@@ -49,23 +70,27 @@ export async function analyzeUpload(request, reply) {
   if (!mappingSnap.empty) {
     suggestedMappingResult = mappingSnap.docs[0].data().mapping;
   } else {
-    suggestedMappingResult = await suggestMapping(columns.map(c => c.name));
+    suggestedMappingResult = await suggestMapping(columns.map(c => c.name), type);
   }
 
   reply.send({
     uploadId,
+    type,
+    sheets,
     columns,
     suggestedMapping: suggestedMappingResult,
-    requiredFields: ['month', 'revenue'],
+    fields: Object.keys(template.fields),
+    requiredFields: template.requiredFields,
     optionsDefaults: options
   });
 }
 
 // POST /api/uploads/financial/commit
+// dryRun: true validates the first DRY_RUN_MAX_ROWS rows and returns a preview without importing or saving the mapping
 export async function commitUpload(request, reply) {
   const { companyId } = request.query;
   if (!companyId) return reply.code(400).send({ error: 'companyId required' });
-  const { uploadId, mapping, options } = request.body;
+  const { uploadId, mapping, dryRun = false, previewRows = 100 } = request.body;
 
   if (!uploadId || !mapping) {
     return reply.code(400).send({ error: 'uploadId and mapping required' });
@@ -81,21 +106,49 @@ export async function commitUpload(request, reply) {
     return reply.code(400).send({ error: 'Upload already processed' });
   }
 
+  // Uploads analyzed before budget uploads existed carry no type
+  const type = uploadDoc.data().type || DEFAULT_UPLOAD_TYPE;
+  const { requiredFields } = UPLOAD_TEMPLATES[type];
+
   // Validate required fields
-  if (mapping.month == null || mapping.revenue == null) {
-    return reply.code(400).send({ error: 'month and revenue mapping required' });
+  const missing = requiredFields.filter(field => mapping[field] == null);
+  if (missing.length) {
+    return reply.code(400).send({ error: `${requiredFields.join(' and ')} mapping required`, missing });
+  }
+
+  const { options, error } = resolveUploadOptions(request.body.options || {}, uploadDoc.data().sheets);
+  if (error) return reply.code(400).send({ error });
+
+  if (dryRun) {
+    const limit = Number(previewRows);
+    if (!Number.isInteger(limit) || limit < 0 || limit > MAX_PREVIEW_ROWS) {
+      return reply.code(400).send({ error: `previewRows must be an integer between 0 and ${MAX_PREVIEW_ROWS}` });
+    }
+
+    const { rows, report } = await previewUpload(uploadDoc.data(), mapping, options, { previewRows: limit });
+    // Kept on the upload so the error CSV can be downloaded
+    await db.collection('uploads').doc(uploadId).update({ validation: { ...report, dryRun: true } });
+
+    return reply.send({
+      uploadId,
+      type,
+      dryRun: true,
+      rows,
+      report,
+      errorCsvUrl: `/api/uploads/${uploadId}/errors.csv?companyId=${encodeURIComponent(companyId)}`
+    });
   }
 
   // Save/update mapping
   const mappingSnap = await db.collection('uploadMappings')
     .where('tenantId', '==', companyId)
-    .where('type', '==', 'FinancialTemplateV1')
+    .where('type', '==', type)
     .limit(1)
     .get();
 
   const mappingData = {
     tenantId: companyId,
-    type: 'FinancialTemplateV1',
+    type,
     mapping,
     options,
     updatedAt: new Date()
@@ -108,12 +161,10 @@ export async function commitUpload(request, reply) {
     await db.collection('uploadMappings').doc(mappingSnap.docs[0].id).update(mappingData);
   }
 
-  // Process upload (async)
-  processUpload(uploadId, mapping, options).catch(err => {
-    console.error('Upload processing error:', err);
-  });
+  const jobId = await enqueueJob(UPLOAD_JOB, { uploadId, mapping, options });
+  await db.collection('uploads').doc(uploadId).update({ status: 'queued', jobId });
 
-  reply.send({ uploadId, status: 'queued' });
+  reply.send({ uploadId, type, jobId, status: 'queued' });
 }
 
 // GET /api/uploads/:uploadId
@@ -132,8 +183,37 @@ export async function getUploadStatus(request, reply) {
     id: data.id,
     type: data.type,
     status: data.status,
+    jobId: data.jobId || null,
+    entities: data.entities || null,
+    progress: data.progress || null,
+    validation: data.validation ? summarizeValidation(data.validation) : null,
     rowCount: data.rowCount || null,
     errorMessage: data.errorMessage || null,
     processedAt: data.processedAt || null
   });
 }
+
+// Counts only; the issues themselves are in the error CSV
+function summarizeValidation({ issues, ...summary }) {
+  return { ...summary, issueCount: issues.length };
+}
+
+// GET /api/uploads/:uploadId/errors.csv
+// Issues from the upload's latest validation: the last dry run, or the import once it finished
+export async function getUploadErrorsCsv(request, reply) {
+  const { uploadId } = request.params;
+  const { companyId } = request.query;
+  if (!companyId) return reply.code(400).send({ error: 'companyId required' });
+
+  const doc = await db.collection('uploads').doc(uploadId).get();
+  if (!doc.exists || doc.data().tenantId !== companyId) {
+    return reply.code(404).send({ error: 'Upload not found' });
+  }
+  const { validation } = doc.data();
+  if (!validation) return reply.code(404).send({ error: 'Upload has not been validated yet' });
+
+  reply
+    .header('Content-Disposition', `attachment; filename="${uploadId}-errors.csv"`)
+    .type('text/csv; charset=utf-8')
+    .send(buildValidationCsv(validation));
+}
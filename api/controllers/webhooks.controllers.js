@@ -0,0 +1,89 @@
+import { findConnectionsByExternalId } from '../lib/connections.js';
+import { enqueueWebhookSyncRun, enqueueSyncRunJob } from '../lib/syncRuns.js';
+import { trailingMonthRange } from '../lib/financialSnapshots.js';
+import { verifyWebhookSignature, parseQuickBooksNotification, parseXeroNotification } from '../lib/webhooks.js';
+import { QUICKBOOKS_SYNC_JOB } from '../workers/quickbooksSyncWorker.js';
+import { XERO_SYNC_JOB } from '../workers/xeroSyncWorker.js';
+
+// Notifications that land while a run waits out the debounce are merged into it, so a burst of
+// changes triggers one re-sync per connection
+const WEBHOOK_DEBOUNCE_MS = Number(process.env.WEBHOOK_DEBOUNCE_MS) || 5000;
+
+// Queue an incremental re-sync for every connection linked to the external account
+async function enqueueForConnections({ provider, externalId, entities, details, job }) {
+  const connections = await findConnectionsByExternalId(provider, externalId);
+  const { startMonth, endMonth } = trailingMonthRange(Number(process.env.WEBHOOK_SYNC_MONTHS) || 12);
+
+  const queued = [];
+  for (const connection of connections) {
+    if (!connection.data.companyId || connection.data.status === 'needs_reauth') continue;
+
+    const { syncRunId, coalesced } = await enqueueWebhookSyncRun({
+      provider,
+      tenantId: connection.data.companyId,
+      userId: connection.data.userId,
+      connectionId: connection.id,
+      changedEntities: entities,
+      startMonth,
+      endMonth,
+      debounceMs: WEBHOOK_DEBOUNCE_MS,
+      ...details
+    });
+    // A delayed job instead of a timer, so the run still starts if this instance goes away
+    if (!coalesced) await enqueueSyncRunJob(job, syncRunId, { delayMs: WEBHOOK_DEBOUNCE_MS });
+    queued.push({ connectionId: connection.id, syncRunId, coalesced });
+  }
+  return queued;
+}
+
+export const quickbooksWebhook = async (req, reply) => {
+  try {
+    const secret = process.env.QUICKBOOKS_WEBHOOK_VERIFIER_TOKEN;
+    if (!secret) return reply.code(503).send({ error: 'QuickBooks webhooks are not configured' });
+    if (!verifyWebhookSignature(secret, req.rawBody, req.headers['intuit-signature'])) {
+      return reply.code(401).send({ error: 'Invalid signature' });
+    }
+
+    const queued = [];
+    for (const { realmId, entities } of parseQuickBooksNotification(req.body)) {
+      queued.push(...await enqueueForConnections({
+        provider: 'quickbooks',
+        externalId: realmId,
+        entities,
+        details: { realmId },
+        job: QUICKBOOKS_SYNC_JOB
+      }));
+    }
+
+    return reply.code(200).send({ received: true, queued });
+  } catch (e) {
+    req.log.error(e, 'QuickBooks webhook error');
+    return reply.code(500).send({ error: 'Failed to process QuickBooks webhook', details: e.message });
+  }
+};
+
+// Xero's intent-to-receive check sends signed and mis-signed payloads and expects 200 / 401 with empty bodies
+export const xeroWebhook = async (req, reply) => {
+  try {
+    const secret = process.env.XERO_WEBHOOK_KEY;
+    if (!secret) return reply.code(503).send();
+    if (!verifyWebhookSignature(secret, req.rawBody, req.headers['x-xero-signature'])) {
+      return reply.code(401).send();
+    }
+
+    for (const { tenantId, entities } of parseXeroNotification(req.body)) {
+      await enqueueForConnections({
+        provider: 'xero',
+        externalId: tenantId,
+        entities,
+        details: { xeroTenantId: tenantId },
+        job: XERO_SYNC_JOB
+      });
+    }
+
+    return reply.code(200).send();
+  } catch (e) {
+    req.log.error(e, 'Xero webhook error');
+    return reply.code(500).send();
+  }
+};
@@ -1,45 +1,25 @@
 import { db } from '../firestore.js';
-import { XeroClient } from 'xero-node';
-
-const XERO_SCOPES = (
-  process.env.XERO_SCOPES || [
-    'offline_access',
-    'accounting.settings.read',
-    'accounting.contacts.read',
-    'accounting.transactions',
-    'accounting.reports.read'
-  ].join(' ')
-);
-
-function createXeroClient(state = null) {
-  const clientId = process.env.XERO_CLIENT_ID;
-  const clientSecret = process.env.XERO_CLIENT_SECRET;
-  const redirectUri = `${process.env.BASE_URL}/api/integrations/xero/callback`;
-
-  if (!clientId || !clientSecret || !redirectUri) {
-    throw new Error('Missing Xero OAuth env vars (XERO_CLIENT_ID, XERO_CLIENT_SECRET, XERO_REDIRECT_URI)');
-  }
+import { createXeroClient, getXeroAccessToken, getXeroContext, revokeXeroConnection } from '../lib/xero.js';
+import { getConnectionSelector, findConnection, connectionStatus, saveConnection } from '../lib/connections.js';
+import { disconnectIntegration } from '../lib/disconnect.js';
 
-  const config = {
-    clientId,
-    clientSecret,
-    redirectUris: [redirectUri],
-    scopes: XERO_SCOPES.split(/\s+/)
-  };
+import { createSyncRun, getSyncRun, resolveSyncWindow, enqueueSyncRunJob } from '../lib/syncRuns.js';
+import {
+  XERO_CATEGORIES,
+  defaultXeroCategory,
+  getXeroAccountOverrides,
+  resolveXeroCategory,
+  XERO_SYNC_JOB
+} from '../workers/xeroSyncWorker.js';
 
-  // Include state if provided
-  if (state) {
-    config.state = state;
-  }
-
-  return new XeroClient(config);
-}
+export { getXeroAccessToken };
 
 export const xeroConnect = async (req, reply) => {
   const userId = req.user?.id;
-  const companyId = req.query?.companyId;
+  const companyId = req.user?.companyId;
   try {
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
+    if (!companyId) return reply.code(400).send({ error: 'companyId required' });
 
     const state = await req.server.jwt.sign({ userId, companyId }, { expiresIn: '10m' });
     
@@ -96,122 +76,71 @@ export const xeroCallback = async (req, reply) => {
     const xero = createXeroClient(state);
     await xero.apiCallback(fullUrl);
     await xero.updateTenants();
-    const tenant = xero.tenants?.[0];
+    const tenants = xero.tenants || [];
 
     const tokens = xero.readTokenSet();
     const expiresAt = tokens.expires_at ? new Date(tokens.expires_at).getTime() : (Date.now() + (tokens.expires_in || 0) * 1000);
 
-    if (companyId) {
-      const companyDoc = await db.collection('companies').doc(companyId).get();
-      companyData = companyDoc.data();
-    }
-
     if (userId) {
       const userDoc = await db.collection('users').doc(userId).get();
       userData = userDoc.data();
     }
 
-    const docRef = db.collection('xero_connections').doc(userId);
-    await docRef.set({
-      userId,
-      user: userData || null,
-      companyId: companyId || null,
-      company: companyData || null,
-      tenantId: tenant?.tenantId || null,
-      tenantName: tenant?.tenantName || null,
-      idToken: tokens.id_token || null,
-      accessToken: tokens.access_token,
-      refreshToken: tokens.refresh_token,
-      expiresAt,
-      createdAt: new Date(),
-      updatedAt: new Date()
-    });
+    // State may be missing; fall back to the user's own company
+    companyId = companyId || userData?.companyId;
+    if (!companyId) return reply.code(400).send({ error: 'Unable to identify company for Xero connection' });
+
+    const companyDoc = await db.collection('companies').doc(companyId).get();
+    companyData = companyDoc.data() || null;
+
+    // One consent can authorize several organisations; each becomes its own connection
+    const connectionIds = [];
+    for (const tenant of tenants) {
+      connectionIds.push(await saveConnection('xero', {
+        companyId,
+        userId,
+        externalId: tenant.tenantId,
+        user: userData || null,
+        company: companyData,
+        tenantId: tenant.tenantId,
+        tenantName: tenant.tenantName || null,
+        idToken: tokens.id_token || null,
+        accessToken: tokens.access_token,
+        refreshToken: tokens.refresh_token,
+        expiresAt
+      }));
+    }
 
-    return reply.redirect(`${process.env.FRONTEND_URL}/dashboard/settings?integration=xero&status=connected&tenant=${tenant}`, 302);
+    return reply.redirect(`${process.env.FRONTEND_URL}/dashboard/settings?integration=xero&status=connected&tenant=${tenants[0]?.tenantId || ''}&connectionIds=${connectionIds.join(',')}`, 302);
   } catch (e) {
     req.log.error(e, 'Xero callback error');
     return reply.code(500).send({ error: 'Failed to complete Xero OAuth', details: e.message });
   }
 };
 
-export const getXeroAccessToken = async ({ userId }) => {
-  const snap = await db.collection('xero_connections').where('userId', '==', userId).limit(1).get();
-  if (snap.empty) throw new Error('No Xero connection found');
-  const data = snap.docs[0].data();
-
-  const xero = createXeroClient();
-  await xero.initialize();
-  xero.setTokenSet({
-    access_token: data.accessToken,
-    refresh_token: data.refreshToken,
-    id_token: data.idToken || undefined,
-    token_type: 'Bearer',
-    expires_in: Math.max(0, Math.floor((data.expiresAt - Date.now()) / 1000))
-  });
-
-  if (Date.now() > (data.expiresAt - 60000)) {
-    const newTokens = await xero.refreshToken();
-    const expiresAt = newTokens.expires_at ? new Date(newTokens.expires_at).getTime() : (Date.now() + (newTokens.expires_in || 0) * 1000);
-    await snap.docs[0].ref.update({
-      accessToken: newTokens.access_token,
-      refreshToken: newTokens.refresh_token || data.refreshToken,
-      idToken: newTokens.id_token || data.idToken || null,
-      expiresAt,
-      updatedAt: new Date()
-    });
-    return newTokens.access_token;
-  }
-
-  return data.accessToken;
-};
+export const xeroDisconnect = async (req, reply) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
 
+    const connection = await findConnection('xero', getConnectionSelector(req));
+    if (!connection) return reply.code(200).send({ status: 'disconnected' });
 
-// Build an authenticated Xero client and resolve tenantId for the current user
-async function getXeroContext(userId) {
-  const snap = await db.collection('xero_connections').where('userId', '==', userId).limit(1).get();
-  if (snap.empty) throw new Error('No Xero connection found');
-  const data = snap.docs[0].data();
-
-  const xero = createXeroClient();
-  await xero.initialize();
-  xero.setTokenSet({
-    access_token: data.accessToken,
-    refresh_token: data.refreshToken,
-    id_token: data.idToken || undefined,
-    token_type: 'Bearer',
-    expires_in: Math.max(0, Math.floor((data.expiresAt - Date.now()) / 1000))
-  });
-
-  if (Date.now() > (data.expiresAt - 60000)) {
-    const newTokens = await xero.refreshToken();
-    const expiresAt = newTokens.expires_at ? new Date(newTokens.expires_at).getTime() : (Date.now() + (newTokens.expires_in || 0) * 1000);
-    await snap.docs[0].ref.update({
-      accessToken: newTokens.access_token,
-      refreshToken: newTokens.refresh_token || data.refreshToken,
-      idToken: newTokens.id_token || data.idToken || null,
-      expiresAt,
-      updatedAt: new Date()
-    });
-    xero.setTokenSet({
-      access_token: newTokens.access_token,
-      refresh_token: newTokens.refresh_token || data.refreshToken,
-      id_token: newTokens.id_token || data.idToken || undefined,
-      token_type: 'Bearer',
-      expires_in: Math.max(0, Math.floor((expiresAt - Date.now()) / 1000))
-    });
+    const retainData = req.body?.retainData === true || req.query?.retainData === 'true';
+    const result = await disconnectIntegration('xero', connection, { userId, retainData, revoke: revokeXeroConnection });
+    return reply.code(200).send({ status: 'disconnected', ...result });
+  } catch (e) {
+    req.log.error(e, 'Xero disconnect error');
+    return reply.code(500).send({ error: 'Failed to disconnect Xero', details: e.message });
   }
-
-  const tenantId = data.tenantId;
-  if (!tenantId) throw new Error('Missing tenantId for Xero connection');
-  return { xero, tenantId };
-}
+};
 
 // ---- Core data fetchers ----
 export const getAccounts = async (req, reply) => {
   try {
     const userId = req.user?.id;
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
-    const { xero, tenantId } = await getXeroContext(userId);
+    const { xero, tenantId } = await getXeroContext(getConnectionSelector(req));
     const res = await xero.accountingApi.getAccounts(tenantId);
     return reply.code(200).send({ accounts: res.body?.accounts || [] });
   } catch (e) {
@@ -225,7 +154,7 @@ export const getContacts = async (req, reply) => {
     const userId = req.user?.id;
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
     const page = Number(req.query?.page) || 1;
-    const { xero, tenantId } = await getXeroContext(userId);
+    const { xero, tenantId } = await getXeroContext(getConnectionSelector(req));
     const res = await xero.accountingApi.getContacts(tenantId, undefined, undefined, undefined, undefined, page);
     return reply.code(200).send({ contacts: res.body?.contacts || [], page });
   } catch (e) {
@@ -239,7 +168,7 @@ export const getItems = async (req, reply) => {
     const userId = req.user?.id;
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
     const page = Number(req.query?.page) || 1;
-    const { xero, tenantId } = await getXeroContext(userId);
+    const { xero, tenantId } = await getXeroContext(getConnectionSelector(req));
     const res = await xero.accountingApi.getItems(tenantId, undefined, undefined, page);
     return reply.code(200).send({ items: res.body?.items || [], page });
   } catch (e) {
@@ -260,7 +189,7 @@ export const getInvoices = async (req, reply) => {
     const whereParts = [`Type=="${type}"`];
     const where = whereParts.join(' && ');
 
-    const { xero, tenantId } = await getXeroContext(userId);
+    const { xero, tenantId } = await getXeroContext(getConnectionSelector(req));
     const statuses = status ? [status] : undefined;
     const res = await xero.accountingApi.getInvoices(tenantId, undefined, where, undefined, undefined, undefined, undefined, statuses, page);
     return reply.code(200).send({ invoices: res.body?.invoices || [], page, type, status: status || null });
@@ -275,7 +204,7 @@ export const getPayments = async (req, reply) => {
     const userId = req.user?.id;
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
     const page = Number(req.query?.page) || 1;
-    const { xero, tenantId } = await getXeroContext(userId);
+    const { xero, tenantId } = await getXeroContext(getConnectionSelector(req));
     const res = await xero.accountingApi.getPayments(tenantId, undefined, undefined, page);
     return reply.code(200).send({ payments: res.body?.payments || [], page });
   } catch (e) {
@@ -289,7 +218,7 @@ export const getJournals = async (req, reply) => {
     const userId = req.user?.id;
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
     const page = Number(req.query?.page) || 1;
-    const { xero, tenantId } = await getXeroContext(userId);
+    const { xero, tenantId } = await getXeroContext(getConnectionSelector(req));
     const res = await xero.accountingApi.getJournals(tenantId, undefined, undefined, page);
     return reply.code(200).send({ journals: res.body?.journals || [], page });
   } catch (e) {
@@ -303,18 +232,19 @@ export const getXeroConnectionStatus = async (req, reply) => {
     const userId = req.user?.id;
     if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
     
-    const snap = await db.collection('xero_connections').where('userId', '==', userId).limit(1).get();
+    const connection = await findConnection('xero', getConnectionSelector(req));
     
-    if (snap.empty) {
+    if (!connection) {
       return reply.code(200).send({ connected: false, status: 'not_connected' });
     }
     
-    const data = snap.docs[0].data();
-    const isExpired = Date.now() >= data.expiresAt;
-    
+    const { data } = connection;
     return reply.code(200).send({
       connected: true,
-      status: isExpired ? 'expired' : 'active',
+      status: connectionStatus(data),
+      reauthReason: data.reauthReason || null,
+      connectionId: connection.id,
+      connectedBy: data.userId,
       expiresAt: data.expiresAt,
       createdAt: data.createdAt,
       tenantId: data.tenantId,
@@ -328,4 +258,122 @@ export const getXeroConnectionStatus = async (req, reply) => {
   }
 };
 
+// ---- Financial snapshot ingestion ----
+export const syncXeroFinancials = async (req, reply) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
+
+    const connection = await findConnection('xero', getConnectionSelector(req));
+    if (!connection) return reply.code(404).send({ error: 'No Xero connection found' });
+
+    const companyId = connection.data.companyId || req.user?.companyId;
+    if (!companyId) return reply.code(400).send({ error: 'companyId required' });
+
+    const range = resolveSyncWindow(req.body || {});
+    if (!range) {
+      return reply.code(400).send({ error: 'startMonth and endMonth must be YYYY-MM with startMonth <= endMonth' });
+    }
+    const mappingVersion = req.body?.mappingVersion != null ? Number(req.body.mappingVersion) : null;
+    if (mappingVersion !== null && !(Number.isInteger(mappingVersion) && mappingVersion > 0)) {
+      return reply.code(400).send({ error: 'mappingVersion must be a positive integer' });
+    }
+
+    const syncRunId = await createSyncRun({
+      provider: 'xero',
+      tenantId: companyId,
+      userId,
+      connectionId: connection.id,
+      xeroTenantId: connection.data.tenantId || null,
+      ...range,
+      mappingVersion,
+      trigger: 'manual'
+    });
+
+    const jobId = await enqueueSyncRunJob(XERO_SYNC_JOB, syncRunId);
+
+    return reply.code(202).send({ syncRunId, jobId, status: 'queued', ...range });
+  } catch (e) {
+    req.log.error(e, 'Xero syncXeroFinancials error');
+    return reply.code(500).send({ error: 'Failed to start Xero sync', details: e.message });
+  }
+};
+
+export const getXeroSyncRun = async (req, reply) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
+
+    const { companyId } = getConnectionSelector(req);
+    const run = await getSyncRun(req.params.syncRunId);
+    if (!run || run.provider !== 'xero' || (run.tenantId !== companyId && run.userId !== userId)) {
+      return reply.code(404).send({ error: 'Sync run not found' });
+    }
+    return reply.code(200).send(run);
+  } catch (e) {
+    req.log.error(e, 'Xero getXeroSyncRun error');
+    return reply.code(500).send({ error: 'Failed to fetch Xero sync run', details: e.message });
+  }
+};
 
+// Accounts with their default and effective snapshot category for the company
+export const getXeroAccountMappings = async (req, reply) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
+    const companyId = req.user?.companyId;
+    if (!companyId) return reply.code(400).send({ error: 'companyId required' });
+
+    const { xero, tenantId } = await getXeroContext(getConnectionSelector(req));
+    const [res, overrides] = await Promise.all([
+      xero.accountingApi.getAccounts(tenantId),
+      getXeroAccountOverrides(companyId)
+    ]);
+
+    const accounts = (res.body?.accounts || []).map(a => ({
+      accountID: a.accountID,
+      code: a.code || null,
+      name: a.name,
+      type: a.type,
+      class: a._class || null,
+      systemAccount: a.systemAccount || null,
+      defaultCategory: defaultXeroCategory(a),
+      category: resolveXeroCategory(a, overrides)
+    }));
+
+    return reply.code(200).send({ accounts, overrides, categories: XERO_CATEGORIES });
+  } catch (e) {
+    req.log.error(e, 'Xero getXeroAccountMappings error');
+    return reply.code(500).send({ error: 'Failed to fetch Xero account mappings', details: e.message });
+  }
+};
+
+export const updateXeroAccountMappings = async (req, reply) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) return reply.code(401).send({ error: 'Unauthorized' });
+    const companyId = req.user?.companyId;
+    if (!companyId) return reply.code(400).send({ error: 'companyId required' });
+
+    const overrides = req.body?.overrides;
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      return reply.code(400).send({ error: 'overrides object required' });
+    }
+    const invalid = Object.entries(overrides).filter(([, category]) => !XERO_CATEGORIES.includes(category));
+    if (invalid.length) {
+      return reply.code(400).send({ error: 'Invalid categories', invalid: invalid.map(([key]) => key), categories: XERO_CATEGORIES });
+    }
+
+    await db.collection('xeroAccountMappings').doc(companyId).set({
+      tenantId: companyId,
+      overrides,
+      updatedBy: userId,
+      updatedAt: new Date()
+    });
+
+    return reply.code(200).send({ overrides });
+  } catch (e) {
+    req.log.error(e, 'Xero updateXeroAccountMappings error');
+    return reply.code(500).send({ error: 'Failed to update Xero account mappings', details: e.message });
+  }
+};
@@ -0,0 +1,43 @@
+import { CONNECTION_PROVIDERS, connectionsCollection } from './lib/connections.js';
+import { TOKEN_FIELDS, getKeyProvider, isEncryptedValue, encryptValue, rewrapValue } from './lib/tokenCrypto.js';
+
+// Encrypts plaintext OAuth tokens on every stored connection (migration for records written before encryption).
+// With --rotate, also re-wraps data keys that are not under the current primary key; load old and new keys
+// (TOKEN_ENCRYPTION_KEYS="new:...,old:..." or both in TOKEN_KEY_FILE) before rotating.
+async function main() {
+	const rotate = process.argv.includes('--rotate');
+	const primaryKeyId = await getKeyProvider().getPrimaryKeyId();
+	const results = [];
+
+	for (const provider of CONNECTION_PROVIDERS) {
+		const snap = await connectionsCollection(provider).get();
+		for (const doc of snap.docs) {
+			const data = doc.data();
+			const update = {};
+			let encrypted = 0;
+			let rewrapped = 0;
+
+			for (const field of TOKEN_FIELDS) {
+				const value = data[field];
+				if (value == null) continue;
+				if (!isEncryptedValue(value)) {
+					update[field] = await encryptValue(value);
+					encrypted++;
+				} else if (rotate && value.keyId !== primaryKeyId) {
+					update[field] = await rewrapValue(value);
+					rewrapped++;
+				}
+			}
+
+			if (!encrypted && !rewrapped) continue;
+			await doc.ref.update(update);
+			results.push({ provider, connection: doc.id, encrypted, rewrapped });
+		}
+	}
+
+	console.table(results);
+	console.log(`\nToken encryption complete (${results.length} connections updated, primary key ${primaryKeyId}).`);
+	process.exit(0);
+}
+
+main().catch(e => { console.error('Token encryption failed:', e); process.exit(1); });
@@ -0,0 +1,164 @@
+import { getNetsuiteContext, runSuiteQl, buildSuiteQlQuery, normalizeNsRecord } from '../../netsuite.js';
+import { Account, Customer, Vendor, Invoice, Bill, Payment, JournalEntry, Item } from '../model.js';
+
+const provider = 'netsuite';
+
+const ACCOUNT_TYPE = {
+  Bank: 'asset',
+  AcctRec: 'asset',
+  OthCurrAsset: 'asset',
+  FixedAsset: 'asset',
+  OthAsset: 'asset',
+  UnbilledRec: 'asset',
+  DeferExpense: 'asset',
+  AcctPay: 'liability',
+  CredCard: 'liability',
+  OthCurrLiab: 'liability',
+  LongTermLiab: 'liability',
+  DeferRevenue: 'liability',
+  Equity: 'equity',
+  Income: 'revenue',
+  OthIncome: 'revenue',
+  COGS: 'expense',
+  Expense: 'expense',
+  OthExpense: 'expense'
+};
+
+// Transaction status letters shared by invoices and vendor bills
+const DOCUMENT_STATUS = {
+  A: 'open',
+  B: 'paid',
+  V: 'void'
+};
+
+// Reuses the sync worker's SuiteQL projections so live reads and synced records normalize identically
+async function queryRecords(ctx, recordType, { page, limit }) {
+  const data = await runSuiteQl({ ...ctx, query: buildSuiteQlQuery(recordType), limit, offset: (page - 1) * limit });
+  return {
+    records: (data?.items || []).map(item => normalizeNsRecord(recordType, item)),
+    hasMore: Boolean(data?.hasMore)
+  };
+}
+
+async function queryJournalLines(ctx, transactionIds) {
+  if (!transactionIds.length) return new Map();
+  const ids = transactionIds.map(Number).filter(Number.isFinite).join(', ');
+  const query = `SELECT transaction, account, BUILTIN.DF(account) AS accountname, memo, debitforeignamount, creditforeignamount FROM transactionline WHERE transaction IN (${ids}) ORDER BY transaction, id`;
+
+  const byTransaction = new Map();
+  let offset = 0;
+  for (;;) {
+    const data = await runSuiteQl({ ...ctx, query, offset });
+    for (const line of data?.items || []) {
+      const key = String(line.transaction);
+      if (!byTransaction.has(key)) byTransaction.set(key, []);
+      byTransaction.get(key).push({
+        accountId: line.account,
+        accountName: line.accountname,
+        description: line.memo,
+        debit: line.debitforeignamount,
+        credit: line.creditforeignamount
+      });
+    }
+    if (!data?.hasMore || !(data?.items || []).length) break;
+    offset += data.items.length;
+  }
+  return byTransaction;
+}
+
+const contactFields = (r) => ({
+  provider,
+  externalId: r.netsuiteId,
+  name: r.name || r.entityId,
+  email: r.email,
+  active: !r.inactive,
+  updatedAt: r.lastModified
+});
+
+const documentFields = (r) => ({
+  provider,
+  externalId: r.netsuiteId,
+  number: r.number,
+  contactId: r.entityId,
+  issueDate: r.date,
+  dueDate: r.dueDate,
+  status: DOCUMENT_STATUS[r.status] || null,
+  currency: r.currencyId != null ? String(r.currencyId) : null,
+  total: r.total,
+  updatedAt: r.lastModified
+});
+
+const paymentFields = (r, direction) => ({
+  provider,
+  externalId: r.netsuiteId,
+  direction,
+  date: r.date,
+  amount: r.total,
+  currency: r.currencyId != null ? String(r.currencyId) : null,
+  contactId: r.entityId,
+  reference: r.number,
+  updatedAt: r.lastModified
+});
+
+function mapPage(page, mapper) {
+  return { records: page.records.map(mapper), hasMore: page.hasMore };
+}
+
+export const netsuiteAdapter = {
+  provider,
+  createContext: async (selector) => {
+    const { accessToken, suiteQlUrl } = await getNetsuiteContext(selector);
+    return { accessToken, suiteQlUrl };
+  },
+  list: {
+    accounts: async (ctx, opts) => mapPage(await queryRecords(ctx, 'account', opts), r => Account({
+      provider,
+      externalId: r.netsuiteId,
+      code: r.number,
+      name: r.name,
+      type: ACCOUNT_TYPE[r.type] || null,
+      subtype: r.type,
+      active: !r.inactive,
+      updatedAt: r.lastModified
+    })),
+    customers: async (ctx, opts) => mapPage(await queryRecords(ctx, 'customer', opts), r => Customer(contactFields(r))),
+    vendors: async (ctx, opts) => mapPage(await queryRecords(ctx, 'vendor', opts), r => Vendor(contactFields(r))),
+    invoices: async (ctx, opts) => mapPage(await queryRecords(ctx, 'invoice', opts), r => Invoice(documentFields(r))),
+    bills: async (ctx, opts) => mapPage(await queryRecords(ctx, 'vendorBill', opts), r => Bill(documentFields(r))),
+    payments: async (ctx, opts) => {
+      const [received, paid] = await Promise.all([
+        queryRecords(ctx, 'customerPayment', opts),
+        queryRecords(ctx, 'vendorPayment', opts)
+      ]);
+      return {
+        records: [
+          ...received.records.map(r => Payment(paymentFields(r, 'received'))),
+          ...paid.records.map(r => Payment(paymentFields(r, 'paid')))
+        ],
+        hasMore: received.hasMore || paid.hasMore
+      };
+    },
+    journalEntries: async (ctx, opts) => {
+      const page = await queryRecords(ctx, 'journalEntry', opts);
+      const lines = await queryJournalLines(ctx, page.records.map(r => r.netsuiteId));
+      return mapPage(page, r => JournalEntry({
+        provider,
+        externalId: r.netsuiteId,
+        number: r.number,
+        date: r.date,
+        memo: r.memo,
+        lines: lines.get(r.netsuiteId) || [],
+        updatedAt: r.lastModified
+      }));
+    },
+    items: async (ctx, opts) => mapPage(await queryRecords(ctx, 'item', opts), r => Item({
+      provider,
+      externalId: r.netsuiteId,
+      sku: r.itemId,
+      name: r.name || r.itemId,
+      type: r.itemType,
+      active: !r.inactive,
+      updatedAt: r.lastModified
+    }))
+  }
+};
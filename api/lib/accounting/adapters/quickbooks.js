@@ -0,0 +1,155 @@
+import { getQbContext, getQbBaseUrl, qbAxiosGet } from '../../quickbooks.js';
+import { Account, Customer, Vendor, Invoice, Bill, Payment, JournalEntry, Item } from '../model.js';
+
+const provider = 'quickbooks';
+
+async function createContext(selector) {
+  const { oauthClient, realmId } = await getQbContext(selector);
+  return {
+    accessToken: oauthClient.getToken().access_token,
+    baseUrl: `${getQbBaseUrl(oauthClient.environment)}/v3/company/${realmId}`
+  };
+}
+
+// QuickBooks query paging is 1-based STARTPOSITION + MAXRESULTS
+async function query(ctx, entity, { page, limit }) {
+  const start = (page - 1) * limit + 1;
+  const q = encodeURIComponent(`select * from ${entity} STARTPOSITION ${start} MAXRESULTS ${limit}`);
+  const data = await qbAxiosGet({ accessToken: ctx.accessToken, url: `${ctx.baseUrl}/query?query=${q}` });
+  const records = data?.QueryResponse?.[entity] || [];
+  return { records, hasMore: records.length === limit };
+}
+
+function documentStatus(doc) {
+  if (doc.PrivateNote && /^voided/i.test(doc.PrivateNote)) return 'void';
+  return Number(doc.Balance) === 0 ? 'paid' : 'open';
+}
+
+function linkedTxnIds(lines, txnType) {
+  return (lines || []).flatMap(l => l.LinkedTxn || []).filter(t => t.TxnType === txnType).map(t => t.TxnId);
+}
+
+const toAccount = (a) => Account({
+  provider,
+  externalId: a.Id,
+  code: a.AcctNum || null,
+  name: a.Name,
+  type: (a.Classification || '').toLowerCase(),
+  subtype: a.AccountType || null,
+  currency: a.CurrencyRef?.value || null,
+  active: a.Active !== false,
+  updatedAt: a.MetaData?.LastUpdatedTime
+});
+
+const contactFields = (c) => ({
+  provider,
+  externalId: c.Id,
+  name: c.DisplayName || c.CompanyName || null,
+  email: c.PrimaryEmailAddr?.Address || null,
+  phone: c.PrimaryPhone?.FreeFormNumber || null,
+  currency: c.CurrencyRef?.value || null,
+  active: c.Active !== false,
+  updatedAt: c.MetaData?.LastUpdatedTime
+});
+
+const documentFields = (d, contactRef) => {
+  const tax = d.TxnTaxDetail?.TotalTax ?? null;
+  return {
+    provider,
+    externalId: d.Id,
+    number: d.DocNumber || null,
+    contactId: contactRef?.value,
+    contactName: contactRef?.name || null,
+    issueDate: d.TxnDate,
+    dueDate: d.DueDate,
+    status: documentStatus(d),
+    currency: d.CurrencyRef?.value || null,
+    subtotal: d.TotalAmt != null ? Number(d.TotalAmt) - Number(tax || 0) : null,
+    tax,
+    total: d.TotalAmt,
+    balance: d.Balance,
+    updatedAt: d.MetaData?.LastUpdatedTime
+  };
+};
+
+const toJournalEntry = (j) => JournalEntry({
+  provider,
+  externalId: j.Id,
+  number: j.DocNumber || null,
+  date: j.TxnDate,
+  memo: j.PrivateNote || null,
+  lines: (j.Line || []).filter(l => l.JournalEntryLineDetail).map(l => {
+    const detail = l.JournalEntryLineDetail;
+    const amount = Number(l.Amount) || 0;
+    return {
+      accountId: detail.AccountRef?.value,
+      accountName: detail.AccountRef?.name,
+      description: l.Description,
+      debit: detail.PostingType === 'Debit' ? amount : 0,
+      credit: detail.PostingType === 'Credit' ? amount : 0
+    };
+  }),
+  updatedAt: j.MetaData?.LastUpdatedTime
+});
+
+const toItem = (i) => Item({
+  provider,
+  externalId: i.Id,
+  sku: i.Sku || null,
+  name: i.Name,
+  type: i.Type || null,
+  unitPrice: i.UnitPrice,
+  active: i.Active !== false,
+  updatedAt: i.MetaData?.LastUpdatedTime
+});
+
+function mapPage(page, mapper) {
+  return { records: page.records.map(mapper), hasMore: page.hasMore };
+}
+
+export const quickbooksAdapter = {
+  provider,
+  createContext,
+  list: {
+    accounts: async (ctx, opts) => mapPage(await query(ctx, 'Account', opts), toAccount),
+    customers: async (ctx, opts) => mapPage(await query(ctx, 'Customer', opts), c => Customer(contactFields(c))),
+    vendors: async (ctx, opts) => mapPage(await query(ctx, 'Vendor', opts), v => Vendor(contactFields(v))),
+    invoices: async (ctx, opts) => mapPage(await query(ctx, 'Invoice', opts), d => Invoice(documentFields(d, d.CustomerRef))),
+    bills: async (ctx, opts) => mapPage(await query(ctx, 'Bill', opts), d => Bill(documentFields(d, d.VendorRef))),
+    // Customer payments (Payment) and vendor payments (BillPayment) are separate entities in QuickBooks
+    payments: async (ctx, opts) => {
+      const [received, paid] = await Promise.all([query(ctx, 'Payment', opts), query(ctx, 'BillPayment', opts)]);
+      return {
+        records: [
+          ...received.records.map(p => Payment({
+            provider,
+            externalId: p.Id,
+            direction: 'received',
+            date: p.TxnDate,
+            amount: p.TotalAmt,
+            currency: p.CurrencyRef?.value || null,
+            contactId: p.CustomerRef?.value,
+            reference: p.PaymentRefNum || null,
+            appliedTo: linkedTxnIds(p.Line, 'Invoice'),
+            updatedAt: p.MetaData?.LastUpdatedTime
+          })),
+          ...paid.records.map(p => Payment({
+            provider,
+            externalId: p.Id,
+            direction: 'paid',
+            date: p.TxnDate,
+            amount: p.TotalAmt,
+            currency: p.CurrencyRef?.value || null,
+            contactId: p.VendorRef?.value,
+            reference: p.DocNumber || null,
+            appliedTo: linkedTxnIds(p.Line, 'Bill'),
+            updatedAt: p.MetaData?.LastUpdatedTime
+          }))
+        ],
+        hasMore: received.hasMore || paid.hasMore
+      };
+    },
+    journalEntries: async (ctx, opts) => mapPage(await query(ctx, 'JournalEntry', opts), toJournalEntry),
+    items: async (ctx, opts) => mapPage(await query(ctx, 'Item', opts), toItem)
+  }
+};
@@ -0,0 +1,180 @@
+import {
+  getSalesforceContext,
+  SF_OBJECT_CANDIDATES,
+  chooseFirstExistingObject,
+  selectAvailableFields,
+  runSoql
+} from '../../salesforce.js';
+import { Account, Customer, Vendor, Invoice, Bill, Payment, JournalEntry, Item } from '../model.js';
+
+const provider = 'salesforce';
+
+// SOQL OFFSET is capped at 2000 rows
+const MAX_OFFSET = 2000;
+
+function pageClause({ page, limit }) {
+  const offset = (page - 1) * limit;
+  if (offset > MAX_OFFSET) throw new Error(`Salesforce paging is limited to ${MAX_OFFSET} rows; narrow the request`);
+  return `LIMIT ${limit + 1} OFFSET ${offset}`;
+}
+
+// Fetch one extra row to detect a following page
+function toPage(records, { limit }, mapper) {
+  return { records: records.slice(0, limit).map(mapper), hasMore: records.length > limit };
+}
+
+async function queryAccounts(ctx, where, opts) {
+  const soql = `SELECT Id, Name, Type, Phone, LastModifiedDate FROM Account WHERE (${where}) ORDER BY Name ASC ${pageClause(opts)}`;
+  return (await runSoql(ctx, soql)).records;
+}
+
+// Accounting objects differ per org, so resolve the object and its available fields first
+async function queryAccountingObject(ctx, resource, desired, opts, orderBy = 'LastModifiedDate DESC') {
+  const objectName = await chooseFirstExistingObject(ctx, SF_OBJECT_CANDIDATES[resource]);
+  if (!objectName) return [];
+  const fields = await selectAvailableFields(ctx, objectName, desired);
+  const soql = `SELECT ${fields.join(', ')} FROM ${objectName} ORDER BY ${orderBy} ${pageClause(opts)}`;
+  return (await runSoql(ctx, soql)).records;
+}
+
+function documentStatus(status) {
+  const s = String(status || '').toLowerCase();
+  if (!s) return null;
+  if (s.includes('draft')) return 'draft';
+  if (s.includes('paid')) return 'paid';
+  if (s.includes('cancel') || s.includes('void')) return 'void';
+  return 'open';
+}
+
+function accountType(type) {
+  const t = String(type || '').toLowerCase();
+  if (t.includes('asset')) return 'asset';
+  if (t.includes('liab')) return 'liability';
+  if (t.includes('equity')) return 'equity';
+  if (t.includes('revenue') || t.includes('income')) return 'revenue';
+  if (t.includes('expense') || t.includes('cost')) return 'expense';
+  return null;
+}
+
+const contactFields = (a) => ({
+  provider,
+  externalId: a.Id,
+  name: a.Name,
+  phone: a.Phone || null,
+  updatedAt: a.LastModifiedDate
+});
+
+const INVOICE_FIELDS = ['Id', 'Name', 'Status', 'TotalAmount', 'Amount', 'Balance', 'AccountId', 'BillToId', 'InvoiceDate', 'Invoice_Date__c', 'DueDate', 'Due_Date__c', 'CreatedDate', 'LastModifiedDate'];
+const BILL_FIELDS = ['Id', 'Name', 'Status', 'TotalAmount', 'Amount', 'Balance', 'Vendor__c', 'AccountId', 'InvoiceDate__c', 'DueDate__c', 'CreatedDate', 'LastModifiedDate'];
+const PAYMENT_FIELDS = ['Id', 'Name', 'Status', 'Amount', 'TotalAmount', 'AccountId', 'Invoice__c', 'PaymentDate', 'Payment_Date__c', 'CreatedDate', 'LastModifiedDate'];
+const GL_ACCOUNT_FIELDS = ['Id', 'Name', 'Code__c', 'Number__c', 'AccountNumber__c', 'Type__c', 'SubType__c', 'CreatedDate', 'LastModifiedDate'];
+const GL_ENTRY_FIELDS = ['Id', 'Name', 'Amount__c', 'Debit__c', 'Credit__c', 'DebitAmount__c', 'CreditAmount__c', 'GLAccount__c', 'Account__c', 'Description__c', 'EntryDate__c', 'PostingDate__c', 'TransactionDate__c', 'CreatedDate', 'LastModifiedDate'];
+
+// GL objects store one row per line; each row becomes a single-line journal entry
+const toJournalEntry = (r) => {
+  const amount = Number(r.Amount__c) || 0;
+  const debit = r.Debit__c ?? r.DebitAmount__c ?? (amount > 0 ? amount : 0);
+  const credit = r.Credit__c ?? r.CreditAmount__c ?? (amount < 0 ? -amount : 0);
+  return JournalEntry({
+    provider,
+    externalId: r.Id,
+    number: r.Name,
+    date: r.EntryDate__c || r.PostingDate__c || r.TransactionDate__c || r.CreatedDate,
+    memo: r.Description__c || null,
+    lines: [{
+      accountId: r.GLAccount__c || r.Account__c,
+      description: r.Description__c,
+      debit,
+      credit
+    }],
+    updatedAt: r.LastModifiedDate
+  });
+};
+
+export const salesforceAdapter = {
+  provider,
+  createContext: (selector) => getSalesforceContext(selector),
+  list: {
+    accounts: async (ctx, opts) => toPage(
+      await queryAccountingObject(ctx, 'accounts', GL_ACCOUNT_FIELDS, opts, 'Name ASC'),
+      opts,
+      r => Account({
+        provider,
+        externalId: r.Id,
+        code: r.Code__c || r.Number__c || r.AccountNumber__c || null,
+        name: r.Name,
+        type: accountType(r.Type__c),
+        subtype: r.SubType__c || r.Type__c || null,
+        updatedAt: r.LastModifiedDate
+      })
+    ),
+    customers: async (ctx, opts) => toPage(await queryAccounts(ctx, `Type LIKE 'Customer%'`, opts), opts, a => Customer(contactFields(a))),
+    vendors: async (ctx, opts) => toPage(await queryAccounts(ctx, `Type LIKE 'Vendor%' OR Type LIKE 'Supplier%'`, opts), opts, a => Vendor(contactFields(a))),
+    invoices: async (ctx, opts) => toPage(
+      await queryAccountingObject(ctx, 'invoices', INVOICE_FIELDS, opts),
+      opts,
+      r => Invoice({
+        provider,
+        externalId: r.Id,
+        number: r.Name,
+        contactId: r.AccountId || r.BillToId,
+        issueDate: r.InvoiceDate || r.Invoice_Date__c,
+        dueDate: r.DueDate || r.Due_Date__c,
+        status: documentStatus(r.Status),
+        total: r.TotalAmount ?? r.Amount,
+        balance: r.Balance,
+        updatedAt: r.LastModifiedDate
+      })
+    ),
+    bills: async (ctx, opts) => toPage(
+      await queryAccountingObject(ctx, 'bills', BILL_FIELDS, opts),
+      opts,
+      r => Bill({
+        provider,
+        externalId: r.Id,
+        number: r.Name,
+        contactId: r.Vendor__c || r.AccountId,
+        issueDate: r.InvoiceDate__c,
+        dueDate: r.DueDate__c,
+        status: documentStatus(r.Status),
+        total: r.TotalAmount ?? r.Amount,
+        balance: r.Balance,
+        updatedAt: r.LastModifiedDate
+      })
+    ),
+    // Billing payment objects record customer receipts
+    payments: async (ctx, opts) => toPage(
+      await queryAccountingObject(ctx, 'payments', PAYMENT_FIELDS, opts),
+      opts,
+      r => Payment({
+        provider,
+        externalId: r.Id,
+        direction: 'received',
+        date: r.PaymentDate || r.Payment_Date__c || r.CreatedDate,
+        amount: r.Amount ?? r.TotalAmount,
+        contactId: r.AccountId,
+        reference: r.Name,
+        appliedTo: [r.Invoice__c],
+        updatedAt: r.LastModifiedDate
+      })
+    ),
+    journalEntries: async (ctx, opts) => toPage(
+      await queryAccountingObject(ctx, 'generalLedger', GL_ENTRY_FIELDS, opts),
+      opts,
+      toJournalEntry
+    ),
+    items: async (ctx, opts) => {
+      const soql = `SELECT Id, Name, ProductCode, Family, IsActive, LastModifiedDate FROM Product2 ORDER BY Name ASC ${pageClause(opts)}`;
+      const { records } = await runSoql(ctx, soql);
+      return toPage(records, opts, p => Item({
+        provider,
+        externalId: p.Id,
+        sku: p.ProductCode || null,
+        name: p.Name,
+        type: p.Family || null,
+        active: p.IsActive,
+        updatedAt: p.LastModifiedDate
+      }));
+    }
+  }
+};
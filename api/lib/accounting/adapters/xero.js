@@ -0,0 +1,162 @@
+import { getXeroContext, parseXeroDate } from '../../xero.js';
+import { Account, Customer, Vendor, Invoice, Bill, Payment, JournalEntry, Item, paginate } from '../model.js';
+
+const provider = 'xero';
+
+// Xero journals come back 100 at a time after a JournalNumber offset
+const JOURNAL_PAGE_SIZE = 100;
+
+const DOCUMENT_STATUS = {
+  DRAFT: 'draft',
+  SUBMITTED: 'draft',
+  AUTHORISED: 'open',
+  PAID: 'paid',
+  VOIDED: 'void',
+  DELETED: 'void'
+};
+
+// SDK enums may serialize as strings or be absent
+const str = (v) => (v == null ? '' : String(v));
+
+const toAccount = (a) => Account({
+  provider,
+  externalId: a.accountID,
+  code: a.code || null,
+  name: a.name,
+  type: str(a._class).toLowerCase(),
+  subtype: a.type != null ? str(a.type) : null,
+  currency: a.currencyCode != null ? str(a.currencyCode) : null,
+  active: str(a.status) !== 'ARCHIVED',
+  updatedAt: parseXeroDate(a.updatedDateUTC)
+});
+
+const contactFields = (c) => ({
+  provider,
+  externalId: c.contactID,
+  name: c.name || null,
+  email: c.emailAddress || null,
+  phone: (c.phones || []).find(p => p.phoneNumber)?.phoneNumber || null,
+  currency: c.defaultCurrency != null ? str(c.defaultCurrency) : null,
+  active: str(c.contactStatus) !== 'ARCHIVED',
+  updatedAt: parseXeroDate(c.updatedDateUTC)
+});
+
+const documentFields = (d) => ({
+  provider,
+  externalId: d.invoiceID,
+  number: d.invoiceNumber || null,
+  contactId: d.contact?.contactID,
+  contactName: d.contact?.name || null,
+  issueDate: parseXeroDate(d.date),
+  dueDate: parseXeroDate(d.dueDate),
+  status: DOCUMENT_STATUS[str(d.status)] || null,
+  currency: d.currencyCode != null ? str(d.currencyCode) : null,
+  subtotal: d.subTotal,
+  tax: d.totalTax,
+  total: d.total,
+  balance: d.amountDue,
+  updatedAt: parseXeroDate(d.updatedDateUTC)
+});
+
+const toPayment = (p) => Payment({
+  provider,
+  externalId: p.paymentID,
+  direction: str(p.paymentType).startsWith('ACCPAY') ? 'paid' : 'received',
+  date: parseXeroDate(p.date),
+  amount: p.amount,
+  currency: p.invoice?.currencyCode != null ? str(p.invoice.currencyCode) : null,
+  contactId: p.invoice?.contact?.contactID,
+  reference: p.reference || null,
+  appliedTo: [p.invoice?.invoiceID],
+  updatedAt: parseXeroDate(p.updatedDateUTC)
+});
+
+// netAmount is debit-positive
+const toJournalEntry = (j) => JournalEntry({
+  provider,
+  externalId: j.journalID,
+  number: j.journalNumber,
+  date: parseXeroDate(j.journalDate),
+  memo: j.reference || null,
+  lines: (j.journalLines || []).map(l => {
+    const net = Number(l.netAmount) || 0;
+    return {
+      accountId: l.accountID,
+      accountName: l.accountName,
+      description: l.description,
+      debit: net > 0 ? net : 0,
+      credit: net < 0 ? -net : 0
+    };
+  }),
+  updatedAt: parseXeroDate(j.createdDateUTC)
+});
+
+const toItem = (i) => Item({
+  provider,
+  externalId: i.itemID,
+  sku: i.code || null,
+  name: i.name || i.code || null,
+  type: i.isTrackedAsInventory ? 'Inventory' : 'NonInventory',
+  unitPrice: i.salesDetails?.unitPrice,
+  active: true,
+  updatedAt: parseXeroDate(i.updatedDateUTC)
+});
+
+async function listContacts(ctx, where, { page, limit }) {
+  const res = await ctx.xero.accountingApi.getContacts(ctx.tenantId, undefined, where, undefined, undefined, page, undefined, undefined, undefined, limit);
+  const contacts = res.body?.contacts || [];
+  return { contacts, hasMore: contacts.length === limit };
+}
+
+// ACCREC = invoices, ACCPAY = bills
+async function listDocuments(ctx, type, { page, limit }) {
+  const res = await ctx.xero.accountingApi.getInvoices(ctx.tenantId, undefined, `Type=="${type}"`, undefined, undefined, undefined, undefined, undefined, page, undefined, undefined, undefined, undefined, limit);
+  const invoices = res.body?.invoices || [];
+  return { records: invoices.map(documentFields), hasMore: invoices.length === limit };
+}
+
+export const xeroAdapter = {
+  provider,
+  createContext: (selector) => getXeroContext(selector),
+  list: {
+    accounts: async (ctx, opts) => {
+      const res = await ctx.xero.accountingApi.getAccounts(ctx.tenantId);
+      return paginate((res.body?.accounts || []).map(toAccount), opts);
+    },
+    customers: async (ctx, opts) => {
+      const { contacts, hasMore } = await listContacts(ctx, 'IsCustomer==true', opts);
+      return { records: contacts.map(c => Customer(contactFields(c))), hasMore };
+    },
+    vendors: async (ctx, opts) => {
+      const { contacts, hasMore } = await listContacts(ctx, 'IsSupplier==true', opts);
+      return { records: contacts.map(c => Vendor(contactFields(c))), hasMore };
+    },
+    invoices: async (ctx, opts) => {
+      const page = await listDocuments(ctx, 'ACCREC', opts);
+      return { records: page.records.map(Invoice), hasMore: page.hasMore };
+    },
+    bills: async (ctx, opts) => {
+      const page = await listDocuments(ctx, 'ACCPAY', opts);
+      return { records: page.records.map(Bill), hasMore: page.hasMore };
+    },
+    payments: async (ctx, { page, limit }) => {
+      const res = await ctx.xero.accountingApi.getPayments(ctx.tenantId, undefined, undefined, undefined, page, limit);
+      const payments = res.body?.payments || [];
+      return { records: payments.map(toPayment), hasMore: payments.length === limit };
+    },
+    // JournalNumbers are sequential, so a page maps onto an offset; Xero caps each call at 100
+    journalEntries: async (ctx, { page, limit }) => {
+      const size = Math.min(limit, JOURNAL_PAGE_SIZE);
+      const res = await ctx.xero.accountingApi.getJournals(ctx.tenantId, undefined, (page - 1) * size);
+      const journals = res.body?.journals || [];
+      return {
+        records: journals.slice(0, size).map(toJournalEntry),
+        hasMore: journals.length > size || journals.length === JOURNAL_PAGE_SIZE
+      };
+    },
+    items: async (ctx, opts) => {
+      const res = await ctx.xero.accountingApi.getItems(ctx.tenantId);
+      return paginate((res.body?.items || []).map(toItem), opts);
+    }
+  }
+};
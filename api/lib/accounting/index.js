@@ -0,0 +1,39 @@
+import { findConnection } from '../connections.js';
+import { ACCOUNTING_RESOURCES } from './model.js';
+import { quickbooksAdapter } from './adapters/quickbooks.js';
+import { xeroAdapter } from './adapters/xero.js';
+import { netsuiteAdapter } from './adapters/netsuite.js';
+import { salesforceAdapter } from './adapters/salesforce.js';
+
+export { ACCOUNTING_RESOURCES };
+
+// Lookup order when a company has more than one accounting system connected
+export const ACCOUNTING_ADAPTERS = {
+  quickbooks: quickbooksAdapter,
+  xero: xeroAdapter,
+  netsuite: netsuiteAdapter,
+  salesforce: salesforceAdapter
+};
+
+export const ACCOUNTING_PROVIDERS = Object.keys(ACCOUNTING_ADAPTERS);
+
+// Find the connection that serves a company, optionally pinned to one provider or connection
+export async function resolveAccountingConnection(companyId, { provider, connectionId } = {}) {
+  const providers = provider ? [provider] : ACCOUNTING_PROVIDERS;
+  for (const p of providers) {
+    const connection = await findConnection(p, { companyId, connectionId });
+    if (connection) return { provider: p, connectionId: connection.id };
+  }
+  return null;
+}
+
+// List one canonical resource for a company from whichever system it connected
+export async function listAccountingRecords(resource, { companyId, provider, connectionId, page = 1, limit = 100 }) {
+  const connection = await resolveAccountingConnection(companyId, { provider, connectionId });
+  if (!connection) return null;
+
+  const adapter = ACCOUNTING_ADAPTERS[connection.provider];
+  const ctx = await adapter.createContext({ connectionId: connection.connectionId });
+  const { records, hasMore } = await adapter.list[resource](ctx, { page, limit });
+  return { provider: connection.provider, connectionId: connection.connectionId, records, page, limit, hasMore };
+}
@@ -0,0 +1,138 @@
+// Canonical accounting model shared by every provider adapter.
+// Records carry `id` as `${provider}:${externalId}` so ids never collide across systems.
+
+export const ACCOUNTING_RESOURCES = ['accounts', 'customers', 'vendors', 'invoices', 'bills', 'payments', 'journalEntries', 'items'];
+
+export const ACCOUNT_TYPES = ['asset', 'liability', 'equity', 'revenue', 'expense'];
+export const DOCUMENT_STATUSES = ['draft', 'open', 'paid', 'void'];
+
+export function toAmount(v) {
+  if (v === null || v === undefined || v === '') return null;
+  const n = Number(v);
+  return isFinite(n) ? n : null;
+}
+
+// Dates are normalized to YYYY-MM-DD; timestamps (updatedAt) to ISO strings
+export function toDate(v) {
+  if (!v) return null;
+  const d = v instanceof Date ? v : new Date(v);
+  return isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10);
+}
+
+export function toTimestamp(v) {
+  if (!v) return null;
+  const d = v instanceof Date ? v : new Date(v);
+  return isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+function base(provider, externalId) {
+  return {
+    id: `${provider}:${externalId}`,
+    provider,
+    externalId: String(externalId)
+  };
+}
+
+export function Account({ provider, externalId, code = null, name = null, type = null, subtype = null, currency = null, active = true, updatedAt = null }) {
+  return {
+    ...base(provider, externalId),
+    code,
+    name,
+    type: ACCOUNT_TYPES.includes(type) ? type : null,
+    subtype,
+    currency,
+    active: Boolean(active),
+    updatedAt: toTimestamp(updatedAt)
+  };
+}
+
+// Customers and vendors share the contact shape
+function Contact({ provider, externalId, name = null, email = null, phone = null, currency = null, active = true, updatedAt = null }) {
+  return {
+    ...base(provider, externalId),
+    name,
+    email,
+    phone,
+    currency,
+    active: Boolean(active),
+    updatedAt: toTimestamp(updatedAt)
+  };
+}
+
+export const Customer = (fields) => Contact(fields);
+export const Vendor = (fields) => Contact(fields);
+
+// Invoices (receivable) and bills (payable) share the document shape
+function Document({ provider, externalId, number = null, contactId = null, contactName = null, issueDate = null, dueDate = null, status = null, currency = null, subtotal = null, tax = null, total = null, balance = null, updatedAt = null }) {
+  return {
+    ...base(provider, externalId),
+    number,
+    contactId: contactId != null ? String(contactId) : null,
+    contactName,
+    issueDate: toDate(issueDate),
+    dueDate: toDate(dueDate),
+    status: DOCUMENT_STATUSES.includes(status) ? status : null,
+    currency,
+    subtotal: toAmount(subtotal),
+    tax: toAmount(tax),
+    total: toAmount(total),
+    balance: toAmount(balance),
+    updatedAt: toTimestamp(updatedAt)
+  };
+}
+
+export const Invoice = (fields) => Document(fields);
+export const Bill = (fields) => Document(fields);
+
+// direction: 'received' for customer payments, 'paid' for vendor payments
+export function Payment({ provider, externalId, direction = null, date = null, amount = null, currency = null, contactId = null, reference = null, appliedTo = [], updatedAt = null }) {
+  return {
+    ...base(provider, externalId),
+    direction: direction === 'received' || direction === 'paid' ? direction : null,
+    date: toDate(date),
+    amount: toAmount(amount),
+    currency,
+    contactId: contactId != null ? String(contactId) : null,
+    reference,
+    appliedTo: appliedTo.filter(Boolean).map(String),
+    updatedAt: toTimestamp(updatedAt)
+  };
+}
+
+export function JournalEntry({ provider, externalId, number = null, date = null, memo = null, lines = [], updatedAt = null }) {
+  return {
+    ...base(provider, externalId),
+    number: number != null ? String(number) : null,
+    date: toDate(date),
+    memo,
+    lines: lines.map(l => ({
+      accountId: l.accountId != null ? String(l.accountId) : null,
+      accountName: l.accountName || null,
+      description: l.description || null,
+      debit: toAmount(l.debit) || 0,
+      credit: toAmount(l.credit) || 0
+    })),
+    updatedAt: toTimestamp(updatedAt)
+  };
+}
+
+export function Item({ provider, externalId, sku = null, name = null, type = null, unitPrice = null, active = true, updatedAt = null }) {
+  return {
+    ...base(provider, externalId),
+    sku,
+    name,
+    type,
+    unitPrice: toAmount(unitPrice),
+    active: Boolean(active),
+    updatedAt: toTimestamp(updatedAt)
+  };
+}
+
+// In-memory page for providers whose list endpoints are not paginated
+export function paginate(records, { page, limit }) {
+  const start = (page - 1) * limit;
+  return {
+    records: records.slice(start, start + limit),
+    hasMore: records.length > start + limit
+  };
+}
@@ -0,0 +1,47 @@
+import { db } from '../firestore.js';
+
+// Lines a budget can carry, matching the BudgetTemplateV1 fields after month.
+// Opex categories mirror the income statement's operatingExpenses.
+export const BUDGET_LINES = ['revenue', 'cogs', 'opex', 'payroll', 'salesMarketing', 'rentFacilities', 'technology', 'professionalFees', 'generalAdmin', 'ebitda', 'netIncome'];
+
+const BATCH_SIZE = 500;
+
+// budgetMonthly/{tenantId}_{month}_{line}. An upload replaces every line of the months it covers:
+// lines it does not carry are removed so an older upload's figures do not linger.
+export async function replaceBudgetMonths(tenantId, rows, { uploadId = null } = {}) {
+  const ops = [];
+  for (const { month, values } of rows) {
+    for (const line of BUDGET_LINES) {
+      const ref = db.collection('budgetMonthly').doc(`${tenantId}_${month}_${line}`);
+      if (values[line] == null) {
+        ops.push(batch => batch.delete(ref));
+      } else {
+        ops.push(batch => batch.set(ref, { tenantId, month, line, amount: values[line], uploadId, updatedAt: new Date() }));
+      }
+    }
+  }
+
+  for (let i = 0; i < ops.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    ops.slice(i, i + BATCH_SIZE).forEach(op => op(batch));
+    await batch.commit();
+  }
+}
+
+// Map<month, { line: amount }> for the months in range
+export async function getBudgetLines(tenantId, { startMonth, endMonth }) {
+  const snap = await db.collection('budgetMonthly')
+    .where('tenantId', '==', tenantId)
+    .where('month', '>=', startMonth)
+    .where('month', '<=', endMonth)
+    .get();
+
+  const byMonth = new Map();
+  for (const doc of snap.docs) {
+    const { month, line, amount } = doc.data();
+    const lines = byMonth.get(month) || {};
+    lines[line] = amount;
+    byMonth.set(month, lines);
+  }
+  return byMonth;
+}
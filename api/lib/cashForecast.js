@@ -0,0 +1,395 @@
+import { db } from '../firestore.js';
+import { listAccountingRecords } from './accounting/index.js';
+import { STATEMENT_COLLECTIONS } from './financialStatements.js';
+
+export const FORECAST_WEEKS = 13;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKS_PER_MONTH = 52 / 12;
+
+// Months averaged for the revenue, cost and payroll run rates
+const RUN_RATE_MONTHS = 3;
+
+// Terms assumed when neither the balance sheet nor the snapshots give working-capital days
+const DEFAULT_COLLECTION_DAYS = 30;
+const DEFAULT_PAYMENT_DAYS = 30;
+// Longer terms are treated as bad data; they would push every new-sales receipt past the horizon
+const MAX_TERM_DAYS = 120;
+const DAYS_PER_MONTH = 365 / 12;
+
+// Open invoices and bills are read page by page; past this the days-based estimate is used
+const MAX_DOCUMENT_PAGES = 20;
+const DOCUMENT_PAGE_SIZE = 500;
+
+export const PAYROLL_FREQUENCIES = { weekly: 52, biweekly: 26, semimonthly: 24, monthly: 12 };
+
+// revenueChange / expenseChange: fraction applied to the run rates (0.1 = +10%)
+// collectionRate: share of receivables that is collected at all
+// collectionDelayDays / paymentDelayDays: days added to due dates and terms
+export const DEFAULT_SCENARIOS = {
+  base: { revenueChange: 0, expenseChange: 0, collectionRate: 0.98, collectionDelayDays: 0, paymentDelayDays: 0 },
+  best: { revenueChange: 0.1, expenseChange: -0.05, collectionRate: 1, collectionDelayDays: -5, paymentDelayDays: 0 },
+  downside: { revenueChange: -0.2, expenseChange: 0.05, collectionRate: 0.9, collectionDelayDays: 15, paymentDelayDays: 0 }
+};
+
+const ASSUMPTION_RANGES = {
+  revenueChange: [-1, 10],
+  expenseChange: [-1, 10],
+  collectionRate: [0, 1],
+  collectionDelayDays: [-90, 180],
+  paymentDelayDays: [-90, 180]
+};
+
+const round2 = (v) => Math.round(v * 100) / 100;
+const isoDate = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+// Monday (UTC) of the week containing the date, as YYYY-MM-DD
+export function forecastWeekStart(date = new Date()) {
+  const d = new Date(date);
+  const day = (d.getUTCDay() + 6) % 7;
+  return isoDate(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - day));
+}
+
+// Scenario overrides merged over the defaults; returns { assumptions } or { error }
+export function resolveScenarioAssumptions(overrides = {}) {
+  if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) return { error: 'assumptions must be an object keyed by scenario' };
+
+  const assumptions = {};
+  for (const [scenario, defaults] of Object.entries(DEFAULT_SCENARIOS)) {
+    assumptions[scenario] = { ...defaults };
+    for (const [key, value] of Object.entries(overrides[scenario] || {})) {
+      const range = ASSUMPTION_RANGES[key];
+      if (!range) return { error: `Unknown assumption ${scenario}.${key}` };
+      const n = Number(value);
+      if (!Number.isFinite(n) || n < range[0] || n > range[1]) {
+        return { error: `${scenario}.${key} must be a number between ${range[0]} and ${range[1]}` };
+      }
+      assumptions[scenario][key] = n;
+    }
+  }
+  const unknown = Object.keys(overrides).filter(s => !DEFAULT_SCENARIOS[s]);
+  if (unknown.length) return { error: `Unknown scenarios: ${unknown.join(', ')}` };
+  return { assumptions };
+}
+
+// ---- Inputs ----
+
+const average = (values) => {
+  const present = values.filter(v => v != null && Number.isFinite(v));
+  return present.length ? present.reduce((sum, v) => sum + v, 0) / present.length : null;
+};
+
+async function latestDocs(collection, companyId, limit) {
+  const snap = await db.collection(collection)
+    .where('tenantId', '==', companyId)
+    .orderBy('month', 'desc')
+    .limit(limit)
+    .get();
+  return snap.docs.map(doc => doc.data());
+}
+
+// Open (unpaid) invoices or bills with their outstanding balance; null when no accounting
+// system is connected or the documents cannot be read
+async function fetchOpenDocuments(resource, companyId) {
+  const documents = [];
+  for (let page = 1; page <= MAX_DOCUMENT_PAGES; page++) {
+    const result = await listAccountingRecords(resource, { companyId, page, limit: DOCUMENT_PAGE_SIZE });
+    if (!result) return null;
+    for (const doc of result.records) {
+      const balance = doc.balance ?? doc.total;
+      if (doc.status === 'open' && balance > 0) documents.push({ dueDate: doc.dueDate || doc.issueDate, balance });
+    }
+    if (!result.hasMore) return documents;
+  }
+  return null;
+}
+
+// Days of terms from a balance and its monthly run rate. Snapshot days divide a month-end balance
+// by that single month's flow and annualize with 365, so they are rescaled to a month.
+function termDays(balance, monthlyFlow, snapshotDays) {
+  let days = null;
+  if (balance != null && monthlyFlow > 0) days = (balance / monthlyFlow) * DAYS_PER_MONTH;
+  else if (snapshotDays != null) days = snapshotDays * DAYS_PER_MONTH / 365;
+  return days == null ? null : round2(Math.min(Math.max(days, 0), MAX_TERM_DAYS));
+}
+
+// Everything the forecast starts from: latest cash, monthly run rates, working-capital terms,
+// payroll and (when an accounting system is connected) open receivables and payables
+export async function loadCashForecastInputs(companyId) {
+  const [snapshots, people, balanceSheets, incomeStatements] = await Promise.all([
+    latestDocs('financialSnapshotMonthly', companyId, 12),
+    latestDocs('peopleSnapshotMonthly', companyId, RUN_RATE_MONTHS),
+    latestDocs(STATEMENT_COLLECTIONS.balanceSheet, companyId, 1),
+    latestDocs(STATEMENT_COLLECTIONS.incomeStatement, companyId, RUN_RATE_MONTHS)
+  ]);
+
+  const cashSnapshot = snapshots.find(s => s.cash != null);
+  if (!cashSnapshot) return null;
+  const recent = snapshots.slice(0, RUN_RATE_MONTHS);
+
+  // Payroll from Gusto when synced, otherwise the payroll line of the income statements
+  const peoplePayroll = average(people.map(p => p.payrollCost));
+  const statementPayroll = average(incomeStatements.map(s => s.operatingExpenses?.payroll));
+  const monthlyPayroll = peoplePayroll || statementPayroll || 0;
+  const monthlyOpex = average(recent.map(s => s.opex)) || 0;
+
+  const warnings = [];
+  const [openInvoices, openBills] = await Promise.all(['invoices', 'bills'].map(resource =>
+    fetchOpenDocuments(resource, companyId).catch(err => {
+      warnings.push(`Open ${resource} unavailable: ${err.message}`);
+      return null;
+    })
+  ));
+
+  const latestBalance = balanceSheets[0] || null;
+  const monthlyRevenue = average(recent.map(s => s.revenue)) || 0;
+  const monthlyCogs = average(recent.map(s => s.cogs)) || 0;
+  return {
+    cashMonth: cashSnapshot.month,
+    startingCash: cashSnapshot.cash,
+    monthlyRevenue,
+    monthlyCogs,
+    // Opex in the snapshots includes payroll, which is scheduled separately
+    monthlyOpex: Math.max(0, monthlyOpex - monthlyPayroll),
+    monthlyPayroll,
+    payrollSource: peoplePayroll ? 'gusto' : statementPayroll ? 'incomeStatement' : null,
+    arDays: termDays(latestBalance?.ar, monthlyRevenue, cashSnapshot.arDays ?? average(recent.map(s => s.arDays))),
+    apDays: termDays(latestBalance?.ap, monthlyCogs, cashSnapshot.apDays ?? average(recent.map(s => s.apDays))),
+    arBalance: latestBalance?.ar ?? null,
+    apBalance: latestBalance?.ap ?? null,
+    openInvoices,
+    openBills,
+    warnings
+  };
+}
+
+const documentsTotal = (documents) => round2(documents.reduce((sum, d) => sum + d.balance, 0));
+
+// Stored with each forecast in place of the open documents themselves
+export function summarizeForecastInputs({ openInvoices, openBills, ...inputs }) {
+  return {
+    ...inputs,
+    receivablesSource: openInvoices ? 'invoices' : inputs.arBalance != null ? 'balanceSheet' : 'arDays',
+    payablesSource: openBills ? 'bills' : inputs.apBalance != null ? 'balanceSheet' : 'apDays',
+    openInvoiceCount: openInvoices ? openInvoices.length : null,
+    openInvoiceTotal: openInvoices ? documentsTotal(openInvoices) : null,
+    openBillCount: openBills ? openBills.length : null,
+    openBillTotal: openBills ? documentsTotal(openBills) : null
+  };
+}
+
+// ---- Projection ----
+
+function weekIndex(date, startMs) {
+  const ms = Date.parse(date);
+  if (!Number.isFinite(ms)) return 0;
+  return Math.max(0, Math.floor((ms - startMs) / (7 * DAY_MS)));
+}
+
+// Pay runs per week: weekly and biweekly from the first pay date, semimonthly on the 15th and
+// month end, monthly on month end
+export function payrollRunsByWeek(weekStart, frequency, nextPayDate = null) {
+  const startMs = Date.parse(weekStart);
+  const runs = new Array(FORECAST_WEEKS).fill(0);
+  if (frequency === 'weekly' || frequency === 'biweekly') {
+    const step = frequency === 'weekly' ? 1 : 2;
+    const first = nextPayDate ? weekIndex(nextPayDate, startMs) : 0;
+    for (let w = first; w < FORECAST_WEEKS; w += step) runs[w]++;
+    return runs;
+  }
+
+  const endMs = startMs + FORECAST_WEEKS * 7 * DAY_MS;
+  for (let ms = startMs; ms < endMs; ms += DAY_MS) {
+    const d = new Date(ms);
+    const isMonthEnd = new Date(ms + DAY_MS).getUTCDate() === 1;
+    if (isMonthEnd || (frequency === 'semimonthly' && d.getUTCDate() === 15)) runs[weekIndex(isoDate(ms), startMs)]++;
+  }
+  return runs;
+}
+
+// Receipts or payments for one side of working capital. Open documents land in the week they fall
+// due (overdue ones in week 1); without them the outstanding balance (from the balance sheet, or
+// the run rate times the terms) is spread over the terms. New activity is settled once the terms pass.
+function projectWorkingCapital({ documents, balance, weekly, termDays, delayDays, rate, startMs }) {
+  const flows = { open: new Array(FORECAST_WEEKS).fill(0), new: new Array(FORECAST_WEEKS).fill(0) };
+  const lagWeeks = Math.max(1, Math.ceil((termDays + delayDays) / 7));
+
+  if (documents) {
+    for (const doc of documents) {
+      const due = doc.dueDate ? isoDate(Date.parse(doc.dueDate) + delayDays * DAY_MS) : null;
+      const w = due ? weekIndex(due, startMs) : 0;
+      if (w < FORECAST_WEEKS) flows.open[w] += doc.balance * rate;
+    }
+  } else {
+    const outstanding = balance ?? weekly * termDays / 7;
+    const spread = Math.min(lagWeeks, FORECAST_WEEKS);
+    for (let w = 0; w < spread; w++) flows.open[w] += (outstanding * rate) / spread;
+  }
+
+  for (let w = lagWeeks; w < FORECAST_WEEKS; w++) flows.new[w] += weekly * rate;
+  return flows;
+}
+
+// Week-by-week cash for one scenario. Deterministic: the same inputs and assumptions always give
+// the same weeks.
+export function projectCashScenario(inputs, assumptions, { weekStart, payrollFrequency = 'biweekly', nextPayDate = null }) {
+  const startMs = Date.parse(weekStart);
+  const revenueFactor = 1 + assumptions.revenueChange;
+  const expenseFactor = 1 + assumptions.expenseChange;
+
+  const receipts = projectWorkingCapital({
+    documents: inputs.openInvoices,
+    balance: inputs.arBalance,
+    weekly: (inputs.monthlyRevenue / WEEKS_PER_MONTH) * revenueFactor,
+    termDays: inputs.arDays ?? DEFAULT_COLLECTION_DAYS,
+    delayDays: assumptions.collectionDelayDays,
+    rate: assumptions.collectionRate,
+    startMs
+  });
+  // Revenue changes move volume, and with it cost of goods; other spend follows expenseChange
+  const payables = projectWorkingCapital({
+    documents: inputs.openBills,
+    balance: inputs.apBalance,
+    weekly: (inputs.monthlyCogs / WEEKS_PER_MONTH) * revenueFactor,
+    termDays: inputs.apDays ?? DEFAULT_PAYMENT_DAYS,
+    delayDays: assumptions.paymentDelayDays,
+    rate: 1,
+    startMs
+  });
+
+  const payrollRuns = payrollRunsByWeek(weekStart, payrollFrequency, nextPayDate);
+  const payrollPerRun = (inputs.monthlyPayroll * 12 / PAYROLL_FREQUENCIES[payrollFrequency]) * expenseFactor;
+  const weeklyOpex = (inputs.monthlyOpex / WEEKS_PER_MONTH) * expenseFactor;
+
+  const weeks = [];
+  let cash = inputs.startingCash;
+  for (let w = 0; w < FORECAST_WEEKS; w++) {
+    const collections = receipts.open[w] + receipts.new[w];
+    const disbursements = {
+      payables: round2(payables.open[w] + payables.new[w]),
+      payroll: round2(payrollRuns[w] * payrollPerRun),
+      operatingExpenses: round2(weeklyOpex)
+    };
+    const totalDisbursements = disbursements.payables + disbursements.payroll + disbursements.operatingExpenses;
+    const openingCash = cash;
+    cash = openingCash + collections - totalDisbursements;
+
+    weeks.push({
+      week: w + 1,
+      weekStart: isoDate(startMs + w * 7 * DAY_MS),
+      weekEnd: isoDate(startMs + (w * 7 + 6) * DAY_MS),
+      openingCash: round2(openingCash),
+      receipts: {
+        openReceivables: round2(receipts.open[w]),
+        newSales: round2(receipts.new[w]),
+        total: round2(collections)
+      },
+      disbursements: { ...disbursements, total: round2(totalDisbursements) },
+      netCashFlow: round2(collections - totalDisbursements),
+      endingCash: round2(cash)
+    });
+  }
+
+  const lowest = weeks.reduce((min, w) => (w.endingCash < min.endingCash ? w : min), weeks[0]);
+  const cashOut = weeks.find(w => w.endingCash < 0);
+  return {
+    assumptions,
+    weeks,
+    summary: {
+      endingCash: weeks[weeks.length - 1].endingCash,
+      totalReceipts: round2(weeks.reduce((sum, w) => sum + w.receipts.total, 0)),
+      totalDisbursements: round2(weeks.reduce((sum, w) => sum + w.disbursements.total, 0)),
+      minimumCash: lowest.endingCash,
+      minimumCashWeek: lowest.weekStart,
+      cashOutWeek: cashOut ? cashOut.weekStart : null
+    }
+  };
+}
+
+export function buildCashForecast(inputs, { weekStart, assumptions, payrollFrequency, nextPayDate }) {
+  const scenarios = {};
+  for (const [name, scenarioAssumptions] of Object.entries(assumptions)) {
+    scenarios[name] = projectCashScenario(inputs, scenarioAssumptions, { weekStart, payrollFrequency, nextPayDate });
+  }
+  return scenarios;
+}
+
+// ---- Persistence and comparison ----
+// cashForecasts/{companyId}_{weekStart}: one forecast per company per week; re-running in the same
+// week replaces it, so consecutive docs compare week over week.
+
+export async function saveCashForecast(forecast) {
+  const id = `${forecast.companyId}_${forecast.weekStart}`;
+  const record = { id, ...forecast, generatedAt: new Date() };
+  await db.collection('cashForecasts').doc(id).set(record);
+  return record;
+}
+
+// The forecast for a given week, or the latest one
+export async function getCashForecast(companyId, weekStart = null) {
+  if (weekStart) {
+    const doc = await db.collection('cashForecasts').doc(`${companyId}_${weekStart}`).get();
+    return doc.exists ? doc.data() : null;
+  }
+  const snap = await db.collection('cashForecasts')
+    .where('companyId', '==', companyId)
+    .orderBy('weekStart', 'desc')
+    .limit(1)
+    .get();
+  return snap.empty ? null : snap.docs[0].data();
+}
+
+export async function getPreviousCashForecast(companyId, weekStart) {
+  const snap = await db.collection('cashForecasts')
+    .where('companyId', '==', companyId)
+    .where('weekStart', '<', weekStart)
+    .orderBy('weekStart', 'desc')
+    .limit(1)
+    .get();
+  return snap.empty ? null : snap.docs[0].data();
+}
+
+export async function listCashForecasts(companyId, limit = 12) {
+  const snap = await db.collection('cashForecasts')
+    .where('companyId', '==', companyId)
+    .orderBy('weekStart', 'desc')
+    .limit(limit)
+    .get();
+  return snap.docs.map(doc => {
+    const { weekStart, generatedAt, inputs, scenarios } = doc.data();
+    return {
+      weekStart,
+      generatedAt,
+      startingCash: inputs?.startingCash ?? null,
+      scenarios: Object.fromEntries(Object.entries(scenarios || {}).map(([name, s]) => [name, s.summary]))
+    };
+  });
+}
+
+// How each scenario moved since the previous forecast: weeks both forecasts cover are compared
+// on ending cash
+export function compareCashForecasts(current, previous) {
+  if (!previous) return null;
+  const scenarios = {};
+  for (const [name, scenario] of Object.entries(current.scenarios)) {
+    const before = previous.scenarios?.[name];
+    if (!before) continue;
+    const previousByWeek = new Map(before.weeks.map(w => [w.weekStart, w.endingCash]));
+    scenarios[name] = {
+      endingCashChange: round2(scenario.summary.endingCash - before.summary.endingCash),
+      minimumCashChange: round2(scenario.summary.minimumCash - before.summary.minimumCash),
+      weeks: scenario.weeks
+        .filter(w => previousByWeek.has(w.weekStart))
+        .map(w => ({
+          weekStart: w.weekStart,
+          previousEndingCash: previousByWeek.get(w.weekStart),
+          endingCash: w.endingCash,
+          change: round2(w.endingCash - previousByWeek.get(w.weekStart))
+        }))
+    };
+  }
+  return {
+    previousWeekStart: previous.weekStart,
+    startingCashChange: round2(current.inputs.startingCash - previous.inputs.startingCash),
+    scenarios
+  };
+}
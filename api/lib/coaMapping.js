@@ -0,0 +1,281 @@
+import { db } from '../firestore.js';
+import { runGemini } from '../../services/aiProviders.js';
+import { listAccountingRecords } from './accounting/index.js';
+import { norm } from './uploadUtils.js';
+
+// Standard statement lines every ledger account maps to. `section` groups lines when
+// statements are assembled; 'ignore' keeps an account out of every statement.
+export const STATEMENT_LINES = {
+  revenue: { label: 'Revenue', statement: 'income', section: 'revenue' },
+  other_income: { label: 'Other income', statement: 'income', section: 'other' },
+  cogs: { label: 'Cost of goods sold', statement: 'income', section: 'cogs' },
+  opex_payroll: { label: 'Payroll & benefits', statement: 'income', section: 'opex' },
+  opex_sales_marketing: { label: 'Sales & marketing', statement: 'income', section: 'opex' },
+  opex_rent_facilities: { label: 'Rent & facilities', statement: 'income', section: 'opex' },
+  opex_technology: { label: 'Technology & software', statement: 'income', section: 'opex' },
+  opex_professional_fees: { label: 'Professional fees', statement: 'income', section: 'opex' },
+  opex_general_admin: { label: 'General & administrative', statement: 'income', section: 'opex' },
+  depreciation_amortization: { label: 'Depreciation & amortization', statement: 'income', section: 'depreciation' },
+  interest_expense: { label: 'Interest expense', statement: 'income', section: 'interest' },
+  other_expense: { label: 'Other expense', statement: 'income', section: 'other' },
+  income_tax: { label: 'Income tax', statement: 'income', section: 'tax' },
+  cash: { label: 'Cash', statement: 'balance', section: 'current_assets' },
+  ar: { label: 'Accounts receivable', statement: 'balance', section: 'current_assets' },
+  inventory: { label: 'Inventory', statement: 'balance', section: 'current_assets' },
+  other_current_assets: { label: 'Other current assets', statement: 'balance', section: 'current_assets' },
+  fixed_assets: { label: 'Fixed assets', statement: 'balance', section: 'noncurrent_assets' },
+  other_assets: { label: 'Other assets', statement: 'balance', section: 'noncurrent_assets' },
+  ap: { label: 'Accounts payable', statement: 'balance', section: 'current_liabilities' },
+  other_current_liabilities: { label: 'Other current liabilities', statement: 'balance', section: 'current_liabilities' },
+  debt: { label: 'Debt', statement: 'balance', section: 'debt' },
+  equity: { label: 'Equity', statement: 'balance', section: 'equity' },
+  ignore: { label: 'Excluded', statement: null, section: null }
+};
+
+const linesIn = (...sections) => Object.keys(STATEMENT_LINES).filter(l => sections.includes(STATEMENT_LINES[l].section));
+
+// Lines an account of each canonical type (model.js ACCOUNT_TYPES) may map to
+const LINES_BY_TYPE = {
+  asset: linesIn('current_assets', 'noncurrent_assets'),
+  liability: ['ap', 'other_current_liabilities', 'debt'],
+  equity: ['equity'],
+  revenue: ['revenue', 'other_income'],
+  expense: linesIn('cogs', 'opex', 'depreciation', 'interest', 'tax', 'other')
+};
+
+// Fallback when neither the provider type nor the name settles it
+const DEFAULT_LINE_BY_TYPE = {
+  asset: 'other_current_assets',
+  liability: 'other_current_liabilities',
+  equity: 'equity',
+  revenue: 'revenue',
+  expense: 'opex_general_admin'
+};
+
+// Provider account types (QuickBooks AccountType, Xero Type, NetSuite accttype), normalized with norm()
+const SUBTYPE_LINES = {
+  bank: 'cash',
+  accountsreceivable: 'ar', acctrec: 'ar', unbilledrec: 'ar',
+  inventory: 'inventory',
+  othercurrentasset: 'other_current_assets', othcurrasset: 'other_current_assets', current: 'other_current_assets', prepayment: 'other_current_assets', deferexpense: 'other_current_assets',
+  fixedasset: 'fixed_assets', fixed: 'fixed_assets',
+  otherasset: 'other_assets', othasset: 'other_assets', noncurrent: 'other_assets',
+  accountspayable: 'ap', acctpay: 'ap',
+  creditcard: 'other_current_liabilities', credcard: 'other_current_liabilities', othercurrentliability: 'other_current_liabilities', othcurrliab: 'other_current_liabilities',
+  currliab: 'other_current_liabilities', liability: 'other_current_liabilities', paygliability: 'other_current_liabilities', superannuationliability: 'other_current_liabilities', deferrevenue: 'other_current_liabilities',
+  longtermliability: 'debt', longtermliab: 'debt', termliab: 'debt',
+  equity: 'equity',
+  income: 'revenue', revenue: 'revenue', sales: 'revenue',
+  otherincome: 'other_income', othincome: 'other_income',
+  costofgoodssold: 'cogs', cogs: 'cogs', directcosts: 'cogs',
+  depreciatn: 'depreciation_amortization',
+  wagesexpense: 'opex_payroll', superannuationexpense: 'opex_payroll',
+  expense: 'opex_general_admin', overheads: 'opex_general_admin',
+  otherexpense: 'other_expense', othexpense: 'other_expense'
+};
+
+// Type-derived lines that are only a starting point; the account name may narrow them
+const REFINABLE_LINES = new Set(['opex_general_admin', 'other_expense', 'other_current_assets', 'other_current_liabilities', 'other_assets', 'revenue']);
+
+// Checked in order against the normalized account name; specific lines come before broad ones
+const NAME_SYNONYMS = [
+  ['depreciation_amortization', ['depreciation', 'amortization', 'amortisation']],
+  ['interest_expense', ['interestexpense', 'interestpaid', 'interestonloan', 'bankinterest']],
+  ['income_tax', ['incometax', 'corporatetax', 'taxexpense', 'provisionfortax']],
+  ['cogs', ['costofgoods', 'costofsales', 'cogs', 'costofrevenue', 'directcost', 'purchases']],
+  ['ar', ['accountsreceivable', 'tradereceivable', 'receivable', 'debtors']],
+  ['ap', ['accountspayable', 'tradepayable', 'creditors']],
+  ['inventory', ['inventory', 'stockonhand', 'finishedgoods', 'rawmaterials']],
+  ['debt', ['loan', 'notepayable', 'notespayable', 'lineofcredit', 'mortgage', 'borrowing', 'debt', 'termloan']],
+  ['equity', ['retainedearnings', 'equity', 'sharecapital', 'commonstock', 'capitalstock', 'paidincapital', 'ownerscapital', 'distributions', 'drawings']],
+  ['fixed_assets', ['fixedasset', 'equipment', 'furniture', 'vehicle', 'machinery', 'buildings', 'leaseholdimprovement', 'property']],
+  ['cash', ['cash', 'checking', 'savings', 'bank', 'pettycash', 'moneymarket']],
+  ['opex_payroll', ['salaries', 'salary', 'wages', 'payroll', 'compensation', 'benefits', 'bonus', 'pension', 'healthinsurance', 'payrolltax', 'staff']],
+  ['opex_sales_marketing', ['marketing', 'advertising', 'promotion', 'commission', 'tradeshow', 'leadgen', 'sponsorship']],
+  ['opex_rent_facilities', ['rent', 'lease', 'utilities', 'facilities', 'occupancy', 'office', 'repairs', 'maintenance']],
+  ['opex_technology', ['software', 'hosting', 'saas', 'subscription', 'computer', 'cloud', 'internet', 'telephone', 'itservices']],
+  ['opex_professional_fees', ['legal', 'accounting', 'professionalfees', 'professional', 'consulting', 'audit', 'bookkeeping']],
+  ['other_income', ['otherincome', 'interestincome', 'gainon', 'dividendincome']],
+  ['other_expense', ['lossondisposal', 'otherexpense', 'exchangeloss', 'penalties']],
+  ['revenue', ['revenue', 'sales', 'income', 'fees']]
+];
+
+function lineFromName(name, allowedLines = null) {
+  const n = norm(name || '');
+  if (!n) return null;
+  for (const [line, synonyms] of NAME_SYNONYMS) {
+    if (allowedLines && !allowedLines.includes(line)) continue;
+    if (synonyms.some(s => n.includes(s))) return line;
+  }
+  return null;
+}
+
+function typeOfLine(line) {
+  return Object.keys(LINES_BY_TYPE).find(type => LINES_BY_TYPE[type].includes(line)) || null;
+}
+
+// Suggest a line for one canonical Account. suggestedBy records the evidence:
+// 'type' (provider account type), 'name' (synonym match), 'class' (canonical type default) or null.
+export function suggestAccountLine(account) {
+  const allowed = LINES_BY_TYPE[account.type] || null;
+  const typeLine = SUBTYPE_LINES[norm(account.subtype || '')] || null;
+
+  if (typeLine) {
+    if (!REFINABLE_LINES.has(typeLine)) return { line: typeLine, suggestedBy: 'type' };
+    const refined = lineFromName(account.name, allowed || LINES_BY_TYPE[typeOfLine(typeLine)]);
+    return refined ? { line: refined, suggestedBy: 'name' } : { line: typeLine, suggestedBy: 'type' };
+  }
+
+  const byName = lineFromName(account.name, allowed);
+  if (byName) return { line: byName, suggestedBy: 'name' };
+  if (allowed) return { line: DEFAULT_LINE_BY_TYPE[account.type], suggestedBy: 'class' };
+  return { line: null, suggestedBy: null };
+}
+
+// AI pass for accounts the rules could only place by class (or not at all)
+async function suggestAccountLinesWithAI(accounts) {
+  const prompt = `Map each ledger account to one of these financial statement lines.
+
+Lines:
+${Object.entries(STATEMENT_LINES).map(([key, def]) => `- ${key}: ${def.label}`).join('\n')}
+
+Accounts (id | code | name | type | provider type):
+${accounts.map(a => `${a.id} | ${a.code || ''} | ${a.name || ''} | ${a.type || ''} | ${a.subtype || ''}`).join('\n')}
+
+Respond ONLY with a JSON object mapping account ids to line keys. Use null when unsure.
+Example: {"quickbooks:1":"cash","quickbooks:7":"opex_technology"}
+
+JSON:`;
+
+  const response = await runGemini({
+    model: 'gemini-2.0-flash-exp',
+    prompt,
+    context: ''
+  });
+
+  const jsonMatch = response.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) throw new Error('Invalid AI response');
+  return JSON.parse(jsonMatch[0]);
+}
+
+const MAX_AI_ACCOUNTS = 200;
+
+// Suggest lines for every account; previous overrides (accountId -> line) carry over
+export async function suggestCoaMapping(accounts, { overrides = {}, useAI = true } = {}) {
+  const entries = accounts.map(account => {
+    const { line, suggestedBy } = suggestAccountLine(account);
+    return {
+      accountId: account.id,
+      code: account.code || null,
+      name: account.name || null,
+      type: account.type || null,
+      subtype: account.subtype || null,
+      active: account.active !== false,
+      suggestedLine: line,
+      suggestedBy
+    };
+  });
+
+  const uncertain = entries.filter(e => e.suggestedBy === 'class' || e.suggestedBy === null);
+  if (useAI && uncertain.length) {
+    try {
+      const aiLines = await suggestAccountLinesWithAI(
+        uncertain.slice(0, MAX_AI_ACCOUNTS).map(e => ({ id: e.accountId, code: e.code, name: e.name, type: e.type, subtype: e.subtype }))
+      );
+      for (const entry of uncertain) {
+        const line = aiLines[entry.accountId];
+        const allowed = LINES_BY_TYPE[entry.type];
+        if (STATEMENT_LINES[line] && (!allowed || allowed.includes(line) || line === 'ignore')) {
+          entry.suggestedLine = line;
+          entry.suggestedBy = 'ai';
+        }
+      }
+    } catch (err) {
+      console.error('AI account mapping failed:', err);
+    }
+  }
+
+  return entries.map(entry => applyOverride({ ...entry, suggestedLine: entry.suggestedLine || 'ignore' }, overrides[entry.accountId]));
+}
+
+function applyOverride(entry, override) {
+  return override
+    ? { ...entry, line: override, overridden: true }
+    : { ...entry, line: entry.suggestedLine, overridden: false };
+}
+
+// Every page of the company's ledger accounts through the unified accounting adapters
+export async function fetchLedgerAccounts(companyId, { provider, connectionId } = {}) {
+  const accounts = [];
+  let result = null;
+  for (let page = 1; ; page++) {
+    result = await listAccountingRecords('accounts', { companyId, provider, connectionId, page, limit: 500 });
+    if (!result) return null;
+    accounts.push(...result.records);
+    if (!result.hasMore) break;
+  }
+  return { provider: result.provider, connectionId: result.connectionId, accounts };
+}
+
+// ---- Versions ----
+// coaMappings/{companyId} tracks currentVersion; each save adds an immutable
+// coaMappings/{companyId}/versions/{version} so statements can be rebuilt with the mapping they used.
+
+const mappingRef = (companyId) => db.collection('coaMappings').doc(companyId);
+
+export async function saveCoaMappingVersion(companyId, { provider, connectionId, accounts, source, note = null, createdBy = null }) {
+  return db.runTransaction(async (tx) => {
+    const parent = await tx.get(mappingRef(companyId));
+    const version = (parent.exists ? parent.data().currentVersion || 0 : 0) + 1;
+    const record = {
+      companyId,
+      version,
+      provider: provider || null,
+      connectionId: connectionId || null,
+      source,
+      note,
+      createdBy,
+      accounts,
+      accountCount: accounts.length,
+      overrideCount: accounts.filter(a => a.overridden).length,
+      createdAt: new Date()
+    };
+
+    tx.set(mappingRef(companyId).collection('versions').doc(String(version)), record);
+    tx.set(mappingRef(companyId), { companyId, currentVersion: version, provider: record.provider, connectionId: record.connectionId, updatedAt: new Date() }, { merge: true });
+    return record;
+  });
+}
+
+// The current version, or a specific one; null when none exists
+export async function getCoaMappingVersion(companyId, version = null) {
+  let resolved = version;
+  if (!resolved) {
+    const parent = await mappingRef(companyId).get();
+    resolved = parent.exists ? parent.data().currentVersion : null;
+  }
+  if (!resolved) return null;
+  const doc = await mappingRef(companyId).collection('versions').doc(String(resolved)).get();
+  return doc.exists ? doc.data() : null;
+}
+
+export async function listCoaMappingVersions(companyId) {
+  const snap = await mappingRef(companyId).collection('versions')
+    .select('version', 'provider', 'connectionId', 'source', 'note', 'createdBy', 'accountCount', 'overrideCount', 'createdAt')
+    .orderBy('version', 'desc')
+    .get();
+  return snap.docs.map(doc => doc.data());
+}
+
+// New version from an existing one with overrides applied; a null override reverts to the suggestion
+export function applyCoaOverrides(accounts, overrides) {
+  return accounts.map(entry => {
+    if (!(entry.accountId in overrides)) return entry;
+    return applyOverride(entry, overrides[entry.accountId]);
+  });
+}
+
+// accountId -> line lookup for statement builders
+export function coaLineLookup(mapping) {
+  return new Map((mapping?.accounts || []).map(a => [a.accountId, a.line]));
+}
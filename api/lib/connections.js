@@ -0,0 +1,138 @@
+import { db } from '../firestore.js';
+import { encryptTokenFields, decryptTokenFields } from './tokenCrypto.js';
+
+// Integration connections are owned by a company. Each provider keeps its own
+// `${provider}_connections` collection; docs are keyed `${companyId}_${externalId}`
+// (realm, tenant, org...) so a company can hold several connections per provider
+// and reconnecting the same external account updates it in place. `userId` records
+// who connected it.
+//
+// Token fields (accessToken, refreshToken, idToken) are envelope-encrypted at rest (lib/tokenCrypto.js).
+// findConnection returns them as stored; resolveConnection decrypts them for lib/tokenManager.js.
+
+export const CONNECTION_PROVIDERS = ['quickbooks', 'xero', 'netsuite', 'gusto', 'salesforce'];
+
+const PROVIDER_LABELS = {
+  quickbooks: 'QuickBooks',
+  xero: 'Xero',
+  netsuite: 'NetSuite',
+  gusto: 'Gusto',
+  salesforce: 'Salesforce'
+};
+
+export function connectionsCollection(provider) {
+  return db.collection(`${provider}_connections`);
+}
+
+// Firestore doc ids cannot contain '/'
+export function buildConnectionId(companyId, externalId) {
+  return `${companyId}_${String(externalId || 'default').replace(/\//g, '_')}`;
+}
+
+// Which connection a request targets: explicit connectionId, else the first connection of the
+// caller's company. The company always comes from the token, never from the request.
+export function getConnectionSelector(req) {
+  return {
+    companyId: req.user?.companyId || null,
+    connectionId: req.query?.connectionId || req.body?.connectionId || null,
+    userId: req.user?.id || null
+  };
+}
+
+// Persist a connection after OAuth; createdAt survives reconnects
+export async function saveConnection(provider, { companyId, userId, externalId, ...fields }) {
+  const connectionId = buildConnectionId(companyId, externalId);
+  const ref = connectionsCollection(provider).doc(connectionId);
+  const existing = await ref.get();
+
+  await ref.set({
+    id: connectionId,
+    provider,
+    companyId,
+    userId,
+    externalId: externalId ? String(externalId) : null,
+    ...(await encryptTokenFields(fields)),
+    status: 'active',
+    createdAt: existing.exists ? existing.data().createdAt : new Date(),
+    updatedAt: new Date()
+  });
+  return connectionId;
+}
+
+// Resolve a selector to { id, ref, data } or null. A connection belongs to exactly one company, so
+// once a companyId is requested only that company's docs match. Docs written before connections were
+// company-owned have no companyId; those are found by userId only when no company was requested.
+export async function findConnection(provider, { companyId, connectionId, userId } = {}) {
+  const collection = connectionsCollection(provider);
+
+  if (connectionId) {
+    const doc = await collection.doc(connectionId).get();
+    if (!doc.exists) return null;
+    const data = doc.data();
+    if (companyId && data.companyId !== companyId) return null;
+    if (!data.companyId && userId && data.userId !== userId) return null;
+    return { id: doc.id, ref: doc.ref, data };
+  }
+
+  if (companyId) {
+    const snap = await collection.where('companyId', '==', companyId).limit(1).get();
+    return snap.empty ? null : { id: snap.docs[0].id, ref: snap.docs[0].ref, data: snap.docs[0].data() };
+  }
+
+  if (userId) {
+    const snap = await collection.where('userId', '==', userId).get();
+    const legacy = snap.docs.find(doc => !doc.data().companyId);
+    if (legacy) return { id: legacy.id, ref: legacy.ref, data: legacy.data() };
+  }
+
+  return null;
+}
+
+// Like findConnection, but throws when missing and returns decrypted tokens
+export async function resolveConnection(provider, selector) {
+  const connection = await findConnection(provider, selector);
+  if (!connection) throw new Error(`No ${PROVIDER_LABELS[provider]} connection found`);
+  return { ...connection, data: await decryptTokenFields(connection.data) };
+}
+
+// Persist refreshed tokens; plaintext token fields are encrypted before writing
+export async function updateConnectionTokens(ref, fields) {
+  await ref.update({ ...(await encryptTokenFields(fields)), updatedAt: new Date() });
+}
+
+// Every connection (across companies) linked to one external account, e.g. a webhook's realmId/tenantId
+export async function findConnectionsByExternalId(provider, externalId) {
+  const snap = await connectionsCollection(provider).where('externalId', '==', String(externalId)).get();
+  return snap.docs.map(doc => ({ id: doc.id, ref: doc.ref, data: doc.data() }));
+}
+
+export async function listCompanyConnections(companyId, provider) {
+  const providers = provider ? [provider] : CONNECTION_PROVIDERS;
+  const results = await Promise.all(providers.map(async (p) => {
+    const snap = await connectionsCollection(p).where('companyId', '==', companyId).get();
+    return snap.docs.map(doc => ({ id: doc.id, provider: p, ...doc.data() }));
+  }));
+  return results.flat();
+}
+
+// needs_reauth is set by lib/tokenManager.js when a refresh fails with invalid_grant
+export function connectionStatus(data) {
+  if (data.status === 'needs_reauth') return 'needs_reauth';
+  return Date.now() >= data.expiresAt ? 'expired' : 'active';
+}
+
+// Public view of a connection; never includes tokens
+export function summarizeConnection(provider, id, data) {
+  return {
+    connectionId: id,
+    provider,
+    companyId: data.companyId || null,
+    externalId: data.externalId || null,
+    connectedBy: data.userId || null,
+    status: connectionStatus(data),
+    reauthReason: data.reauthReason || null,
+    expiresAt: data.expiresAt || null,
+    createdAt: data.createdAt || null,
+    updatedAt: data.updatedAt || null
+  };
+}
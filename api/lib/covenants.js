@@ -0,0 +1,162 @@
+import { db } from '../firestore.js';
+import { shiftMonth } from './financialStatements.js';
+import { listMonths } from './financialSnapshots.js';
+import { COVENANTS, buildAmortizationSchedule, balanceAtMonthEnd } from './debt.js';
+
+// Covenants are tested each month on trailing-twelve-month figures
+const TTM_MONTHS = 12;
+
+// Months averaged for the projected EBITDA run rate
+const RUN_RATE_MONTHS = 3;
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+// ---- Inputs ----
+
+// The latest `count` months of financialSnapshotMonthly plus the months before them that the
+// trailing window needs, oldest first
+export async function loadCovenantActuals(companyId, count) {
+  const snap = await db.collection('financialSnapshotMonthly')
+    .where('tenantId', '==', companyId)
+    .orderBy('month', 'desc')
+    .limit(count + TTM_MONTHS - 1)
+    .get();
+  return snap.docs
+    .map(doc => doc.data())
+    .map(({ month, ebitda, cash }) => ({ month, ebitda: ebitda ?? null, cash: cash ?? null }))
+    .reverse();
+}
+
+// ---- Timeline ----
+
+// Monthly EBITDA, cash, debt service and balances: the actual months followed by `horizonMonths`
+// projected ones. Projected EBITDA grows from the recent run rate at `ebitdaGrowth` a year;
+// projected cash adds `cashConversion` of EBITDA and pays the scheduled debt service.
+export function buildCovenantTimeline({ actuals, instruments, horizonMonths, ebitdaGrowth = 0, cashConversion = 1 }) {
+  const schedules = instruments.map(instrument => ({ instrument, schedule: buildAmortizationSchedule(instrument) }));
+  const actualByMonth = new Map(actuals.map(a => [a.month, a]));
+  const lastActual = actuals[actuals.length - 1].month;
+  const months = [
+    ...listMonths(actuals[0].month, lastActual),
+    ...listMonths(shiftMonth(lastActual, 1), shiftMonth(lastActual, horizonMonths))
+  ];
+
+  const recent = actuals.slice(-RUN_RATE_MONTHS).filter(a => a.ebitda != null);
+  const ebitdaRunRate = recent.length ? recent.reduce((sum, a) => sum + a.ebitda, 0) / recent.length : 0;
+  const monthlyGrowth = Math.pow(1 + ebitdaGrowth, 1 / 12) - 1;
+
+  const rows = [];
+  let cash = null;
+  months.forEach((month, i) => {
+    const projected = month > lastActual;
+    let interest = 0;
+    let principal = 0;
+    let debtOutstanding = 0;
+    for (const { instrument, schedule } of schedules) {
+      for (const payment of schedule.payments) {
+        if (payment.month !== month) continue;
+        interest += payment.interest;
+        principal += payment.principal;
+      }
+      debtOutstanding += balanceAtMonthEnd(instrument, schedule, month);
+    }
+
+    let ebitda;
+    if (projected) {
+      const ahead = i - months.indexOf(lastActual);
+      ebitda = round2(ebitdaRunRate * Math.pow(1 + monthlyGrowth, ahead));
+      cash = cash != null ? round2(cash + ebitda * cashConversion - interest - principal) : null;
+    } else {
+      ebitda = actualByMonth.get(month)?.ebitda ?? null;
+      cash = actualByMonth.get(month)?.cash ?? null;
+    }
+
+    rows.push({
+      month,
+      projected,
+      ebitda,
+      cash,
+      interest: round2(interest),
+      principal: round2(principal),
+      debtService: round2(interest + principal),
+      debtOutstanding: round2(debtOutstanding)
+    });
+  });
+
+  return { rows: rows.map((row, i) => ({ ...row, ...trailingMetrics(rows, i) })), ebitdaRunRate: round2(ebitdaRunRate) };
+}
+
+// DSCR, Debt/EBITDA and interest coverage over the trailing window. Only months with EBITDA count,
+// for debt service and interest too, so a short history still compares like with like; leverage
+// annualizes the window's EBITDA. A metric is null when its denominator is zero.
+function trailingMetrics(rows, index) {
+  const window = rows.slice(Math.max(0, index - TTM_MONTHS + 1), index + 1).filter(r => r.ebitda != null);
+  if (!window.length) {
+    return { ttmEbitda: null, ttmDebtService: null, ttmInterest: null, dscr: null, debtToEbitda: null, interestCoverage: null };
+  }
+  const sum = (field) => round2(window.reduce((total, r) => total + r[field], 0));
+  const ttmEbitda = sum('ebitda');
+  const ttmDebtService = sum('debtService');
+  const ttmInterest = sum('interest');
+  const annualEbitda = ttmEbitda * TTM_MONTHS / window.length;
+  const { debtOutstanding } = rows[index];
+
+  return {
+    ttmEbitda,
+    ttmDebtService,
+    ttmInterest,
+    dscr: ttmDebtService > 0 ? round2(ttmEbitda / ttmDebtService) : null,
+    debtToEbitda: debtOutstanding > 0 && annualEbitda > 0 ? round2(debtOutstanding / annualEbitda) : null,
+    interestCoverage: ttmInterest > 0 ? round2(ttmEbitda / ttmInterest) : null
+  };
+}
+
+// ---- Compliance ----
+
+function isBreach(key, threshold, row) {
+  const { metric, min } = COVENANTS[key];
+  // Leverage is undefined with no positive EBITDA, which fails any maximum while debt is outstanding
+  if (key === 'maxLeverage' && row.debtOutstanding > 0 && row.ttmEbitda != null && row.ttmEbitda <= 0) return true;
+  const value = row[metric];
+  if (value == null) return false;
+  return min ? value < threshold : value > threshold;
+}
+
+// Every covenant miss, oldest first. An instrument's covenants apply in the months it has a balance.
+export function findCovenantBreaches(rows, instruments) {
+  const covenanted = instruments
+    .filter(instrument => Object.keys(instrument.covenants || {}).length)
+    .map(instrument => ({ instrument, schedule: buildAmortizationSchedule(instrument) }));
+
+  const breaches = [];
+  for (const row of rows) {
+    for (const { instrument, schedule } of covenanted) {
+      if (balanceAtMonthEnd(instrument, schedule, row.month) <= 0) continue;
+      for (const [key, threshold] of Object.entries(instrument.covenants)) {
+        if (!isBreach(key, threshold, row)) continue;
+        breaches.push({
+          month: row.month,
+          projected: row.projected,
+          instrumentId: instrument.id,
+          instrumentName: instrument.name,
+          covenant: key,
+          label: COVENANTS[key].label,
+          threshold,
+          value: row[COVENANTS[key].metric]
+        });
+      }
+    }
+  }
+  return breaches;
+}
+
+// The first projected month each instrument's covenant is missed
+export function firstProjectedBreaches(breaches) {
+  const seen = new Set();
+  return breaches.filter(b => {
+    const key = `${b.instrumentId}:${b.covenant}`;
+    if (!b.projected || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
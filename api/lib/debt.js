@@ -0,0 +1,203 @@
+import { db } from '../firestore.js';
+
+export const DEBT_TYPES = ['term_loan', 'revolver', 'note', 'other'];
+
+// level: equal payments of principal and interest
+// straight_line: equal principal payments plus interest on the balance
+// interest_only: interest each period, principal at maturity
+export const AMORTIZATION_METHODS = ['level', 'straight_line', 'interest_only'];
+
+// Months per payment period
+export const PAYMENT_FREQUENCIES = { monthly: 1, quarterly: 3, annual: 12 };
+
+// Covenant key -> the metric it tests. `min` covenants are breached below the threshold, the rest above it.
+export const COVENANTS = {
+  minDscr: { metric: 'dscr', label: 'Minimum DSCR', min: true },
+  maxLeverage: { metric: 'debtToEbitda', label: 'Maximum Debt/EBITDA', min: false },
+  minInterestCoverage: { metric: 'interestCoverage', label: 'Minimum interest coverage', min: true },
+  minLiquidity: { metric: 'cash', label: 'Minimum liquidity', min: true }
+};
+
+const round2 = (v) => Math.round(v * 100) / 100;
+const isDate = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v || '') && Number.isFinite(Date.parse(v));
+
+function monthsBetween(fromDate, toDate) {
+  const [fy, fm] = fromDate.split('-').map(Number);
+  const [ty, tm] = toDate.split('-').map(Number);
+  return (ty - fy) * 12 + (tm - fm);
+}
+
+// YYYY-MM-DD plus whole months; the day is clamped to the end of shorter months
+function addMonths(date, count) {
+  const [y, m, d] = date.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(y, m - 1 + count + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(y, m - 1 + count, Math.min(d, lastDay))).toISOString().slice(0, 10);
+}
+
+// ---- Instruments ----
+
+// Validate a create body, or an update merged over the stored instrument.
+// Returns { instrument } or { error }.
+export function normalizeDebtInstrument(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'Body must be an object' };
+  const {
+    name,
+    type = 'term_loan',
+    principal,
+    annualRate,
+    startDate,
+    maturityDate,
+    amortization = 'level',
+    amortizationMonths = null,
+    paymentFrequency = 'monthly',
+    lender = null,
+    covenants = {}
+  } = input;
+
+  if (typeof name !== 'string' || !name.trim()) return { error: 'name required' };
+  if (!DEBT_TYPES.includes(type)) return { error: 'type must be one of: ' + DEBT_TYPES.join(', ') };
+  if (!(Number(principal) > 0)) return { error: 'principal must be a positive number' };
+  const rate = Number(annualRate);
+  if (annualRate == null || !Number.isFinite(rate) || rate < 0 || rate > 1) {
+    return { error: 'annualRate must be a number between 0 and 1 (0.08 = 8%)' };
+  }
+  if (!isDate(startDate) || !isDate(maturityDate)) return { error: 'startDate and maturityDate must be YYYY-MM-DD' };
+  const termMonths = monthsBetween(startDate, maturityDate);
+  if (termMonths < 1) return { error: 'maturityDate must be at least a month after startDate' };
+  if (!AMORTIZATION_METHODS.includes(amortization)) {
+    return { error: 'amortization must be one of: ' + AMORTIZATION_METHODS.join(', ') };
+  }
+  if (amortizationMonths != null && !(Number.isInteger(Number(amortizationMonths)) && Number(amortizationMonths) >= termMonths)) {
+    return { error: `amortizationMonths must be a whole number of at least the ${termMonths}-month term` };
+  }
+  if (!PAYMENT_FREQUENCIES[paymentFrequency]) {
+    return { error: 'paymentFrequency must be one of: ' + Object.keys(PAYMENT_FREQUENCIES).join(', ') };
+  }
+
+  if (!covenants || typeof covenants !== 'object' || Array.isArray(covenants)) return { error: 'covenants must be an object' };
+  const normalizedCovenants = {};
+  for (const [key, value] of Object.entries(covenants)) {
+    if (!COVENANTS[key]) return { error: `Unknown covenant ${key}; supported: ${Object.keys(COVENANTS).join(', ')}` };
+    if (value == null) continue;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0) return { error: `covenants.${key} must be a non-negative number` };
+    normalizedCovenants[key] = n;
+  }
+
+  return {
+    instrument: {
+      name: name.trim(),
+      type,
+      lender,
+      principal: round2(Number(principal)),
+      annualRate: rate,
+      startDate,
+      maturityDate,
+      termMonths,
+      amortization,
+      amortizationMonths: amortizationMonths != null ? Number(amortizationMonths) : null,
+      paymentFrequency,
+      covenants: normalizedCovenants
+    }
+  };
+}
+
+// ---- Amortization ----
+
+// Payment schedule from funding to maturity. Payments fall every period after startDate, with the
+// last one on maturityDate (a shorter final period accrues interest for its months only).
+// Interest accrues at annualRate × period months / 12. When amortizationMonths runs past maturity,
+// the balance left at maturity is paid as a balloon.
+export function buildAmortizationSchedule(instrument) {
+  const { principal, annualRate, startDate, maturityDate, termMonths, amortization, amortizationMonths, paymentFrequency } = instrument;
+  const periodMonths = PAYMENT_FREQUENCIES[paymentFrequency];
+  const periods = Math.ceil(termMonths / periodMonths);
+  const amortizingPeriods = Math.ceil((amortizationMonths || termMonths) / periodMonths);
+  const periodRate = annualRate * periodMonths / 12;
+
+  const levelPayment = periodRate
+    ? principal * periodRate / (1 - Math.pow(1 + periodRate, -amortizingPeriods))
+    : principal / amortizingPeriods;
+  const straightPrincipal = principal / amortizingPeriods;
+
+  const payments = [];
+  let balance = principal;
+  for (let period = 1; period <= periods; period++) {
+    const last = period === periods;
+    const months = last ? termMonths - (periods - 1) * periodMonths : periodMonths;
+    const interest = round2(balance * annualRate * months / 12);
+
+    let principalPaid;
+    if (last) principalPaid = balance;
+    else if (amortization === 'level') principalPaid = Math.min(balance, round2(levelPayment - interest));
+    else if (amortization === 'straight_line') principalPaid = Math.min(balance, round2(straightPrincipal));
+    else principalPaid = 0;
+
+    const date = last ? maturityDate : addMonths(startDate, period * periodMonths);
+    const endingBalance = round2(balance - principalPaid);
+    payments.push({
+      period,
+      date,
+      month: date.slice(0, 7),
+      beginningBalance: balance,
+      interest,
+      principal: round2(principalPaid),
+      payment: round2(interest + principalPaid),
+      endingBalance
+    });
+    balance = endingBalance;
+  }
+
+  return {
+    payments,
+    totalInterest: round2(payments.reduce((sum, p) => sum + p.interest, 0)),
+    totalPayments: round2(payments.reduce((sum, p) => sum + p.payment, 0)),
+    balloon: amortization === 'interest_only' || amortizingPeriods > periods ? payments[payments.length - 1].principal : 0
+  };
+}
+
+// Balance outstanding at the end of a YYYY-MM month: 0 before funding and after the final payment
+export function balanceAtMonthEnd(instrument, schedule, month) {
+  if (month < instrument.startDate.slice(0, 7)) return 0;
+  let balance = instrument.principal;
+  for (const payment of schedule.payments) {
+    if (payment.month > month) break;
+    balance = payment.endingBalance;
+  }
+  return balance;
+}
+
+// ---- Persistence ----
+// debtInstruments/{auto id}, scoped to a company by companyId
+
+export async function createDebtInstrument(companyId, instrument, createdBy = null) {
+  const ref = db.collection('debtInstruments').doc();
+  const now = new Date();
+  const record = { id: ref.id, companyId, ...instrument, createdBy, createdAt: now, updatedAt: now };
+  await ref.set(record);
+  return record;
+}
+
+export async function listDebtInstruments(companyId) {
+  const snap = await db.collection('debtInstruments')
+    .where('companyId', '==', companyId)
+    .get();
+  return snap.docs.map(doc => doc.data()).sort((a, b) => a.startDate.localeCompare(b.startDate));
+}
+
+// null when missing or owned by another company
+export async function getDebtInstrument(companyId, instrumentId) {
+  const doc = await db.collection('debtInstruments').doc(instrumentId).get();
+  if (!doc.exists || doc.data().companyId !== companyId) return null;
+  return doc.data();
+}
+
+export async function updateDebtInstrument(existing, instrument) {
+  const record = { ...existing, ...instrument, updatedAt: new Date() };
+  await db.collection('debtInstruments').doc(existing.id).set(record);
+  return record;
+}
+
+export async function deleteDebtInstrument(instrumentId) {
+  await db.collection('debtInstruments').doc(instrumentId).delete();
+}
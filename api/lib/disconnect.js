@@ -0,0 +1,66 @@
+import { db } from '../firestore.js';
+import { decryptTokenFields } from './tokenCrypto.js';
+
+// Collections whose docs carry the connectionId of the integration that synced them
+const SYNCED_DATA_COLLECTIONS = ['financialSnapshotMonthly', 'incomeStatementMonthly', 'balanceSheetMonthly', 'cashFlowStatementMonthly', 'peopleSnapshotMonthly', 'salesforce_opportunities', 'netsuite_records', 'netsuite_sync_cursors', 'xero_journal_months', 'xero_journal_cursors'];
+const BATCH_SIZE = 500;
+
+async function deleteWhere(collection, field, value) {
+  let deleted = 0;
+  for (;;) {
+    const snap = await db.collection(collection).where(field, '==', value).limit(BATCH_SIZE).get();
+    if (snap.empty) break;
+    const batch = db.batch();
+    snap.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+    deleted += snap.size;
+    if (snap.size < BATCH_SIZE) break;
+  }
+  return deleted;
+}
+
+export async function deleteSyncedData(connectionId) {
+  const deleted = {};
+  for (const collection of SYNCED_DATA_COLLECTIONS) {
+    deleted[collection] = await deleteWhere(collection, 'connectionId', connectionId);
+  }
+  return deleted;
+}
+
+export async function writeIntegrationAudit(entry) {
+  const ref = await db.collection('integrationAuditLog').add({ ...entry, createdAt: new Date() });
+  return ref.id;
+}
+
+// Revoke at the provider, then remove the stored connection and, unless retainData is set, the
+// synced data tagged with it.
+// A failed revocation is recorded in the audit entry but does not keep the connection around.
+// connection is from findConnection; revoke receives { id, data } with decrypted tokens.
+export async function disconnectIntegration(provider, connection, { userId, retainData = false, revoke }) {
+  let revoked = false;
+  let revokeError = null;
+  try {
+    await revoke({ id: connection.id, data: await decryptTokenFields(connection.data) });
+    revoked = true;
+  } catch (e) {
+    revokeError = e?.response?.data?.error_description || e?.response?.data?.error || e.message || 'Revocation failed';
+  }
+
+  await connection.ref.delete();
+  const deleted = retainData ? {} : await deleteSyncedData(connection.id);
+
+  const auditId = await writeIntegrationAudit({
+    action: 'disconnect',
+    provider,
+    connectionId: connection.id,
+    companyId: connection.data.companyId || null,
+    externalId: connection.data.externalId || null,
+    userId,
+    revoked,
+    revokeError,
+    retainedData: retainData,
+    deleted
+  });
+
+  return { connectionId: connection.id, revoked, revokeError, retainedData: retainData, deleted, auditId };
+}
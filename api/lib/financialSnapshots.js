@@ -0,0 +1,120 @@
+import { db } from '../firestore.js';
+
+// Working-capital days: period-end balance relative to the period's flow, annualized
+export function computeWorkingCapitalDays({ revenue, cogs, ar, ap, inventory }) {
+  return {
+    arDays: ar && revenue > 0 ? (ar / revenue) * 365 : null,
+    apDays: ap && cogs > 0 ? (ap / cogs) * 365 : null,
+    inventoryDays: inventory && cogs > 0 ? (inventory / cogs) * 365 : null
+  };
+}
+
+// The financialSnapshotMonthly doc for one month, keyed by `id`
+export function buildFinancialSnapshot({ tenantId, month, revenue, cogs = 0, opex = 0, ebitda, cash = null, ar = null, ap = null, inventory = null, source, syncRunId, connectionId = null }) {
+  const resolvedEbitda = ebitda != null ? ebitda : revenue - cogs - opex;
+  const { arDays, apDays, inventoryDays } = computeWorkingCapitalDays({ revenue, cogs, ar, ap, inventory });
+
+  const docId = `${tenantId}_${month}`;
+  const snapshot = {
+    id: docId,
+    tenantId,
+    month,
+    revenue,
+    cogs,
+    opex,
+    ebitda: resolvedEbitda,
+    cash,
+    arDays,
+    apDays,
+    inventoryDays,
+    source,
+    // Integration connection that produced the row; cleared when another source overwrites it
+    connectionId,
+    updatedAt: new Date()
+  };
+  if (syncRunId) snapshot.syncRunId = syncRunId;
+  return snapshot;
+}
+
+// Upsert one month into financialSnapshotMonthly, shared by uploads and integration syncs
+export async function upsertFinancialSnapshot(fields) {
+  const snapshot = buildFinancialSnapshot(fields);
+  await db.collection('financialSnapshotMonthly').doc(snapshot.id).set(snapshot, { merge: true });
+  return snapshot;
+}
+
+// Multi-entity uploads keep each subsidiary's months in financialSnapshotEntityMonthly and write
+// their consolidated roll-up to financialSnapshotMonthly, which everything else reads.
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+// Entity names compare case- and punctuation-insensitively ("ACME Ltd." is "Acme Ltd")
+export function entityKey(entity) {
+  return String(entity).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+export function buildEntitySnapshot({ entity, ...fields }) {
+  const snapshot = buildFinancialSnapshot(fields);
+  const key = entityKey(entity);
+  return { ...snapshot, id: `${fields.tenantId}_${key}_${fields.month}`, entity, entityKey: key };
+}
+
+// Sum entity months into one consolidated record per month, oldest first. Balances stay null for a
+// month where no entity reported them. Intercompany balances are not eliminated.
+export function rollUpEntityRecords(records) {
+  const byMonth = new Map();
+  for (const record of records) {
+    const total = byMonth.get(record.month) || { month: record.month, revenue: 0, cogs: 0, opex: 0, ebitda: 0, cash: null, ar: null, ap: null, inventory: null, entities: [] };
+    for (const field of ['revenue', 'cogs', 'opex', 'ebitda']) total[field] = round2(total[field] + (record[field] || 0));
+    for (const field of ['cash', 'ar', 'ap', 'inventory']) {
+      if (record[field] != null) total[field] = round2((total[field] || 0) + record[field]);
+    }
+    total.entities.push(record.entity);
+    byMonth.set(record.month, total);
+  }
+  return [...byMonth.values()].sort((a, b) => a.month.localeCompare(b.month));
+}
+
+// Mirror the latest month onto the company record used by simulations
+export async function updateCompanyFinancials(tenantId, { revenue, cogs, opex, ebitda }) {
+  await db.collection('companies').doc(tenantId).set({
+    Financials: {
+      Revenue: revenue,
+      COGS: cogs,
+      OPEX: opex,
+      EBITDA: ebitda
+    },
+    updatedAt: new Date().toISOString()
+  }, { merge: true });
+}
+
+// Inclusive list of YYYY-MM months between two YYYY-MM bounds
+export function listMonths(startMonth, endMonth) {
+  const months = [];
+  let [y, m] = startMonth.split('-').map(Number);
+  const [endY, endM] = endMonth.split('-').map(Number);
+  while (y < endY || (y === endY && m <= endM)) {
+    months.push(`${y}-${String(m).padStart(2, '0')}`);
+    m++;
+    if (m > 12) { m = 1; y++; }
+  }
+  return months;
+}
+
+// First and last calendar day (YYYY-MM-DD) for a YYYY-MM month
+export function monthBounds(month) {
+  const [y, m] = month.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  return {
+    start: `${month}-01`,
+    end: `${month}-${String(lastDay).padStart(2, '0')}`
+  };
+}
+
+// Default sync window: trailing N months ending with the current month
+export function trailingMonthRange(count = 12, now = new Date()) {
+  const end = `${now.getUTCFullYear()}-${String(now.getUTCMonth() + 1).padStart(2, '0')}`;
+  const startDate = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (count - 1), 1));
+  const start = `${startDate.getUTCFullYear()}-${String(startDate.getUTCMonth() + 1).padStart(2, '0')}`;
+  return { startMonth: start, endMonth: end };
+}
@@ -0,0 +1,240 @@
+import { db } from '../firestore.js';
+import { STATEMENT_LINES, suggestAccountLine, getCoaMappingVersion, coaLineLookup } from './coaMapping.js';
+
+// One doc per tenant and month in each collection, keyed `${tenantId}_${month}` like financialSnapshotMonthly
+export const STATEMENT_COLLECTIONS = {
+  incomeStatement: 'incomeStatementMonthly',
+  balanceSheet: 'balanceSheetMonthly',
+  cashFlowStatement: 'cashFlowStatementMonthly'
+};
+
+// Balance lines whose natural balance is a credit; debit-positive ledgers (Xero journals) negate these
+const CREDIT_LINES = new Set(['revenue', 'other_income', 'ap', 'other_current_liabilities', 'debt', 'equity']);
+
+const round2 = (v) => Math.round(v * 100) / 100;
+const ratio = (part, whole) => (whole ? part / whole : null);
+
+export function naturalAmount(line, debitPositiveAmount) {
+  return CREDIT_LINES.has(line) ? -debitPositiveAmount : debitPositiveAmount;
+}
+
+export function statementOfLine(line) {
+  return STATEMENT_LINES[line]?.statement || null;
+}
+
+// YYYY-MM shifted by a number of months
+export function shiftMonth(month, delta) {
+  const [y, m] = month.split('-').map(Number);
+  const d = new Date(Date.UTC(y, m - 1 + delta, 1));
+  return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+// ---- Line resolution ----
+
+// Account -> statement line using the company's COA mapping (a given version or the current one).
+// Accounts the mapping does not know fall back to the rule-based suggestion.
+// Throws when a requested version does not exist.
+export async function loadStatementLineResolver(companyId, mappingVersion = null) {
+  const mapping = await getCoaMappingVersion(companyId, mappingVersion);
+  if (mappingVersion && !mapping) throw new Error(`COA mapping version ${mappingVersion} not found`);
+  const lookup = coaLineLookup(mapping);
+
+  return {
+    mappingVersion: mapping?.version || null,
+    // account: canonical-shaped { id, name, type, subtype }
+    resolve(account) {
+      return lookup.get(account.id) || suggestAccountLine(account).line || 'ignore';
+    }
+  };
+}
+
+// ---- Statement assembly ----
+// `lines` objects hold natural-signed totals keyed by STATEMENT_LINES key; missing lines are 0.
+
+export function buildIncomeStatement(lines) {
+  const v = (line) => round2(lines[line] || 0);
+  const revenue = v('revenue');
+  const cogs = v('cogs');
+  const grossProfit = revenue - cogs;
+  const operatingExpenses = {
+    payroll: v('opex_payroll'),
+    salesMarketing: v('opex_sales_marketing'),
+    rentFacilities: v('opex_rent_facilities'),
+    technology: v('opex_technology'),
+    professionalFees: v('opex_professional_fees'),
+    generalAdmin: v('opex_general_admin')
+  };
+  const totalOperatingExpenses = Object.values(operatingExpenses).reduce((sum, a) => sum + a, 0);
+  const ebitda = grossProfit - totalOperatingExpenses;
+  const depreciationAmortization = v('depreciation_amortization');
+  const operatingIncome = ebitda - depreciationAmortization;
+  const otherIncome = v('other_income');
+  const otherExpense = v('other_expense');
+  const interestExpense = v('interest_expense');
+  const pretaxIncome = operatingIncome + otherIncome - otherExpense - interestExpense;
+  const incomeTax = v('income_tax');
+  const netIncome = pretaxIncome - incomeTax;
+
+  return {
+    revenue,
+    cogs,
+    grossProfit: round2(grossProfit),
+    operatingExpenses,
+    totalOperatingExpenses: round2(totalOperatingExpenses),
+    ebitda: round2(ebitda),
+    depreciationAmortization,
+    operatingIncome: round2(operatingIncome),
+    otherIncome,
+    otherExpense,
+    interestExpense,
+    pretaxIncome: round2(pretaxIncome),
+    incomeTax,
+    netIncome: round2(netIncome),
+    grossMargin: ratio(grossProfit, revenue),
+    ebitdaMargin: ratio(ebitda, revenue),
+    netMargin: ratio(netIncome, revenue)
+  };
+}
+
+// Equity includes retained and current-period earnings, so a fully mapped ledger has imbalance 0
+export function buildBalanceSheet(lines) {
+  const v = (line) => round2(lines[line] || 0);
+  const cash = v('cash');
+  const ar = v('ar');
+  const inventory = v('inventory');
+  const otherCurrentAssets = v('other_current_assets');
+  const totalCurrentAssets = cash + ar + inventory + otherCurrentAssets;
+  const fixedAssets = v('fixed_assets');
+  const otherAssets = v('other_assets');
+  const totalAssets = totalCurrentAssets + fixedAssets + otherAssets;
+
+  const ap = v('ap');
+  const otherCurrentLiabilities = v('other_current_liabilities');
+  const totalCurrentLiabilities = ap + otherCurrentLiabilities;
+  const debt = v('debt');
+  const totalLiabilities = totalCurrentLiabilities + debt;
+  const totalEquity = v('equity');
+  const totalLiabilitiesAndEquity = totalLiabilities + totalEquity;
+
+  return {
+    cash,
+    ar,
+    inventory,
+    otherCurrentAssets,
+    totalCurrentAssets: round2(totalCurrentAssets),
+    fixedAssets,
+    otherAssets,
+    totalAssets: round2(totalAssets),
+    ap,
+    otherCurrentLiabilities,
+    totalCurrentLiabilities: round2(totalCurrentLiabilities),
+    debt,
+    totalLiabilities: round2(totalLiabilities),
+    totalEquity,
+    totalLiabilitiesAndEquity: round2(totalLiabilitiesAndEquity),
+    workingCapital: round2(totalCurrentAssets - totalCurrentLiabilities),
+    imbalance: round2(totalAssets - totalLiabilitiesAndEquity)
+  };
+}
+
+// Indirect method: net income adjusted for D&A and working-capital movements, with investing and
+// financing flows read off balance sheet changes. Capex is the change in net fixed assets plus D&A;
+// equity flows exclude the month's net income. Needs the prior month's balance sheet.
+export function deriveCashFlowStatement(incomeStatement, balanceSheet, priorBalanceSheet) {
+  if (!incomeStatement || !balanceSheet || !priorBalanceSheet) return null;
+  const delta = (field) => balanceSheet[field] - priorBalanceSheet[field];
+  const { netIncome, depreciationAmortization } = incomeStatement;
+
+  const changeInReceivables = -delta('ar');
+  const changeInInventory = -delta('inventory');
+  const changeInOtherCurrentAssets = -delta('otherCurrentAssets');
+  const changeInPayables = delta('ap');
+  const changeInOtherCurrentLiabilities = delta('otherCurrentLiabilities');
+  const operatingCashFlow = netIncome + depreciationAmortization + changeInReceivables + changeInInventory
+    + changeInOtherCurrentAssets + changeInPayables + changeInOtherCurrentLiabilities;
+
+  const capitalExpenditures = -(delta('fixedAssets') + depreciationAmortization);
+  const changeInOtherAssets = -delta('otherAssets');
+  const investingCashFlow = capitalExpenditures + changeInOtherAssets;
+
+  const netBorrowing = delta('debt');
+  const equityFlows = delta('totalEquity') - netIncome;
+  const financingCashFlow = netBorrowing + equityFlows;
+
+  const netChangeInCash = operatingCashFlow + investingCashFlow + financingCashFlow;
+
+  return {
+    method: 'indirect',
+    netIncome,
+    depreciationAmortization,
+    changeInReceivables: round2(changeInReceivables),
+    changeInInventory: round2(changeInInventory),
+    changeInOtherCurrentAssets: round2(changeInOtherCurrentAssets),
+    changeInPayables: round2(changeInPayables),
+    changeInOtherCurrentLiabilities: round2(changeInOtherCurrentLiabilities),
+    operatingCashFlow: round2(operatingCashFlow),
+    capitalExpenditures: round2(capitalExpenditures),
+    changeInOtherAssets: round2(changeInOtherAssets),
+    investingCashFlow: round2(investingCashFlow),
+    netBorrowing: round2(netBorrowing),
+    equityFlows: round2(equityFlows),
+    financingCashFlow: round2(financingCashFlow),
+    netChangeInCash: round2(netChangeInCash),
+    beginningCash: priorBalanceSheet.cash,
+    endingCash: balanceSheet.cash,
+    // Non-zero when the balance sheet does not balance or accounts are mapped to 'ignore'
+    reconciliationDifference: round2(delta('cash') - netChangeInCash)
+  };
+}
+
+// Statements for each month from per-month line totals. incomeLines and balanceLines are
+// Map<month, lines>; balanceLines may include the month before the first one so its cash flow
+// can be derived. reportedCashFlows (Map<month, statement>) wins over derivation when present.
+export function buildMonthlyStatements({ months, incomeLines, balanceLines, reportedCashFlows = new Map() }) {
+  const rows = [];
+  for (const month of months) {
+    const income = incomeLines.get(month);
+    const balance = balanceLines.get(month);
+    if (!income && !balance) continue;
+
+    const incomeStatement = income ? buildIncomeStatement(income) : null;
+    const balanceSheet = balance ? buildBalanceSheet(balance) : null;
+    const prior = balanceLines.get(shiftMonth(month, -1));
+    const priorBalanceSheet = prior ? buildBalanceSheet(prior) : null;
+    const reported = reportedCashFlows.get(month);
+    const cashFlowStatement = reported
+      ? { ...reported, beginningCash: priorBalanceSheet?.cash ?? null, endingCash: balanceSheet?.cash ?? null }
+      : deriveCashFlowStatement(incomeStatement, balanceSheet, priorBalanceSheet);
+
+    rows.push({ month, incomeStatement, balanceSheet, cashFlowStatement });
+  }
+  return rows;
+}
+
+// ---- Persistence ----
+
+export async function upsertFinancialStatements({ tenantId, month, incomeStatement, balanceSheet, cashFlowStatement, source, syncRunId = null, connectionId = null, mappingVersion = null }) {
+  const docId = `${tenantId}_${month}`;
+  const meta = { id: docId, tenantId, month, source, connectionId, mappingVersion, updatedAt: new Date() };
+  if (syncRunId) meta.syncRunId = syncRunId;
+
+  const batch = db.batch();
+  const statements = { incomeStatement, balanceSheet, cashFlowStatement };
+  for (const [key, collection] of Object.entries(STATEMENT_COLLECTIONS)) {
+    if (statements[key]) batch.set(db.collection(collection).doc(docId), { ...meta, ...statements[key] });
+  }
+  await batch.commit();
+}
+
+// Docs from one statement collection, newest month first
+export async function listStatementMonths(collection, companyId, { startMonth, endMonth } = {}) {
+  let query = db.collection(collection)
+    .where('tenantId', '==', companyId)
+    .orderBy('month', 'desc');
+
+  if (startMonth) query = query.where('month', '>=', startMonth);
+  if (endMonth) query = query.where('month', '<=', endMonth);
+
+  const snap = await query.get();
+  return snap.docs.map(doc => doc.data());
+}
@@ -0,0 +1,91 @@
+import axios from 'axios';
+import { getFreshConnection } from './tokenManager.js';
+
+export const GUSTO_AUTH_BASE = process.env.GUSTO_AUTH_BASE || 'https://api.gusto-demo.com';
+export const GUSTO_API_BASE = process.env.GUSTO_API_BASE || 'https://api.gusto-demo.com';
+export const GUSTO_SCOPES = (
+  process.env.GUSTO_SCOPES || [
+    'user.read',
+    'company.read'
+  ].join(' ')
+);
+
+export function ensureClientCreds() {
+  const clientId = process.env.GUSTO_CLIENT_ID;
+  const clientSecret = process.env.GUSTO_CLIENT_SECRET;
+  if (!clientId || !clientSecret) {
+    throw new Error('Missing Gusto OAuth env vars (GUSTO_CLIENT_ID, GUSTO_CLIENT_SECRET)');
+  }
+  return { clientId, clientSecret };
+}
+
+// Refresher for lib/tokenManager.js
+async function refreshGustoTokens(data) {
+  if (!data.refreshToken) throw new Error('No refresh token stored for Gusto');
+
+  const { clientId, clientSecret } = ensureClientCreds();
+  const tokenUrl = new URL('/oauth/token', GUSTO_AUTH_BASE).toString();
+  const basic = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+  const params = new URLSearchParams();
+  params.set('grant_type', 'refresh_token');
+  params.set('refresh_token', data.refreshToken);
+
+  const tokenRes = await axios.post(tokenUrl, params.toString(), {
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Authorization': `Basic ${basic}`
+    }
+  });
+
+  const { access_token: newAccess, refresh_token: newRefresh, expires_in: newExpires, token_type: tokenType } = tokenRes.data || {};
+  const expiresAt = Date.now() + (Number(newExpires || 0) * 1000);
+
+  return {
+    accessToken: newAccess,
+    refreshToken: newRefresh || data.refreshToken,
+    tokenType: tokenType || data.tokenType || 'Bearer',
+    expiresAt
+  };
+}
+
+export const getGustoAccessToken = async (selector) => {
+  const { data } = await getFreshConnection('gusto', selector, refreshGustoTokens);
+  return data.accessToken;
+};
+
+export async function revokeGustoConnection({ data }) {
+  const { clientId, clientSecret } = ensureClientCreds();
+  const params = new URLSearchParams();
+  params.set('client_id', clientId);
+  params.set('client_secret', clientSecret);
+  params.set('token', data.accessToken || data.refreshToken);
+
+  await axios.post(new URL('/oauth/revoke', GUSTO_AUTH_BASE).toString(), params.toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+  });
+}
+
+// ---- Data helpers ----
+export async function gustoApiGet(path, accessToken, params = undefined) {
+  const url = new URL(path, GUSTO_API_BASE).toString();
+  const res = await axios.get(url, {
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Accept': 'application/json'
+    },
+    params
+  });
+  return res.data;
+}
+
+// List endpoints page with ?page=&per=; keep requesting until a short page comes back
+export async function gustoApiGetAll(path, accessToken, params = {}, per = 100) {
+  const items = [];
+  for (let page = 1; ; page++) {
+    const data = await gustoApiGet(path, accessToken, { ...params, page, per });
+    const pageItems = Array.isArray(data) ? data : [];
+    items.push(...pageItems);
+    if (pageItems.length < per) break;
+  }
+  return items;
+}
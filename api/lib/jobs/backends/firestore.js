@@ -0,0 +1,82 @@
+import { db } from '../../../firestore.js';
+
+const COLLECTION = 'jobs';
+
+const DATE_FIELDS = ['runAfter', 'leaseExpiresAt', 'heartbeatAt', 'createdAt', 'startedAt', 'finishedAt', 'deadAt', 'updatedAt'];
+
+// Firestore hands back Timestamps; the job runner works with Dates
+function toJob(doc) {
+  const data = doc.data();
+  for (const field of DATE_FIELDS) {
+    if (data[field]?.toDate) data[field] = data[field].toDate();
+  }
+  return data;
+}
+
+async function insert(job) {
+  await db.collection(COLLECTION).doc(job.id).set(job);
+}
+
+async function get(jobId) {
+  const doc = await db.collection(COLLECTION).doc(jobId).get();
+  return doc.exists ? toJob(doc) : null;
+}
+
+// Lease the oldest due job. Two workers reading the same job conflict and the transaction retries.
+async function claimNext({ workerId, now, leaseMs }) {
+  const due = db.collection(COLLECTION)
+    .where('status', '==', 'queued')
+    .where('runAfter', '<=', now)
+    .orderBy('runAfter')
+    .limit(1);
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(due);
+    if (snap.empty) return null;
+
+    const job = toJob(snap.docs[0]);
+    const changes = {
+      status: 'running',
+      attempts: job.attempts + 1,
+      leaseOwner: workerId,
+      leaseExpiresAt: new Date(now.getTime() + leaseMs),
+      heartbeatAt: now,
+      startedAt: now,
+      updatedAt: now
+    };
+    tx.update(snap.docs[0].ref, changes);
+    return { ...job, ...changes };
+  });
+}
+
+async function findExpiredLeases(now, limit) {
+  const snap = await db.collection(COLLECTION)
+    .where('status', '==', 'running')
+    .where('leaseExpiresAt', '<=', now)
+    .limit(limit)
+    .get();
+  return snap.docs.map(toJob);
+}
+
+// Apply `changes` only while `predicate(job)` holds; returns the updated job or null
+async function updateIf(jobId, predicate, changes) {
+  const ref = db.collection(COLLECTION).doc(jobId);
+  return db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    if (!doc.exists) return null;
+
+    const job = toJob(doc);
+    if (!predicate(job)) return null;
+    tx.update(ref, changes);
+    return { ...job, ...changes };
+  });
+}
+
+export const firestoreJobBackend = {
+  name: 'firestore',
+  insert,
+  get,
+  claimNext,
+  findExpiredLeases,
+  updateIf
+};
@@ -0,0 +1,56 @@
+// In-process job store with the same contract as the Firestore backend, for tests and local runs.
+// Each call returns copies so callers never mutate stored jobs.
+
+export function createMemoryJobBackend() {
+  const jobs = new Map();
+  const copy = (job) => (job ? structuredClone(job) : null);
+
+  return {
+    name: 'memory',
+
+    async insert(job) {
+      jobs.set(job.id, copy(job));
+    },
+
+    async get(jobId) {
+      return copy(jobs.get(jobId));
+    },
+
+    async claimNext({ workerId, now, leaseMs }) {
+      const job = [...jobs.values()]
+        .filter(j => j.status === 'queued' && j.runAfter <= now)
+        .sort((a, b) => a.runAfter - b.runAfter)[0];
+      if (!job) return null;
+
+      Object.assign(job, {
+        status: 'running',
+        attempts: job.attempts + 1,
+        leaseOwner: workerId,
+        leaseExpiresAt: new Date(now.getTime() + leaseMs),
+        heartbeatAt: now,
+        startedAt: now,
+        updatedAt: now
+      });
+      return copy(job);
+    },
+
+    async findExpiredLeases(now, limit) {
+      return [...jobs.values()]
+        .filter(j => j.status === 'running' && j.leaseExpiresAt <= now)
+        .slice(0, limit)
+        .map(copy);
+    },
+
+    async updateIf(jobId, predicate, changes) {
+      const job = jobs.get(jobId);
+      if (!job || !predicate(copy(job))) return null;
+      Object.assign(job, copy(changes));
+      return copy(job);
+    },
+
+    // Every stored job, oldest first; handy for assertions
+    async list() {
+      return [...jobs.values()].sort((a, b) => a.createdAt - b.createdAt).map(copy);
+    }
+  };
+}
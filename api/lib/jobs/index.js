@@ -0,0 +1,239 @@
+import os from 'os';
+import { firestoreJobBackend } from './backends/firestore.js';
+import { createMemoryJobBackend } from './backends/memory.js';
+
+// Durable background jobs: a job is leased to one worker at a time, keeps its lease alive with
+// heartbeats while it runs, is retried with exponential backoff when it throws and lands in the
+// `dead` state once it runs out of attempts. Jobs whose worker disappears (instance scaled down,
+// crash) are requeued by the sweeper when their lease expires.
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'dead'];
+
+// JOBS_BACKEND picks the store; `memory` keeps jobs in-process for tests and local runs
+export const JOB_BACKENDS = {
+  firestore: () => firestoreJobBackend,
+  memory: createMemoryJobBackend
+};
+
+export const DEFAULT_MAX_ATTEMPTS = 5;
+const LEASE_MS = 60 * 1000;
+const HEARTBEAT_MS = 20 * 1000;
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 30 * 60 * 1000;
+const SWEEP_BATCH = 100;
+
+const WORKER_ID = `${os.hostname()}_${process.pid}_${Math.random().toString(36).substr(2, 6)}`;
+
+let backend = (JOB_BACKENDS[process.env.JOBS_BACKEND] || JOB_BACKENDS.firestore)();
+const handlers = new Map();
+let runner = null;
+
+// ---- Setup ----
+
+// Swap the store, e.g. setJobBackend(createMemoryJobBackend()) in a test
+export function setJobBackend(next) {
+  backend = next;
+}
+
+export function getJobBackend() {
+  return backend;
+}
+
+// run(payload, { jobId, attempt, maxAttempts, heartbeat }) does the work; throwing schedules a retry.
+// onDeadLetter(payload, error) runs once when the job is given up on, so the owning record can be
+// marked failed.
+export function registerJobHandler(type, run, { onDeadLetter } = {}) {
+  handlers.set(type, { run, onDeadLetter });
+}
+
+// ---- Queue ----
+
+function newJobId() {
+  return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Hand work to a background worker rather than running it in the request. The job is stored, so it
+// outlives the instance that queued it and is retried elsewhere if that instance goes away.
+export async function enqueueJob(type, payload = {}, { maxAttempts = DEFAULT_MAX_ATTEMPTS, delayMs = 0 } = {}) {
+  const now = new Date();
+  const job = {
+    id: newJobId(),
+    type,
+    payload,
+    status: 'queued',
+    attempts: 0,
+    maxAttempts,
+    runAfter: new Date(now.getTime() + delayMs),
+    leaseOwner: null,
+    leaseExpiresAt: null,
+    heartbeatAt: null,
+    lastError: null,
+    result: null,
+    createdAt: now,
+    updatedAt: now
+  };
+  await backend.insert(job);
+  if (runner && !delayMs) runner.nudge();
+  return job.id;
+}
+
+export async function getJob(jobId) {
+  return backend.get(jobId);
+}
+
+// Delay before the retry that follows attempt `attempt` (1-based): 30s, 1m, 2m, ... capped at 30m
+export function jobBackoffMs(attempt) {
+  return Math.min(BACKOFF_BASE_MS * Math.pow(2, attempt - 1), BACKOFF_MAX_MS);
+}
+
+// ---- Execution ----
+
+const isLeasedBy = (workerId) => (job) => job.status === 'running' && job.leaseOwner === workerId;
+
+// Changes that end an attempt: back to the queue after a backoff, or dead once attempts run out
+function failureChanges(job, err, { now, retryAfterMs, giveUp = false }) {
+  const dead = giveUp || job.attempts >= job.maxAttempts;
+  return {
+    status: dead ? 'dead' : 'queued',
+    runAfter: dead ? job.runAfter : new Date(now.getTime() + retryAfterMs),
+    leaseOwner: null,
+    leaseExpiresAt: null,
+    lastError: err?.message || 'Unknown error',
+    ...(dead ? { deadAt: now, finishedAt: now } : {}),
+    updatedAt: now
+  };
+}
+
+async function deadLetter(job, err) {
+  const handler = handlers.get(job.type);
+  if (!handler?.onDeadLetter) return;
+  try {
+    await handler.onDeadLetter(job.payload, err);
+  } catch (e) {
+    console.error(`Job ${job.id} dead-letter handler error:`, e);
+  }
+}
+
+// Claim and run one due job; null when the queue has nothing due
+export async function runNextJob(workerId = WORKER_ID) {
+  const job = await backend.claimNext({ workerId, now: new Date(), leaseMs: LEASE_MS });
+  if (!job) return null;
+
+  const handler = handlers.get(job.type);
+  const heartbeat = () => backend.updateIf(job.id, isLeasedBy(workerId), {
+    leaseExpiresAt: new Date(Date.now() + LEASE_MS),
+    heartbeatAt: new Date(),
+    updatedAt: new Date()
+  });
+  const timer = setInterval(() => {
+    heartbeat().catch(err => console.error(`Job ${job.id} heartbeat error:`, err));
+  }, HEARTBEAT_MS);
+
+  try {
+    if (!handler) throw new Error(`No handler registered for job type ${job.type}`);
+    const result = await handler.run(job.payload, { jobId: job.id, attempt: job.attempts, maxAttempts: job.maxAttempts, heartbeat });
+    const now = new Date();
+    const done = await backend.updateIf(job.id, isLeasedBy(workerId), {
+      status: 'succeeded',
+      result: result ?? null,
+      leaseOwner: null,
+      leaseExpiresAt: null,
+      lastError: null,
+      finishedAt: now,
+      updatedAt: now
+    });
+    return done || job;
+  } catch (err) {
+    console.error(`Job ${job.id} (${job.type}) attempt ${job.attempts} failed:`, err);
+    // A job type nobody handles would fail the same way on every attempt
+    const failed = await backend.updateIf(job.id, isLeasedBy(workerId),
+      failureChanges(job, err, { now: new Date(), retryAfterMs: jobBackoffMs(job.attempts), giveUp: !handler }));
+    if (failed?.status === 'dead') await deadLetter(job, err);
+    return failed || job;
+  } finally {
+    clearInterval(timer);
+  }
+}
+
+// Run due jobs one after another until none are left (or `limit` have run); returns the count
+export async function drainJobs({ workerId = WORKER_ID, limit = Infinity } = {}) {
+  let count = 0;
+  while (count < limit) {
+    const job = await runNextJob(workerId);
+    if (!job) break;
+    count++;
+  }
+  return count;
+}
+
+// Requeue running jobs whose lease expired without a heartbeat; ones already out of attempts go dead
+export async function sweepExpiredLeases(now = new Date()) {
+  const expired = await backend.findExpiredLeases(now, SWEEP_BATCH);
+  const swept = { requeued: 0, dead: 0 };
+
+  for (const job of expired) {
+    const err = new Error(`Lease held by ${job.leaseOwner} expired`);
+    const updated = await backend.updateIf(
+      job.id,
+      (current) => current.status === 'running' && current.leaseExpiresAt <= now,
+      failureChanges(job, err, { now, retryAfterMs: 0 })
+    );
+    if (!updated) continue;
+    if (updated.status === 'dead') {
+      swept.dead++;
+      await deadLetter(job, err);
+    } else {
+      swept.requeued++;
+    }
+  }
+  return swept;
+}
+
+// ---- Runner ----
+
+// Poll for due jobs and sweep expired leases in this process. Enqueueing nudges the runner so new
+// work starts right away instead of at the next poll. Returns { nudge, stop }.
+export function startJobRunner({ pollMs = 5000, sweepMs = 60 * 1000 } = {}) {
+  if (runner) return runner;
+
+  let draining = false;
+  let pending = false;
+
+  const drain = async () => {
+    if (draining) {
+      pending = true;
+      return;
+    }
+    draining = true;
+    try {
+      do {
+        pending = false;
+        await drainJobs();
+      } while (pending);
+    } catch (err) {
+      console.error('Job runner error:', err);
+    } finally {
+      draining = false;
+    }
+  };
+
+  const sweep = () => sweepExpiredLeases()
+    .then(({ requeued }) => { if (requeued) drain(); })
+    .catch(err => console.error('Job sweeper error:', err));
+
+  const pollTimer = setInterval(drain, pollMs);
+  const sweepTimer = setInterval(sweep, sweepMs);
+  pollTimer.unref();
+  sweepTimer.unref();
+  drain();
+
+  runner = {
+    nudge: drain,
+    stop() {
+      clearInterval(pollTimer);
+      clearInterval(sweepTimer);
+      runner = null;
+    }
+  };
+  return runner;
+}
@@ -0,0 +1,204 @@
+import axios from 'axios';
+import { getFreshConnection } from './tokenManager.js';
+
+export function getTokenBaseUrl() {
+  const base = process.env.NETSUITE_TOKEN_BASE_URL || (process.env.NETSUITE_ACCOUNT_ID ? `https://${process.env.NETSUITE_ACCOUNT_ID}.suitetalk.api.netsuite.com` : null);
+  if (!base) throw new Error('Missing NetSuite token base URL. Set NETSUITE_TOKEN_BASE_URL or NETSUITE_ACCOUNT_ID');
+  return base.replace(/\/$/, '');
+}
+
+export function ensureClientCreds() {
+  const clientId = process.env.NETSUITE_CLIENT_ID;
+  const clientSecret = process.env.NETSUITE_CLIENT_SECRET;
+  if (!clientId || !clientSecret) throw new Error('Missing NetSuite OAuth env vars (NETSUITE_CLIENT_ID, NETSUITE_CLIENT_SECRET)');
+  return { clientId, clientSecret };
+}
+
+// Refresher for lib/tokenManager.js
+async function refreshNetsuiteTokens(data) {
+  const tokenBaseUrl = getTokenBaseUrl();
+  const { clientId, clientSecret } = ensureClientCreds();
+  const tokenUrl = new URL('/services/rest/auth/oauth2/v1/token', tokenBaseUrl).toString();
+  const basic = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+
+  if (!data.refreshToken) throw new Error('No refresh token stored for NetSuite');
+
+  const params = new URLSearchParams();
+  params.set('grant_type', 'refresh_token');
+  params.set('refresh_token', data.refreshToken);
+
+  const tokenRes = await axios.post(tokenUrl, params.toString(), {
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Authorization': `Basic ${basic}`
+    }
+  });
+
+  const { access_token: newAccess, refresh_token: newRefresh, expires_in: newExpires } = tokenRes.data || {};
+  const expiresAt = Date.now() + (Number(newExpires || 0) * 1000);
+
+  return {
+    accessToken: newAccess,
+    refreshToken: newRefresh || data.refreshToken,
+    expiresAt
+  };
+}
+
+export const getNetsuiteAccessToken = async (selector) => {
+  const { data } = await getFreshConnection('netsuite', selector, refreshNetsuiteTokens);
+  return data.accessToken;
+};
+
+// Revoking the refresh token also invalidates its access tokens
+export async function revokeNetsuiteConnection({ data }) {
+  const { clientId, clientSecret } = ensureClientCreds();
+  const revokeUrl = new URL('/services/rest/auth/oauth2/v1/revoke', getTokenBaseUrl()).toString();
+  const basic = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+  const params = new URLSearchParams();
+  params.set('token', data.refreshToken || data.accessToken);
+
+  await axios.post(revokeUrl, params.toString(), {
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Authorization': `Basic ${basic}`
+    }
+  });
+}
+
+export async function getNetsuiteContext(selector) {
+  const { connectionId, data } = await getFreshConnection('netsuite', selector, refreshNetsuiteTokens);
+
+  const accessToken = data.accessToken;
+  const realm = (data.realm || process.env.NETSUITE_ACCOUNT_ID || '').toLowerCase();
+  if (!realm) throw new Error('Missing NetSuite realm/account id');
+  const recordsBaseUrl = `https://${realm}.suitetalk.api.netsuite.com/services/rest/record/v1`;
+  const suiteQlUrl = `https://${realm}.suitetalk.api.netsuite.com/services/rest/query/v1/suiteql`;
+  return { accessToken, recordsBaseUrl, suiteQlUrl, connectionId };
+}
+
+export async function fetchRecordList({ accessToken, url, params }) {
+  const fullUrl = new URL(url);
+  if (params) {
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) fullUrl.searchParams.set(String(key), String(value));
+    });
+  }
+  const res = await axios.get(fullUrl.toString(), {
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Accept': 'application/json'
+    }
+  });
+  return res.data;
+}
+
+// Run one page of a SuiteQL query; the response carries items, hasMore, offset and count like record lists
+export async function runSuiteQl({ accessToken, suiteQlUrl, query, limit = 1000, offset = 0 }) {
+  const url = new URL(suiteQlUrl);
+  url.searchParams.set('limit', String(limit));
+  url.searchParams.set('offset', String(offset));
+  const res = await axios.post(url.toString(), { q: query }, {
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Accept': 'application/json',
+      'Content-Type': 'application/json',
+      'Prefer': 'transient'
+    }
+  });
+  return res.data;
+}
+
+// ---- SuiteQL records ----
+
+const TRANSACTION_FIELDS = [
+  ['number', 'tranid'],
+  ['date', "TO_CHAR(trandate, 'YYYY-MM-DD')"],
+  ['dueDate', "TO_CHAR(duedate, 'YYYY-MM-DD')"],
+  ['entityId', 'entity'],
+  ['status', 'status'],
+  ['total', 'foreigntotal'],
+  ['currencyId', 'currency'],
+  ['memo', 'memo']
+];
+
+// SuiteQL source per synced record type; fields are [normalized name, SQL expression]
+export const NS_RECORD_TYPES = {
+  account: {
+    from: 'account',
+    fields: [['number', 'acctnumber'], ['name', 'accountsearchdisplayname'], ['type', 'accttype'], ['inactive', 'isinactive']]
+  },
+  customer: {
+    from: 'customer',
+    fields: [['entityId', 'entityid'], ['name', 'companyname'], ['email', 'email'], ['inactive', 'isinactive']]
+  },
+  vendor: {
+    from: 'vendor',
+    fields: [['entityId', 'entityid'], ['name', 'companyname'], ['email', 'email'], ['inactive', 'isinactive']]
+  },
+  item: {
+    from: 'item',
+    fields: [['itemId', 'itemid'], ['name', 'displayname'], ['itemType', 'itemtype'], ['inactive', 'isinactive']]
+  },
+  invoice: {
+    from: 'transaction',
+    where: "type = 'CustInvc'",
+    fields: TRANSACTION_FIELDS
+  },
+  vendorBill: {
+    from: 'transaction',
+    where: "type = 'VendBill'",
+    fields: TRANSACTION_FIELDS
+  },
+  customerPayment: {
+    from: 'transaction',
+    where: "type = 'CustPymt'",
+    fields: TRANSACTION_FIELDS
+  },
+  vendorPayment: {
+    from: 'transaction',
+    where: "type = 'VendPymt'",
+    fields: TRANSACTION_FIELDS
+  },
+  journalEntry: {
+    from: 'transaction',
+    where: "type = 'Journal'",
+    fields: TRANSACTION_FIELDS
+  }
+};
+
+const NUMERIC_FIELDS = new Set(['total']);
+
+// Prefixed aliases avoid reserved words (DATE, NUMBER, TYPE); SuiteQL returns them lowercased
+function fieldAlias(name) {
+  return `f_${name.toLowerCase()}`;
+}
+
+// lastmodifieddate is rendered as a sortable string so it can double as the incremental cursor
+export function buildSuiteQlQuery(recordType, cursor) {
+  const def = NS_RECORD_TYPES[recordType];
+  const columns = def.fields.map(([name, expr]) => `${expr} AS ${fieldAlias(name)}`);
+  const where = [];
+  if (def.where) where.push(def.where);
+  if (cursor) where.push(`lastmodifieddate >= TO_TIMESTAMP('${cursor}', 'YYYY-MM-DD HH24:MI:SS')`);
+
+  return [
+    `SELECT id, ${columns.join(', ')}, TO_CHAR(lastmodifieddate, 'YYYY-MM-DD HH24:MI:SS') AS lastmodified`,
+    `FROM ${def.from}`,
+    where.length ? `WHERE ${where.join(' AND ')}` : '',
+    'ORDER BY id'
+  ].filter(Boolean).join(' ');
+}
+
+// Checkbox columns come back as 'T'/'F'
+export function normalizeNsRecord(recordType, item) {
+  const def = NS_RECORD_TYPES[recordType];
+  const record = { netsuiteId: String(item.id) };
+  for (const [name] of def.fields) {
+    let value = item[fieldAlias(name)];
+    if (value === 'T' || value === 'F') value = value === 'T';
+    else if (NUMERIC_FIELDS.has(name) && value != null) value = Number(value);
+    record[name] = value ?? null;
+  }
+  record.lastModified = item.lastmodified || null;
+  return record;
+}
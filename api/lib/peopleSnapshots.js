@@ -0,0 +1,37 @@
+import { db } from '../firestore.js';
+
+// Write one month into peopleSnapshotMonthly. The whole doc is replaced so department and
+// location maps never keep keys from an earlier sync.
+export async function upsertPeopleSnapshot({ tenantId, month, source, syncRunId, connectionId = null, ...metrics }) {
+  const docId = `${tenantId}_${month}`;
+  const snapshot = {
+    id: docId,
+    tenantId,
+    month,
+    ...metrics,
+    source,
+    syncRunId: syncRunId || null,
+    connectionId,
+    updatedAt: new Date()
+  };
+
+  await db.collection('peopleSnapshotMonthly').doc(docId).set(snapshot);
+  return snapshot;
+}
+
+// Mirror the latest month onto the company record; Headcount feeds buildSimulationContext
+export async function updateCompanyPeople(tenantId, { month, headcount, hires, terminations, attritionRate, annualizedAttritionRate, payrollCost }) {
+  await db.collection('companies').doc(tenantId).set({
+    Headcount: headcount,
+    People: {
+      Month: month,
+      Headcount: headcount,
+      Hires: hires,
+      Terminations: terminations,
+      AttritionRate: attritionRate,
+      AnnualizedAttritionRate: annualizedAttritionRate,
+      PayrollCost: payrollCost
+    },
+    updatedAt: new Date().toISOString()
+  }, { merge: true });
+}
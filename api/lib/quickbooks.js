@@ -0,0 +1,91 @@
+import OAuthClient from 'intuit-oauth';
+import axios from 'axios';
+import { getFreshConnection } from './tokenManager.js';
+
+export function getQbBaseUrl(env) {
+  return env === 'production'
+    ? 'https://quickbooks.api.intuit.com'
+    : 'https://sandbox-quickbooks.api.intuit.com';
+}
+
+export async function qbAxiosGet({ accessToken, url }) {
+  const res = await axios.get(url, {
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      Accept: 'application/json'
+    },
+    withCredentials: false,
+    maxRedirects: 0
+  });
+  return res.data;
+}
+
+export function createQuickBooksClient() {
+  const clientId = process.env.QUICKBOOKS_CLIENT_ID;
+  const clientSecret = process.env.QUICKBOOKS_CLIENT_SECRET;
+  const env = (process.env.QB_ENV || 'sandbox').toLowerCase(); // 'sandbox' | 'production'
+  const baseUrl = process.env.BASE_URL;
+  const redirectUri = `${baseUrl}/api/integrations/quickbooks/callback`;
+
+  if (!clientId || !clientSecret || !baseUrl) {
+    throw new Error('Missing QuickBooks OAuth env vars (QUICKBOOKS_CLIENT_ID, QUICKBOOKS_CLIENT_SECRET, BASE_URL)');
+  }
+
+  return new OAuthClient({
+    clientId,
+    clientSecret,
+    environment: env === 'production' ? 'production' : 'sandbox',
+    redirectUri
+  });
+}
+
+function qbTokenFromConnection(data) {
+  return {
+    token_type: data.tokenType || 'Bearer',
+    access_token: data.accessToken,
+    refresh_token: data.refreshToken,
+    id_token: data.idToken || undefined,
+    expires_in: Math.max(0, Math.floor((data.expiresAt - Date.now()) / 1000))
+  };
+}
+
+// Refresher for lib/tokenManager.js; QuickBooks rotates the refresh token on every refresh
+async function refreshQuickBooksTokens(data) {
+  const oauthClient = createQuickBooksClient();
+  oauthClient.setToken(qbTokenFromConnection(data));
+  const authResponse = await oauthClient.refresh();
+  const newToken = authResponse.getJson();
+  return {
+    accessToken: newToken.access_token,
+    refreshToken: newToken.refresh_token || data.refreshToken,
+    idToken: newToken.id_token || data.idToken || null,
+    tokenType: newToken.token_type || data.tokenType || 'Bearer',
+    expiresAt: newToken?.expires_in ? (Date.now() + newToken.expires_in * 1000) : (Date.now() + 55 * 60 * 1000)
+  };
+}
+
+// selector is { companyId, connectionId, userId }, resolved by lib/connections.js
+export async function getQuickBooksAccessToken(selector) {
+  const { data } = await getFreshConnection('quickbooks', selector, refreshQuickBooksTokens);
+  return data.accessToken;
+}
+
+// Revoking the refresh token also invalidates every access token issued from it.
+// connection is { id, data } with decrypted tokens
+export async function revokeQuickBooksConnection({ data }) {
+  const oauthClient = createQuickBooksClient();
+  oauthClient.setToken(qbTokenFromConnection(data));
+  await oauthClient.revoke({ refresh_token: data.refreshToken });
+}
+
+// ---- Helpers ----
+export async function getQbContext(selector) {
+  const { connectionId, data } = await getFreshConnection('quickbooks', selector, refreshQuickBooksTokens);
+
+  const oauthClient = createQuickBooksClient();
+  oauthClient.setToken(qbTokenFromConnection(data));
+
+  const realmId = data.realmId;
+  if (!realmId) throw new Error('Missing realmId in QuickBooks connection');
+  return { oauthClient, realmId, connectionId };
+}
@@ -0,0 +1,311 @@
+import axios from 'axios';
+import { getFreshConnection } from './tokenManager.js';
+
+export function getSalesforceTokenUrl() {
+  const base = process.env.SALESFORCE_LOGIN_BASE_URL || 'https://login.salesforce.com';
+  const url = new URL('/services/oauth2/token', base);
+  return url.toString();
+}
+
+export function ensureClientCreds() {
+  const clientId = process.env.SALESFORCE_CONSUMER_KEY;
+  const clientSecret = process.env.SALESFORCE_CONSUMER_SECRET;
+  if (!clientId || !clientSecret) throw new Error('Missing Salesforce env vars (SALESFORCE_CONSUMER_KEY, SALESFORCE_CONSUMER_SECRET)');
+  return { clientId, clientSecret };
+}
+
+// Refresher for lib/tokenManager.js; Salesforce keeps the original refresh token
+async function refreshSalesforceTokens(data) {
+  if (!data.refreshToken) throw new Error('No refresh token stored for Salesforce');
+
+  const { clientId, clientSecret } = ensureClientCreds();
+  const params = new URLSearchParams();
+  params.set('grant_type', 'refresh_token');
+  params.set('client_id', clientId);
+  params.set('client_secret', clientSecret);
+  params.set('refresh_token', data.refreshToken);
+
+  const tokenRes = await axios.post(getSalesforceTokenUrl(), params.toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+  });
+
+  const { access_token: newAccess, issued_at: issuedAt } = tokenRes.data || {};
+  const expiresAt = Date.now() + (Number(process.env.SALESFORCE_ACCESS_TTL_SEC || 3600) * 1000);
+
+  return {
+    accessToken: newAccess,
+    expiresAt,
+    issuedAt: issuedAt || data.issuedAt || null
+  };
+}
+
+export const getSalesforceAccessToken = async (selector) => {
+  const { data } = await getFreshConnection('salesforce', selector, refreshSalesforceTokens);
+  return data.accessToken;
+};
+
+export const getSalesforceContext = async (selector) => {
+  const { connectionId, data } = await getFreshConnection('salesforce', selector, refreshSalesforceTokens);
+  const accessToken = data.accessToken;
+  const instanceUrl = data.instanceUrl;
+  if (!instanceUrl) throw new Error('Missing Salesforce instanceUrl');
+  return { accessToken, instanceUrl, connectionId };
+};
+
+// Revoking the refresh token ends the whole session, including issued access tokens
+export async function revokeSalesforceConnection({ data }) {
+  const base = data.instanceUrl || process.env.SALESFORCE_LOGIN_BASE_URL || 'https://login.salesforce.com';
+  const params = new URLSearchParams();
+  params.set('token', data.refreshToken || data.accessToken);
+
+  await axios.post(new URL('/services/oauth2/revoke', base).toString(), params.toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+  });
+}
+
+// ---- Helpers for querying Salesforce data ----
+// Accounting data lives in org-specific objects (standard Billing, CPQ, or custom); first match wins
+export const SF_OBJECT_CANDIDATES = {
+  invoices: ['Invoice', 'BillingInvoice__c', 'Invoice__c', 'sbqq__Invoice__c', 'zuora__Invoice__c'],
+  bills: ['VendorInvoice__c', 'Bill__c', 'Payable__c'],
+  payments: ['Payment', 'BillingPayment__c', 'Payment__c'],
+  accounts: ['GLAccount__c', 'General_Ledger_Account__c', 'LedgerAccount__c', 'AccountingAccount__c'],
+  generalLedger: ['GLTransaction__c', 'LedgerEntry__c', 'JournalEntry__c', 'JournalEntryLine__c']
+};
+
+export function getApiBase(instanceUrl) {
+  const version = process.env.SALESFORCE_API_VERSION || 'v60.0';
+  return `${instanceUrl}/services/data/${version}`;
+}
+
+// raw returns the axios response so callers can read headers (e.g. Bulk API Sforce-Locator)
+export async function sfRequest({ accessToken, instanceUrl, method = 'GET', path, params, data, headers, responseType, raw = false }) {
+  // nextRecordsUrl and other server-issued links are already rooted at /services/data
+  const base = path.startsWith('/services/') ? instanceUrl : getApiBase(instanceUrl);
+  const url = new URL(path.startsWith('http') ? path : `${base}${path}`);
+  if (params) {
+    Object.entries(params).forEach(([k, v]) => {
+      if (v !== undefined && v !== null) url.searchParams.set(String(k), String(v));
+    });
+  }
+  const res = await axios({
+    url: url.toString(),
+    method,
+    data,
+    responseType,
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Accept': 'application/json',
+      ...headers
+    }
+  });
+  return raw ? res : res.data;
+}
+
+export async function listSObjects({ accessToken, instanceUrl }) {
+  const data = await sfRequest({ accessToken, instanceUrl, path: '/sobjects' });
+  const names = new Set((data?.sobjects || []).map(s => s?.name).filter(Boolean));
+  return names;
+}
+
+// async function objectExists({ accessToken, instanceUrl }, objectName) {
+//   try {
+//     const names = await listSObjects({ accessToken, instanceUrl });
+//     return names.has(objectName);
+//   } catch {
+//     return false;
+//   }
+// }
+
+export async function chooseFirstExistingObject(ctx, candidates) {
+  const names = await listSObjects(ctx);
+  for (const n of candidates) {
+    if (names.has(n)) return n;
+  }
+  return null;
+}
+
+export async function describeObject({ accessToken, instanceUrl }, objectName) {
+  return await sfRequest({ accessToken, instanceUrl, path: `/sobjects/${encodeURIComponent(objectName)}/describe` });
+}
+
+export async function selectAvailableFields(ctx, objectName, desiredFields) {
+  const d = await describeObject(ctx, objectName);
+  const available = new Set((d?.fields || []).map(f => f?.name).filter(Boolean));
+  const fields = desiredFields.filter(f => available.has(f));
+  return fields.length > 0 ? fields : ['Id', 'Name', 'CreatedDate'];
+}
+
+// batchSize (200-2000) is a hint for how many records Salesforce returns per batch
+export async function runSoql({ accessToken, instanceUrl }, soql, { batchSize } = {}) {
+  const headers = batchSize ? { 'Sforce-Query-Options': `batchSize=${batchSize}` } : undefined;
+  const data = await sfRequest({ accessToken, instanceUrl, path: '/query', params: { q: soql }, headers });
+  return { records: data?.records || [], nextRecordsUrl: data?.nextRecordsUrl || null, totalSize: data?.totalSize || 0 };
+}
+
+// Next batch of a SOQL result set from the nextRecordsUrl of the previous one
+export async function queryMore({ accessToken, instanceUrl }, nextRecordsUrl, { batchSize } = {}) {
+  const headers = batchSize ? { 'Sforce-Query-Options': `batchSize=${batchSize}` } : undefined;
+  const data = await sfRequest({ accessToken, instanceUrl, path: nextRecordsUrl, headers });
+  return { records: data?.records || [], nextRecordsUrl: data?.nextRecordsUrl || null, totalSize: data?.totalSize || 0 };
+}
+
+// Follow nextRecordsUrl until the result set is exhausted; onPage(records) lets callers persist as they go
+export async function runSoqlAll(ctx, soql, onPage = null) {
+  let page = await runSoql(ctx, soql);
+  const records = [];
+  for (;;) {
+    if (onPage) await onPage(page.records);
+    else records.push(...page.records);
+    if (!page.nextRecordsUrl) break;
+    page = await queryMore(ctx, page.nextRecordsUrl);
+  }
+  return { records, totalSize: page.totalSize };
+}
+
+// ---- Cursor pagination for API routes ----
+// A cursor is an opaque base64url token wrapping the nextRecordsUrl plus whatever the route needs
+// to answer later pages without re-describing the org (e.g. the object name). Salesforce drops
+// query locators after about 15 minutes of inactivity.
+const QUERY_LOCATOR_PATH = /^\/services\/data\/v[\d.]+\/query\/[\w-]+$/;
+
+export function invalidCursorError() {
+  const err = new Error('Invalid or expired cursor');
+  err.code = 'invalid_cursor';
+  return err;
+}
+
+export function encodeSoqlCursor(nextRecordsUrl, meta = {}) {
+  if (!nextRecordsUrl) return null;
+  return Buffer.from(JSON.stringify({ next: nextRecordsUrl, meta })).toString('base64url');
+}
+
+// Only query locators on the connection's own instance are accepted; the access token is sent with the request
+export function decodeSoqlCursor(cursor) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw invalidCursorError();
+  }
+  if (!decoded || typeof decoded.next !== 'string' || !QUERY_LOCATOR_PATH.test(decoded.next)) throw invalidCursorError();
+  return { nextRecordsUrl: decoded.next, meta: decoded.meta || {} };
+}
+
+// First page of a query, or the page a cursor points at. Returns { records, totalSize, nextCursor, meta }.
+export async function runSoqlPage(ctx, soql, { cursor, pageSize, meta = {} } = {}) {
+  const batchSize = pageSize ? Math.min(Math.max(Number(pageSize), 200), 2000) : undefined;
+
+  if (cursor) {
+    const { nextRecordsUrl, meta: cursorMeta } = decodeSoqlCursor(cursor);
+    let page;
+    try {
+      page = await queryMore(ctx, nextRecordsUrl, { batchSize });
+    } catch (e) {
+      if (e?.response?.status === 400 || e?.response?.status === 404) throw invalidCursorError();
+      throw e;
+    }
+    return { records: page.records, totalSize: page.totalSize, nextCursor: encodeSoqlCursor(page.nextRecordsUrl, cursorMeta), meta: cursorMeta };
+  }
+
+  const page = await runSoql(ctx, soql, { batchSize });
+  return { records: page.records, totalSize: page.totalSize, nextCursor: encodeSoqlCursor(page.nextRecordsUrl, meta), meta };
+}
+
+// ---- Bulk API 2.0 ----
+// Query jobs run server-side and return CSV in large chunks, which suits syncs over objects with
+// hundreds of thousands of rows. Parent-to-child subqueries are not supported; CSV values are
+// strings and empty fields come back as ''.
+const BULK_POLL_MS = Number(process.env.SALESFORCE_BULK_POLL_MS) || 2000;
+const BULK_TIMEOUT_MS = Number(process.env.SALESFORCE_BULK_TIMEOUT_MS) || 30 * 60 * 1000;
+const BULK_MAX_RECORDS = 50000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// RFC 4180 CSV (quoted fields, doubled quotes, embedded newlines) into objects keyed by header
+export function parseBulkCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+
+  const [header, ...data] = rows;
+  if (!header) return [];
+  return data
+    .filter(r => r.length > 1 || r[0] !== '')
+    .map(r => Object.fromEntries(header.map((name, i) => [name, r[i] ?? ''])));
+}
+
+export async function createBulkQueryJob(ctx, soql) {
+  return sfRequest({
+    ...ctx,
+    method: 'POST',
+    path: '/jobs/query',
+    data: { operation: 'query', query: soql, contentType: 'CSV', columnDelimiter: 'COMMA', lineEnding: 'LF' },
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+export async function waitForBulkQueryJob(ctx, jobId) {
+  const deadline = Date.now() + BULK_TIMEOUT_MS;
+  for (;;) {
+    const job = await sfRequest({ ...ctx, path: `/jobs/query/${encodeURIComponent(jobId)}` });
+    if (job.state === 'JobComplete') return job;
+    if (job.state === 'Failed' || job.state === 'Aborted') {
+      throw new Error(`Salesforce bulk query ${jobId} ${job.state.toLowerCase()}: ${job.errorMessage || 'no error message'}`);
+    }
+    if (Date.now() > deadline) throw new Error(`Salesforce bulk query ${jobId} did not complete in time`);
+    await sleep(BULK_POLL_MS);
+  }
+}
+
+// Run a query through Bulk API 2.0, handing each result chunk to onPage(records)
+export async function runBulkQuery(ctx, soql, onPage) {
+  const job = await createBulkQueryJob(ctx, soql);
+  const completed = await waitForBulkQueryJob(ctx, job.id);
+
+  let locator = null;
+  let count = 0;
+  do {
+    const res = await sfRequest({
+      ...ctx,
+      path: `/jobs/query/${encodeURIComponent(job.id)}/results`,
+      params: { maxRecords: BULK_MAX_RECORDS, locator },
+      headers: { 'Accept': 'text/csv' },
+      responseType: 'text',
+      raw: true
+    });
+    const records = parseBulkCsv(res.data || '');
+    count += records.length;
+    await onPage(records);
+    const next = res.headers['sforce-locator'];
+    locator = next && next !== 'null' ? next : null;
+  } while (locator);
+
+  return { jobId: job.id, totalSize: completed.numberRecordsProcessed ?? count };
+}
+
+// Record count for a WHERE clause, used to pick REST or Bulk for a sync
+export async function countSoql(ctx, objectName, where) {
+  const data = await runSoql(ctx, `SELECT COUNT() FROM ${objectName}${where ? ` WHERE ${where}` : ''}`);
+  return data.totalSize;
+}
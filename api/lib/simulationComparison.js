@@ -0,0 +1,188 @@
+// Side-by-side comparison of saved simulations: normalizes their ROI, recommendations, risks and
+// roadmap timelines into one matrix and ranks them on a weighted composite score.
+
+// Composite weights by metric; roi/npv/irr favor higher values, risk/timeline favor lower ones
+export const DEFAULT_COMPARISON_WEIGHTS = { roi: 0.35, npv: 0.25, irr: 0.15, risk: 0.15, timeline: 0.1 };
+const LOWER_IS_BETTER = new Set(['risk', 'timeline']);
+
+export const MAX_COMPARED_SIMULATIONS = 10;
+
+const MONTHS_PER_UNIT = { day: 1 / 30, week: 12 / 52, month: 1, quarter: 3, year: 12 };
+
+const round2 = (v) => Math.round(v * 100) / 100;
+const finiteOrNull = (v) => (Number.isFinite(v) ? v : null);
+
+// Override any weights; the result is rescaled to sum to 1. Returns { weights } or { error }.
+export function resolveComparisonWeights(overrides = {}) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) return { error: 'weights must be an object keyed by metric' };
+  const unknown = Object.keys(overrides).filter(k => !(k in DEFAULT_COMPARISON_WEIGHTS));
+  if (unknown.length) return { error: `Unknown weights: ${unknown.join(', ')}; supported: ${Object.keys(DEFAULT_COMPARISON_WEIGHTS).join(', ')}` };
+
+  const weights = { ...DEFAULT_COMPARISON_WEIGHTS };
+  for (const [key, value] of Object.entries(overrides)) {
+    const n = Number(value);
+    if (value == null || !Number.isFinite(n) || n < 0) return { error: `weights.${key} must be a non-negative number` };
+    weights[key] = n;
+  }
+  const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+  if (!(total > 0)) return { error: 'At least one weight must be positive' };
+  return { weights: Object.fromEntries(Object.entries(weights).map(([k, w]) => [k, w / total])) };
+}
+
+// "0-3 months", "6 to 12 months", "2 years" -> months to the end of the range; null when unreadable
+export function parseDurationMonths(text) {
+  if (typeof text !== 'string') return null;
+  const match = text.toLowerCase().match(/(\d+(?:\.\d+)?)(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s*(day|week|month|quarter|year)s?/);
+  if (!match) return null;
+  const upper = Number(match[2] ?? match[1]);
+  return round2(upper * MONTHS_PER_UNIT[match[3]]);
+}
+
+const asList = (v) => (Array.isArray(v) ? v.filter(item => item != null && item !== '') : []);
+
+// Recommendations, risks and timeline of one simulation's results in comparable form
+export function normalizeSimulationResults(results = {}) {
+  const recommendations = asList(results.recommendations).map(r => (typeof r === 'string'
+    ? { action: r, timeline: null, timelineMonths: null, risks: null }
+    : { action: r.action || null, timeline: r.timeline || null, timelineMonths: parseDurationMonths(r.timeline), risks: r.risks || null }));
+
+  const risk = results.riskAssessment || {};
+  const highRisks = asList(risk.highRisks);
+  const mitigations = asList(risk.mitigationStrategies);
+  const contingencies = asList(risk.contingencyPlans);
+  // Share of high risks with a mitigation strategy (1 when there are none)
+  const mitigationCoverage = highRisks.length ? Math.min(1, mitigations.length / highRisks.length) : 1;
+
+  const phases = Object.entries(results.implementationRoadmap || {})
+    .filter(([, phase]) => phase && typeof phase === 'object')
+    .map(([phase, { duration = null, actions, milestones }]) => ({
+      phase,
+      duration,
+      months: parseDurationMonths(duration),
+      actionCount: asList(actions).length,
+      milestoneCount: asList(milestones).length
+    }));
+  const spans = [...phases.map(p => p.months), ...recommendations.map(r => r.timelineMonths)].filter(m => m != null);
+
+  return {
+    recommendations: {
+      count: recommendations.length,
+      primaryAction: recommendations[0]?.action || null,
+      items: recommendations
+    },
+    risks: {
+      highRiskCount: highRisks.length,
+      mitigationCount: mitigations.length,
+      contingencyCount: contingencies.length,
+      mitigationCoverage: round2(mitigationCoverage),
+      // High risks discounted by up to half for mitigation coverage
+      exposure: round2(highRisks.length * (1 - mitigationCoverage / 2)),
+      items: highRisks
+    },
+    timeline: {
+      months: spans.length ? Math.max(...spans) : null,
+      phases
+    }
+  };
+}
+
+// Min-max scale across the compared simulations to 0..1 where 1 is best. Missing values score 0;
+// when every simulation has the same value they all score 1.
+function scaleMetric(values, lowerIsBetter) {
+  const present = values.filter(v => v != null);
+  if (!present.length) return values.map(() => 0);
+  const min = Math.min(...present);
+  const max = Math.max(...present);
+  return values.map(v => {
+    if (v == null) return 0;
+    if (max === min) return 1;
+    const scaled = (v - min) / (max - min);
+    return lowerIsBetter ? 1 - scaled : scaled;
+  });
+}
+
+const formatMoney = (v) => {
+  if (v == null) return 'n/a';
+  const abs = Math.abs(v);
+  if (abs >= 1e9) return `${(v / 1e9).toFixed(1)}B`;
+  if (abs >= 1e6) return `${(v / 1e6).toFixed(1)}M`;
+  if (abs >= 1e3) return `${(v / 1e3).toFixed(0)}K`;
+  return v.toFixed(0);
+};
+const formatPct = (v) => (v == null ? 'n/a' : `${v.toFixed(1)}%`);
+
+// entries: [{ simulation: { id, name, type, framework, createdAt, results }, roi: calculateScenarioROI result }]
+export function buildSimulationComparison(entries, { weights, horizonYears }) {
+  const rows = entries.map(({ simulation, roi }) => {
+    const irr = finiteOrNull(roi.scenario?.irr);
+    return {
+      simulationId: simulation.id,
+      name: simulation.name || null,
+      type: simulation.type || null,
+      framework: simulation.framework || null,
+      createdAt: simulation.createdAt || null,
+      roi: {
+        scenarioRoiPercent: finiteOrNull(roi.scenarioRoiPercent),
+        discountRate: finiteOrNull(roi.discountRate),
+        baselineNPV: finiteOrNull(roi.baseline?.npv),
+        scenarioNPV: finiteOrNull(roi.scenario?.npv),
+        deltaNPV: finiteOrNull(roi.deltaNPV),
+        irr
+      },
+      ...normalizeSimulationResults(simulation.results)
+    };
+  });
+
+  const metricValues = {
+    roi: rows.map(r => r.roi.scenarioRoiPercent),
+    npv: rows.map(r => r.roi.deltaNPV),
+    irr: rows.map(r => r.roi.irr),
+    risk: rows.map(r => r.risks.exposure),
+    timeline: rows.map(r => r.timeline.months)
+  };
+  const scaled = Object.fromEntries(Object.entries(metricValues).map(([k, values]) => [k, scaleMetric(values, LOWER_IS_BETTER.has(k))]));
+
+  rows.forEach((row, i) => {
+    row.scores = Object.fromEntries(Object.keys(weights).map(k => [k, round2(scaled[k][i])]));
+    row.compositeScore = round2(Object.entries(weights).reduce((sum, [k, w]) => sum + w * scaled[k][i], 0) * 100);
+  });
+  rows.sort((a, b) => b.compositeScore - a.compositeScore);
+  rows.forEach((row, i) => { row.rank = i + 1; });
+
+  const table = {
+    title: 'Simulation Comparison',
+    columns: ['Rank', 'Simulation', 'Type', 'ROI %', 'Delta NPV', 'IRR', 'High risks', 'Timeline (months)', 'Score'],
+    rows: rows.map(r => [
+      String(r.rank),
+      r.name || r.simulationId,
+      r.type || 'n/a',
+      formatPct(r.roi.scenarioRoiPercent),
+      formatMoney(r.roi.deltaNPV),
+      r.roi.irr == null ? 'n/a' : formatPct(r.roi.irr * 100),
+      String(r.risks.highRiskCount),
+      r.timeline.months == null ? 'n/a' : String(r.timeline.months),
+      r.compositeScore.toFixed(2)
+    ])
+  };
+
+  return {
+    horizonYears,
+    weights,
+    recommended: rows[0] ? { simulationId: rows[0].simulationId, name: rows[0].name, primaryAction: rows[0].recommendations.primaryAction } : null,
+    simulations: rows,
+    table,
+    // Section in the shape renderPDFBuffer takes
+    pdfSection: { title: table.title, markdown: renderTableMarkdown(table, weights) }
+  };
+}
+
+function renderTableMarkdown(table, weights) {
+  const lines = [
+    `| ${table.columns.join(' | ')} |`,
+    `| ${table.columns.map(() => '---').join(' | ')} |`,
+    ...table.rows.map(row => `| ${row.join(' | ')} |`),
+    '',
+    'Score weights: ' + Object.entries(weights).map(([k, w]) => `${k} ${(w * 100).toFixed(0)}%`).join(', ')
+  ];
+  return lines.join('\n');
+}
@@ -0,0 +1,151 @@
+import { FieldValue } from '@google-cloud/firestore';
+import { db } from '../firestore.js';
+import { trailingMonthRange } from './financialSnapshots.js';
+import { enqueueJob, registerJobHandler } from './jobs/index.js';
+
+// Sync run records track each integration pull into the financial layer
+
+// Firestore hands back Timestamps for stored dates
+const toDate = (v) => (v?.toDate ? v.toDate() : new Date(v));
+
+function newSyncRunId() {
+  return `sync_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+export async function createSyncRun({ provider, tenantId, userId, ...details }) {
+  const syncRunId = newSyncRunId();
+  await db.collection('integrationSyncRuns').doc(syncRunId).set({
+    id: syncRunId,
+    provider,
+    tenantId,
+    userId: userId || null,
+    ...details,
+    status: 'queued',
+    createdAt: new Date()
+  });
+  return syncRunId;
+}
+
+// Webhook notifications arrive in bursts; changes for a connection collect on a queued webhook
+// run created within the last `debounceMs`, whose delayed job has not started yet. Older queued
+// runs (waiting on a retry, or stranded) are left alone and a new run is created.
+// Returns { syncRunId, coalesced }.
+export async function enqueueWebhookSyncRun({ provider, tenantId, userId, connectionId, changedEntities, debounceMs, ...details }) {
+  const queued = db.collection('integrationSyncRuns')
+    .where('connectionId', '==', connectionId)
+    .where('trigger', '==', 'webhook')
+    .where('status', '==', 'queued');
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(queued);
+    const since = Date.now() - debounceMs;
+    const pending = snap.docs.find(doc => toDate(doc.data().createdAt) > since);
+    if (pending) {
+      tx.update(pending.ref, { changedEntities: FieldValue.arrayUnion(...changedEntities), updatedAt: new Date() });
+      return { syncRunId: pending.id, coalesced: true };
+    }
+
+    const syncRunId = newSyncRunId();
+    tx.set(db.collection('integrationSyncRuns').doc(syncRunId), {
+      id: syncRunId,
+      provider,
+      tenantId,
+      userId: userId || null,
+      connectionId,
+      ...details,
+      changedEntities,
+      trigger: 'webhook',
+      status: 'queued',
+      createdAt: new Date()
+    });
+    return { syncRunId, coalesced: false };
+  });
+}
+
+// ---- Background jobs ----
+
+// Register a provider's sync worker as a job handler. Attempts that throw put the run back in the
+// queue for the job's retry; the run is marked failed once the job is dead-lettered.
+export function registerSyncJobHandler(jobType, worker) {
+  registerJobHandler(
+    jobType,
+    async ({ syncRunId }, { attempt, maxAttempts }) => {
+      const run = await getSyncRun(syncRunId);
+      // A job requeued after its lease expired may find the run already done
+      if (!run || run.status === 'succeeded') return;
+      try {
+        await worker(syncRunId);
+      } catch (err) {
+        if (attempt < maxAttempts) await markSyncRunRetrying(syncRunId, err);
+        throw err;
+      }
+    },
+    { onDeadLetter: ({ syncRunId }, err) => markSyncRunFailed(syncRunId, err) }
+  );
+}
+
+// Queue a sync run for a background worker; the run records the job carrying it
+export async function enqueueSyncRunJob(jobType, syncRunId, { delayMs = 0 } = {}) {
+  const jobId = await enqueueJob(jobType, { syncRunId }, { delayMs });
+  await db.collection('integrationSyncRuns').doc(syncRunId).update({ jobId });
+  return jobId;
+}
+
+// Resolve the requested YYYY-MM window, defaulting to the trailing N months; null when invalid
+export function resolveSyncWindow({ startMonth, endMonth, months } = {}) {
+  const defaults = trailingMonthRange(Number(months) || 12);
+  const range = {
+    startMonth: startMonth || defaults.startMonth,
+    endMonth: endMonth || defaults.endMonth
+  };
+  const isMonth = (v) => /^\d{4}-\d{2}$/.test(v);
+  if (!isMonth(range.startMonth) || !isMonth(range.endMonth) || range.startMonth > range.endMonth) return null;
+  return range;
+}
+
+export async function getSyncRun(syncRunId) {
+  const doc = await db.collection('integrationSyncRuns').doc(syncRunId).get();
+  return doc.exists ? doc.data() : null;
+}
+
+export async function markSyncRunStarted(syncRunId) {
+  await db.collection('integrationSyncRuns').doc(syncRunId).update({
+    status: 'running',
+    startedAt: new Date()
+  });
+}
+
+export async function markSyncRunSucceeded(syncRunId, results = {}) {
+  await db.collection('integrationSyncRuns').doc(syncRunId).update({
+    ...results,
+    status: 'succeeded',
+    finishedAt: new Date(),
+    errorMessage: null
+  });
+}
+
+export async function markSyncRunFailed(syncRunId, err) {
+  await db.collection('integrationSyncRuns').doc(syncRunId).update({
+    status: 'failed',
+    finishedAt: new Date(),
+    errorMessage: err?.message || 'Unknown error'
+  });
+}
+
+export async function markSyncRunRetrying(syncRunId, err) {
+  await db.collection('integrationSyncRuns').doc(syncRunId).update({
+    status: 'queued',
+    errorMessage: err?.message || 'Unknown error'
+  });
+}
+
+// Most recent successful sync for a company, optionally for a single provider
+export async function getLatestSuccessfulSync(tenantId, provider) {
+  let query = db.collection('integrationSyncRuns')
+    .where('tenantId', '==', tenantId)
+    .where('status', '==', 'succeeded');
+  if (provider) query = query.where('provider', '==', provider);
+
+  const snap = await query.orderBy('finishedAt', 'desc').limit(1).get();
+  return snap.empty ? null : snap.docs[0].data();
+}
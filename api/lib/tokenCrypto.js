@@ -0,0 +1,172 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { GoogleAuth } from 'google-auth-library';
+
+// Envelope encryption for integration OAuth tokens.
+// Every value gets its own random data key (AES-256-GCM); the data key is wrapped by a
+// key provider and stored next to the ciphertext:
+//   { enc: 'v1', keyId, wrappedKey, iv, tag, data }  (binary fields base64)
+// Rotating the master key only re-wraps data keys; token ciphertext is untouched.
+//
+// A key provider is { name, getPrimaryKeyId(), wrapKey(dataKey) -> { keyId, wrappedKey }, unwrapKey({ keyId, wrappedKey }) -> dataKey }.
+
+export const TOKEN_FIELDS = ['accessToken', 'refreshToken', 'idToken'];
+
+const ENVELOPE_VERSION = 'v1';
+const ALGORITHM = 'aes-256-gcm';
+
+function gcmEncrypt(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), data };
+}
+
+function gcmDecrypt(key, { iv, tag, data }) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]);
+}
+
+// ---- Key providers ----
+
+// Master keys held in process: { keys: { [keyId]: 32-byte Buffer | base64 }, primaryKeyId }
+export function createLocalKeyProvider({ keys, primaryKeyId }) {
+  const keyring = new Map(Object.entries(keys || {}).map(([id, key]) => [id, Buffer.isBuffer(key) ? key : Buffer.from(key, 'base64')]));
+  for (const [id, key] of keyring) {
+    if (key.length !== 32) throw new Error(`Token encryption key ${id} must be 32 bytes`);
+  }
+  if (!keyring.has(primaryKeyId)) throw new Error(`Primary token encryption key ${primaryKeyId} not found`);
+
+  return {
+    name: 'local',
+    getPrimaryKeyId: async () => primaryKeyId,
+    wrapKey: async (dataKey) => {
+      const { iv, tag, data } = gcmEncrypt(keyring.get(primaryKeyId), dataKey);
+      return { keyId: primaryKeyId, wrappedKey: Buffer.concat([iv, tag, data]) };
+    },
+    unwrapKey: async ({ keyId, wrappedKey }) => {
+      const key = keyring.get(keyId);
+      if (!key) throw new Error(`Token encryption key ${keyId} is not loaded`);
+      return gcmDecrypt(key, { iv: wrappedKey.subarray(0, 12), tag: wrappedKey.subarray(12, 28), data: wrappedKey.subarray(28) });
+    }
+  };
+}
+
+// TOKEN_KEY_FILE: JSON { "primary": "k2", "keys": { "k1": "<base64>", "k2": "<base64>" } }
+// TOKEN_ENCRYPTION_KEYS: "k2:<base64>,k1:<base64>" (first entry is primary)
+function loadLocalKeyProvider() {
+  if (process.env.TOKEN_KEY_FILE) {
+    const file = JSON.parse(fs.readFileSync(process.env.TOKEN_KEY_FILE, 'utf8'));
+    return createLocalKeyProvider({ keys: file.keys, primaryKeyId: file.primary });
+  }
+
+  const entries = (process.env.TOKEN_ENCRYPTION_KEYS || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (!entries.length) return null;
+  const keys = {};
+  for (const entry of entries) {
+    const [id, key] = entry.split(':');
+    if (!id || !key) throw new Error('TOKEN_ENCRYPTION_KEYS entries must be keyId:base64Key');
+    keys[id] = key;
+  }
+  return createLocalKeyProvider({ keys, primaryKeyId: entries[0].split(':')[0] });
+}
+
+// Google Cloud KMS: keyName is projects/<p>/locations/<l>/keyRings/<r>/cryptoKeys/<k>.
+// keyId records the key version that wrapped the data key; KMS picks the version itself on decrypt.
+export function createGcpKmsKeyProvider(keyName) {
+  const auth = new GoogleAuth({ scopes: ['https://www.googleapis.com/auth/cloudkms'] });
+  const kmsUrl = (path) => `https://cloudkms.googleapis.com/v1/${path}`;
+
+  return {
+    name: 'gcp-kms',
+    getPrimaryKeyId: async () => {
+      const client = await auth.getClient();
+      const res = await client.request({ url: kmsUrl(keyName) });
+      return res.data?.primary?.name;
+    },
+    wrapKey: async (dataKey) => {
+      const client = await auth.getClient();
+      const res = await client.request({ url: kmsUrl(`${keyName}:encrypt`), method: 'POST', data: { plaintext: dataKey.toString('base64') } });
+      return { keyId: res.data.name, wrappedKey: Buffer.from(res.data.ciphertext, 'base64') };
+    },
+    unwrapKey: async ({ wrappedKey }) => {
+      const client = await auth.getClient();
+      const res = await client.request({ url: kmsUrl(`${keyName}:decrypt`), method: 'POST', data: { ciphertext: wrappedKey.toString('base64') } });
+      return Buffer.from(res.data.plaintext, 'base64');
+    }
+  };
+}
+
+let keyProvider = null;
+
+// TOKEN_KMS_KEY selects Cloud KMS; otherwise local keys from TOKEN_KEY_FILE / TOKEN_ENCRYPTION_KEYS
+export function getKeyProvider() {
+  if (!keyProvider) {
+    keyProvider = process.env.TOKEN_KMS_KEY ? createGcpKmsKeyProvider(process.env.TOKEN_KMS_KEY) : loadLocalKeyProvider();
+  }
+  if (!keyProvider) throw new Error('Token encryption is not configured (TOKEN_KMS_KEY, TOKEN_KEY_FILE or TOKEN_ENCRYPTION_KEYS)');
+  return keyProvider;
+}
+
+// Swap the provider, e.g. a local stand-in for KMS in tests or a rotation run with both keyrings loaded
+export function setKeyProvider(provider) {
+  keyProvider = provider;
+}
+
+// ---- Values ----
+
+export function isEncryptedValue(value) {
+  return Boolean(value) && typeof value === 'object' && value.enc === ENVELOPE_VERSION;
+}
+
+export async function encryptValue(plaintext) {
+  const dataKey = crypto.randomBytes(32);
+  const { iv, tag, data } = gcmEncrypt(dataKey, Buffer.from(String(plaintext), 'utf8'));
+  const { keyId, wrappedKey } = await getKeyProvider().wrapKey(dataKey);
+  return {
+    enc: ENVELOPE_VERSION,
+    keyId,
+    wrappedKey: wrappedKey.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: tag.toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+// Plaintext values written before encryption was enabled pass through unchanged
+export async function decryptValue(value) {
+  if (!isEncryptedValue(value)) return value;
+  const dataKey = await getKeyProvider().unwrapKey({ keyId: value.keyId, wrappedKey: Buffer.from(value.wrappedKey, 'base64') });
+  return gcmDecrypt(dataKey, {
+    iv: Buffer.from(value.iv, 'base64'),
+    tag: Buffer.from(value.tag, 'base64'),
+    data: Buffer.from(value.data, 'base64')
+  }).toString('utf8');
+}
+
+// Re-wrap the data key under the current primary key
+export async function rewrapValue(value) {
+  const provider = getKeyProvider();
+  const dataKey = await provider.unwrapKey({ keyId: value.keyId, wrappedKey: Buffer.from(value.wrappedKey, 'base64') });
+  const { keyId, wrappedKey } = await provider.wrapKey(dataKey);
+  return { ...value, keyId, wrappedKey: wrappedKey.toString('base64') };
+}
+
+// ---- Connection token fields ----
+
+export async function encryptTokenFields(fields) {
+  const out = { ...fields };
+  for (const field of TOKEN_FIELDS) {
+    if (out[field] != null && !isEncryptedValue(out[field])) out[field] = await encryptValue(out[field]);
+  }
+  return out;
+}
+
+export async function decryptTokenFields(data) {
+  const out = { ...data };
+  for (const field of TOKEN_FIELDS) {
+    if (out[field] != null) out[field] = await decryptValue(out[field]);
+  }
+  return out;
+}
@@ -0,0 +1,114 @@
+import crypto from 'crypto';
+import { db } from '../firestore.js';
+import { resolveConnection, updateConnectionTokens } from './connections.js';
+import { decryptTokenFields } from './tokenCrypto.js';
+
+// One refresh path for every provider. A refresh is serialized per connection:
+// in-process callers share one promise, and across instances a short lease on the
+// connection doc (taken in a Firestore transaction) lets only one holder call the
+// provider. Others wait for the lease holder's tokens. This matters for providers
+// that rotate refresh tokens (QuickBooks, Xero): two concurrent refreshes would
+// invalidate each other.
+
+const REFRESH_MARGIN_MS = 60 * 1000;
+const LEASE_TTL_MS = 30 * 1000;
+const LEASE_POLL_MS = 500;
+
+export const NEEDS_REAUTH = 'needs_reauth';
+
+const inFlight = new Map();
+const instanceId = crypto.randomUUID();
+
+const isFresh = (data) => Boolean(data.accessToken) && Date.now() < (data.expiresAt - REFRESH_MARGIN_MS);
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export function needsReauthError(provider) {
+  const err = new Error(`${provider} connection needs to be reauthorized`);
+  err.code = NEEDS_REAUTH;
+  return err;
+}
+
+// invalid_grant: the refresh token was revoked, expired or already rotated away
+export function isInvalidGrant(err) {
+  const code = err?.response?.data?.error || err?.error || err?.authResponse?.json?.error;
+  return code === 'invalid_grant' || /invalid_grant/.test(err?.message || '') || /invalid_grant/.test(err?.originalMessage || '');
+}
+
+// Take the refresh lease unless another holder has it or the tokens were refreshed meanwhile.
+// Returns { acquired, data } with data as stored (encrypted); data is null once the connection is
+// disconnected mid-refresh.
+async function acquireLease(ref) {
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return { acquired: false, data: null };
+    const data = snap.data();
+    const lease = data.refreshLease;
+    if (data.status === NEEDS_REAUTH) return { acquired: false, data };
+    if (lease && lease.holder !== instanceId && lease.expiresAt > Date.now()) return { acquired: false, data };
+    if (Date.now() < (data.expiresAt - REFRESH_MARGIN_MS)) return { acquired: false, data };
+
+    tx.update(ref, { refreshLease: { holder: instanceId, expiresAt: Date.now() + LEASE_TTL_MS } });
+    return { acquired: true, data };
+  });
+}
+
+async function waitForRefresh(provider, ref) {
+  const deadline = Date.now() + LEASE_TTL_MS;
+  while (Date.now() < deadline) {
+    const snap = await ref.get();
+    if (!snap.exists) return null;
+    const data = await decryptTokenFields(snap.data());
+    if (data.status === NEEDS_REAUTH) throw needsReauthError(provider);
+    if (isFresh(data)) return data;
+    if (!data.refreshLease || data.refreshLease.expiresAt <= Date.now()) return null;
+    await sleep(LEASE_POLL_MS);
+  }
+  return null;
+}
+
+async function refreshConnection(provider, connection, refresh) {
+  const { ref } = connection;
+
+  for (;;) {
+    const { acquired, data: stored } = await acquireLease(ref);
+    if (!stored) throw new Error(`${provider} connection was disconnected`);
+    const data = await decryptTokenFields(stored);
+    if (data.status === NEEDS_REAUTH) throw needsReauthError(provider);
+
+    if (!acquired) {
+      if (isFresh(data)) return data;
+      const refreshed = await waitForRefresh(provider, ref);
+      if (refreshed) return refreshed;
+      continue; // lease expired without fresh tokens; try to take it
+    }
+
+    try {
+      const fields = await refresh(data);
+      await updateConnectionTokens(ref, { ...fields, status: 'active', reauthReason: null, refreshLease: null, lastRefreshedAt: new Date() });
+      return { ...data, ...fields, status: 'active' };
+    } catch (e) {
+      if (isInvalidGrant(e)) {
+        await ref.update({ status: NEEDS_REAUTH, reauthReason: e.message || 'invalid_grant', refreshLease: null, updatedAt: new Date() });
+        throw needsReauthError(provider);
+      }
+      await ref.update({ refreshLease: null });
+      throw e;
+    }
+  }
+}
+
+// Resolve a connection and return { connectionId, ref, data } with decrypted, unexpired tokens.
+// refresh(data) calls the provider and returns the token fields to store
+// ({ accessToken, refreshToken?, expiresAt, ... }).
+export async function getFreshConnection(provider, selector, refresh) {
+  const connection = await resolveConnection(provider, selector);
+  if (connection.data.status === NEEDS_REAUTH) throw needsReauthError(provider);
+  if (isFresh(connection.data)) return { connectionId: connection.id, ref: connection.ref, data: connection.data };
+
+  const key = `${provider}:${connection.id}`;
+  if (!inFlight.has(key)) {
+    inFlight.set(key, refreshConnection(provider, connection, refresh).finally(() => inFlight.delete(key)));
+  }
+  const data = await inFlight.get(key);
+  return { connectionId: connection.id, ref: connection.ref, data };
+}
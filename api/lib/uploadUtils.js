@@ -1,82 +1,340 @@
+import { Transform } from 'stream';
 import * as XLSX from 'xlsx';
 import { runGemini } from '../../services/aiProviders.js';
 
-// Parse file headers and sample rows
-export async function parseFileHeaders(buffer, filename) {
-  const ext = filename.split('.').pop().toLowerCase();
-  let workbook;
+// Size caps by extension. CSV is parsed as a stream; Excel workbooks are zip archives that have
+// to be read whole, so they get a much lower cap.
+export const UPLOAD_SIZE_LIMITS = {
+  csv: 250 * 1024 * 1024,
+  xlsx: 25 * 1024 * 1024,
+  xls: 25 * 1024 * 1024
+};
 
-  if (ext === 'csv') {
-    workbook = XLSX.read(buffer, { type: 'buffer', raw: true });
-  } else if (ext === 'xlsx' || ext === 'xls') {
-    workbook = XLSX.read(buffer, { type: 'buffer' });
-  } else {
-    throw new Error('Unsupported file format');
+export const MAX_UPLOAD_BYTES = Math.max(...Object.values(UPLOAD_SIZE_LIMITS));
+
+// Excel rows converted per sheet_to_json call
+const XLSX_CHUNK_ROWS = 1000;
+
+export function uploadExtension(filename) {
+  return filename.split('.').pop().toLowerCase();
+}
+
+const formatMegabytes = (bytes) => `${Math.round(bytes / (1024 * 1024))} MB`;
+
+export function fileTooLargeError(ext) {
+  const err = new Error(`File is too large: .${ext} uploads are limited to ${formatMegabytes(UPLOAD_SIZE_LIMITS[ext])}`);
+  err.code = 'file_too_large';
+  return err;
+}
+
+// Pass-through that fails with file_too_large once more than the extension's cap has gone by
+export function createSizeLimiter(ext) {
+  const limit = UPLOAD_SIZE_LIMITS[ext];
+  let bytes = 0;
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      bytes += chunk.length;
+      if (bytes > limit) return callback(fileTooLargeError(ext));
+      callback(null, chunk);
+    }
+  });
+  Object.defineProperty(limiter, 'bytes', { get: () => bytes });
+  return limiter;
+}
+
+// RFC 4180 CSV from a byte stream, one row (array of strings) at a time: quoted fields may hold
+// commas, doubled quotes and line breaks. Values stay text, like XLSX.read's raw CSV mode.
+export async function* parseCsvStream(stream) {
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let quoteClosed = false;
+  let first = true;
+
+  stream.setEncoding('utf8');
+  for await (let chunk of stream) {
+    if (first) {
+      chunk = chunk.replace(/^\uFEFF/, '');
+      first = false;
+    }
+    for (let i = 0; i < chunk.length; i++) {
+      const ch = chunk[i];
+      if (inQuotes) {
+        if (ch === '"') {
+          inQuotes = false;
+          quoteClosed = true;
+        } else {
+          field += ch;
+        }
+        continue;
+      }
+
+      if (ch === '"' && (quoteClosed || field === '')) {
+        // "" inside a quoted field is a literal quote
+        if (quoteClosed) field += '"';
+        inQuotes = true;
+        quoteClosed = false;
+        continue;
+      }
+      quoteClosed = false;
+
+      if (ch === ',') {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n') {
+        row.push(field);
+        field = '';
+        yield row;
+        row = [];
+      } else if (ch !== '\r') {
+        field += ch;
+      }
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    yield row;
+  }
+}
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+// A workbook's sheets, each parsed only as far as `maxRows` rows when given
+function readWorkbook(buffer, maxRows) {
+  return XLSX.read(buffer, { type: 'buffer', dense: true, sheetRows: Number.isFinite(maxRows) ? maxRows : 0 });
+}
+
+export function sheetNotFoundError(sheetName) {
+  const err = new Error(`Sheet "${sheetName}" not found in workbook`);
+  err.code = 'sheet_not_found';
+  return err;
+}
+
+// Rows of one sheet, converted a chunk at a time instead of all at once. Row numbers are 1-based
+// from the top of the sheet's used range.
+function* readSheetRows(sheet, { startRow, maxRows }) {
+  if (!sheet?.['!ref']) return;
+
+  const range = XLSX.utils.decode_range(sheet['!ref']);
+  const lastRow = Number.isFinite(maxRows) ? Math.min(range.e.r, range.s.r + startRow - 2 + maxRows) : range.e.r;
+  for (let r = range.s.r + startRow - 1; r <= lastRow; r += XLSX_CHUNK_ROWS) {
+    const chunk = { s: { r, c: range.s.c }, e: { r: Math.min(r + XLSX_CHUNK_ROWS - 1, lastRow), c: range.e.c } };
+    yield* XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', blankrows: true, range: chunk });
   }
+}
 
-  const sheetName = workbook.SheetNames[0];
-  const sheet = workbook.Sheets[sheetName];
-  const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
+// Rows of an upload as arrays, from `startRow` (1-based) for up to `maxRows` rows. `openStream()`
+// returns a fresh readable of the file's bytes; CSV is parsed straight off it. Workbooks read
+// `sheetName`, defaulting to the first sheet.
+export async function* readFileRows(openStream, filename, { sheetName = null, startRow = 1, maxRows = Infinity } = {}) {
+  const ext = uploadExtension(filename);
+  if (!UPLOAD_SIZE_LIMITS[ext]) throw new Error('Unsupported file format');
+
+  if (ext !== 'csv') {
+    // Analysis only needs the first few rows; skip parsing the rest of the sheet
+    const workbook = readWorkbook(await readAll(openStream()), Number.isFinite(maxRows) ? startRow - 1 + maxRows : Infinity);
+    const name = sheetName ?? workbook.SheetNames[0];
+    if (!workbook.Sheets[name]) throw sheetNotFoundError(name);
+    yield* readSheetRows(workbook.Sheets[name], { startRow, maxRows });
+    return;
+  }
+
+  if (sheetName != null && sheetName !== CSV_SHEET_NAME) throw sheetNotFoundError(sheetName);
+  const stream = openStream();
+  let rowNumber = 0;
+  let yielded = 0;
+  try {
+    for await (const row of parseCsvStream(stream)) {
+      if (++rowNumber < startRow) continue;
+      if (yielded++ >= maxRows) break;
+      yield row;
+    }
+  } finally {
+    stream.destroy();
+  }
+}
 
-  if (rows.length < 2) throw new Error('File must have at least header and one data row');
+// ---- Analysis ----
 
-  const headerRow = rows[0];
-  const sampleRows = rows.slice(1, 6); // First 5 data rows
+// The single sheet a CSV file is listed as
+export const CSV_SHEET_NAME = 'Sheet1';
 
-  const columns = headerRow.map((name, index) => ({
-    index,
-    name: name || `Column ${index + 1}`,
-    sample: sampleRows.map(row => row[index] || '').filter(v => v !== '')
-  }));
+// Rows searched for the header row, and data rows sampled below it
+const HEADER_SCAN_ROWS = 20;
+const SAMPLE_ROWS = 5;
+
+// Text that reads as a column label: not a number, amount or month
+function isLabelCell(v) {
+  if (typeof v !== 'string' || !v.trim()) return false;
+  const str = v.trim();
+  return Number.isNaN(Number(str.replace(/[$,%()\s]/g, ''))) && !normalizeMonth(str);
+}
+
+// 1-based row with the most text labels among the first HEADER_SCAN_ROWS; title rows above a table
+// carry fewer labels than its header. The first row wins ties and label-less files.
+export function detectHeaderRow(rows) {
+  let best = { row: 1, labels: 0 };
+  rows.slice(0, HEADER_SCAN_ROWS).forEach((row, i) => {
+    const labels = row.filter(isLabelCell).length;
+    if (labels > best.labels) best = { row: i + 1, labels };
+  });
+  return best.row;
+}
+
+// First data row for the commit options: given, or the row after the header row
+export function resolveDataStartRow(options = {}) {
+  return options.dataStartRow || (options.headerRow || 1) + 1;
+}
+
+function describeSheet(name, rows) {
+  const headerRow = detectHeaderRow(rows);
+  const header = rows[headerRow - 1] || [];
+  const sampleRows = rows.slice(headerRow, headerRow + SAMPLE_ROWS);
+
+  return {
+    name,
+    headerRow,
+    dataStartRow: headerRow + 1,
+    labelCount: header.filter(isLabelCell).length,
+    hasData: header.length > 0 && sampleRows.some(row => row.some(v => v !== '')),
+    columns: header.map((name, index) => ({
+      index,
+      name: name || `Column ${index + 1}`,
+      sample: sampleRows.map(row => row[index] || '').filter(v => v !== '')
+    }))
+  };
+}
+
+// The sheet with data whose header has the most labels (the first on ties): the table, not a cover
+// or notes sheet
+export function pickDefaultSheet(sheets) {
+  return sheets.filter(s => s.hasData).reduce((best, s) => (!best || s.labelCount > best.labelCount ? s : best), null);
+}
+
+// Every sheet with its detected header row, columns and samples. The default sheet's columns and
+// options seed the mapping.
+export async function parseFileHeaders(openStream, filename) {
+  const ext = uploadExtension(filename);
+  if (!UPLOAD_SIZE_LIMITS[ext]) throw new Error('Unsupported file format');
+  const previewRows = HEADER_SCAN_ROWS + SAMPLE_ROWS;
+
+  const sheets = [];
+  if (ext === 'csv') {
+    const rows = [];
+    for await (const row of readFileRows(openStream, filename, { maxRows: previewRows })) rows.push(row);
+    sheets.push(describeSheet(CSV_SHEET_NAME, rows));
+  } else {
+    const workbook = readWorkbook(await readAll(openStream()), previewRows);
+    for (const name of workbook.SheetNames) {
+      sheets.push(describeSheet(name, [...readSheetRows(workbook.Sheets[name], { startRow: 1, maxRows: previewRows })]));
+    }
+  }
+
+  const sheet = pickDefaultSheet(sheets);
+  if (!sheet) throw new Error('File must have at least header and one data row');
 
   return {
-    columns,
+    sheets,
+    columns: sheet.columns,
     options: {
-      headerRow: 1,
-      dataStartRow: 2,
+      sheetName: sheet.name,
+      headerRow: sheet.headerRow,
+      dataStartRow: sheet.dataStartRow,
       dateFormat: 'auto'
     }
   };
 }
 
-// Parse full file with mapping
-export async function parseFileWithMapping(buffer, filename, options) {
-  const ext = filename.split('.').pop().toLowerCase();
-  let workbook;
+// Commit options checked against the sheets the analysis found (uploads analyzed before sheets were
+// listed have none). A missing sheet or header row falls back to the detected one. Returns
+// { options } or { error }.
+export function resolveUploadOptions(options = {}, sheets = []) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) return { error: 'options must be an object' };
+  const resolved = { ...options };
 
-  if (ext === 'csv') {
-    workbook = XLSX.read(buffer, { type: 'buffer', raw: true });
-  } else {
-    workbook = XLSX.read(buffer, { type: 'buffer' });
+  if (resolved.sheetName != null) {
+    if (sheets.length && !sheets.some(s => s.name === resolved.sheetName)) {
+      return { error: `Unknown sheet "${resolved.sheetName}"; sheets: ${sheets.map(s => s.name).join(', ')}` };
+    }
+  } else if (sheets.length) {
+    resolved.sheetName = (pickDefaultSheet(sheets) || sheets[0]).name;
   }
 
-  const sheetName = workbook.SheetNames[0];
-  const sheet = workbook.Sheets[sheetName];
-  const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
+  const sheet = sheets.find(s => s.name === resolved.sheetName);
+  if (resolved.headerRow == null && sheet) resolved.headerRow = sheet.headerRow;
 
-  const dataStartRow = options.dataStartRow || 2;
-  return rows.slice(dataStartRow - 1);
+  for (const key of ['headerRow', 'dataStartRow']) {
+    if (resolved[key] != null && !(Number.isInteger(resolved[key]) && resolved[key] >= 1)) return { error: `options.${key} must be a positive integer` };
+  }
+  if (resolved.dataStartRow != null && resolved.headerRow != null && resolved.dataStartRow <= resolved.headerRow) {
+    return { error: 'options.dataStartRow must come after options.headerRow' };
+  }
+  return { options: resolved };
 }
 
-// Suggest mapping based on header names
-export async function suggestMapping(headers) {
-  const synonyms = {
-    month: ['month', 'period', 'date', 'periodending', 'periodend', 'monthending'],
-    revenue: ['revenue', 'income', 'sales', 'totalsales', 'totalincome', 'totalrevenue'],
-    cogs: ['cogs', 'costofgoods', 'costofgoodssold', 'cos'],
-    opex: ['opex', 'operatingexpenses', 'expenses', 'sgna', 'overhead', 'operatingexpense'],
-    ebitda: ['ebitda', 'operatingprofit', 'operatingincome'],
-    cash: ['cash', 'cashandcashequivalents', 'cashbalance'],
-    ar: ['accountsreceivable', 'ar', 'tradeaccountsreceivable', 'receivables'],
-    ap: ['accountspayable', 'ap', 'tradepayables', 'payables'],
-    inventory: ['inventory', 'stock', 'inventorybalance']
-  };
+// Data rows of the full file, streamed
+export function readDataRows(openStream, filename, options = {}, { maxRows = Infinity } = {}) {
+  return readFileRows(openStream, filename, { sheetName: options.sheetName ?? null, startRow: resolveDataStartRow(options), maxRows });
+}
 
+// Upload templates: the fields a column can map to, with header synonyms and the description the
+// AI fallback sees. The first required fields are the critical ones the AI is asked about.
+const MONTH_FIELD = { synonyms: ['month', 'period', 'date', 'periodending', 'periodend', 'monthending'], description: 'period/date column' };
+// Optional: workbooks covering several subsidiaries get one snapshot per entity plus a roll-up
+// Matched on exact header names only: a stray match would split the import by that column
+const ENTITY_FIELD = { synonyms: ['entity', 'subsidiary', 'legalentity', 'company', 'companyname', 'businessunit', 'division'], description: 'entity/subsidiary name (multi-entity workbooks only)', exactOnly: true };
+
+export const UPLOAD_TEMPLATES = {
+  FinancialTemplateV1: {
+    requiredFields: ['month', 'revenue'],
+    fields: {
+      month: MONTH_FIELD,
+      revenue: { synonyms: ['revenue', 'income', 'sales', 'totalsales', 'totalincome', 'totalrevenue'], description: 'total revenue/income/sales' },
+      cogs: { synonyms: ['cogs', 'costofgoods', 'costofgoodssold', 'cos'], description: 'cost of goods sold' },
+      opex: { synonyms: ['opex', 'operatingexpenses', 'expenses', 'sgna', 'overhead', 'operatingexpense'], description: 'operating expenses' },
+      ebitda: { synonyms: ['ebitda', 'operatingprofit', 'operatingincome'], description: 'earnings before interest, taxes, depreciation, amortization' },
+      cash: { synonyms: ['cash', 'cashandcashequivalents', 'cashbalance'], description: 'cash balance' },
+      ar: { synonyms: ['accountsreceivable', 'ar', 'tradeaccountsreceivable', 'receivables'], description: 'accounts receivable' },
+      ap: { synonyms: ['accountspayable', 'ap', 'tradepayables', 'payables'], description: 'accounts payable' },
+      inventory: { synonyms: ['inventory', 'stock', 'inventorybalance'], description: 'inventory balance' },
+      entity: ENTITY_FIELD
+    }
+  },
+  // Budget lines match the income statement; opex may come as a total or by category
+  BudgetTemplateV1: {
+    requiredFields: ['month', 'revenue'],
+    fields: {
+      month: MONTH_FIELD,
+      revenue: { synonyms: ['budgetrevenue', 'revenue', 'sales', 'totalsales', 'totalrevenue', 'income'], description: 'budgeted revenue/sales' },
+      cogs: { synonyms: ['cogs', 'costofgoods', 'costofgoodssold', 'costofsales', 'cos'], description: 'budgeted cost of goods sold' },
+      opex: { synonyms: ['opex', 'totalopex', 'operatingexpenses', 'totaloperatingexpenses', 'expenses'], description: 'budgeted total operating expenses' },
+      payroll: { synonyms: ['payroll', 'salaries', 'wages', 'compensation', 'personnel', 'headcountcost'], description: 'budgeted payroll & benefits' },
+      salesMarketing: { synonyms: ['salesandmarketing', 'salesmarketing', 'marketing', 'advertising'], description: 'budgeted sales & marketing' },
+      rentFacilities: { synonyms: ['rent', 'facilities', 'occupancy'], description: 'budgeted rent & facilities' },
+      technology: { synonyms: ['technology', 'software', 'hosting', 'itcosts'], description: 'budgeted technology & software' },
+      professionalFees: { synonyms: ['professionalfees', 'legal', 'accounting', 'consulting'], description: 'budgeted professional fees' },
+      generalAdmin: { synonyms: ['generalandadministrative', 'generaladmin', 'gna', 'ganda', 'admin'], description: 'budgeted general & administrative' },
+      ebitda: { synonyms: ['ebitda', 'operatingprofit'], description: 'budgeted EBITDA' },
+      netIncome: { synonyms: ['netincome', 'netprofit', 'profitaftertax'], description: 'budgeted net income' },
+      entity: ENTITY_FIELD
+    }
+  }
+};
+
+export const DEFAULT_UPLOAD_TYPE = 'FinancialTemplateV1';
+
+// Suggest mapping based on header names
+export async function suggestMapping(headers, type = DEFAULT_UPLOAD_TYPE) {
+  const template = UPLOAD_TEMPLATES[type];
   const mapping = {};
   const unmatchedFields = [];
 
-  for (const [field, syns] of Object.entries(synonyms)) {
-    const idx = bestMatch(syns, headers);
+  for (const [field, { synonyms, exactOnly }] of Object.entries(template.fields)) {
+    const idx = bestMatch(synonyms, headers, { exactOnly });
     if (idx !== null) {
       mapping[field] = idx;
     } else {
@@ -85,9 +343,10 @@ export async function suggestMapping(headers) {
   }
 
   // Use AI fallback if critical fields are missing
-  if (!mapping.month || !mapping.revenue || unmatchedFields.length > 3) {
+  const missingRequired = template.requiredFields.filter(field => !mapping[field]);
+  if (missingRequired.length || unmatchedFields.length > 3) {
     try {
-      const aiMapping = await suggestMappingWithAI(headers);
+      const aiMapping = await suggestMappingWithAI(headers, template);
       // Merge AI suggestions for missing fields only
       for (const field of unmatchedFields) {
         if (aiMapping[field] !== undefined) {
@@ -95,8 +354,9 @@ export async function suggestMapping(headers) {
         }
       }
       // Override if AI found critical fields we missed
-      if (!mapping.month && aiMapping.month !== undefined) mapping.month = aiMapping.month;
-      if (!mapping.revenue && aiMapping.revenue !== undefined) mapping.revenue = aiMapping.revenue;
+      for (const field of missingRequired) {
+        if (!mapping[field] && aiMapping[field] !== undefined) mapping[field] = aiMapping[field];
+      }
     } catch (err) {
       console.error('AI mapping fallback failed:', err);
     }
@@ -106,22 +366,17 @@ export async function suggestMapping(headers) {
 }
 
 // AI-powered mapping suggestion
-async function suggestMappingWithAI(headers) {
+async function suggestMappingWithAI(headers, template) {
+  const fieldLines = Object.entries(template.fields).map(([field, { description }]) =>
+    `- ${field}: ${description} (${template.requiredFields.includes(field) ? 'REQUIRED' : 'optional'})`
+  );
   const prompt = `Given these column headers from a financial spreadsheet, map them to our schema fields.
 
 Headers (with index):
 ${headers.map((h, i) => `${i}: "${h}"`).join('\n')}
 
 Schema fields needed:
-- month: period/date column (REQUIRED)
-- revenue: total revenue/income/sales (REQUIRED)
-- cogs: cost of goods sold (optional)
-- opex: operating expenses (optional)
-- ebitda: earnings before interest, taxes, depreciation, amortization (optional)
-- cash: cash balance (optional)
-- ar: accounts receivable (optional)
-- ap: accounts payable (optional)
-- inventory: inventory balance (optional)
+${fieldLines.join('\n')}
 
 Respond ONLY with a JSON object mapping field names to column indices. Use null for fields that don't exist.
 Example: {"month":0,"revenue":1,"cogs":2,"opex":null}
@@ -141,7 +396,7 @@ JSON:`;
   return JSON.parse(jsonMatch[0]);
 }
 
-function bestMatch(synonyms, headers) {
+function bestMatch(synonyms, headers, { exactOnly = false } = {}) {
   const normSyns = synonyms.map(norm);
   let bestIdx = null;
   let bestScore = 0;
@@ -151,6 +406,7 @@ function bestMatch(synonyms, headers) {
     for (const s of normSyns) {
       if (nh.includes(s) || s.includes(nh)) {
         const score = nh === s ? 2 : 1;
+        if (exactOnly && score < 2) continue;
         if (score > bestScore) {
           bestScore = score;
           bestIdx = idx;
@@ -162,7 +418,7 @@ function bestMatch(synonyms, headers) {
   return bestIdx;
 }
 
-function norm(name) {
+export function norm(name) {
   return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
 }
 
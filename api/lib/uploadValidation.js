@@ -0,0 +1,167 @@
+import { BUDGET_LINES } from './budgets.js';
+import { OPEX_CATEGORIES } from './variance.js';
+import { entityKey } from './financialSnapshots.js';
+import { toNumber, toOptionalNumber, normalizeMonth, resolveDataStartRow } from './uploadUtils.js';
+
+// Row-level checks for upload imports. The worker and the commit dry run share one validator, so a
+// preview reports exactly what the import will skip or take with a warning.
+
+// Errors keep a row out of the import; warnings import it as shown in the message
+export const VALIDATION_ISSUES = {
+  missing_month: { severity: 'error', label: 'Month is blank' },
+  unparseable_date: { severity: 'error', label: 'Month could not be read as a date' },
+  missing_revenue: { severity: 'error', label: 'Revenue is blank' },
+  missing_entity: { severity: 'error', label: 'Entity is blank while an entity column is mapped' },
+  non_numeric: { severity: 'warning', label: 'Cell is not a number' },
+  duplicate_month: { severity: 'warning', label: 'Month appears on an earlier row' },
+  negative_revenue: { severity: 'warning', label: 'Revenue is negative' },
+  ebitda_mismatch: { severity: 'warning', label: 'EBITDA differs from revenue - COGS - opex' }
+};
+
+// Stored reports keep this many issues; counts always cover the whole file
+export const MAX_REPORTED_ISSUES = 1000;
+
+// EBITDA may differ from revenue - COGS - opex by rounding: 0.5% of revenue, at least 1
+const EBITDA_TOLERANCE = 0.005;
+
+const FINANCIAL_ZERO_FIELDS = ['cogs', 'opex'];
+const FINANCIAL_BALANCE_FIELDS = ['cash', 'ar', 'ap', 'inventory'];
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+const isBlank = (v) => v == null || String(v).trim() === '';
+
+// Plain numbers, optionally with a currency sign and thousands separators
+function isNumericCell(v) {
+  if (typeof v === 'number') return Number.isFinite(v);
+  return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(String(v).replace(/[$,\s]/g, ''));
+}
+
+const isMonth = (month) => /^\d{4}-(0[1-9]|1[0-2])$/.test(month || '');
+
+export function createUploadValidator(type, mapping, options = {}) {
+  const budget = type === 'BudgetTemplateV1';
+  const seenMonths = new Map();
+  const issueCounts = {};
+  const issues = [];
+  const counts = { rowsChecked: 0, rowsValid: 0, rowsWithErrors: 0, rowsWithWarnings: 0 };
+  let rowNumber = resolveDataStartRow(options) - 1;
+
+  return {
+    // The normalized record for the next data row, or null when it is blank or has errors
+    check(row) {
+      rowNumber++;
+      if (row.every(isBlank)) return null;
+      counts.rowsChecked++;
+
+      const rowIssues = [];
+      const flag = (code, field, value, message) => {
+        rowIssues.push({ row: rowNumber, severity: VALIDATION_ISSUES[code].severity, code, field, value: value ?? null, message });
+      };
+      const cell = (field) => (mapping[field] != null ? row[mapping[field]] : undefined);
+
+      // Optional numeric cells: blanks are fine, anything else that is not a number is imported
+      // the way toNumber reads it
+      const numericCell = (field, parse) => {
+        if (mapping[field] == null) return undefined;
+        const raw = cell(field);
+        const value = parse(raw);
+        if (!isBlank(raw) && !isNumericCell(raw)) flag('non_numeric', field, raw, `${field} "${raw}" is not a number; imported as ${value ?? 'blank'}`);
+        return value;
+      };
+
+      const monthRaw = cell('month');
+      const revenueRaw = cell('revenue');
+      const month = isBlank(monthRaw) ? null : normalizeMonth(monthRaw, options.dateFormat);
+      if (isBlank(monthRaw)) flag('missing_month', 'month', null, 'Month is blank; row skipped');
+      else if (!isMonth(month)) flag('unparseable_date', 'month', monthRaw, `"${monthRaw}" is not a recognizable month; row skipped`);
+
+      if (isBlank(revenueRaw)) flag('missing_revenue', 'revenue', null, 'Revenue is blank; row skipped');
+      else if (!isNumericCell(revenueRaw)) flag('non_numeric', 'revenue', revenueRaw, `revenue "${revenueRaw}" is not a number; imported as ${toNumber(revenueRaw)}`);
+
+      const entityRaw = cell('entity');
+      const entity = isBlank(entityRaw) ? null : String(entityRaw).trim();
+      if (mapping.entity != null && !entity) flag('missing_entity', 'entity', null, 'Entity is blank; row skipped');
+
+      const revenue = toNumber(revenueRaw);
+      if (revenue < 0) flag('negative_revenue', 'revenue', revenueRaw, `Revenue is negative (${revenue})`);
+
+      let record;
+      let expectedEbitda = null;
+      if (budget) {
+        const values = {};
+        for (const line of BUDGET_LINES) {
+          const amount = line === 'revenue' ? toOptionalNumber(revenueRaw) : numericCell(line, toOptionalNumber);
+          if (amount != null) values[line] = amount;
+        }
+        const categories = Object.keys(OPEX_CATEGORIES).filter(c => values[c] != null);
+        const opex = values.opex ?? (categories.length ? categories.reduce((sum, c) => sum + values[c], 0) : null);
+        if (values.cogs != null || opex != null) expectedEbitda = revenue - (values.cogs || 0) - (opex || 0);
+        record = { month, values };
+        if (entity) record.entity = entity;
+      } else {
+        const [cogs, opex] = FINANCIAL_ZERO_FIELDS.map(field => numericCell(field, toNumber) ?? 0);
+        const derived = revenue - cogs - opex;
+        const ebitda = numericCell('ebitda', toNumber) ?? derived;
+        if (mapping.cogs != null || mapping.opex != null) expectedEbitda = derived;
+        record = { month, revenue, cogs, opex, ebitda };
+        for (const field of FINANCIAL_BALANCE_FIELDS) record[field] = numericCell(field, toOptionalNumber) ?? null;
+        if (entity) record.entity = entity;
+      }
+
+      // Cross-checks only make sense for rows that will be imported
+      const hasErrors = rowIssues.some(i => i.severity === 'error');
+      if (!hasErrors && !budget) {
+        // The later row wins: both write the same month's snapshot (per entity when there are entities)
+        const key = entity ? `${entityKey(entity)}|${month}` : month;
+        const label = entity ? `${month} for ${entity}` : month;
+        if (seenMonths.has(key)) {
+          flag('duplicate_month', 'month', monthRaw, `${label} also appears on row ${seenMonths.get(key)}; this row replaces it`);
+        }
+        seenMonths.set(key, rowNumber);
+      }
+
+      const ebitda = budget ? record.values.ebitda : (mapping.ebitda != null ? record.ebitda : null);
+      if (!hasErrors && ebitda != null && expectedEbitda != null && Math.abs(ebitda - expectedEbitda) > Math.max(1, Math.abs(revenue) * EBITDA_TOLERANCE)) {
+        flag('ebitda_mismatch', 'ebitda', cell('ebitda'), `EBITDA ${ebitda} differs from revenue - COGS - opex (${round2(expectedEbitda)})`);
+      }
+
+      if (hasErrors) counts.rowsWithErrors++;
+      else counts.rowsValid++;
+      if (rowIssues.some(i => i.severity === 'warning')) counts.rowsWithWarnings++;
+      for (const issue of rowIssues) {
+        issueCounts[issue.code] = (issueCounts[issue.code] || 0) + 1;
+        if (issues.length < MAX_REPORTED_ISSUES) issues.push(issue);
+      }
+
+      return hasErrors ? null : record;
+    },
+
+    report() {
+      const total = Object.values(issueCounts).reduce((sum, n) => sum + n, 0);
+      return {
+        ...counts,
+        issueCounts: { ...issueCounts },
+        issues: [...issues],
+        issuesTruncated: total > issues.length,
+        checkedAt: new Date()
+      };
+    }
+  };
+}
+
+// ---- Export ----
+
+const csvCell = (v) => {
+  const text = v == null ? '' : String(v);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One line per issue, for spreadsheet users to fix the file against
+export function buildValidationCsv(report) {
+  const lines = [['row', 'severity', 'code', 'field', 'value', 'message']];
+  for (const issue of report.issues) {
+    lines.push([issue.row, issue.severity, issue.code, issue.field, issue.value, issue.message]);
+  }
+  return lines.map(line => line.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
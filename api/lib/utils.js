@@ -145,13 +145,11 @@ const getFallbackNPSScore = (companyData) => {
 // Salesforce API integration for win/loss ratio
 const getWinLossRatio = async (companyData) => {
   try {
-    // Try Salesforce first if configured
-    // if (process.env.SALESFORCE_CONSUMER_KEY && process.env.SALESFORCE_CONSUMER_SECRET) {
-    //   const salesforceRatio = await getSalesforceWinLossRatio(companyData);
-    //   if (salesforceRatio !== null) {
-    //     return salesforceRatio;
-    //   }
-    // }
+    // Synced Salesforce pipeline first (POST /api/integrations/salesforce/sync)
+    const pipelineRatio = getPipelineWinLossRatio(companyData);
+    if (pipelineRatio !== null) {
+      return pipelineRatio;
+    }
 
     // Fallback to Gemini Deep Research if Salesforce is not configured or fails
     const research = await fetchMetricsViaGeminiResearch(companyData);
@@ -174,6 +172,13 @@ const getWinLossRatio = async (companyData) => {
   }
 }
 
+// Win rate from closed Salesforce opportunities, as a percentage; null when nothing was synced
+const getPipelineWinLossRatio = (companyData) => {
+  const winRate = companyData.Sales?.Pipeline?.WinRate;
+  if (winRate == null || !Number.isFinite(Number(winRate))) return null;
+  return (Number(winRate) * 100).toFixed(2);
+}
+
 // Salesforce win/loss data integration
 // const getSalesforceWinLossRatio = async (companyData) => {
 //   try {
@@ -414,8 +419,9 @@ Rules:
   }
 }
 
-// Build comprehensive context for simulation generation
-const buildSimulationContext = async (companyData) => {
+// Build comprehensive context for simulation generation.
+// onStepComplete('context' | 'research') reports progress to the simulation worker.
+const buildSimulationContext = async (companyData, { onStepComplete } = {}) => {
   try {
     // Gather all relevant data points
     const [baseMarketShare, baseNpsScore, baseWinLossRatio, baseCompetitorBenchmark] = await Promise.all([
@@ -424,13 +430,17 @@ const buildSimulationContext = async (companyData) => {
       getWinLossRatio(companyData),
       getCompetitorBenchmark(companyData)
     ]);
+    await onStepComplete?.('context');
 
     // Optionally augment/override with Gemini Deep Research
     let research = await fetchMetricsViaGeminiResearch(companyData);
 
     const marketShare = Number(research?.marketShare ?? baseMarketShare) || 0;
     const npsScore = Number(research?.npsScore ?? baseNpsScore) || 0;
-    const winLossRatio = Number(research?.winLossRatio ?? baseWinLossRatio) || 0;
+    // Research only fills in the win rate when there is no synced pipeline
+    const winLossRatio = Number(
+      getPipelineWinLossRatio(companyData) ?? research?.winLossRatio ?? baseWinLossRatio
+    ) || 0;
     const competitorBenchmark = Number(research?.competitorBenchmark ?? baseCompetitorBenchmark) || 0;
 
     // Get TAM data for market context
@@ -447,6 +457,7 @@ const buildSimulationContext = async (companyData) => {
     } catch (error) {
       console.warn('Could not fetch TAM data:', error.message);
     }
+    await onStepComplete?.('research');
 
     const context = {
       company: {
@@ -834,6 +845,249 @@ const runSensitivityAnalysis = ({ baseProjections, horizonYears = 5, sweeps = {}
   return results;
 };
 
+// ---- Monte Carlo mode for scenario ROI ----
+const MONTE_CARLO_PARAMS = ['growthRate', 'discountRate', 'terminalMultiple', 'capexPct', 'nwcPct'];
+const MONTE_CARLO_PERCENTILES = [5, 10, 25, 50, 75, 90, 95];
+
+// Seeded PRNG (mulberry32) so the same seed reproduces a run
+const createRng = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal via Box-Muller
+const sampleStandardNormal = (rng) => {
+  const u = 1 - rng();
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+// Standard normal CDF (Abramowitz-Stegun 7.1.26 erf approximation)
+const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+// Map a standard normal draw onto a distribution; uniform and triangular go through the normal CDF
+// so correlated draws keep their rank correlation
+const drawFromDistribution = (dist, z) => {
+  switch (dist.type) {
+    case 'fixed':
+      return dist.value;
+    case 'normal':
+      return dist.mean + dist.sd * z;
+    case 'lognormal': {
+      // mean/sd describe the variable itself; convert to the underlying normal
+      const sigma2 = Math.log(1 + (dist.sd * dist.sd) / (dist.mean * dist.mean));
+      const mu = Math.log(dist.mean) - sigma2 / 2;
+      return Math.exp(mu + Math.sqrt(sigma2) * z);
+    }
+    case 'uniform':
+      return dist.min + (dist.max - dist.min) * normalCdf(z);
+    case 'triangular': {
+      const u = normalCdf(z);
+      const { min, mode, max } = dist;
+      const split = (mode - min) / (max - min || 1);
+      return u < split
+        ? min + Math.sqrt(u * (max - min) * (mode - min))
+        : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+    }
+    default:
+      return NaN;
+  }
+};
+
+// Defaults around the deterministic inputs when a parameter has no distribution
+const defaultMonteCarloDistributions = ({ growthRate, discountRate, terminalMultiple }) => ({
+  growthRate: { type: 'normal', mean: growthRate, sd: Math.max(Math.abs(growthRate) * 0.5, 0.02) },
+  discountRate: { type: 'triangular', min: Math.max(discountRate - 0.02, 0), mode: discountRate, max: discountRate + 0.03 },
+  terminalMultiple: { type: 'triangular', min: terminalMultiple * 0.75, mode: terminalMultiple, max: terminalMultiple * 1.25 },
+  capexPct: { type: 'uniform', min: 0.02, max: 0.05 },
+  nwcPct: { type: 'uniform', min: 0.005, max: 0.02 }
+});
+
+// Validate distributions ({ param: number | { type, ... } }) and correlations
+// ([{ params: [a, b], rho }]) over the defaults. Returns { distributions, cholesky } or { error }.
+const resolveMonteCarloInputs = ({ distributions = {}, correlations = [] }, baseValues) => {
+  if (!distributions || typeof distributions !== 'object' || Array.isArray(distributions)) {
+    return { error: 'distributions must be an object keyed by parameter' };
+  }
+  const unknown = Object.keys(distributions).filter(p => !MONTE_CARLO_PARAMS.includes(p));
+  if (unknown.length) return { error: `Unknown parameters: ${unknown.join(', ')}; supported: ${MONTE_CARLO_PARAMS.join(', ')}` };
+
+  const resolved = defaultMonteCarloDistributions(baseValues);
+  for (const [param, spec] of Object.entries(distributions)) {
+    if (typeof spec === 'number') {
+      if (!isFinite(spec)) return { error: `${param} must be a finite number` };
+      resolved[param] = { type: 'fixed', value: spec };
+      continue;
+    }
+    const num = (key) => Number(spec?.[key]);
+    const finite = (...keys) => keys.every(k => spec?.[k] != null && isFinite(num(k)));
+    switch (spec?.type) {
+      case 'normal':
+        if (!finite('mean', 'sd') || num('sd') < 0) return { error: `${param}: normal needs mean and a non-negative sd` };
+        resolved[param] = { type: 'normal', mean: num('mean'), sd: num('sd') };
+        break;
+      case 'lognormal':
+        if (!finite('mean', 'sd') || num('mean') <= 0 || num('sd') < 0) return { error: `${param}: lognormal needs a positive mean and a non-negative sd` };
+        resolved[param] = { type: 'lognormal', mean: num('mean'), sd: num('sd') };
+        break;
+      case 'uniform':
+        if (!finite('min', 'max') || num('min') > num('max')) return { error: `${param}: uniform needs min <= max` };
+        resolved[param] = { type: 'uniform', min: num('min'), max: num('max') };
+        break;
+      case 'triangular':
+        if (!finite('min', 'mode', 'max') || !(num('min') <= num('mode') && num('mode') <= num('max'))) {
+          return { error: `${param}: triangular needs min <= mode <= max` };
+        }
+        resolved[param] = { type: 'triangular', min: num('min'), mode: num('mode'), max: num('max') };
+        break;
+      default:
+        return { error: `${param}: type must be one of normal, triangular, uniform, lognormal (or a fixed number)` };
+    }
+  }
+
+  if (!Array.isArray(correlations)) return { error: 'correlations must be an array of { params: [a, b], rho }' };
+  const n = MONTE_CARLO_PARAMS.length;
+  const matrix = MONTE_CARLO_PARAMS.map((_, i) => MONTE_CARLO_PARAMS.map((__, j) => (i === j ? 1 : 0)));
+  for (const c of correlations) {
+    const [a, b] = Array.isArray(c?.params) ? c.params : [];
+    const i = MONTE_CARLO_PARAMS.indexOf(a);
+    const j = MONTE_CARLO_PARAMS.indexOf(b);
+    const rho = Number(c?.rho);
+    if (i < 0 || j < 0 || i === j) return { error: `correlations: params must be two different parameters of ${MONTE_CARLO_PARAMS.join(', ')}` };
+    if (!isFinite(rho) || rho <= -1 || rho >= 1) return { error: `correlations: rho for ${a}/${b} must be between -1 and 1 (exclusive)` };
+    matrix[i][j] = rho;
+    matrix[j][i] = rho;
+  }
+
+  // Cholesky factor of the correlation matrix; fails when the correlations are inconsistent
+  const cholesky = MONTE_CARLO_PARAMS.map(() => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) sum -= cholesky[i][k] * cholesky[j][k];
+      if (i === j) {
+        if (sum <= 1e-12) return { error: 'correlations do not form a valid (positive definite) correlation matrix' };
+        cholesky[i][i] = Math.sqrt(sum);
+      } else {
+        cholesky[i][j] = sum / cholesky[j][j];
+      }
+    }
+  }
+
+  return { distributions: resolved, cholesky };
+};
+
+const percentileOf = (sorted, p) => {
+  if (!sorted.length) return null;
+  const idx = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+};
+
+const summarizeSamples = (values) => {
+  const sorted = values.filter(v => isFinite(v)).sort((a, b) => a - b);
+  if (!sorted.length) return null;
+  const mean = sorted.reduce((acc, v) => acc + v, 0) / sorted.length;
+  const variance = sorted.reduce((acc, v) => acc + (v - mean) * (v - mean), 0) / sorted.length;
+  return {
+    mean,
+    sd: Math.sqrt(variance),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    percentiles: Object.fromEntries(MONTE_CARLO_PERCENTILES.map(p => [`p${p}`, percentileOf(sorted, p)])),
+    samples: sorted.length
+  };
+};
+
+const buildHistogram = (values, bucketCount) => {
+  const finite = values.filter(v => isFinite(v));
+  if (!finite.length) return [];
+  const min = finite.reduce((m, v) => Math.min(m, v), Infinity);
+  const max = finite.reduce((m, v) => Math.max(m, v), -Infinity);
+  const width = (max - min) / bucketCount || 1;
+  const buckets = Array.from({ length: bucketCount }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, count: 0 }));
+  for (const v of finite) {
+    buckets[Math.min(Math.floor((v - min) / width), bucketCount - 1)].count++;
+  }
+  return buckets;
+};
+
+// Seeded Monte Carlo over roiProjections inputs: each iteration draws growth rate, discount rate,
+// terminal multiple, capex% and NWC% (correlated through a Gaussian copula) and values baseline and
+// scenario like runSensitivityAnalysis does
+const runMonteCarloSimulation = ({ baseProjections, horizonYears = 5, iterations = 5000, seed = 1, distributions = {}, correlations = [], buckets = 20 }) => {
+  const { baseline, realistic, optimistic, pessimistic, discountRate } = baseProjections || {};
+  const scenarioProj = realistic || optimistic || pessimistic || baseline || {};
+  const baseValues = {
+    growthRate: isFinite(Number(scenarioProj?.growthRate)) ? Number(scenarioProj.growthRate) : 0.03,
+    discountRate: isFinite(discountRate) ? Number(discountRate) : 0.1,
+    terminalMultiple: isFinite(Number(scenarioProj?.terminalMultiple)) ? Number(scenarioProj.terminalMultiple) : 8
+  };
+
+  const inputs = resolveMonteCarloInputs({ distributions, correlations }, baseValues);
+  if (inputs.error) return { error: inputs.error };
+
+  const rng = createRng(seed);
+  const n = MONTE_CARLO_PARAMS.length;
+  const deltaNPVs = [];
+  const scenarioNPVs = [];
+  const scenarioIRRs = [];
+  const yearlyFlows = Array.from({ length: horizonYears + 1 }, () => []);
+
+  for (let it = 0; it < iterations; it++) {
+    const independent = MONTE_CARLO_PARAMS.map(() => sampleStandardNormal(rng));
+    const draw = {};
+    for (let i = 0; i < n; i++) {
+      let z = 0;
+      for (let k = 0; k <= i; k++) z += inputs.cholesky[i][k] * independent[k];
+      draw[MONTE_CARLO_PARAMS[i]] = drawFromDistribution(inputs.distributions[MONTE_CARLO_PARAMS[i]], z);
+    }
+    // Keep the discount factor defined
+    const rate = Math.max(draw.discountRate, -0.99);
+
+    const baseCF = buildCashflowsFromProjection({ projection: baseline || {}, years: horizonYears, capexPct: draw.capexPct, nwcPct: draw.nwcPct });
+    const scenCF = buildCashflowsFromProjection({ projection: { ...scenarioProj, growthRate: draw.growthRate, terminalMultiple: draw.terminalMultiple }, years: horizonYears, capexPct: draw.capexPct, nwcPct: draw.nwcPct });
+    const npvBase = computeNPV(rate, baseCF);
+    const npvScen = computeNPV(rate, scenCF);
+
+    deltaNPVs.push(npvScen - npvBase);
+    scenarioNPVs.push(npvScen);
+    scenarioIRRs.push(computeIRR(scenCF));
+    scenCF.forEach((cf, t) => yearlyFlows[t].push(cf));
+  }
+
+  const finiteDeltas = deltaNPVs.filter(v => isFinite(v));
+  return {
+    iterations,
+    seed,
+    horizonYears,
+    distributions: inputs.distributions,
+    correlations,
+    deltaNPV: summarizeSamples(deltaNPVs),
+    scenarioNPV: summarizeSamples(scenarioNPVs),
+    scenarioIRR: summarizeSamples(scenarioIRRs),
+    probabilityNegativeDeltaNPV: finiteDeltas.length ? finiteDeltas.filter(v => v < 0).length / finiteDeltas.length : null,
+    // Scenario cashflow percentiles per year (year 0 is the initial investment, the last includes terminal value)
+    cashflowBands: yearlyFlows.map((flows, year) => {
+      const sorted = flows.filter(v => isFinite(v)).sort((a, b) => a - b);
+      return { year, ...Object.fromEntries(MONTE_CARLO_PERCENTILES.map(p => [`p${p}`, percentileOf(sorted, p)])) };
+    }),
+    histogram: buildHistogram(deltaNPVs, buckets)
+  };
+};
+
 export { 
   calculateMarketShare, 
   getNPSScore, 
@@ -846,7 +1100,8 @@ export {
   computeNPV,
   computeIRR,
   calculateScenarioROI,
-  runSensitivityAnalysis
+  runSensitivityAnalysis,
+  runMonteCarloSimulation
 };
 
 // Export storage components for use in controllers
@@ -0,0 +1,177 @@
+import { db } from '../firestore.js';
+import { STATEMENT_COLLECTIONS, listStatementMonths } from './financialStatements.js';
+
+export const OPEX_CATEGORIES = {
+  payroll: 'Payroll & benefits',
+  salesMarketing: 'Sales & marketing',
+  rentFacilities: 'Rent & facilities',
+  technology: 'Technology & software',
+  professionalFees: 'Professional fees',
+  generalAdmin: 'General & administrative'
+};
+
+// Compared lines in report order; `cost` lines are favorable when they come in under the comparison
+export const VARIANCE_LINES = [
+  { line: 'revenue', label: 'Revenue' },
+  { line: 'cogs', label: 'Cost of goods sold', cost: true },
+  { line: 'grossProfit', label: 'Gross profit' },
+  ...Object.entries(OPEX_CATEGORIES).map(([line, label]) => ({ line, label, cost: true })),
+  { line: 'opex', label: 'Operating expenses', cost: true },
+  { line: 'ebitda', label: 'EBITDA' },
+  { line: 'netIncome', label: 'Net income' }
+];
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+// ---- Actuals ----
+
+function linesFromIncomeStatement(statement) {
+  return {
+    revenue: statement.revenue,
+    cogs: statement.cogs,
+    opex: statement.totalOperatingExpenses,
+    ...statement.operatingExpenses,
+    ebitda: statement.ebitda,
+    netIncome: statement.netIncome
+  };
+}
+
+function linesFromSnapshot(snapshot) {
+  return { revenue: snapshot.revenue, cogs: snapshot.cogs, opex: snapshot.opex, ebitda: snapshot.ebitda };
+}
+
+// Map<month, lines> from the monthly income statements, falling back to financialSnapshotMonthly
+// for months without one (uploads and older syncs)
+export async function getActualLines(companyId, { startMonth, endMonth }) {
+  const [statements, snapshotSnap] = await Promise.all([
+    listStatementMonths(STATEMENT_COLLECTIONS.incomeStatement, companyId, { startMonth, endMonth }),
+    db.collection('financialSnapshotMonthly')
+      .where('tenantId', '==', companyId)
+      .where('month', '>=', startMonth)
+      .where('month', '<=', endMonth)
+      .get()
+  ]);
+
+  const byMonth = new Map();
+  for (const doc of snapshotSnap.docs) {
+    byMonth.set(doc.data().month, linesFromSnapshot(doc.data()));
+  }
+  for (const statement of statements) {
+    byMonth.set(statement.month, linesFromIncomeStatement(statement));
+  }
+
+  const fromStatements = statements.length;
+  const source = !byMonth.size ? null
+    : fromStatements === byMonth.size ? 'incomeStatement'
+      : fromStatements ? 'mixed' : 'snapshot';
+  return { byMonth, source };
+}
+
+async function latestMonthIn(collection, companyId) {
+  const snap = await db.collection(collection)
+    .where('tenantId', '==', companyId)
+    .orderBy('month', 'desc')
+    .limit(1)
+    .get();
+  return snap.empty ? null : snap.docs[0].data().month;
+}
+
+export async function getLatestActualMonth(companyId) {
+  const months = await Promise.all([
+    latestMonthIn('financialSnapshotMonthly', companyId),
+    latestMonthIn(STATEMENT_COLLECTIONS.incomeStatement, companyId)
+  ]);
+  return months.filter(Boolean).sort().pop() || null;
+}
+
+// ---- Comparison ----
+
+// Sum the months' lines; a line is only present when some month carried it. Gross profit, total
+// opex and EBITDA are filled in from their parts when not given.
+export function totalLines(byMonth, months) {
+  const totals = {};
+  for (const month of months) {
+    for (const [line, amount] of Object.entries(byMonth.get(month) || {})) {
+      if (amount == null) continue;
+      totals[line] = (totals[line] || 0) + amount;
+    }
+  }
+  if (!Object.keys(totals).length) return null;
+
+  const categories = Object.keys(OPEX_CATEGORIES).filter(c => totals[c] != null);
+  if (totals.opex == null && categories.length) totals.opex = categories.reduce((sum, c) => sum + totals[c], 0);
+  if (totals.revenue != null) totals.grossProfit = totals.revenue - (totals.cogs || 0);
+  if (totals.ebitda == null && totals.grossProfit != null) totals.ebitda = totals.grossProfit - (totals.opex || 0);
+  return Object.fromEntries(Object.entries(totals).map(([line, amount]) => [line, round2(amount)]));
+}
+
+function variance(actual, comparison, cost) {
+  if (actual == null || comparison == null) return { variance: null, variancePct: null, favorable: null };
+  const diff = round2(actual - comparison);
+  return {
+    variance: diff,
+    variancePct: comparison !== 0 ? diff / Math.abs(comparison) : null,
+    favorable: diff === 0 ? null : cost ? diff < 0 : diff > 0
+  };
+}
+
+// One row per line: actual, budget and prior amounts with both variances
+export function compareLines(actual, budget, prior) {
+  return VARIANCE_LINES
+    .filter(({ line }) => [actual, budget, prior].some(set => set?.[line] != null))
+    .map(({ line, label, cost = false }) => {
+      const vsBudget = variance(actual?.[line], budget?.[line], cost);
+      const vsPrior = variance(actual?.[line], prior?.[line], cost);
+      return {
+        line,
+        label,
+        actual: actual?.[line] ?? null,
+        budget: budget?.[line] ?? null,
+        prior: prior?.[line] ?? null,
+        budgetVariance: vsBudget.variance,
+        budgetVariancePct: vsBudget.variancePct,
+        budgetFavorable: vsBudget.favorable,
+        priorVariance: vsPrior.variance,
+        priorVariancePct: vsPrior.variancePct,
+        priorFavorable: vsPrior.favorable
+      };
+    });
+}
+
+// EBITDA bridge from a comparison (budget or prior period) to actual, price/volume style:
+//   volume      – revenue change earned at the comparison gross margin
+//   marginRate  – change in gross margin % applied to actual revenue (price and unit cost)
+//   opex        – each operating expense category (or the total) moving the other way
+// With a single revenue line there is no mix effect to separate; anything the steps do not explain
+// (an uploaded EBITDA that is not revenue - COGS - opex) lands in `other`.
+export function buildEbitdaWaterfall(from, to, { fromLabel, toLabel }) {
+  if (!from || !to || from.revenue == null || to.revenue == null) return null;
+
+  const fromMargin = from.revenue ? from.grossProfit / from.revenue : null;
+  const volume = fromMargin != null ? (to.revenue - from.revenue) * fromMargin : 0;
+  const marginRate = (to.grossProfit - from.grossProfit) - volume;
+
+  const steps = [
+    { key: 'start', label: fromLabel, type: 'total', value: from.ebitda },
+    { key: 'volume', label: 'Volume', type: 'delta', value: round2(volume) },
+    { key: 'marginRate', label: 'Price / cost rate', type: 'delta', value: round2(marginRate) }
+  ];
+
+  const categories = Object.keys(OPEX_CATEGORIES).filter(c => from[c] != null && to[c] != null);
+  let explainedOpex = 0;
+  for (const category of categories) {
+    const change = to[category] - from[category];
+    explainedOpex += change;
+    steps.push({ key: category, label: OPEX_CATEGORIES[category], type: 'delta', value: round2(-change) });
+  }
+  const remainingOpex = ((to.opex || 0) - (from.opex || 0)) - explainedOpex;
+  if (!categories.length || Math.abs(remainingOpex) >= 0.01) {
+    steps.push({ key: 'opex', label: categories.length ? 'Other operating expenses' : 'Operating expenses', type: 'delta', value: round2(-remainingOpex) });
+  }
+
+  const explained = steps.slice(1).reduce((sum, s) => sum + s.value, from.ebitda);
+  const other = round2(to.ebitda - explained);
+  if (other !== 0) steps.push({ key: 'other', label: 'Other', type: 'delta', value: other });
+  steps.push({ key: 'end', label: toLabel, type: 'total', value: to.ebitda });
+  return steps;
+}
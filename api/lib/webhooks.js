@@ -0,0 +1,41 @@
+import crypto from 'crypto';
+
+// QuickBooks (intuit-signature) and Xero (x-xero-signature) both sign the raw request body
+// with HMAC-SHA256 and send the digest base64-encoded
+export function verifyWebhookSignature(secret, rawBody, signature) {
+  if (!secret || !rawBody || !signature) return false;
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const received = Buffer.from(String(signature), 'base64');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+// QuickBooks entities that post to the ledger; changes to anything else cannot move the snapshots
+export const QB_POSTING_ENTITIES = new Set([
+  'Account', 'Bill', 'BillPayment', 'CreditMemo', 'Deposit', 'Invoice', 'JournalEntry',
+  'Payment', 'Purchase', 'RefundReceipt', 'SalesReceipt', 'Transfer', 'VendorCredit'
+]);
+
+// Xero event categories that affect journals (CONTACT changes do not)
+export const XERO_POSTING_CATEGORIES = new Set(['INVOICE']);
+
+// { eventNotifications: [{ realmId, dataChangeEvent: { entities: [{ name, id, operation }] } }] }
+// -> [{ realmId, entities: ['Invoice:123', ...] }], dropping realms with no posting changes
+export function parseQuickBooksNotification(body) {
+  return (body?.eventNotifications || []).map(n => ({
+    realmId: n.realmId,
+    entities: [...new Set((n.dataChangeEvent?.entities || [])
+      .filter(e => QB_POSTING_ENTITIES.has(e.name))
+      .map(e => `${e.name}:${e.id}`))]
+  })).filter(n => n.realmId && n.entities.length);
+}
+
+// { events: [{ tenantId, eventCategory, resourceId, eventType }] } -> [{ tenantId, entities: ['INVOICE:<id>', ...] }]
+export function parseXeroNotification(body) {
+  const byTenant = new Map();
+  for (const e of body?.events || []) {
+    if (!e.tenantId || !XERO_POSTING_CATEGORIES.has(e.eventCategory)) continue;
+    if (!byTenant.has(e.tenantId)) byTenant.set(e.tenantId, new Set());
+    byTenant.get(e.tenantId).add(`${e.eventCategory}:${e.resourceId}`);
+  }
+  return [...byTenant].map(([tenantId, entities]) => ({ tenantId, entities: [...entities] }));
+}
@@ -0,0 +1,97 @@
+import { getFreshConnection } from './tokenManager.js';
+import { XeroClient } from 'xero-node';
+
+const XERO_SCOPES = (
+  process.env.XERO_SCOPES || [
+    'offline_access',
+    'accounting.settings.read',
+    'accounting.contacts.read',
+    'accounting.transactions',
+    'accounting.reports.read'
+  ].join(' ')
+);
+
+export function createXeroClient(state = null) {
+  const clientId = process.env.XERO_CLIENT_ID;
+  const clientSecret = process.env.XERO_CLIENT_SECRET;
+  const redirectUri = `${process.env.BASE_URL}/api/integrations/xero/callback`;
+
+  if (!clientId || !clientSecret || !redirectUri) {
+    throw new Error('Missing Xero OAuth env vars (XERO_CLIENT_ID, XERO_CLIENT_SECRET, XERO_REDIRECT_URI)');
+  }
+
+  const config = {
+    clientId,
+    clientSecret,
+    redirectUris: [redirectUri],
+    scopes: XERO_SCOPES.split(/\s+/)
+  };
+
+  // Include state if provided
+  if (state) {
+    config.state = state;
+  }
+
+  return new XeroClient(config);
+}
+
+function xeroTokenSetFromConnection(data) {
+  return {
+    access_token: data.accessToken,
+    refresh_token: data.refreshToken,
+    id_token: data.idToken || undefined,
+    token_type: 'Bearer',
+    expires_in: Math.max(0, Math.floor((data.expiresAt - Date.now()) / 1000))
+  };
+}
+
+// Refresher for lib/tokenManager.js; Xero rotates the refresh token on every refresh
+async function refreshXeroTokens(data) {
+  const xero = createXeroClient();
+  await xero.initialize();
+  xero.setTokenSet(xeroTokenSetFromConnection(data));
+  const newTokens = await xero.refreshToken();
+  return {
+    accessToken: newTokens.access_token,
+    refreshToken: newTokens.refresh_token || data.refreshToken,
+    idToken: newTokens.id_token || data.idToken || null,
+    expiresAt: newTokens.expires_at ? new Date(newTokens.expires_at).getTime() : (Date.now() + (newTokens.expires_in || 0) * 1000)
+  };
+}
+
+export const getXeroAccessToken = async (selector) => {
+  const { data } = await getFreshConnection('xero', selector, refreshXeroTokens);
+  return data.accessToken;
+};
+
+
+// Build an authenticated Xero client and resolve tenantId for the selected connection
+export async function getXeroContext(selector) {
+  const { connectionId, data } = await getFreshConnection('xero', selector, refreshXeroTokens);
+
+  const xero = createXeroClient();
+  await xero.initialize();
+  xero.setTokenSet(xeroTokenSetFromConnection(data));
+
+  const tenantId = data.tenantId;
+  if (!tenantId) throw new Error('Missing tenantId for Xero connection');
+  return { xero, tenantId, connectionId };
+}
+
+// Remove this organisation from the grant; revoke the token itself once no organisation is left on it
+export async function revokeXeroConnection({ id }) {
+  const { xero, tenantId } = await getXeroContext({ connectionId: id });
+  const tenants = await xero.updateTenants(false);
+  const tenant = tenants.find(t => t.tenantId === tenantId);
+  if (tenant) await xero.disconnect(tenant.id);
+  if (!tenants.some(t => t.tenantId !== tenantId)) await xero.revokeToken();
+}
+
+// Xero serializes dates as "/Date(1573755038314+0000)/" or ISO strings
+export function parseXeroDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  const match = String(value).match(/\/Date\((-?\d+)/);
+  const date = match ? new Date(Number(match[1])) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
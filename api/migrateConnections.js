@@ -0,0 +1,65 @@
+import { db } from './firestore.js';
+import { CONNECTION_PROVIDERS, connectionsCollection, buildConnectionId } from './lib/connections.js';
+
+// One-off: re-key legacy per-user connection docs (doc id = userId) to company-owned `${companyId}_${externalId}` docs.
+// Pass --dry-run to only report what would move.
+
+function legacyExternalId(provider, data) {
+	switch (provider) {
+		case 'quickbooks': return data.realmId;
+		case 'xero': return data.tenantId;
+		case 'netsuite': return data.realm;
+		case 'salesforce': {
+			if (data.idUrl) return new URL(data.idUrl).pathname.split('/')[2];
+			return data.instanceUrl ? new URL(data.instanceUrl).hostname : null;
+		}
+		default: return null;
+	}
+}
+
+async function resolveCompanyId(data) {
+	if (data.companyId) return data.companyId;
+	if (!data.userId) return null;
+	const userDoc = await db.collection('users').doc(data.userId).get();
+	return userDoc.exists ? userDoc.data().companyId || null : null;
+}
+
+async function main() {
+	const dryRun = process.argv.includes('--dry-run');
+	const results = [];
+
+	for (const provider of CONNECTION_PROVIDERS) {
+		const snap = await connectionsCollection(provider).get();
+		for (const doc of snap.docs) {
+			const data = doc.data();
+			if (data.externalId !== undefined && data.id === doc.id) continue;
+
+			const companyId = await resolveCompanyId(data);
+			if (!companyId) {
+				results.push({ provider, from: doc.id, status: 'skipped (no companyId)' });
+				continue;
+			}
+
+			const externalId = legacyExternalId(provider, data);
+			const connectionId = buildConnectionId(companyId, externalId);
+			if (!dryRun) {
+				await connectionsCollection(provider).doc(connectionId).set({
+					...data,
+					id: connectionId,
+					provider,
+					companyId,
+					externalId: externalId ? String(externalId) : null,
+					updatedAt: new Date()
+				});
+				if (connectionId !== doc.id) await doc.ref.delete();
+			}
+			results.push({ provider, from: doc.id, to: connectionId, status: dryRun ? 'dry-run' : 'migrated' });
+		}
+	}
+
+	console.table(results);
+	console.log(`\nConnection migration complete (${results.length} docs).`);
+	process.exit(0);
+}
+
+main().catch(e => { console.error('Connection migration failed:', e); process.exit(1); });
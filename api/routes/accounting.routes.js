@@ -0,0 +1,13 @@
+import fp from 'fastify-plugin';
+import { getAccountingAccounts, getAccountingCustomers, getAccountingVendors, getAccountingInvoices, getAccountingBills, getAccountingPayments, getAccountingJournalEntries, getAccountingItems } from '../controllers/accounting.controllers.js';
+
+export default fp(async (fastify) => {
+  fastify.get('/api/accounting/accounts', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getAccountingAccounts);
+  fastify.get('/api/accounting/customers', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getAccountingCustomers);
+  fastify.get('/api/accounting/vendors', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getAccountingVendors);
+  fastify.get('/api/accounting/invoices', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getAccountingInvoices);
+  fastify.get('/api/accounting/bills', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getAccountingBills);
+  fastify.get('/api/accounting/payments', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getAccountingPayments);
+  fastify.get('/api/accounting/journal-entries', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getAccountingJournalEntries);
+  fastify.get('/api/accounting/items', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getAccountingItems);
+});
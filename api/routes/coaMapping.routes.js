@@ -0,0 +1,9 @@
+import fp from 'fastify-plugin';
+import { getCoaMapping, getCoaMappingVersions, suggestCoaMappingVersion, updateCoaMapping } from '../controllers/coaMapping.controllers.js';
+
+export default fp(async (fastify) => {
+  fastify.get('/api/companies/:id/coa-mapping', { preHandler: [fastify.authenticate] }, getCoaMapping);
+  fastify.put('/api/companies/:id/coa-mapping', { preHandler: [fastify.authenticate] }, updateCoaMapping);
+  fastify.get('/api/companies/:id/coa-mapping/versions', { preHandler: [fastify.authenticate] }, getCoaMappingVersions);
+  fastify.post('/api/companies/:id/coa-mapping/suggest', { preHandler: [fastify.authenticate] }, suggestCoaMappingVersion);
+});
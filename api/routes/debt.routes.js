@@ -0,0 +1,10 @@
+import fp from 'fastify-plugin';
+import { getDebtInstruments, createDebtInstrumentRecord, getDebtInstrumentRecord, updateDebtInstrumentRecord, deleteDebtInstrumentRecord } from '../controllers/debt.controllers.js';
+
+export default fp(async (fastify) => {
+  fastify.get('/api/companies/:id/debt-instruments', { preHandler: [fastify.authenticate] }, getDebtInstruments);
+  fastify.post('/api/companies/:id/debt-instruments', { preHandler: [fastify.authenticate] }, createDebtInstrumentRecord);
+  fastify.get('/api/companies/:id/debt-instruments/:instrumentId', { preHandler: [fastify.authenticate] }, getDebtInstrumentRecord);
+  fastify.put('/api/companies/:id/debt-instruments/:instrumentId', { preHandler: [fastify.authenticate] }, updateDebtInstrumentRecord);
+  fastify.delete('/api/companies/:id/debt-instruments/:instrumentId', { preHandler: [fastify.authenticate] }, deleteDebtInstrumentRecord);
+});
@@ -1,7 +1,16 @@
 import fp from 'fastify-plugin';
-import { getFinancialSummary, getFinancialSource } from '../controllers/financial.controllers.js';
+import { getFinancialSummary, getEntitySnapshots, getPeopleSummary, getFinancialStatements, getFinancialStatement, createCashForecast, getCashForecastResult, getCashForecastHistory, getVarianceAnalysis, getCovenantCompliance, getFinancialSource } from '../controllers/financial.controllers.js';
 
 export default fp(async (fastify) => {
   fastify.get('/api/financial/summary', { preHandler: [fastify.authenticate] }, getFinancialSummary);
+  fastify.get('/api/financial/entities', { preHandler: [fastify.authenticate] }, getEntitySnapshots);
+  fastify.get('/api/financial/people', { preHandler: [fastify.authenticate] }, getPeopleSummary);
+  fastify.get('/api/financial/statements', { preHandler: [fastify.authenticate] }, getFinancialStatements);
+  fastify.get('/api/financial/statements/:statement', { preHandler: [fastify.authenticate] }, getFinancialStatement);
+  fastify.post('/api/financial/cash-forecast', { preHandler: [fastify.authenticate] }, createCashForecast);
+  fastify.get('/api/financial/cash-forecast', { preHandler: [fastify.authenticate] }, getCashForecastResult);
+  fastify.get('/api/financial/cash-forecast/history', { preHandler: [fastify.authenticate] }, getCashForecastHistory);
+  fastify.get('/api/financial/variance', { preHandler: [fastify.authenticate] }, getVarianceAnalysis);
+  fastify.get('/api/financial/covenants', { preHandler: [fastify.authenticate] }, getCovenantCompliance);
   fastify.get('/api/financial/source', { preHandler: [fastify.authenticate] }, getFinancialSource);
 });
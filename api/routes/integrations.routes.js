@@ -0,0 +1,6 @@
+import fp from 'fastify-plugin';
+import { getIntegrations } from '../controllers/integrations.controllers.js';
+
+export default fp(async (fastify) => {
+  fastify.get('/api/integrations', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getIntegrations);
+});
@@ -1,17 +1,22 @@
 import fp from 'fastify-plugin';
-import { netsuiteConnect, netsuiteCallback, getNsAccounts, getNsJournals, getNsInvoices, getNsBills, getNsPayments, getNsCustomers, getNsVendors, getNsItems } from '../controllers/netsuite.controllers.js';
+import { netsuiteConnect, netsuiteCallback, netsuiteDisconnect, getNsConnectionStatus, getNsAccounts, getNsJournals, getNsInvoices, getNsBills, getNsPayments, getNsCustomers, getNsVendors, getNsItems, syncNsRecords, getNsSyncRun, getNsSyncedRecords } from '../controllers/netsuite.controllers.js';
 
 export default fp(async (fastify) => {
-  fastify.get('/api/integrations/netsuite/connect', { preHandler: [fastify.authenticate] }, netsuiteConnect);
+  fastify.get('/api/integrations/netsuite/connect', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, netsuiteConnect);
   fastify.get('/api/integrations/netsuite/callback', netsuiteCallback);
-  fastify.get('/api/integrations/netsuite/accounts', { preHandler: [fastify.authenticate] }, getNsAccounts);
-  fastify.get('/api/integrations/netsuite/journals', { preHandler: [fastify.authenticate] }, getNsJournals);
-  fastify.get('/api/integrations/netsuite/invoices', { preHandler: [fastify.authenticate] }, getNsInvoices);
-  fastify.get('/api/integrations/netsuite/bills', { preHandler: [fastify.authenticate] }, getNsBills);
-  fastify.get('/api/integrations/netsuite/payments', { preHandler: [fastify.authenticate] }, getNsPayments);
-  fastify.get('/api/integrations/netsuite/customers', { preHandler: [fastify.authenticate] }, getNsCustomers);
-  fastify.get('/api/integrations/netsuite/vendors', { preHandler: [fastify.authenticate] }, getNsVendors);
-  fastify.get('/api/integrations/netsuite/items', { preHandler: [fastify.authenticate] }, getNsItems);
+  fastify.post('/api/integrations/netsuite/disconnect', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, netsuiteDisconnect);
+  fastify.get('/api/integrations/netsuite/status', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getNsConnectionStatus);
+  fastify.get('/api/integrations/netsuite/accounts', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getNsAccounts);
+  fastify.get('/api/integrations/netsuite/journals', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getNsJournals);
+  fastify.get('/api/integrations/netsuite/invoices', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getNsInvoices);
+  fastify.get('/api/integrations/netsuite/bills', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getNsBills);
+  fastify.get('/api/integrations/netsuite/payments', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getNsPayments);
+  fastify.get('/api/integrations/netsuite/customers', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getNsCustomers);
+  fastify.get('/api/integrations/netsuite/vendors', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getNsVendors);
+  fastify.get('/api/integrations/netsuite/items', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getNsItems);
+  fastify.post('/api/integrations/netsuite/sync', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, syncNsRecords);
+  fastify.get('/api/integrations/netsuite/sync/:syncRunId', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getNsSyncRun);
+  fastify.get('/api/integrations/netsuite/records/:recordType', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getNsSyncedRecords);
 });
 
 
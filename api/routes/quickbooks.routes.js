@@ -1,19 +1,22 @@
 import fp from 'fastify-plugin';
-import { qbConnect, qbCallback, getQbAccounts, getQbCustomers, getQbVendors, getQbItems, getQbInvoices, getQbBills, getQbPayments, getQbJournals, getQbGeneralLedger, getQbConnectionStatus } from '../controllers/quickbooks.controllers.js';
+import { qbConnect, qbCallback, qbDisconnect, getQbAccounts, getQbCustomers, getQbVendors, getQbItems, getQbInvoices, getQbBills, getQbPayments, getQbJournals, getQbGeneralLedger, getQbConnectionStatus, syncQbFinancials, getQbSyncRun } from '../controllers/quickbooks.controllers.js';
 
 export default fp(async (fastify) => {
-  fastify.get('/api/integrations/quickbooks/connect', { preHandler: [fastify.authenticate] }, qbConnect);
+  fastify.get('/api/integrations/quickbooks/connect', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, qbConnect);
   fastify.get('/api/integrations/quickbooks/callback', qbCallback);
-  fastify.get('/api/integrations/quickbooks/status', { preHandler: [fastify.authenticate] }, getQbConnectionStatus);
-  fastify.get('/api/integrations/quickbooks/accounts', { preHandler: [fastify.authenticate] }, getQbAccounts);
-  fastify.get('/api/integrations/quickbooks/customers', { preHandler: [fastify.authenticate] }, getQbCustomers);
-  fastify.get('/api/integrations/quickbooks/vendors', { preHandler: [fastify.authenticate] }, getQbVendors);
-  fastify.get('/api/integrations/quickbooks/items', { preHandler: [fastify.authenticate] }, getQbItems);
-  fastify.get('/api/integrations/quickbooks/invoices', { preHandler: [fastify.authenticate] }, getQbInvoices);
-  fastify.get('/api/integrations/quickbooks/bills', { preHandler: [fastify.authenticate] }, getQbBills);
-  fastify.get('/api/integrations/quickbooks/payments', { preHandler: [fastify.authenticate] }, getQbPayments);
-  fastify.get('/api/integrations/quickbooks/journals', { preHandler: [fastify.authenticate] }, getQbJournals);
-  fastify.get('/api/integrations/quickbooks/general-ledger', { preHandler: [fastify.authenticate] }, getQbGeneralLedger);
+  fastify.post('/api/integrations/quickbooks/disconnect', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, qbDisconnect);
+  fastify.get('/api/integrations/quickbooks/status', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getQbConnectionStatus);
+  fastify.get('/api/integrations/quickbooks/accounts', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getQbAccounts);
+  fastify.get('/api/integrations/quickbooks/customers', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getQbCustomers);
+  fastify.get('/api/integrations/quickbooks/vendors', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getQbVendors);
+  fastify.get('/api/integrations/quickbooks/items', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getQbItems);
+  fastify.get('/api/integrations/quickbooks/invoices', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getQbInvoices);
+  fastify.get('/api/integrations/quickbooks/bills', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getQbBills);
+  fastify.get('/api/integrations/quickbooks/payments', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getQbPayments);
+  fastify.get('/api/integrations/quickbooks/journals', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getQbJournals);
+  fastify.get('/api/integrations/quickbooks/general-ledger', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getQbGeneralLedger);
+  fastify.post('/api/integrations/quickbooks/sync', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, syncQbFinancials);
+  fastify.get('/api/integrations/quickbooks/sync/:syncRunId', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getQbSyncRun);
 });
 
 
@@ -1,18 +1,22 @@
 import fp from 'fastify-plugin';
-import { salesforceConnect, salesforceCallback, getSfCustomers, getSfVendors, getSfItems, getSfInvoices, getSfBills, getSfPayments, getSfChartOfAccounts, getSfGeneralLedger, getSfConnectionStatus } from '../controllers/salesforce.controllers.js';
+import { salesforceConnect, salesforceCallback, salesforceDisconnect, getSfCustomers, getSfVendors, getSfItems, getSfInvoices, getSfBills, getSfPayments, getSfChartOfAccounts, getSfGeneralLedger, getSfConnectionStatus, syncSfPipeline, getSfSyncRun, getSfPipeline } from '../controllers/salesforce.controllers.js';
 
 export default fp(async (fastify) => {
-  fastify.get('/api/integrations/salesforce/connect', { preHandler: [fastify.authenticate] }, salesforceConnect);
+  fastify.get('/api/integrations/salesforce/connect', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, salesforceConnect);
   fastify.get('/api/integrations/salesforce/callback', salesforceCallback);
-  fastify.get('/api/integrations/salesforce/status', { preHandler: [fastify.authenticate] }, getSfConnectionStatus);
-  fastify.get('/api/integrations/salesforce/customers', { preHandler: [fastify.authenticate] }, getSfCustomers);
-  fastify.get('/api/integrations/salesforce/vendors', { preHandler: [fastify.authenticate] }, getSfVendors);
-  fastify.get('/api/integrations/salesforce/items', { preHandler: [fastify.authenticate] }, getSfItems);
-  fastify.get('/api/integrations/salesforce/invoices', { preHandler: [fastify.authenticate] }, getSfInvoices);
-  fastify.get('/api/integrations/salesforce/bills', { preHandler: [fastify.authenticate] }, getSfBills);
-  fastify.get('/api/integrations/salesforce/payments', { preHandler: [fastify.authenticate] }, getSfPayments);
-  fastify.get('/api/integrations/salesforce/chart-of-accounts', { preHandler: [fastify.authenticate] }, getSfChartOfAccounts);
-  fastify.get('/api/integrations/salesforce/general-ledger', { preHandler: [fastify.authenticate] }, getSfGeneralLedger);
+  fastify.post('/api/integrations/salesforce/disconnect', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, salesforceDisconnect);
+  fastify.get('/api/integrations/salesforce/status', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getSfConnectionStatus);
+  fastify.get('/api/integrations/salesforce/customers', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getSfCustomers);
+  fastify.get('/api/integrations/salesforce/vendors', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getSfVendors);
+  fastify.get('/api/integrations/salesforce/items', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getSfItems);
+  fastify.get('/api/integrations/salesforce/invoices', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getSfInvoices);
+  fastify.get('/api/integrations/salesforce/bills', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getSfBills);
+  fastify.get('/api/integrations/salesforce/payments', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getSfPayments);
+  fastify.get('/api/integrations/salesforce/chart-of-accounts', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getSfChartOfAccounts);
+  fastify.get('/api/integrations/salesforce/general-ledger', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getSfGeneralLedger);
+  fastify.post('/api/integrations/salesforce/sync', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, syncSfPipeline);
+  fastify.get('/api/integrations/salesforce/sync/:syncRunId', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getSfSyncRun);
+  fastify.get('/api/integrations/salesforce/pipeline', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getSfPipeline);
 });
 
 
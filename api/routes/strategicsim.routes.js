@@ -7,9 +7,14 @@ import {
   getCompetitiveIndexScore,
   getScenarioROI,
   searchSimulations,
+  getSimulationById,
+  deleteSimulation,
   createSimulation,
+  getSimulationStatus,
   generateDeliverablesPDF,
   runScenarioSensitivity,
+  runScenarioMonteCarlo,
+  compareSimulations,
   recommendOptimalStrategy
 } from '../controllers/strategicsim.controllers.js';
 
@@ -24,5 +29,14 @@ export default fp(async (fastify) => {
   fastify.post('/api/strategicSim/simulations/:companyId', { preHandler: [fastify.authenticate] }, createSimulation);
   fastify.post('/api/strategicSim/simulations/:companyId/deliverables', { preHandler: [fastify.authenticate] }, generateDeliverablesPDF);
   fastify.post('/api/strategicSim/simulations/:companyId/sensitivity', { preHandler: [fastify.authenticate] }, runScenarioSensitivity);
+  fastify.post('/api/strategicSim/simulations/:companyId/monte-carlo', { preHandler: [fastify.authenticate] }, runScenarioMonteCarlo);
   fastify.get('/api/strategicSim/simulations/:companyId/recommend-optimal', { preHandler: [fastify.authenticate] }, recommendOptimalStrategy);
+  fastify.post('/api/strategicSim/simulations/:companyId/compare', { preHandler: [fastify.authenticate] }, compareSimulations);
+  fastify.get('/api/strategicSim/simulations/:companyId/id/:simulationId', { preHandler: [fastify.authenticate] }, getSimulationById);
+  fastify.get('/api/strategicSim/simulations/:companyId/:simulationId/status', { preHandler: [fastify.authenticate] }, getSimulationStatus);
+  fastify.delete('/api/strategicSim/simulations/:companyId/:simulationId', { preHandler: [fastify.authenticate] }, deleteSimulation);
+  fastify.get('/api/strategicSim/simulations/:companyId/:simulationId/roi', { preHandler: [fastify.authenticate] }, getScenarioROI);
+  fastify.post('/api/strategicSim/simulations/:companyId/:simulationId/sensitivity', { preHandler: [fastify.authenticate] }, runScenarioSensitivity);
+  fastify.post('/api/strategicSim/simulations/:companyId/:simulationId/monte-carlo', { preHandler: [fastify.authenticate] }, runScenarioMonteCarlo);
+  fastify.get('/api/strategicSim/simulations/:companyId/:simulationId/recommend', { preHandler: [fastify.authenticate] }, recommendOptimalStrategy);
 });
\ No newline at end of file
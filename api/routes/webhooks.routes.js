@@ -0,0 +1,21 @@
+import fp from 'fastify-plugin';
+import { quickbooksWebhook, xeroWebhook } from '../controllers/webhooks.controllers.js';
+
+export default fp(async (fastify) => {
+  // Signatures cover the exact request bytes, so these routes keep the raw body in their own context
+  await fastify.register(async (webhooks) => {
+    webhooks.removeContentTypeParser('application/json');
+    webhooks.addContentTypeParser('application/json', { parseAs: 'buffer' }, (req, body, done) => {
+      req.rawBody = body;
+      try {
+        done(null, body.length ? JSON.parse(body.toString('utf8')) : {});
+      } catch (err) {
+        err.statusCode = 400;
+        done(err);
+      }
+    });
+
+    webhooks.post('/api/webhooks/quickbooks', quickbooksWebhook);
+    webhooks.post('/api/webhooks/xero', xeroWebhook);
+  });
+});
@@ -1,16 +1,21 @@
 import fp from 'fastify-plugin';
-import { xeroConnect, xeroCallback, getAccounts, getContacts, getItems, getInvoices, getPayments, getJournals, getXeroConnectionStatus } from '../controllers/xero.controllers.js';
+import { xeroConnect, xeroCallback, xeroDisconnect, getAccounts, getContacts, getItems, getInvoices, getPayments, getJournals, getXeroConnectionStatus, syncXeroFinancials, getXeroSyncRun, getXeroAccountMappings, updateXeroAccountMappings } from '../controllers/xero.controllers.js';
 
 export default fp(async (fastify) => {
-  fastify.get('/api/integrations/xero/connect', { preHandler: [fastify.authenticate] }, xeroConnect);
+  fastify.get('/api/integrations/xero/connect', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, xeroConnect);
   fastify.get('/api/integrations/xero/callback', xeroCallback);
-  fastify.get('/api/integrations/xero/status', { preHandler: [fastify.authenticate] }, getXeroConnectionStatus);
-  fastify.get('/api/integrations/xero/accounts', { preHandler: [fastify.authenticate] }, getAccounts);
-  fastify.get('/api/integrations/xero/contacts', { preHandler: [fastify.authenticate] }, getContacts);
-  fastify.get('/api/integrations/xero/items', { preHandler: [fastify.authenticate] }, getItems);
-  fastify.get('/api/integrations/xero/invoices', { preHandler: [fastify.authenticate] }, getInvoices);
-  fastify.get('/api/integrations/xero/payments', { preHandler: [fastify.authenticate] }, getPayments);
-  fastify.get('/api/integrations/xero/journals', { preHandler: [fastify.authenticate] }, getJournals);
+  fastify.post('/api/integrations/xero/disconnect', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, xeroDisconnect);
+  fastify.get('/api/integrations/xero/status', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getXeroConnectionStatus);
+  fastify.get('/api/integrations/xero/accounts', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getAccounts);
+  fastify.get('/api/integrations/xero/contacts', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getContacts);
+  fastify.get('/api/integrations/xero/items', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getItems);
+  fastify.get('/api/integrations/xero/invoices', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getInvoices);
+  fastify.get('/api/integrations/xero/payments', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getPayments);
+  fastify.get('/api/integrations/xero/journals', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getJournals);
+  fastify.post('/api/integrations/xero/sync', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, syncXeroFinancials);
+  fastify.get('/api/integrations/xero/sync/:syncRunId', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getXeroSyncRun);
+  fastify.get('/api/integrations/xero/account-mappings', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, getXeroAccountMappings);
+  fastify.put('/api/integrations/xero/account-mappings', { preHandler: [fastify.authenticate, fastify.authorizeCompany] }, updateXeroAccountMappings);
 });
 
 
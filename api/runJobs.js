@@ -0,0 +1,19 @@
+import { sweepExpiredLeases, drainJobs } from './lib/jobs/index.js';
+import './workers/uploadWorker.js';
+import './workers/quickbooksSyncWorker.js';
+import './workers/xeroSyncWorker.js';
+import './workers/netsuiteSyncWorker.js';
+import './workers/gustoSyncWorker.js';
+import './workers/salesforceSyncWorker.js';
+import './workers/simulationWorker.js';
+
+// Scheduled entry point (Cloud Scheduler / Cloud Run job): requeues jobs whose lease expired, then
+// runs every due job so queued work finishes even when no API instance is up to pick it up
+async function main() {
+	const { requeued, dead } = await sweepExpiredLeases();
+	const ran = await drainJobs();
+	console.log(`Jobs: ${requeued} requeued, ${dead} dead-lettered, ${ran} run.`);
+	process.exit(0);
+}
+
+main().catch(e => { console.error('Job run failed:', e); process.exit(1); });
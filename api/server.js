@@ -22,6 +22,12 @@ import gustoRoutes from './routes/gusto.routes.js';
 import salesforceRoutes from './routes/salesforce.routes.js';
 import uploadsRoutes from './routes/uploads.routes.js';
 import financialRoutes from './routes/financial.routes.js';
+import accountingRoutes from './routes/accounting.routes.js';
+import integrationsRoutes from './routes/integrations.routes.js';
+import webhooksRoutes from './routes/webhooks.routes.js';
+import coaMappingRoutes from './routes/coaMapping.routes.js';
+import debtRoutes from './routes/debt.routes.js';
+import { startJobRunner } from './lib/jobs/index.js';
 
 const app = Fastify({ logger: true });
 await app.register(cors, {
@@ -62,6 +68,15 @@ app.decorate('authenticate', async function (req, reply) {
   }
 });
 
+// Runs after authenticate: the request acts for the caller's own company, so a companyId named in
+// the query or body must be the one in their token
+app.decorate('authorizeCompany', async function (req, reply) {
+  const requested = req.query?.companyId || req.body?.companyId;
+  if (requested && requested !== req.user?.companyId) {
+    return reply.code(403).send({ error: 'Forbidden: not a member of this company' });
+  }
+});
+
 // 🔹 Load OpenAPI spec
 const file = fs.readFileSync('api/openapi.yml', 'utf8');
 const openapiSpec = yaml.parse(file);
@@ -135,6 +150,15 @@ await app.register(gustoRoutes);
 await app.register(salesforceRoutes);
 await app.register(uploadsRoutes);
 await app.register(financialRoutes);
+await app.register(accountingRoutes);
+await app.register(integrationsRoutes);
+await app.register(webhooksRoutes);
+await app.register(coaMappingRoutes);
+await app.register(debtRoutes);
 
 const port = process.env.PORT || 8080;
 app.listen({ port, host: '0.0.0.0' });
+
+// Background jobs queued by the routes (uploads, ...) run in this process; the sweeper requeues
+// jobs left behind by instances that went away
+startJobRunner();
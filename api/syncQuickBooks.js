@@ -0,0 +1,45 @@
+import { db } from './firestore.js';
+import { createSyncRun } from './lib/syncRuns.js';
+import { trailingMonthRange } from './lib/financialSnapshots.js';
+import { syncQuickBooksFinancials } from './workers/quickbooksSyncWorker.js';
+
+// Scheduled entry point (Cloud Scheduler / Cloud Run job): syncs every company-linked QuickBooks connection
+async function main() {
+	const months = Number(process.env.QB_SYNC_MONTHS) || 12;
+	const { startMonth, endMonth } = trailingMonthRange(months);
+	const snap = await db.collection('quickbooks_connections').get();
+
+	const results = [];
+	for (const doc of snap.docs) {
+		const connection = doc.data();
+		if (!connection.companyId) {
+			results.push({ connection: doc.id, status: 'skipped (no companyId)' });
+			continue;
+		}
+
+		const syncRunId = await createSyncRun({
+			provider: 'quickbooks',
+			tenantId: connection.companyId,
+			userId: connection.userId,
+			connectionId: doc.id,
+			realmId: connection.realmId,
+			startMonth,
+			endMonth,
+			trigger: 'scheduled'
+		});
+
+		try {
+			await syncQuickBooksFinancials(syncRunId);
+			results.push({ connection: doc.id, syncRunId, status: 'succeeded' });
+		} catch (e) {
+			results.push({ connection: doc.id, syncRunId, status: `failed: ${e.message}` });
+		}
+	}
+
+	console.table(results);
+	const failed = results.some(r => r.status.startsWith('failed'));
+	console.log(`\nQuickBooks sync complete (${startMonth}..${endMonth}).`);
+	process.exit(failed ? 1 : 0);
+}
+
+main().catch(e => { console.error('QuickBooks sync failed:', e); process.exit(1); });
@@ -0,0 +1,235 @@
+import { getGustoAccessToken, gustoApiGet, gustoApiGetAll } from '../lib/gusto.js';
+import { listMonths, monthBounds } from '../lib/financialSnapshots.js';
+import { upsertPeopleSnapshot, updateCompanyPeople } from '../lib/peopleSnapshots.js';
+import { getSyncRun, markSyncRunStarted, markSyncRunSucceeded, markSyncRunFailed, registerSyncJobHandler } from '../lib/syncRuns.js';
+
+// Job type Gusto sync runs are queued under
+export const GUSTO_SYNC_JOB = 'gusto_sync';
+
+const UNASSIGNED = 'Unassigned';
+
+const toNumber = (v) => Number(v) || 0;
+const round2 = (v) => Math.round(v * 100) / 100;
+const isDate = (v) => /^\d{4}-\d{2}-\d{2}/.test(v || '');
+
+// ---- Employee attributes ----
+
+// Earliest job hire date; older API versions put it on the employee
+export function employeeHireDate(employee) {
+  const dates = (employee.jobs || []).map(j => j.hire_date).filter(isDate);
+  if (isDate(employee.hire_date)) dates.push(employee.hire_date);
+  if (isDate(employee.start_date)) dates.push(employee.start_date);
+  return dates.length ? dates.sort()[0].slice(0, 10) : null;
+}
+
+// Latest termination effective date (the last day worked), or null while employed
+export function employeeTerminationDate(employee) {
+  const dates = (employee.terminations || []).map(t => t.effective_date).filter(isDate);
+  if (isDate(employee.termination_date)) dates.push(employee.termination_date);
+  return dates.length ? dates.sort()[dates.length - 1].slice(0, 10) : null;
+}
+
+function employeeLocationId(employee) {
+  const jobs = employee.jobs || [];
+  const job = jobs.find(j => j.primary) || jobs[0];
+  return job?.location_uuid || job?.location?.uuid || job?.location_id || employee.work_address?.location_uuid || null;
+}
+
+function locationName(location) {
+  if (!location) return null;
+  const place = [location.city, location.state].filter(Boolean).join(', ');
+  return place || location.street_1 || location.uuid || null;
+}
+
+// Department and location are the employee's current ones; Gusto does not expose their history
+function employeeProfile(employee, locationsById) {
+  const locationId = employeeLocationId(employee);
+  return {
+    hireDate: employeeHireDate(employee),
+    terminationDate: employeeTerminationDate(employee),
+    department: employee.department || employee.department_title || UNASSIGNED,
+    location: locationName(locationsById.get(locationId)) || UNASSIGNED
+  };
+}
+
+// Employer cost of one employee on one payroll: gross pay, employer taxes and company benefit contributions
+export function employeeCompensationCost(compensation) {
+  const employerTaxes = (compensation.taxes || [])
+    .filter(t => t.employer)
+    .reduce((sum, t) => sum + toNumber(t.amount), 0);
+  const benefits = (compensation.benefits || [])
+    .reduce((sum, b) => sum + toNumber(b.company_contribution), 0);
+  return toNumber(compensation.gross_pay) + employerTaxes + benefits;
+}
+
+// Payrolls without employee detail fall back to the company totals
+function payrollTotalsCost(payroll) {
+  const totals = payroll.totals || {};
+  return toNumber(totals.gross_pay) + toNumber(totals.employer_taxes) + toNumber(totals.benefits);
+}
+
+const addTo = (map, key, amount) => { map[key] = (map[key] || 0) + amount; };
+
+function roundValues(map) {
+  return Object.fromEntries(Object.entries(map).map(([k, v]) => [k, round2(v)]));
+}
+
+// ---- Monthly aggregation ----
+
+// Headcount is employees on staff at month end; an employee whose termination takes effect in
+// the month counts as a termination and drops out of that month's ending headcount.
+// attritionRate = terminations / average of starting and ending headcount;
+// annualizedAttritionRate scales the trailing 12 months (fewer at the start of the window) to a year.
+export function buildPeopleMonthlySnapshots({ employees, payrolls, locations = [], startMonth, endMonth }) {
+  const locationsById = new Map(locations.map(l => [l.uuid || l.id, l]));
+  const profiles = employees.map(e => ({ id: e.uuid || e.id, ...employeeProfile(e, locationsById) }))
+    .filter(p => p.hireDate);
+  const profileById = new Map(profiles.map(p => [p.id, p]));
+
+  // Payroll cost by check date month
+  const costs = new Map();
+  for (const payroll of payrolls) {
+    const month = String(payroll.check_date || '').slice(0, 7);
+    if (month < startMonth || month > endMonth) continue;
+
+    const cost = costs.get(month) || { total: 0, byDepartment: {}, byLocation: {} };
+    const compensations = payroll.employee_compensations || [];
+    if (compensations.length) {
+      for (const compensation of compensations) {
+        const amount = employeeCompensationCost(compensation);
+        const profile = profileById.get(compensation.employee_uuid || compensation.employee_id);
+        cost.total += amount;
+        addTo(cost.byDepartment, profile?.department || UNASSIGNED, amount);
+        addTo(cost.byLocation, profile?.location || UNASSIGNED, amount);
+      }
+    } else {
+      const amount = payrollTotalsCost(payroll);
+      cost.total += amount;
+      addTo(cost.byDepartment, UNASSIGNED, amount);
+      addTo(cost.byLocation, UNASSIGNED, amount);
+    }
+    costs.set(month, cost);
+  }
+
+  const rows = [];
+  const trailing = [];
+  for (const month of listMonths(startMonth, endMonth)) {
+    const { start, end } = monthBounds(month);
+    const onStaffAtEnd = profiles.filter(p => p.hireDate <= end && (!p.terminationDate || p.terminationDate > end));
+    const startingHeadcount = profiles.filter(p => p.hireDate < start && (!p.terminationDate || p.terminationDate >= start)).length;
+    const hires = profiles.filter(p => p.hireDate >= start && p.hireDate <= end).length;
+    const terminations = profiles.filter(p => p.terminationDate && p.terminationDate >= start && p.terminationDate <= end).length;
+    const headcount = onStaffAtEnd.length;
+    const averageHeadcount = (startingHeadcount + headcount) / 2;
+
+    trailing.push({ terminations, averageHeadcount });
+    if (trailing.length > 12) trailing.shift();
+    const trailingTerminations = trailing.reduce((sum, t) => sum + t.terminations, 0);
+    const trailingAverage = trailing.reduce((sum, t) => sum + t.averageHeadcount, 0) / trailing.length;
+
+    const cost = costs.get(month) || { total: 0, byDepartment: {}, byLocation: {} };
+    if (!startingHeadcount && !headcount && !hires && !terminations && !cost.total) continue;
+
+    const headcountByDepartment = {};
+    const headcountByLocation = {};
+    for (const p of onStaffAtEnd) {
+      addTo(headcountByDepartment, p.department, 1);
+      addTo(headcountByLocation, p.location, 1);
+    }
+
+    rows.push({
+      month,
+      startingHeadcount,
+      headcount,
+      hires,
+      terminations,
+      attritionRate: averageHeadcount > 0 ? terminations / averageHeadcount : null,
+      annualizedAttritionRate: trailingAverage > 0 ? (trailingTerminations * (12 / trailing.length)) / trailingAverage : null,
+      headcountByDepartment,
+      headcountByLocation,
+      payrollCost: round2(cost.total),
+      payrollCostByDepartment: roundValues(cost.byDepartment),
+      payrollCostByLocation: roundValues(cost.byLocation)
+    });
+  }
+  return rows;
+}
+
+// ---- Gusto fetches ----
+
+// Active and terminated employees are listed separately
+async function fetchGustoEmployees(gustoCompanyId, accessToken) {
+  const path = `/v1/companies/${encodeURIComponent(gustoCompanyId)}/employees`;
+  const [active, terminated] = await Promise.all([
+    gustoApiGetAll(path, accessToken, { terminated: false }),
+    gustoApiGetAll(path, accessToken, { terminated: true })
+  ]);
+  const byId = new Map([...active, ...terminated].map(e => [e.uuid || e.id, e]));
+  return [...byId.values()];
+}
+
+// The payroll list only carries totals; employee compensations come from each payroll's detail
+async function fetchGustoPayrolls(gustoCompanyId, accessToken, { startMonth, endMonth }) {
+  const companyPath = `/v1/companies/${encodeURIComponent(gustoCompanyId)}`;
+  const summaries = await gustoApiGetAll(`${companyPath}/payrolls`, accessToken, {
+    processing_statuses: 'processed',
+    include: 'totals',
+    start_date: monthBounds(startMonth).start,
+    end_date: monthBounds(endMonth).end
+  });
+
+  const payrolls = [];
+  for (const summary of summaries) {
+    if (summary.processed === false) continue;
+    const payrollId = summary.payroll_uuid || summary.uuid || summary.payroll_id;
+    const detail = await gustoApiGet(`${companyPath}/payrolls/${encodeURIComponent(payrollId)}`, accessToken);
+    payrolls.push({ ...summary, ...detail });
+  }
+  return payrolls;
+}
+
+// ---- Sync job ----
+export async function syncGustoPeople(syncRunId) {
+  const run = await getSyncRun(syncRunId);
+  if (!run) return;
+
+  await markSyncRunStarted(syncRunId);
+
+  try {
+    const accessToken = await getGustoAccessToken({ connectionId: run.connectionId, userId: run.userId });
+    const [employees, payrolls, locations] = await Promise.all([
+      fetchGustoEmployees(run.gustoCompanyId, accessToken),
+      fetchGustoPayrolls(run.gustoCompanyId, accessToken, run),
+      gustoApiGet(`/v1/companies/${encodeURIComponent(run.gustoCompanyId)}/locations`, accessToken)
+    ]);
+
+    const rows = buildPeopleMonthlySnapshots({
+      employees,
+      payrolls,
+      locations: Array.isArray(locations) ? locations : [],
+      startMonth: run.startMonth,
+      endMonth: run.endMonth
+    });
+
+    for (const row of rows) {
+      await upsertPeopleSnapshot({ tenantId: run.tenantId, ...row, source: 'gusto', syncRunId, connectionId: run.connectionId || null });
+    }
+
+    const latest = rows[rows.length - 1];
+    if (latest) await updateCompanyPeople(run.tenantId, latest);
+
+    await markSyncRunSucceeded(syncRunId, {
+      employeeCount: employees.length,
+      payrollCount: payrolls.length,
+      monthCount: rows.length,
+      firstMonth: rows[0]?.month || null,
+      lastMonth: latest?.month || null
+    });
+  } catch (err) {
+    console.error('Gusto sync error:', err);
+    await markSyncRunFailed(syncRunId, err);
+    throw err;
+  }
+}
+
+registerSyncJobHandler(GUSTO_SYNC_JOB, syncGustoPeople);
@@ -0,0 +1,113 @@
+import { db } from '../firestore.js';
+import { NS_RECORD_TYPES, getNetsuiteContext, runSuiteQl, buildSuiteQlQuery, normalizeNsRecord } from '../lib/netsuite.js';
+import { getSyncRun, markSyncRunStarted, markSyncRunSucceeded, markSyncRunFailed, registerSyncJobHandler } from '../lib/syncRuns.js';
+
+// Job type NetSuite sync runs are queued under
+export const NETSUITE_SYNC_JOB = 'netsuite_sync';
+
+const PAGE_SIZE = 1000;
+const BATCH_SIZE = 500;
+
+// Cursors and records are keyed by connection, since a company can hold several NetSuite accounts
+// whose internal ids overlap. connectionId already starts with the company id; runs without one
+// fall back to the company.
+function syncKey(tenantId, connectionId) {
+  return connectionId || tenantId;
+}
+
+function cursorDocId(tenantId, connectionId, recordType) {
+  return `${syncKey(tenantId, connectionId)}_${recordType}`;
+}
+
+async function getCursor(tenantId, connectionId, recordType) {
+  const doc = await db.collection('netsuite_sync_cursors').doc(cursorDocId(tenantId, connectionId, recordType)).get();
+  return doc.exists ? doc.data().cursor || null : null;
+}
+
+async function saveRecords(tenantId, recordType, records, { syncRunId, connectionId }) {
+  for (let i = 0; i < records.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    for (const record of records.slice(i, i + BATCH_SIZE)) {
+      const docId = `${syncKey(tenantId, connectionId)}_${recordType}_${record.netsuiteId}`;
+      batch.set(db.collection('netsuite_records').doc(docId), {
+        id: docId,
+        tenantId,
+        recordType,
+        ...record,
+        syncRunId,
+        connectionId,
+        syncedAt: new Date()
+      }, { merge: true });
+    }
+    await batch.commit();
+  }
+}
+
+// Walk every SuiteQL page for one record type, persisting as we go
+async function syncRecordType(ctx, { tenantId, recordType, full, syncRunId, connectionId }) {
+  const cursor = full ? null : await getCursor(tenantId, connectionId, recordType);
+  const query = buildSuiteQlQuery(recordType, cursor);
+
+  let offset = 0;
+  let count = 0;
+  let maxModified = cursor;
+  for (;;) {
+    const page = await runSuiteQl({ ...ctx, query, limit: PAGE_SIZE, offset });
+    const records = (page?.items || []).map(item => normalizeNsRecord(recordType, item));
+    await saveRecords(tenantId, recordType, records, { syncRunId, connectionId });
+
+    for (const r of records) {
+      if (r.lastModified && (!maxModified || r.lastModified > maxModified)) maxModified = r.lastModified;
+    }
+    count += records.length;
+    if (!page?.hasMore || records.length === 0) break;
+    offset += records.length;
+  }
+
+  await db.collection('netsuite_sync_cursors').doc(cursorDocId(tenantId, connectionId, recordType)).set({
+    tenantId,
+    recordType,
+    cursor: maxModified || null,
+    connectionId,
+    lastSyncRunId: syncRunId,
+    lastFetched: count,
+    updatedAt: new Date()
+  }, { merge: true });
+
+  return { recordType, fetched: count, mode: cursor ? 'incremental' : 'full', cursor: maxModified || null };
+}
+
+// ---- Sync job ----
+export async function syncNetsuiteRecords(syncRunId) {
+  const run = await getSyncRun(syncRunId);
+  if (!run) return;
+
+  await markSyncRunStarted(syncRunId);
+
+  try {
+    const { accessToken, suiteQlUrl } = await getNetsuiteContext({ connectionId: run.connectionId, userId: run.userId });
+    const recordTypes = run.recordTypes?.length ? run.recordTypes : Object.keys(NS_RECORD_TYPES);
+
+    const results = [];
+    for (const recordType of recordTypes) {
+      results.push(await syncRecordType({ accessToken, suiteQlUrl }, {
+        tenantId: run.tenantId,
+        recordType,
+        full: Boolean(run.full),
+        syncRunId,
+        connectionId: run.connectionId || null
+      }));
+    }
+
+    await markSyncRunSucceeded(syncRunId, {
+      results,
+      recordCount: results.reduce((sum, r) => sum + r.fetched, 0)
+    });
+  } catch (err) {
+    console.error('NetSuite sync error:', err);
+    await markSyncRunFailed(syncRunId, err);
+    throw err;
+  }
+}
+
+registerSyncJobHandler(NETSUITE_SYNC_JOB, syncNetsuiteRecords);
@@ -0,0 +1,237 @@
+import { getQbContext, getQbBaseUrl, qbAxiosGet } from '../lib/quickbooks.js';
+import { upsertFinancialSnapshot, updateCompanyFinancials, monthBounds, listMonths } from '../lib/financialSnapshots.js';
+import { loadStatementLineResolver, statementOfLine, shiftMonth, buildMonthlyStatements, upsertFinancialStatements } from '../lib/financialStatements.js';
+import { getSyncRun, markSyncRunStarted, markSyncRunSucceeded, markSyncRunFailed, registerSyncJobHandler } from '../lib/syncRuns.js';
+
+// Job type QuickBooks sync runs are queued under
+export const QUICKBOOKS_SYNC_JOB = 'quickbooks_sync';
+
+// ---- Report parsing ----
+function toAmount(v) {
+  const n = parseFloat(v);
+  return isFinite(n) ? n : 0;
+}
+
+// Monthly columns carry StartDate/EndDate metadata; the trailing Total column does not
+function getMonthColumns(report) {
+  const columns = report?.Columns?.Column || [];
+  const months = [];
+  columns.forEach((col, index) => {
+    const meta = col.MetaData || [];
+    const date = meta.find(m => m.Name === 'EndDate')?.Value || meta.find(m => m.Name === 'StartDate')?.Value;
+    if (date) months.push({ index, month: date.slice(0, 7) });
+  });
+  return months;
+}
+
+function walkRows(rows, columns, parentGroup, out) {
+  for (const row of rows || []) {
+    const group = row.group || parentGroup;
+    if (row.ColData) {
+      out.accounts.push({
+        id: row.ColData[0]?.id || null,
+        name: row.ColData[0]?.value || '',
+        group,
+        values: columns.map(c => toAmount(row.ColData[c.index]?.value))
+      });
+    }
+    if (row.Rows?.Row) walkRows(row.Rows.Row, columns, group, out);
+    if (row.group && row.Summary?.ColData) {
+      out.sections[row.group] = columns.map(c => toAmount(row.Summary.ColData[c.index]?.value));
+    }
+  }
+}
+
+// Flatten a summarized-by-month QuickBooks report into section totals and account rows per month
+export function parseQbReport(report) {
+  const columns = getMonthColumns(report);
+  const out = { sections: {}, accounts: [] };
+  walkRows(report?.Rows?.Row, columns, null, out);
+  return { months: columns.map(c => c.month), ...out };
+}
+
+function sectionValue(parsed, group, i) {
+  return parsed.sections[group]?.[i] ?? 0;
+}
+
+// Map P&L and Balance Sheet reports into the financialSnapshotMonthly shape
+export function mapQbReportsToSnapshots(profitAndLoss, balanceSheet) {
+  const pnl = parseQbReport(profitAndLoss);
+  const bs = parseQbReport(balanceSheet);
+  const bsIndex = new Map(bs.months.map((m, i) => [m, i]));
+  const inventoryAccounts = bs.accounts.filter(a => /inventory/i.test(a.name));
+
+  return pnl.months.map((month, i) => {
+    const revenue = sectionValue(pnl, 'Income', i);
+    const cogs = sectionValue(pnl, 'COGS', i);
+    const opex = sectionValue(pnl, 'Expenses', i);
+    const j = bsIndex.get(month);
+
+    return {
+      month,
+      revenue,
+      cogs,
+      opex,
+      ebitda: revenue - cogs - opex,
+      cash: j != null ? sectionValue(bs, 'BankAccounts', j) : null,
+      ar: j != null ? sectionValue(bs, 'AR', j) : null,
+      ap: j != null ? sectionValue(bs, 'AP', j) : null,
+      inventory: j != null && inventoryAccounts.length
+        ? inventoryAccounts.reduce((sum, a) => sum + a.values[j], 0)
+        : null
+    };
+  }).filter(row => row.revenue !== 0 || row.cogs !== 0 || row.opex !== 0);
+}
+
+// ---- Three-statement model ----
+
+// Report section group -> [canonical type, QuickBooks AccountType], so rows place without a COA mapping
+const QB_GROUP_ACCOUNT_TYPES = {
+  Income: ['revenue', 'Income'],
+  OtherIncome: ['revenue', 'Other Income'],
+  COGS: ['expense', 'Cost of Goods Sold'],
+  Expenses: ['expense', 'Expense'],
+  OtherExpenses: ['expense', 'Other Expense'],
+  BankAccounts: ['asset', 'Bank'],
+  AR: ['asset', 'Accounts Receivable'],
+  OtherCurrentAssets: ['asset', 'Other Current Asset'],
+  FixedAssets: ['asset', 'Fixed Asset'],
+  OtherAssets: ['asset', 'Other Asset'],
+  AP: ['liability', 'Accounts Payable'],
+  CreditCards: ['liability', 'Credit Card'],
+  OtherCurrentLiabilities: ['liability', 'Other Current Liability'],
+  LongTermLiabilities: ['liability', 'Long Term Liability'],
+  Equity: ['equity', 'Equity']
+};
+
+function reportAccount(account) {
+  const [type, subtype] = QB_GROUP_ACCOUNT_TYPES[account.group] || [];
+  return { id: account.id ? `quickbooks:${account.id}` : null, name: account.name, type, subtype };
+}
+
+// Report rows summed into statement lines per month. Report amounts are already natural-signed;
+// rows mapped to a line of the other statement are skipped. The computed Net Income row in the
+// balance sheet's Equity section has no id and lands in equity.
+export function sumQbReportLines(parsed, statement, resolver) {
+  const byMonth = new Map(parsed.months.map(m => [m, {}]));
+  for (const account of parsed.accounts) {
+    const line = resolver.resolve(reportAccount(account));
+    if (statementOfLine(line) !== statement) continue;
+    parsed.months.forEach((month, i) => {
+      const lines = byMonth.get(month);
+      lines[line] = (lines[line] || 0) + account.values[i];
+    });
+  }
+  return byMonth;
+}
+
+// Section totals from the StatementOfCashFlows report; capex is the investing rows for fixed-asset accounts
+export function mapQbCashFlowReport(report, resolver) {
+  const parsed = parseQbReport(report);
+  const flows = new Map();
+  if (!parsed.sections.OperatingActivities) return flows;
+
+  const capexRows = parsed.accounts.filter(a => a.group === 'InvestingActivities'
+    && resolver.resolve({ ...reportAccount(a), type: 'asset' }) === 'fixed_assets');
+
+  parsed.months.forEach((month, i) => {
+    const operatingCashFlow = sectionValue(parsed, 'OperatingActivities', i);
+    const investingCashFlow = sectionValue(parsed, 'InvestingActivities', i);
+    const financingCashFlow = sectionValue(parsed, 'FinancingActivities', i);
+    flows.set(month, {
+      method: 'reported',
+      operatingCashFlow,
+      capitalExpenditures: capexRows.reduce((sum, a) => sum + a.values[i], 0),
+      investingCashFlow,
+      financingCashFlow,
+      netChangeInCash: Math.round((operatingCashFlow + investingCashFlow + financingCashFlow) * 100) / 100
+    });
+  });
+  return flows;
+}
+
+// ---- Webhook-triggered runs ----
+const MAX_ENTITY_LOOKUPS = 25;
+
+// Webhook runs start at the earliest month a changed transaction falls in. Anything without a
+// transaction date (accounts, deleted entities) or too many changes falls back to the full window.
+async function resolveWebhookStartMonth({ accessToken, companyUrl }, run) {
+  const changed = run.changedEntities || [];
+  if (!changed.length || changed.length > MAX_ENTITY_LOOKUPS) return run.startMonth;
+
+  let earliest = null;
+  for (const key of changed) {
+    const [entity, id] = key.split(':');
+    let txnDate = null;
+    try {
+      const data = await qbAxiosGet({ accessToken, url: `${companyUrl}/${entity.toLowerCase()}/${id}` });
+      txnDate = data?.[entity]?.TxnDate || null;
+    } catch {
+      txnDate = null;
+    }
+    if (!txnDate) return run.startMonth;
+    const month = txnDate.slice(0, 7);
+    if (!earliest || month < earliest) earliest = month;
+  }
+  return earliest > run.startMonth ? earliest : run.startMonth;
+}
+
+// ---- Sync job ----
+export async function syncQuickBooksFinancials(syncRunId) {
+  const run = await getSyncRun(syncRunId);
+  if (!run) return;
+
+  await markSyncRunStarted(syncRunId);
+
+  try {
+    const { oauthClient, realmId } = await getQbContext({ connectionId: run.connectionId, userId: run.userId });
+    const accessToken = oauthClient.getToken().access_token;
+    const companyUrl = `${getQbBaseUrl(oauthClient.environment)}/v3/company/${realmId}`;
+    const startMonth = run.trigger === 'webhook' ? await resolveWebhookStartMonth({ accessToken, companyUrl }, run) : run.startMonth;
+    const { start } = monthBounds(startMonth);
+    const { end } = monthBounds(run.endMonth);
+
+    // The balance sheet starts a month early so the first month's cash flow can be derived
+    const reportUrl = (name, from = start) => `${companyUrl}/reports/${name}?start_date=${from}&end_date=${end}&summarize_column_by=Month&accounting_method=Accrual`;
+    const [profitAndLoss, balanceSheet, cashFlow, resolver] = await Promise.all([
+      qbAxiosGet({ accessToken, url: reportUrl('ProfitAndLoss') }),
+      qbAxiosGet({ accessToken, url: reportUrl('BalanceSheet', monthBounds(shiftMonth(startMonth, -1)).start) }),
+      qbAxiosGet({ accessToken, url: reportUrl('CashFlow') }),
+      loadStatementLineResolver(run.tenantId, run.mappingVersion || null)
+    ]);
+
+    const rows = mapQbReportsToSnapshots(profitAndLoss, balanceSheet);
+    for (const row of rows) {
+      await upsertFinancialSnapshot({ tenantId: run.tenantId, ...row, source: 'quickbooks', syncRunId, connectionId: run.connectionId || null });
+    }
+
+    const statements = buildMonthlyStatements({
+      months: listMonths(startMonth, run.endMonth),
+      incomeLines: sumQbReportLines(parseQbReport(profitAndLoss), 'income', resolver),
+      balanceLines: sumQbReportLines(parseQbReport(balanceSheet), 'balance', resolver),
+      reportedCashFlows: mapQbCashFlowReport(cashFlow, resolver)
+    });
+    for (const row of statements) {
+      await upsertFinancialStatements({ tenantId: run.tenantId, ...row, source: 'quickbooks', syncRunId, connectionId: run.connectionId || null, mappingVersion: resolver.mappingVersion });
+    }
+
+    const latest = rows[rows.length - 1];
+    if (latest) await updateCompanyFinancials(run.tenantId, latest);
+
+    await markSyncRunSucceeded(syncRunId, {
+      realmId,
+      startMonth,
+      monthCount: rows.length,
+      statementMonthCount: statements.length,
+      mappingVersion: resolver.mappingVersion,
+      firstMonth: rows[0]?.month || null,
+      lastMonth: latest?.month || null
+    });
+  } catch (err) {
+    console.error('QuickBooks sync error:', err);
+    await markSyncRunFailed(syncRunId, err);
+    throw err;
+  }
+}
+
+registerSyncJobHandler(QUICKBOOKS_SYNC_JOB, syncQuickBooksFinancials);
@@ -0,0 +1,283 @@
+import { db } from '../firestore.js';
+import { getSalesforceContext, describeObject, runSoqlAll, runBulkQuery, countSoql } from '../lib/salesforce.js';
+import { monthBounds } from '../lib/financialSnapshots.js';
+import { getSyncRun, markSyncRunStarted, markSyncRunSucceeded, markSyncRunFailed, registerSyncJobHandler } from '../lib/syncRuns.js';
+
+// Job type Salesforce sync runs are queued under
+export const SALESFORCE_SYNC_JOB = 'salesforce_sync';
+
+const BATCH_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const OPPORTUNITY_FIELDS = ['Id', 'Name', 'AccountId', 'StageName', 'IsWon', 'IsClosed', 'Amount', 'CloseDate', 'CreatedDate', 'LastModifiedDate', 'Type', 'LeadSource'];
+
+// Competitor text fields seen in orgs; values may hold several names separated by ; or ,
+const COMPETITOR_FIELDS = ['MainCompetitors__c', 'Competitor__c', 'Competitors__c', 'Primary_Competitor__c'];
+
+// Standard child object listing competitors on an opportunity
+const COMPETITOR_RELATIONSHIP = 'OpportunityCompetitors';
+
+// Above this many matching opportunities a sync goes through Bulk API 2.0 instead of REST paging
+const BULK_THRESHOLD = Number(process.env.SALESFORCE_BULK_THRESHOLD) || 10000;
+
+// Open deals plus everything closed inside the metrics window
+function opportunityWhere(startDate) {
+  return `IsClosed = false OR CloseDate >= ${startDate}`;
+}
+
+// The standard fields plus whichever competitor sources the org has
+async function describeOpportunitySource(ctx) {
+  const describe = await describeObject(ctx, 'Opportunity');
+  const available = new Set((describe?.fields || []).map(f => f?.name).filter(Boolean));
+  const relationships = new Set((describe?.childRelationships || []).map(r => r?.relationshipName).filter(Boolean));
+
+  return {
+    fields: [
+      ...OPPORTUNITY_FIELDS.filter(f => f === 'Id' || available.has(f)),
+      ...COMPETITOR_FIELDS.filter(f => available.has(f))
+    ],
+    hasCompetitorObject: relationships.has(COMPETITOR_RELATIONSHIP)
+  };
+}
+
+// Bulk queries take neither the competitor subquery nor ORDER BY
+export function buildOpportunitySoql({ fields, hasCompetitorObject }, { startDate, bulk = false }) {
+  const columns = [...fields];
+  if (hasCompetitorObject && !bulk) columns.push(`(SELECT CompetitorName FROM ${COMPETITOR_RELATIONSHIP})`);
+  const soql = `SELECT ${columns.join(', ')} FROM Opportunity WHERE ${opportunityWhere(startDate)}`;
+  return bulk ? soql : `${soql} ORDER BY CreatedDate`;
+}
+
+function splitCompetitors(value) {
+  return String(value || '').split(/[;,]/).map(s => s.trim()).filter(Boolean);
+}
+
+// REST records carry typed JSON; Bulk API CSV rows carry strings with '' for empty fields
+const asBoolean = (v) => v === true || v === 'true';
+const asText = (v) => (v === '' || v == null ? null : v);
+
+// extraCompetitors: names from OpportunityCompetitor rows fetched separately (Bulk cannot subquery)
+export function normalizeOpportunity(record, extraCompetitors = []) {
+  const competitors = new Set(extraCompetitors);
+  for (const field of COMPETITOR_FIELDS) splitCompetitors(record[field]).forEach(c => competitors.add(c));
+  for (const child of record[COMPETITOR_RELATIONSHIP]?.records || []) {
+    if (child.CompetitorName) competitors.add(child.CompetitorName.trim());
+  }
+
+  const amount = asText(record.Amount);
+  const createdDate = asText(record.CreatedDate);
+  return {
+    opportunityId: record.Id,
+    name: asText(record.Name),
+    accountId: asText(record.AccountId),
+    stageName: asText(record.StageName),
+    type: asText(record.Type),
+    leadSource: asText(record.LeadSource),
+    isWon: asBoolean(record.IsWon),
+    isClosed: asBoolean(record.IsClosed),
+    amount: amount != null ? Number(amount) : null,
+    closeDate: asText(record.CloseDate),
+    createdDate: createdDate ? createdDate.slice(0, 10) : null,
+    lastModifiedDate: asText(record.LastModifiedDate),
+    competitors: [...competitors]
+  };
+}
+
+const ratio = (won, lost) => (won + lost) > 0 ? won / (won + lost) : null;
+const mean = ({ sum, count }) => count ? sum / count : null;
+
+// Win rate is won / closed, average deal size and sales cycle use won deals only.
+// Rates are fractions (0.25 = 25%); sales cycle is CreatedDate to CloseDate in days.
+// Opportunities are added page by page, so a bulk sync never holds them all in memory.
+export function createPipelineMetrics({ startDate, endDate }) {
+  let closedCount = 0;
+  let wonCount = 0;
+  let openCount = 0;
+  let openAmount = 0;
+  const wonAmount = { sum: 0, count: 0 };
+  const cycleDays = { sum: 0, count: 0 };
+  const byCompetitor = new Map();
+
+  return {
+    add(o) {
+      if (!o.isClosed) {
+        openCount++;
+        openAmount += o.amount || 0;
+        return;
+      }
+      if (!o.closeDate || o.closeDate < startDate || o.closeDate > endDate) return;
+
+      closedCount++;
+      if (o.isWon) {
+        wonCount++;
+        if (o.amount != null) {
+          wonAmount.sum += o.amount;
+          wonAmount.count++;
+        }
+        const days = o.createdDate ? (Date.parse(o.closeDate) - Date.parse(o.createdDate)) / DAY_MS : NaN;
+        if (Number.isFinite(days) && days >= 0) {
+          cycleDays.sum += days;
+          cycleDays.count++;
+        }
+      }
+      for (const competitor of o.competitors) {
+        const entry = byCompetitor.get(competitor) || { competitor, won: 0, lost: 0 };
+        if (o.isWon) entry.won++;
+        else entry.lost++;
+        byCompetitor.set(competitor, entry);
+      }
+    },
+
+    result() {
+      return {
+        startDate,
+        endDate,
+        closedCount,
+        wonCount,
+        lostCount: closedCount - wonCount,
+        winRate: ratio(wonCount, closedCount - wonCount),
+        wonAmount: wonAmount.sum,
+        averageDealSize: mean(wonAmount),
+        salesCycleDays: mean(cycleDays),
+        openCount,
+        openAmount,
+        winRateByCompetitor: [...byCompetitor.values()]
+          .map(e => ({ ...e, closed: e.won + e.lost, winRate: ratio(e.won, e.lost) }))
+          .sort((a, b) => b.closed - a.closed)
+      };
+    }
+  };
+}
+
+export function computePipelineMetrics(opportunities, window) {
+  const metrics = createPipelineMetrics(window);
+  opportunities.forEach(o => metrics.add(o));
+  return metrics.result();
+}
+
+async function saveOpportunities(tenantId, opportunities, { syncRunId, connectionId }) {
+  for (let i = 0; i < opportunities.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    for (const opportunity of opportunities.slice(i, i + BATCH_SIZE)) {
+      // Per connection: two Salesforce orgs of one company must not overwrite each other
+      const docId = `${connectionId || tenantId}_${opportunity.opportunityId}`;
+      batch.set(db.collection('salesforce_opportunities').doc(docId), {
+        id: docId,
+        tenantId,
+        ...opportunity,
+        syncRunId,
+        connectionId,
+        syncedAt: new Date()
+      });
+    }
+    await batch.commit();
+  }
+}
+
+// Opportunities that were deleted or fell out of the window since the last run. Deleted docs drop
+// out of the query, so each page starts from the top.
+async function deleteStaleOpportunities(tenantId, connectionId, syncRunId) {
+  const stale = db.collection('salesforce_opportunities')
+    .where('tenantId', '==', tenantId)
+    .where('connectionId', '==', connectionId)
+    .where('syncRunId', '!=', syncRunId)
+    .limit(BATCH_SIZE);
+
+  let removed = 0;
+  for (;;) {
+    const snap = await stale.select().get();
+    if (snap.empty) return removed;
+    const batch = db.batch();
+    snap.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+    removed += snap.size;
+  }
+}
+
+// Mirror onto the company record; getWinLossRatio reads Sales.Pipeline.WinRate
+async function updateCompanyPipeline(tenantId, metrics) {
+  await db.collection('companies').doc(tenantId).set({
+    Sales: {
+      Pipeline: {
+        WinRate: metrics.winRate,
+        AverageDealSize: metrics.averageDealSize,
+        SalesCycleDays: metrics.salesCycleDays,
+        WinRateByCompetitor: metrics.winRateByCompetitor,
+        Wins: metrics.wonCount,
+        Losses: metrics.lostCount,
+        OpenPipeline: metrics.openAmount,
+        StartDate: metrics.startDate,
+        EndDate: metrics.endDate,
+        Source: 'salesforce',
+        UpdatedAt: new Date().toISOString()
+      }
+    },
+    updatedAt: new Date().toISOString()
+  }, { merge: true });
+}
+
+// ---- Sync job ----
+export async function syncSalesforcePipeline(syncRunId) {
+  const run = await getSyncRun(syncRunId);
+  if (!run) return;
+
+  await markSyncRunStarted(syncRunId);
+
+  try {
+    const { accessToken, instanceUrl } = await getSalesforceContext({ connectionId: run.connectionId, userId: run.userId });
+    const ctx = { accessToken, instanceUrl };
+    const startDate = monthBounds(run.startMonth).start;
+    const endDate = monthBounds(run.endMonth).end;
+    const connectionId = run.connectionId || null;
+
+    const source = await describeOpportunitySource(ctx);
+    const useBulk = typeof run.bulk === 'boolean'
+      ? run.bulk
+      : await countSoql(ctx, 'Opportunity', opportunityWhere(startDate)) > BULK_THRESHOLD;
+    const mode = useBulk ? 'bulk' : 'rest';
+
+    const metrics = createPipelineMetrics({ startDate, endDate });
+    let opportunityCount = 0;
+    const savePage = async (records, competitorsById = null) => {
+      const page = records.map(r => normalizeOpportunity(r, competitorsById?.get(r.Id) || []));
+      await saveOpportunities(run.tenantId, page, { syncRunId, connectionId });
+      page.forEach(o => metrics.add(o));
+      opportunityCount += page.length;
+    };
+
+    if (mode === 'bulk') {
+      const competitorsById = new Map();
+      if (source.hasCompetitorObject) {
+        const where = `Opportunity.IsClosed = false OR Opportunity.CloseDate >= ${startDate}`;
+        await runBulkQuery(ctx, `SELECT OpportunityId, CompetitorName FROM OpportunityCompetitor WHERE ${where}`, async (rows) => {
+          for (const row of rows) {
+            if (!row.CompetitorName) continue;
+            const names = competitorsById.get(row.OpportunityId) || [];
+            names.push(row.CompetitorName.trim());
+            competitorsById.set(row.OpportunityId, names);
+          }
+        });
+      }
+      await runBulkQuery(ctx, buildOpportunitySoql(source, { startDate, bulk: true }), (records) => savePage(records, competitorsById));
+    } else {
+      await runSoqlAll(ctx, buildOpportunitySoql(source, { startDate }), (records) => savePage(records));
+    }
+    const removedCount = await deleteStaleOpportunities(run.tenantId, connectionId, syncRunId);
+
+    const pipeline = metrics.result();
+    await updateCompanyPipeline(run.tenantId, pipeline);
+
+    await markSyncRunSucceeded(syncRunId, {
+      mode,
+      opportunityCount,
+      removedCount,
+      metrics: pipeline
+    });
+  } catch (err) {
+    console.error('Salesforce sync error:', err);
+    await markSyncRunFailed(syncRunId, err);
+    throw err;
+  }
+}
+
+registerSyncJobHandler(SALESFORCE_SYNC_JOB, syncSalesforcePipeline);
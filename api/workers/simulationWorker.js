@@ -0,0 +1,202 @@
+import { Timestamp } from '@google-cloud/firestore';
+import { db } from '../firestore.js';
+import { buildSimulationContext, generateSimulation, calculateScenarioROI } from '../lib/utils.js';
+import { registerJobHandler } from '../lib/jobs/index.js';
+
+export const SIMULATION_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+// Job type simulations are queued under. AI calls already retry in-process, so the job only gets a
+// few attempts.
+export const SIMULATION_JOB = 'simulation';
+export const SIMULATION_JOB_ATTEMPTS = 3;
+
+// Steps in run order; progress.percent is the share completed
+export const SIMULATION_STEPS = [
+  { key: 'context', label: 'Context gathered' },
+  { key: 'research', label: 'Metrics researched' },
+  { key: 'narrative', label: 'Narrative generated' },
+  { key: 'roi', label: 'ROI computed' }
+];
+
+// AI calls are retried on errors that look transient (rate limits, overload, network)
+const AI_MAX_ATTEMPTS = 3;
+const AI_RETRY_BASE_MS = 2000;
+const TRANSIENT_AI_ERROR = /\b(429|500|502|503|504)\b|unavailable|overloaded|resource.?exhausted|deadline|timed? ?out|ECONNRESET|ETIMEDOUT|EAI_AGAIN|socket hang up|fetch failed/i;
+
+const BRAIN_PROMPTS = {
+  primary: "Run strategic simulations for acquisitions, divestitures, market expansions, and paradigm shifts using multi-lens frameworks. Provide Harvard-style case narratives with ROI tables.",
+  byType: {
+    divestiture: "Simulate divesting a non-core business unit with financial and strategic impacts.",
+    'blue-ocean': "Create a Blue Ocean strategy canvas for entering uncontested markets.",
+    pestel: "Perform PESTEL analysis for geopolitical/regulatory disruptions."
+  }
+};
+
+// Initial step state for a queued simulation
+export function newSimulationSteps() {
+  return Object.fromEntries(SIMULATION_STEPS.map(({ key, label }) => [key, {
+    label,
+    status: 'pending',
+    attempts: 0,
+    startedAt: null,
+    completedAt: null,
+    lastError: null
+  }]));
+}
+
+export function newSimulationProgress() {
+  return { currentStep: null, completed: 0, total: SIMULATION_STEPS.length, percent: 0 };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function withAiRetry(fn, onRetry) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= AI_MAX_ATTEMPTS || !TRANSIENT_AI_ERROR.test(err?.message || '')) throw err;
+      await onRetry(attempt, err);
+      await sleep(AI_RETRY_BASE_MS * Math.pow(2, attempt - 1));
+    }
+  }
+}
+
+// Writes step transitions and overall progress onto the simulation doc
+function createStepTracker(ref) {
+  const completed = new Set();
+  let current = null;
+
+  const write = (fields) => ref.update({ ...fields, updatedAt: Timestamp.now() });
+
+  return {
+    get current() { return current; },
+    async start(key) {
+      current = key;
+      await write({
+        [`steps.${key}.status`]: 'running',
+        [`steps.${key}.startedAt`]: Timestamp.now(),
+        [`steps.${key}.attempts`]: 1,
+        'progress.currentStep': key
+      });
+    },
+    async retrying(key, attempt, err) {
+      await write({
+        [`steps.${key}.attempts`]: attempt + 1,
+        [`steps.${key}.lastError`]: err.message
+      });
+    },
+    async complete(key) {
+      if (completed.has(key)) return;
+      completed.add(key);
+      await write({
+        [`steps.${key}.status`]: 'completed',
+        [`steps.${key}.completedAt`]: Timestamp.now(),
+        'progress.completed': completed.size,
+        'progress.percent': Math.round((completed.size / SIMULATION_STEPS.length) * 100)
+      });
+    },
+    async fail(key, err) {
+      await write({
+        [`steps.${key}.status`]: 'failed',
+        [`steps.${key}.lastError`]: err.message
+      });
+    }
+  };
+}
+
+// Run a queued simulation: gather context, research metrics, generate the narrative, compute ROI.
+// Runs as a background job; a throw leaves the simulation queued for the job's next attempt.
+export async function processSimulation(simulationId) {
+  const ref = db.collection('simulations').doc(simulationId);
+  const doc = await ref.get();
+  if (!doc.exists) return;
+
+  const sim = doc.data();
+  // A `running` simulation here lost its worker (the job's lease expired), so it starts over
+  if (sim.status === 'completed' || sim.status === 'failed') return;
+
+  await ref.update({ status: 'running', startedAt: Timestamp.now(), updatedAt: Timestamp.now() });
+  const steps = createStepTracker(ref);
+
+  try {
+    const companyDoc = await db.collection('companies').doc(sim.companyId).get();
+    if (!companyDoc.exists) throw new Error('Company not found');
+    const companyData = companyDoc.data();
+
+    await steps.start('context');
+    const context = await buildSimulationContext(companyData, {
+      onStepComplete: async (key) => {
+        await steps.complete(key);
+        if (key === 'context') await steps.start('research');
+      }
+    });
+    // The context build falls back to a minimal context instead of failing
+    await steps.complete('context');
+    await steps.complete('research');
+
+    await steps.start('narrative');
+    const results = await withAiRetry(
+      () => generateSimulation({
+        companyData,
+        context,
+        prompt: BRAIN_PROMPTS.byType[sim.type] || BRAIN_PROMPTS.primary,
+        framework: sim.framework,
+        simulationType: sim.type,
+        scenario: sim.scenario || 'baseline'
+      }),
+      (attempt, err) => steps.retrying('narrative', attempt, err)
+    );
+    await steps.complete('narrative');
+
+    await steps.start('roi');
+    const roi = await withAiRetry(
+      () => calculateScenarioROI({ companyData, simulationResults: results, horizonYears: 5 }),
+      (attempt, err) => steps.retrying('roi', attempt, err)
+    );
+    await steps.complete('roi');
+
+    await ref.update({
+      status: 'completed',
+      name: results.title || sim.name,
+      results,
+      roi: {
+        scenarioRoiPercent: roi.scenarioRoiPercent,
+        discountRate: roi.discountRate,
+        horizonYears: roi.horizonYears,
+        baselineNPV: roi.baseline.npv,
+        scenarioNPV: roi.scenario.npv,
+        scenarioIRR: roi.scenario.irr
+      },
+      'progress.currentStep': null,
+      error: null,
+      completedAt: Timestamp.now(),
+      updatedAt: Timestamp.now()
+    });
+  } catch (err) {
+    console.error('Simulation processing error:', err);
+    if (steps.current) await steps.fail(steps.current, err);
+    await ref.update({
+      status: 'queued',
+      error: err.message || 'Unknown error',
+      updatedAt: Timestamp.now()
+    });
+    throw err;
+  }
+}
+
+// Out of attempts (or the lease expired on the last one): the simulation will not be retried
+async function markSimulationFailed({ simulationId }, err) {
+  await db.collection('simulations').doc(simulationId).update({
+    status: 'failed',
+    error: err.message || 'Unknown error',
+    failedAt: Timestamp.now(),
+    updatedAt: Timestamp.now()
+  });
+}
+
+registerJobHandler(
+  SIMULATION_JOB,
+  ({ simulationId }) => processSimulation(simulationId),
+  { onDeadLetter: markSimulationFailed }
+);
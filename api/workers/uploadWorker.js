@@ -1,110 +1,201 @@
 import { db } from '../firestore.js';
 import { Storage } from '@google-cloud/storage';
-import { parseFileWithMapping, toNumber, toOptionalNumber, normalizeMonth } from '../lib/uploadUtils.js';
+import { readDataRows } from '../lib/uploadUtils.js';
+import { createUploadValidator } from '../lib/uploadValidation.js';
+import { buildFinancialSnapshot, buildEntitySnapshot, rollUpEntityRecords, updateCompanyFinancials } from '../lib/financialSnapshots.js';
+import { replaceBudgetMonths } from '../lib/budgets.js';
+import { registerJobHandler } from '../lib/jobs/index.js';
 
 const storage = new Storage();
 const BUCKET_NAME = 'vsuite-objects';
 
+// Job type committed uploads are queued under
+export const UPLOAD_JOB = 'upload';
+
+// Firestore caps a batch at 500 writes
+const BATCH_SIZE = 500;
+
+// Rows between progress writes to the upload doc
+const PROGRESS_EVERY_ROWS = 500;
+
+// Runs as a background job; a throw leaves the upload queued for the job's next attempt
 export async function processUpload(uploadId, mapping, options) {
   const uploadDoc = await db.collection('uploads').doc(uploadId).get();
   if (!uploadDoc.exists) return;
 
   const upload = uploadDoc.data();
+  // A job requeued after its lease expired may find the work already done
+  if (upload.status === 'succeeded') return;
 
+  const progress = createProgressTracker(uploadId);
   await db.collection('uploads').doc(uploadId).update({
-    status: 'processing'
+    status: 'processing',
+    progress: progress.snapshot()
   });
 
   try {
-    // Download file from GCS
-    const bucket = storage.bucket(BUCKET_NAME);
-    const file = bucket.file(upload.storagePath);
-    const [buffer] = await file.download();
-
-    // Parse rows
-    const rows = await parseFileWithMapping(buffer, upload.filename, options);
-
-    let count = 0;
-
-    for (const row of rows) {
-      const monthRaw = row[mapping.month];
-      const revenueRaw = row[mapping.revenue];
-
-      if (!monthRaw || revenueRaw == null || revenueRaw === '') continue;
-
-      const month = normalizeMonth(monthRaw, options.dateFormat);
-      if (!month) continue;
-
-      const revenue = toNumber(revenueRaw);
-      const cogs = mapping.cogs != null ? toNumber(row[mapping.cogs]) : 0;
-      const opex = mapping.opex != null ? toNumber(row[mapping.opex]) : 0;
-      const ebitda = mapping.ebitda != null
-        ? toNumber(row[mapping.ebitda])
-        : revenue - cogs - opex;
-
-      const cash = mapping.cash != null ? toOptionalNumber(row[mapping.cash]) : null;
-      const ar = mapping.ar != null ? toOptionalNumber(row[mapping.ar]) : null;
-      const ap = mapping.ap != null ? toOptionalNumber(row[mapping.ap]) : null;
-      const inventory = mapping.inventory != null ? toOptionalNumber(row[mapping.inventory]) : null;
-
-      const arDays = ar && revenue > 0 ? (ar / revenue) * 365 : null;
-      const apDays = ap && cogs > 0 ? (ap / cogs) * 365 : null;
-      const inventoryDays = inventory && cogs > 0 ? (inventory / cogs) * 365 : null;
-
-      // Upsert into FinancialSnapshotMonthly
-      const docId = `${upload.tenantId}_${month}`;
-      await db.collection('financialSnapshotMonthly').doc(docId).set({
-        id: docId,
-        tenantId: upload.tenantId,
-        month,
-        revenue,
-        cogs,
-        opex,
-        ebitda,
-        cash,
-        arDays,
-        apDays,
-        inventoryDays,
-        source: 'upload',
-        updatedAt: new Date()
-      }, { merge: true });
-
-      count++;
-    }
+    // Rows stream from GCS; CSV never sits in memory whole
+    const file = storage.bucket(BUCKET_NAME).file(upload.storagePath);
+    const rows = readDataRows(() => file.createReadStream(), upload.filename, options);
+    const validator = createUploadValidator(upload.type, mapping, options);
 
-    // Calculate aggregated financials
-    const latestMonth = rows.map(row => normalizeMonth(row[mapping.month], options.dateFormat)).filter(Boolean).sort().pop();
-    const latestRow = rows.find(row => normalizeMonth(row[mapping.month], options.dateFormat) === latestMonth);
-    
-    if (latestRow) {
-      const revenue = toNumber(latestRow[mapping.revenue]);
-      const cogs = mapping.cogs != null ? toNumber(latestRow[mapping.cogs]) : 0;
-      const opex = mapping.opex != null ? toNumber(latestRow[mapping.opex]) : 0;
-      const ebitda = mapping.ebitda != null ? toNumber(latestRow[mapping.ebitda]) : revenue - cogs - opex;
-      
-      await db.collection('companies').doc(upload.tenantId).set({
-        Financials: {
-          Revenue: revenue,
-          COGS: cogs,
-          OPEX: opex,
-          EBITDA: ebitda
-        },
-        updatedAt: new Date().toISOString()
-      }, { merge: true });
-    }
+    const { count, entities } = upload.type === 'BudgetTemplateV1'
+      ? await processBudgetRows(upload, rows, validator, progress)
+      : await processFinancialRows(upload, rows, validator, progress);
 
     await db.collection('uploads').doc(uploadId).update({
       status: 'succeeded',
       processedAt: new Date(),
       rowCount: count,
+      entities,
+      progress: progress.snapshot(),
+      validation: { ...validator.report(), dryRun: false },
       errorMessage: null
     });
   } catch (err) {
     console.error('Upload processing error:', err);
     await db.collection('uploads').doc(uploadId).update({
-      status: 'failed',
+      status: 'queued',
       errorMessage: err.message || 'Unknown error'
     });
     throw err;
   }
 }
+
+// Out of attempts (or the lease expired on the last one): the upload will not be retried
+async function markUploadFailed({ uploadId }, err) {
+  await db.collection('uploads').doc(uploadId).update({
+    status: 'failed',
+    errorMessage: err.message || 'Unknown error'
+  });
+}
+
+registerJobHandler(
+  UPLOAD_JOB,
+  ({ uploadId, mapping, options }) => processUpload(uploadId, mapping, options),
+  { onDeadLetter: markUploadFailed }
+);
+
+// Data rows a dry run validates; it runs inside the request, so large files are only sampled
+export const DRY_RUN_MAX_ROWS = 10000;
+
+// Dry run: validate up to DRY_RUN_MAX_ROWS rows without writing anything. Returns the first
+// `previewRows` normalized records and the validation report the real import would store for them;
+// `truncated` marks a file with rows beyond the limit, which the import still checks.
+export async function previewUpload(upload, mapping, options = {}, { previewRows = 100 } = {}) {
+  const file = storage.bucket(BUCKET_NAME).file(upload.storagePath);
+  const validator = createUploadValidator(upload.type, mapping, options);
+  const rows = [];
+  let read = 0;
+  let truncated = false;
+
+  // One row past the limit tells a file that fits from one that does not
+  for await (const row of readDataRows(() => file.createReadStream(), upload.filename, options, { maxRows: DRY_RUN_MAX_ROWS + 1 })) {
+    if (++read > DRY_RUN_MAX_ROWS) {
+      truncated = true;
+      break;
+    }
+    const record = validator.check(row);
+    if (record && rows.length < previewRows) rows.push(record);
+  }
+  return { rows, report: { ...validator.report(), rowLimit: DRY_RUN_MAX_ROWS, truncated } };
+}
+
+// Row counts mirrored onto uploads.progress every PROGRESS_EVERY_ROWS rows while the file streams
+function createProgressTracker(uploadId) {
+  const counts = { rowsRead: 0, rowsImported: 0, rowsSkipped: 0 };
+  let lastWritten = 0;
+
+  return {
+    snapshot: () => ({ ...counts, updatedAt: new Date() }),
+    row(imported) {
+      counts.rowsRead++;
+      if (imported) counts.rowsImported++;
+      else counts.rowsSkipped++;
+    },
+    async write() {
+      if (counts.rowsRead - lastWritten < PROGRESS_EVERY_ROWS) return;
+      lastWritten = counts.rowsRead;
+      await db.collection('uploads').doc(uploadId).update({ progress: this.snapshot() });
+    }
+  };
+}
+
+// FinancialTemplateV1: one actuals snapshot per month row, written in batches. With an entity
+// column each row is one entity's month, and the consolidated months are written after the file.
+async function processFinancialRows(upload, rows, validator, progress) {
+  let count = 0;
+  let pending = [];
+  let latest = null;
+  const entityRecords = new Map();
+
+  const flush = async () => {
+    if (!pending.length) return;
+    const batch = db.batch();
+    for (const { collection, snapshot } of pending) {
+      batch.set(db.collection(collection).doc(snapshot.id), snapshot, { merge: true });
+    }
+    await batch.commit();
+    pending = [];
+  };
+  const write = async (collection, snapshot) => {
+    pending.push({ collection, snapshot });
+    if (pending.length === BATCH_SIZE) await flush();
+  };
+  // The latest month feeds the company's aggregated financials; like the snapshot, its last row wins
+  const track = (record) => {
+    if (!latest || record.month >= latest.month) latest = record;
+  };
+
+  for await (const row of rows) {
+    const record = validator.check(row);
+    progress.row(Boolean(record));
+    await progress.write();
+    if (!record) continue;
+
+    if (record.entity) {
+      const snapshot = buildEntitySnapshot({ tenantId: upload.tenantId, ...record, source: 'upload' });
+      await write('financialSnapshotEntityMonthly', { ...snapshot, uploadId: upload.id });
+      entityRecords.set(snapshot.id, record);
+    } else {
+      await write('financialSnapshotMonthly', buildFinancialSnapshot({ tenantId: upload.tenantId, ...record, source: 'upload' }));
+      track(record);
+    }
+    count++;
+  }
+
+  for (const { entities, ...consolidated } of rollUpEntityRecords([...entityRecords.values()])) {
+    const snapshot = buildFinancialSnapshot({ tenantId: upload.tenantId, ...consolidated, source: 'upload' });
+    await write('financialSnapshotMonthly', { ...snapshot, entities });
+    track(consolidated);
+  }
+  await flush();
+
+  if (latest) {
+    const { revenue, cogs, opex, ebitda } = latest;
+    await updateCompanyFinancials(upload.tenantId, { revenue, cogs, opex, ebitda });
+  }
+
+  return { count, entities: [...new Set([...entityRecords.values()].map(r => r.entity))] };
+}
+
+// BudgetTemplateV1: every mapped budget line per month row; rows for the same month add up, so a
+// multi-entity budget is stored consolidated
+async function processBudgetRows(upload, rows, validator, progress) {
+  const months = new Map();
+  const entities = new Set();
+  for await (const row of rows) {
+    const record = validator.check(row);
+    progress.row(Boolean(record));
+    await progress.write();
+    if (!record) continue;
+    if (record.entity) entities.add(record.entity);
+
+    const values = months.get(record.month) || {};
+    for (const [line, amount] of Object.entries(record.values)) values[line] = (values[line] || 0) + amount;
+    months.set(record.month, values);
+  }
+
+  await replaceBudgetMonths(upload.tenantId, [...months].map(([month, values]) => ({ month, values })), { uploadId: upload.id });
+  return { count: months.size, entities: [...entities] };
+}
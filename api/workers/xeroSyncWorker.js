@@ -0,0 +1,395 @@
+import { db } from '../firestore.js';
+import { getXeroContext, parseXeroDate } from '../lib/xero.js';
+import { upsertFinancialSnapshot, updateCompanyFinancials, listMonths } from '../lib/financialSnapshots.js';
+import { loadStatementLineResolver, statementOfLine, naturalAmount, shiftMonth, buildMonthlyStatements, upsertFinancialStatements } from '../lib/financialStatements.js';
+import { getSyncRun, markSyncRunStarted, markSyncRunSucceeded, markSyncRunFailed, registerSyncJobHandler } from '../lib/syncRuns.js';
+
+// Job type Xero sync runs are queued under
+export const XERO_SYNC_JOB = 'xero_sync';
+
+// Snapshot categories an account can roll up into; 'ignore' excludes it entirely
+export const XERO_CATEGORIES = ['revenue', 'cogs', 'opex', 'cash', 'ar', 'ap', 'inventory', 'ignore'];
+
+const FLOW_CATEGORIES = ['revenue', 'cogs', 'opex'];
+const BALANCE_CATEGORIES = ['cash', 'ar', 'ap', 'inventory'];
+
+// Journal netAmount is debit-positive; revenue and payables are credit-natured
+const CREDIT_NATURED = new Set(['revenue', 'ap']);
+
+const JOURNAL_PAGE_SIZE = 100;
+
+// Default mapping from Xero account Type / SystemAccount to a snapshot category
+export function defaultXeroCategory(account) {
+  const type = String(account?.type || '').toUpperCase();
+  const systemAccount = String(account?.systemAccount || '').toUpperCase();
+
+  if (systemAccount === 'DEBTORS') return 'ar';
+  if (systemAccount === 'CREDITORS') return 'ap';
+
+  switch (type) {
+    case 'REVENUE':
+    case 'SALES':
+      return 'revenue';
+    case 'DIRECTCOSTS':
+      return 'cogs';
+    case 'EXPENSE':
+    case 'OVERHEADS':
+      return 'opex';
+    case 'BANK':
+      return 'cash';
+    case 'INVENTORY':
+      return 'inventory';
+    default:
+      // Depreciation, other income, equity, fixed assets etc. stay out of the snapshot
+      return 'ignore';
+  }
+}
+
+// Per-tenant overrides keyed by account code (or accountID when the account has no code)
+export async function getXeroAccountOverrides(tenantId) {
+  const doc = await db.collection('xeroAccountMappings').doc(tenantId).get();
+  return doc.exists ? (doc.data().overrides || {}) : {};
+}
+
+export function resolveXeroCategory(account, overrides = {}) {
+  const override = overrides[account?.code] || overrides[account?.accountID];
+  return override || defaultXeroCategory(account);
+}
+
+function toMonth(date) {
+  return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+// Aggregate journal lines into monthly flows (P&L) and month-end balances (balance sheet)
+export function buildXeroMonthlySnapshots({ accounts, journals, overrides = {}, startMonth, endMonth }) {
+  const categoryByAccountId = new Map(
+    accounts.map(a => [a.accountID, resolveXeroCategory(a, overrides)])
+  );
+  const months = listMonths(startMonth, endMonth);
+  const flows = new Map(months.map(m => [m, { revenue: 0, cogs: 0, opex: 0 }]));
+  const balanceMovements = new Map();
+
+  for (const journal of journals) {
+    const date = parseXeroDate(journal.journalDate);
+    if (!date) continue;
+    const month = toMonth(date);
+    if (month > endMonth) continue;
+
+    for (const line of journal.journalLines || []) {
+      const category = categoryByAccountId.get(line.accountID)
+        || resolveXeroCategory({ code: line.accountCode, accountID: line.accountID, type: line.accountType }, overrides);
+      if (category === 'ignore') continue;
+
+      const net = Number(line.netAmount) || 0;
+      const amount = CREDIT_NATURED.has(category) ? -net : net;
+
+      if (FLOW_CATEGORIES.includes(category)) {
+        if (flows.has(month)) flows.get(month)[category] += amount;
+      } else if (BALANCE_CATEGORIES.includes(category)) {
+        const movement = balanceMovements.get(month) || { cash: 0, ar: 0, ap: 0, inventory: 0 };
+        movement[category] += amount;
+        balanceMovements.set(month, movement);
+      }
+    }
+  }
+
+  // Opening balances are every movement before the first synced month
+  const balances = { cash: 0, ar: 0, ap: 0, inventory: 0 };
+  for (const [month, movement] of balanceMovements) {
+    if (month < startMonth) {
+      for (const k of BALANCE_CATEGORIES) balances[k] += movement[k];
+    }
+  }
+
+  const rows = [];
+  for (const month of months) {
+    const movement = balanceMovements.get(month);
+    if (movement) {
+      for (const k of BALANCE_CATEGORIES) balances[k] += movement[k];
+    }
+    const { revenue, cogs, opex } = flows.get(month);
+    if (revenue === 0 && cogs === 0 && opex === 0) continue;
+
+    rows.push({
+      month,
+      revenue,
+      cogs,
+      opex,
+      ebitda: revenue - cogs - opex,
+      cash: balances.cash,
+      ar: balances.ar,
+      ap: balances.ap,
+      inventory: balances.inventory || null
+    });
+  }
+  return rows;
+}
+
+// ---- Three-statement model ----
+
+// Xero account types that post to the P&L, for journal lines whose account is missing from the list
+const PROFIT_AND_LOSS_TYPES = new Set(['REVENUE', 'SALES', 'OTHERINCOME', 'DIRECTCOSTS', 'EXPENSE', 'OVERHEADS', 'DEPRECIATN', 'WAGESEXPENSE', 'SUPERANNUATIONEXPENSE']);
+
+const addLine = (byMonth, month, line, amount) => {
+  const lines = byMonth.get(month) || {};
+  lines[line] = (lines[line] || 0) + amount;
+  byMonth.set(month, lines);
+};
+
+// Journal lines summed into statement lines: P&L accounts as monthly flows, balance sheet accounts
+// as month-end balances. Xero only closes earnings into equity at year end, so equity also carries
+// the cumulative result of every P&L account. Balances run from the month before startMonth so the
+// first month's cash flow can be derived.
+export function buildXeroMonthlyStatements({ accounts, journals, resolver, startMonth, endMonth }) {
+  const accountsById = new Map(accounts.map(a => [a.accountID, a]));
+  const placements = new Map();
+  const placeAccount = (journalLine) => {
+    if (placements.has(journalLine.accountID)) return placements.get(journalLine.accountID);
+    const account = accountsById.get(journalLine.accountID);
+    const accountClass = String(account?._class || '').toUpperCase();
+    const type = String(account?.type || journalLine.accountType || '').toUpperCase();
+    const profitAndLoss = accountClass ? ['REVENUE', 'EXPENSE'].includes(accountClass) : PROFIT_AND_LOSS_TYPES.has(type);
+    const line = resolver.resolve({
+      id: `xero:${journalLine.accountID}`,
+      name: account?.name || journalLine.accountName,
+      type: accountClass.toLowerCase() || null,
+      subtype: type || null
+    });
+    // A line from the other statement would count the account twice once earnings roll into equity
+    const placement = { profitAndLoss, line: statementOfLine(line) === (profitAndLoss ? 'income' : 'balance') ? line : null };
+    placements.set(journalLine.accountID, placement);
+    return placement;
+  };
+
+  const flows = new Map();
+  const movements = new Map();
+  for (const journal of journals) {
+    const date = parseXeroDate(journal.journalDate);
+    if (!date) continue;
+    const month = toMonth(date);
+    if (month > endMonth) continue;
+
+    for (const journalLine of journal.journalLines || []) {
+      const net = Number(journalLine.netAmount) || 0;
+      const { profitAndLoss, line } = placeAccount(journalLine);
+      if (profitAndLoss) {
+        addLine(movements, month, 'equity', -net);
+        if (line && month >= startMonth) addLine(flows, month, line, naturalAmount(line, net));
+      } else if (line) {
+        addLine(movements, month, line, naturalAmount(line, net));
+      }
+    }
+  }
+
+  const firstMonth = shiftMonth(startMonth, -1);
+  const running = {};
+  for (const [month, lines] of movements) {
+    if (month >= firstMonth) continue;
+    for (const [line, amount] of Object.entries(lines)) running[line] = (running[line] || 0) + amount;
+  }
+  const balances = new Map();
+  for (const month of listMonths(firstMonth, endMonth)) {
+    for (const [line, amount] of Object.entries(movements.get(month) || {})) running[line] = (running[line] || 0) + amount;
+    if (Object.keys(running).length) balances.set(month, { ...running });
+  }
+
+  return buildMonthlyStatements({ months: listMonths(startMonth, endMonth), incomeLines: flows, balanceLines: balances });
+}
+
+// ---- Journal store ----
+
+// Xero journals are immutable and numbered in posting order, so a run only fetches the journals
+// after the last JournalNumber it saw. They are folded into monthly per-account totals for the
+// connection, which is all the snapshot and statement builders read; opening balances still cover
+// the whole history without downloading it again.
+const JOURNAL_MONTHS = 'xero_journal_months';
+const JOURNAL_CURSORS = 'xero_journal_cursors';
+const BATCH_SIZE = 500;
+
+const journalKey = (run) => run.connectionId || run.tenantId;
+
+// Journals are returned 100 at a time, ordered by JournalNumber; the offset is the last number seen
+async function fetchXeroJournalsAfter(xero, tenantId, offset) {
+  const journals = [];
+  for (;;) {
+    const res = await xero.accountingApi.getJournals(tenantId, undefined, offset);
+    const page = res.body?.journals || [];
+    journals.push(...page);
+    if (page.length < JOURNAL_PAGE_SIZE) break;
+    offset = page[page.length - 1].journalNumber;
+  }
+  return journals;
+}
+
+// Add journals to their month's totals. Each month doc records the last journal folded into it, so
+// a retry after a failure before the cursor was saved does not count a journal twice.
+async function foldJournals(run, journals) {
+  const key = journalKey(run);
+  const byMonth = new Map();
+  for (const journal of journals) {
+    const date = parseXeroDate(journal.journalDate);
+    if (!date) continue;
+    const month = toMonth(date);
+    if (!byMonth.has(month)) byMonth.set(month, []);
+    byMonth.get(month).push(journal);
+  }
+  if (!byMonth.size) return;
+
+  const months = [...byMonth.keys()];
+  const refs = months.map(month => db.collection(JOURNAL_MONTHS).doc(`${key}_${month}`));
+  const docs = await db.getAll(...refs);
+
+  for (let i = 0; i < months.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    months.slice(i, i + BATCH_SIZE).forEach((month, j) => {
+      const stored = docs[i + j].exists ? docs[i + j].data() : {};
+      const lines = stored.lines || {};
+      let appliedThrough = stored.appliedThrough || 0;
+      for (const journal of byMonth.get(month)) {
+        if (journal.journalNumber <= (stored.appliedThrough || 0)) continue;
+        for (const line of journal.journalLines || []) {
+          const id = line.accountID || line.accountCode || 'unknown';
+          const total = lines[id] || {
+            accountID: line.accountID || null,
+            accountCode: line.accountCode || null,
+            accountType: line.accountType || null,
+            accountName: line.accountName || null,
+            netAmount: 0
+          };
+          total.netAmount += Number(line.netAmount) || 0;
+          lines[id] = total;
+        }
+        appliedThrough = Math.max(appliedThrough, journal.journalNumber);
+      }
+      batch.set(refs[i + j], {
+        id: refs[i + j].id,
+        journalKey: key,
+        tenantId: run.tenantId,
+        connectionId: run.connectionId || null,
+        month,
+        lines,
+        appliedThrough,
+        updatedAt: new Date()
+      });
+    });
+    await batch.commit();
+  }
+}
+
+// Fetch journals posted since the last run into the store, then return every stored month as one
+// journal per month, in the shape the builders read
+async function syncXeroJournals(xero, xeroTenantId, run, syncRunId) {
+  const key = journalKey(run);
+  const cursorRef = db.collection(JOURNAL_CURSORS).doc(key);
+  const cursorDoc = await cursorRef.get();
+  const cursor = cursorDoc.exists ? cursorDoc.data().lastJournalNumber || 0 : 0;
+
+  const fetched = await fetchXeroJournalsAfter(xero, xeroTenantId, cursor);
+  await foldJournals(run, fetched);
+  const lastJournalNumber = fetched.reduce((max, j) => Math.max(max, j.journalNumber || 0), cursor);
+  await cursorRef.set({
+    journalKey: key,
+    tenantId: run.tenantId,
+    connectionId: run.connectionId || null,
+    lastJournalNumber,
+    lastSyncRunId: syncRunId,
+    lastFetched: fetched.length,
+    updatedAt: new Date()
+  });
+
+  const snap = await db.collection(JOURNAL_MONTHS).where('journalKey', '==', key).get();
+  const journals = snap.docs.map(doc => {
+    const { month, lines } = doc.data();
+    return { journalDate: new Date(`${month}-01T00:00:00Z`), journalLines: Object.values(lines || {}) };
+  });
+  return { journals, fetched: fetched.length, lastJournalNumber, mode: cursor ? 'incremental' : 'full' };
+}
+
+// ---- Webhook-triggered runs ----
+const MAX_INVOICE_LOOKUPS = 25;
+
+// Webhook runs only rewrite months from the earliest changed invoice onward; balances are still
+// accumulated from every stored month. Unknown dates or too many changes keep the full window.
+async function resolveWebhookStartMonth(xero, xeroTenantId, run) {
+  const invoiceIds = (run.changedEntities || []).filter(k => k.startsWith('INVOICE:')).map(k => k.split(':')[1]);
+  if (!invoiceIds.length || invoiceIds.length > MAX_INVOICE_LOOKUPS) return run.startMonth;
+
+  let earliest = null;
+  for (const invoiceId of invoiceIds) {
+    let date = null;
+    try {
+      const res = await xero.accountingApi.getInvoice(xeroTenantId, invoiceId);
+      date = parseXeroDate(res.body?.invoices?.[0]?.date);
+    } catch {
+      date = null;
+    }
+    if (!date) return run.startMonth;
+    const month = date.toISOString().slice(0, 7);
+    if (!earliest || month < earliest) earliest = month;
+  }
+  return earliest > run.startMonth ? earliest : run.startMonth;
+}
+
+// ---- Sync job ----
+export async function ingestXeroFinancials(syncRunId) {
+  const run = await getSyncRun(syncRunId);
+  if (!run) return;
+
+  await markSyncRunStarted(syncRunId);
+
+  try {
+    const { xero, tenantId: xeroTenantId } = await getXeroContext({ connectionId: run.connectionId, userId: run.userId });
+    const [accountsRes, { journals, fetched, lastJournalNumber, mode }, overrides, resolver] = await Promise.all([
+      xero.accountingApi.getAccounts(xeroTenantId),
+      syncXeroJournals(xero, xeroTenantId, run, syncRunId),
+      getXeroAccountOverrides(run.tenantId),
+      loadStatementLineResolver(run.tenantId, run.mappingVersion || null)
+    ]);
+    const startMonth = run.trigger === 'webhook' ? await resolveWebhookStartMonth(xero, xeroTenantId, run) : run.startMonth;
+
+    const rows = buildXeroMonthlySnapshots({
+      accounts: accountsRes.body?.accounts || [],
+      journals,
+      overrides,
+      startMonth,
+      endMonth: run.endMonth
+    });
+
+    for (const row of rows) {
+      await upsertFinancialSnapshot({ tenantId: run.tenantId, ...row, source: 'xero', syncRunId, connectionId: run.connectionId || null });
+    }
+
+    const statements = buildXeroMonthlyStatements({
+      accounts: accountsRes.body?.accounts || [],
+      journals,
+      resolver,
+      startMonth,
+      endMonth: run.endMonth
+    });
+    for (const row of statements) {
+      await upsertFinancialStatements({ tenantId: run.tenantId, ...row, source: 'xero', syncRunId, connectionId: run.connectionId || null, mappingVersion: resolver.mappingVersion });
+    }
+
+    const latest = rows[rows.length - 1];
+    if (latest) await updateCompanyFinancials(run.tenantId, latest);
+
+    await markSyncRunSucceeded(syncRunId, {
+      xeroTenantId,
+      startMonth,
+      journalMode: mode,
+      journalCount: fetched,
+      lastJournalNumber,
+      monthCount: rows.length,
+      statementMonthCount: statements.length,
+      mappingVersion: resolver.mappingVersion,
+      firstMonth: rows[0]?.month || null,
+      lastMonth: latest?.month || null
+    });
+  } catch (err) {
+    console.error('Xero sync error:', err);
+    await markSyncRunFailed(syncRunId, err);
+    throw err;
+  }
+}
+
+registerSyncJobHandler(XERO_SYNC_JOB, ingestXeroFinancials);